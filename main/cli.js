@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+const path = require('path');
+const { Command, InvalidArgumentError } = require('commander');
+const readlineSync = require('readline-sync');
+
+// --- COMMAND LINE INTERFACE ---
+// Parsing and stdout reporting for headless runs. main.js owns the actual work;
+// when this file is run with plain node it relaunches itself under Electron.
+
+const CLI_COMMANDS = ['download', 'resolve', 'playlists', 'trim-silence', 'cache', 'help'];
+// Commands that never write the queue, history or cache files, so they may run next to the window.
+const READ_ONLY_COMMANDS = ['playlists'];
+const AUDIO_FORMATS = ['m4a', 'mp3', 'wav', 'flac', 'ogg', 'opus'];
+const DUPLICATE_MODES = ['skip', 'copy', 'redownload'];
+const ARTIST_MODES = ['top-tracks', 'albums', 'albums-singles', 'all'];
+const ARTIST_GROUPINGS = ['album', 'artist'];
+
+function getCliArgs(argv, isPackaged) {
+    // Packaged builds start at the executable; dev runs also pass the app path (`electron . download ...`).
+    return argv.slice(isPackaged ? 1 : 2);
+}
+
+function isCliInvocation(args) {
+    return process.env.SOUNDLINK_CLI === '1' || CLI_COMMANDS.includes(args[0]);
+}
+
+function isReadOnlyCliCommand(command) {
+    return READ_ONLY_COMMANDS.includes(command?.name);
+}
+
+function choiceParser(choices) {
+    return (value) => {
+        if (!choices.includes(value)) {
+            throw new InvalidArgumentError(`Expected one of: ${choices.join(', ')}.`);
+        }
+        return value;
+    };
+}
+
+function parsePositiveInt(value) {
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isFinite(parsed) || parsed < 1) {
+        throw new InvalidArgumentError('Expected a positive whole number.');
+    }
+    return parsed;
+}
+
+function parseCliCommand(args) {
+    let command = null;
+    const program = new Command();
+
+    program
+        .name('soundlink')
+        .description('Download and manage your SoundLink library without opening the window.')
+        .option('--json', 'print one JSON object per line instead of text')
+        .option('--no-prompt', 'never stop to ask for a manual link or about an interrupted batch');
+
+    program
+        .command('download')
+        .description('download Spotify, YouTube or SoundCloud links')
+        .argument('<links...>', 'links to download')
+        .option('-f, --format <ext>', `audio format with its default quality (${AUDIO_FORMATS.join(', ')})`, choiceParser(AUDIO_FORMATS))
+        .option('--profile <id>', 'audio quality profile id, e.g. original, aac-256, mp3-v0, opus-160, flac')
+        .option('-t, --threads <count>', 'parallel downloads', parsePositiveInt)
+        .option('-d, --duplicates <mode>', `tracks already in the library (${DUPLICATE_MODES.join(', ')})`, choiceParser(DUPLICATE_MODES))
+        .option('--artist-mode <mode>', `what artist links expand to (${ARTIST_MODES.join(', ')})`, choiceParser(ARTIST_MODES))
+        .option('--artist-grouping <grouping>', `playlist per artist or per release (${ARTIST_GROUPINGS.join(', ')})`, choiceParser(ARTIST_GROUPINGS))
+        .option('-p, --playlist [name]', 'move the downloads into a playlist folder when done')
+        .action((links, options) => {
+            command = { name: 'download', links, options };
+        });
+
+    program
+        .command('resolve')
+        .description('print the link each Spotify track or search query would download from')
+        .argument('<inputs...>', 'Spotify links or search queries')
+        .option('--artist-mode <mode>', `what artist links expand to (${ARTIST_MODES.join(', ')})`, choiceParser(ARTIST_MODES))
+        .action((inputs, options) => {
+            command = { name: 'resolve', inputs, options };
+        });
+
+    program
+        .command('playlists')
+        .description('list playlist folders and their track counts')
+        .action(() => {
+            command = { name: 'playlists', options: {} };
+        });
+
+    program
+        .command('trim-silence')
+        .description('trim leading and trailing silence from library tracks')
+        .argument('[playlist]', 'only trim this playlist folder')
+        .option('--threshold <db>', 'silence threshold in dB below full scale (10-80)', parsePositiveInt)
+        .action((playlist, options) => {
+            command = { name: 'trim-silence', playlist: playlist || null, options };
+        });
+
+    const cache = program
+        .command('cache')
+        .description('manage the search link cache');
+
+    cache
+        .command('clear')
+        .description('forget cached search links (pinned links are kept)')
+        .action(() => {
+            command = { name: 'cache-clear', options: {} };
+        });
+
+    program.parse(args, { from: 'user' });
+    if (!command) {
+        program.help();
+    }
+
+    return { ...command, globalOptions: program.opts() };
+}
+
+function formatDuration(durationMs) {
+    if (!Number.isFinite(durationMs) || durationMs <= 0) return '?:??';
+    const totalSeconds = Math.round(durationMs / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+function createCliReporter({ json = false, prompt = true } = {}) {
+    const canPrompt = prompt && !json && Boolean(process.stdin.isTTY);
+    let lastProgressStep = -1;
+    let finishedPayload = null;
+    let queueItems = [];
+
+    const emit = (event, data = {}) => {
+        process.stdout.write(`${JSON.stringify({ event, ...data })}\n`);
+    };
+
+    const handleTrimProgress = (payload = {}) => {
+        if (json) {
+            emit('trim-progress', payload);
+            return;
+        }
+        if (payload.status === 'started') {
+            console.log(`Trimming silence from ${payload.totalCount} tracks (threshold -${payload.thresholdDb} dB)...`);
+        } else if (payload.status === 'progress') {
+            console.log(`  ${payload.processedCount}/${payload.totalCount} scanned, ${payload.modifiedCount} trimmed, ${payload.failedCount} failed`);
+        } else if (payload.status === 'error') {
+            console.error(`Silence trim failed: ${payload.error}`);
+        }
+    };
+
+    return {
+        get finishedPayload() {
+            return finishedPayload;
+        },
+
+        get queueItems() {
+            return queueItems;
+        },
+
+        handleEvent(channel, ...args) {
+            switch (channel) {
+                case 'update-status': {
+                    const [message, isFinished, payload] = args;
+                    if (isFinished) finishedPayload = payload || {};
+                    if (json) {
+                        emit('status', { message, finished: Boolean(isFinished), ...(payload || {}) });
+                    } else {
+                        console.log(message);
+                    }
+                    break;
+                }
+                case 'download-progress': {
+                    const { progress = 0, eta = '' } = args[0] || {};
+                    const step = Math.floor(progress / 5);
+                    if (step === lastProgressStep) break;
+                    lastProgressStep = step;
+                    if (json) {
+                        emit('progress', { progress: Math.round(progress), eta });
+                    } else {
+                        console.log(`Progress: ${Math.round(progress)}%${eta ? ` (${eta})` : ''}`);
+                    }
+                    break;
+                }
+                case 'download-queue-update':
+                    queueItems = args[0]?.items || [];
+                    break;
+                case 'trim-library-silence-progress':
+                    handleTrimProgress(args[0]);
+                    break;
+                default:
+                    break;
+            }
+        },
+
+        promptManualLink(request = {}) {
+            if (!canPrompt) return null;
+
+            const candidates = request.candidates || [];
+            console.log(`\nNo confident match for "${request.trackName}" (expected ${formatDuration(request.expectedDurationMs)}).`);
+            candidates.forEach((candidate, position) => {
+                console.log(`  ${position + 1}. ${candidate.title} — ${candidate.uploader || 'unknown'} [${formatDuration(candidate.durationMs)}] ${candidate.url}`);
+            });
+
+            const answer = readlineSync.question('Pick a number, paste a link, or press Enter to skip: ').trim();
+            if (!answer) return null;
+            const choice = Number.parseInt(answer, 10);
+            if (String(choice) === answer && choice >= 1 && choice <= candidates.length) {
+                return candidates[choice - 1].url;
+            }
+            return /^https?:\/\//i.test(answer) ? answer : null;
+        },
+
+        // Returns 'resume', 'discard' or null when the user keeps the batch or cannot be asked.
+        promptInterruptedBatch(pending) {
+            if (!canPrompt) return null;
+
+            const label = pending.playlistName ? `"${pending.playlistName}"` : 'The last download batch';
+            console.log(`\n${label} was interrupted with ${pending.remainingCount} of ${pending.totalCount} track(s) unfinished.`);
+            const answer = readlineSync.question('Resume it first (r), discard it and its partial files (d), or press Enter to stop: ').trim().toLowerCase();
+            if (answer === 'r' || answer === 'resume') return 'resume';
+            if (answer === 'd' || answer === 'discard') return 'discard';
+            return null;
+        },
+
+        result(data, lines = []) {
+            if (json) {
+                emit('result', data);
+            } else {
+                lines.forEach(line => console.log(line));
+            }
+        },
+
+        error(message) {
+            if (json) {
+                emit('error', { message });
+            } else {
+                console.error(`Error: ${message}`);
+            }
+        },
+    };
+}
+
+// A window stand-in so the download pipeline can keep calling `mainWindow.webContents.send`.
+function createHeadlessWindow(reporter, { onManualLinkRequest }) {
+    return {
+        isDestroyed: () => false,
+        isVisible: () => false,
+        isMinimized: () => false,
+        show() {},
+        hide() {},
+        focus() {},
+        restore() {},
+        webContents: {
+            send(channel, ...args) {
+                if (channel === 'manual-link-request') {
+                    onManualLinkRequest(args[0], reporter.promptManualLink(args[0]));
+                    return;
+                }
+                reporter.handleEvent(channel, ...args);
+            },
+        },
+    };
+}
+
+if (require.main === module && !process.versions.electron) {
+    const { spawn } = require('child_process');
+    const electronPath = require('electron');
+    const appRoot = path.join(__dirname, '..');
+    const child = spawn(electronPath, [appRoot, ...process.argv.slice(2)], {
+        stdio: 'inherit',
+        env: { ...process.env, SOUNDLINK_CLI: '1' },
+    });
+    child.on('close', code => process.exit(code ?? 1));
+}
+
+module.exports = {
+    getCliArgs,
+    isCliInvocation,
+    isReadOnlyCliCommand,
+    parseCliCommand,
+    createCliReporter,
+    createHeadlessWindow,
+};
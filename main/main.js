@@ -1,12 +1,21 @@
-const { app, BrowserWindow, ipcMain, dialog, shell, Tray, Menu, globalShortcut, Notification } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, Tray, Menu, globalShortcut, Notification, nativeImage } = require('electron');
 const { autoUpdater } = require('electron-updater');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const { spawn, execFileSync } = require('child_process');
 const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
 const SpotifyWebApi = require('spotify-web-api-node');
 const mm = require('music-metadata');
 const axios = require('axios');
 const log = require('electron-log');
+const { getCliArgs, isCliInvocation, isReadOnlyCliCommand, parseCliCommand, createCliReporter, createHeadlessWindow } = require('./cli');
+const { parseTrackListFile } = require('./trackListImport');
+const { readMp4FreeformTag, writeMp4FreeformTag } = require('./mp4Tags');
+
+const cliArgs = getCliArgs(process.argv, app.isPackaged);
+const cliCommand = isCliInvocation(cliArgs) ? parseCliCommand(cliArgs) : null;
 
 const LOG_LEVELS = {
     debug: 10,
@@ -15,7 +24,8 @@ const LOG_LEVELS = {
     error: 40,
 };
 
-const currentLogLevel = process.env.SOUNDLINK_LOG_LEVEL?.toLowerCase() || 'debug';
+// CLI runs keep stdout for command output, so only warnings and errors (stderr) are logged by default.
+const currentLogLevel = process.env.SOUNDLINK_LOG_LEVEL?.toLowerCase() || (cliCommand ? 'warn' : 'debug');
 
 function shouldLog(level) {
     const requested = LOG_LEVELS[level] ?? LOG_LEVELS.info;
@@ -40,7 +50,7 @@ function writeLog(level, scope, message, data) {
 }
 
 // --- CONSTANTS & CONFIG ---
-const supportedExtensions = ['.m4a', '.mp3', '.wav', '.flac', '.ogg', '.webm'];
+const supportedExtensions = ['.m4a', '.mp3', '.wav', '.flac', '.ogg', '.opus', '.webm'];
 app.disableHardwareAcceleration();
 app.commandLine.appendSwitch('autoplay-policy', 'no-user-gesture-required');
 
@@ -53,13 +63,19 @@ const cachePath = path.join(app.getPath('userData'), 'link_cache.json');
 const trackTagsPath = path.join(app.getPath('userData'), 'track_tags.json');
 const playlistTagsPath = path.join(app.getPath('userData'), 'playlist_tags.json');
 const metadataCachePath = path.join(app.getPath('userData'), 'track_metadata_cache.json');
+const artworkCachePath = path.join(app.getPath('userData'), 'artwork_cache.json');
+const artworkThumbnailsPath = path.join(app.getPath('userData'), 'artwork-thumbnails');
 const trackPlayCountsPath = path.join(app.getPath('userData'), 'track_play_counts.json');
+const downloadQueueStatePath = path.join(app.getPath('userData'), 'download_queue.json');
+const downloadHistoryPath = path.join(app.getPath('userData'), 'download_history.json');
+const watchedPlaylistsPath = path.join(app.getPath('userData'), 'watched_playlists.json');
 const undoTrashPath = path.join(app.getPath('userData'), 'undo-trash');
 const trimUndoManifestPath = path.join(app.getPath('userData'), 'trim-undo-manifests');
 const ytdlpDir = isDev ? path.join(__dirname, 'yt-dlp') : path.join(process.resourcesPath, 'yt-dlp');
 const userDataPluginRoot = path.join(app.getPath('userData'), 'yt-dlp-plugins');
 const ytdlpGetPotPluginDir = path.join(userDataPluginRoot, 'yt-dlp-get-pot');
-const ytdlpThreadInstancesDir = path.join(app.getPath('userData'), 'yt-dlp-thread-instances');
+// CLI runs get their own copies so they never wipe the ones an open window is using.
+const ytdlpThreadInstancesDir = path.join(app.getPath('userData'), cliCommand ? `yt-dlp-thread-instances-cli-${process.pid}` : 'yt-dlp-thread-instances');
 
 // --- STATE VARIABLES ---
 let config = {};
@@ -68,17 +84,30 @@ let linkCache = {};
 let trackTags = {};
 let playlistTags = {};
 let metadataCache = {};
+let artworkCache = {};
 let trackPlayCounts = {};
+let downloadHistory = [];
+let watchedPlaylists = [];
 let downloadsDir = path.join(app.getPath('downloads'), 'SoundLink');
 let mainWindow;
+let cliReporter = null;
 let tray = null;
 let activeProcesses = new Set();
 let ytdlpExecutables = [];
 let ytdlpThreadInstances = [];
 let ytdlpInstanceIndex = 0;
 let lastDownloadedFiles = [];
+const lastDownloadedFilePlaylists = new Map();
 let lastPlaylistName = null;
 let isDownloadCancelled = false;
+let pendingDownloadBatch = null;
+let activeDownloadBatch = null;
+// Set from the moment a batch is accepted; `activeDownloadBatch` only exists once its links are expanded.
+let isDownloadBatchStarting = false;
+let activeDownloadQueueController = null;
+let isDownloadQueuePaused = false;
+let downloadQueueResumeWaiters = [];
+const activeDownloadItemProcesses = new Map();
 let cachedYtdlpPluginPath = undefined;
 let hasLoggedMissingYtdlpPlugin = false;
 let cachedYtdlpPluginFlag = undefined;
@@ -86,6 +115,7 @@ let cachedNodeRuntimePath = undefined;
 let manualLinkRequestCounter = 0;
 const pendingManualLinkRequests = new Map();
 const activeSilenceTrimJobs = new Map();
+const automationApiSockets = new Set();
 let trayPlaybackState = {
     isPlaying: false,
     trackName: 'Nothing playing',
@@ -95,10 +125,162 @@ let trayPlaybackState = {
     sleepTimerActive: false,
     sleepTimerRemainingSeconds: 0,
 };
+let trayArtwork = { trackPath: null, icon: null };
+let libraryWatchers = [];
+let libraryChangeTimer = null;
+let isLibraryChangeProcessing = false;
+const pendingLibraryChangePaths = new Set();
+// Paths SoundLink moved to the undo trash; the watcher keeps their tags so undo can restore them.
+// A path is released once its undo is used or dropped, or once a file is back in its place.
+const undoTrashOriginalPaths = new Set();
 
 const SMART_PLAYLIST_RECENTLY_ADDED = '__smart__/recently-added';
 const SMART_PLAYLIST_MOST_PLAYED = '__smart__/most-played';
+const SMART_PLAYLIST_CUSTOM_PREFIX = '__smart__/custom/';
 const MAX_DOWNLOAD_THREADS = 10;
+const DUPLICATE_HANDLING_MODES = ['skip', 'copy', 'redownload'];
+const MAX_DOWNLOAD_HISTORY_BATCHES = 200;
+const DEFAULT_FILENAME_TEMPLATE = '{index} - {title}';
+const DEFAULT_AUTOMATION_API_PORT = 17321;
+const WEBSOCKET_ACCEPT_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const ARTIST_LINK_MODES = ['top-tracks', 'albums', 'albums-singles', 'all'];
+const ARTIST_LINK_GROUPINGS = ['album', 'artist'];
+const DEFAULT_SPOTIFY_MARKET = 'US';
+
+// Encoders a quality profile can pick. `vbrRange` is the encoder's -q:a scale where it has one;
+// `streamCodec` is the name ffprobe reports for audio already in that codec.
+const AUDIO_CODECS = {
+    aac: { label: 'AAC', extension: 'm4a', encoder: 'aac', streamCodec: 'aac' },
+    mp3: { label: 'MP3', extension: 'mp3', encoder: 'libmp3lame', streamCodec: 'mp3', vbrRange: [0, 9] },
+    opus: { label: 'Opus', extension: 'opus', encoder: 'libopus', streamCodec: 'opus', sampleRates: [48000, 24000, 16000] },
+    vorbis: { label: 'Vorbis', extension: 'ogg', encoder: 'libvorbis', streamCodec: 'vorbis', vbrRange: [0, 10] },
+    flac: { label: 'FLAC', extension: 'flac', encoder: 'flac', streamCodec: 'flac', lossless: true },
+    wav: { label: 'WAV', extension: 'wav', encoder: 'pcm_s16le', streamCodec: 'pcm_s16le', lossless: true },
+};
+const DEFAULT_AUDIO_PROFILE_ID = 'aac-256';
+// "original" keeps whatever stream the site delivers; every other profile is encoded with ffmpeg
+// unless the download is already in its codec and within its limits.
+const AUDIO_QUALITY_PROFILES = [
+    { id: 'original', name: 'Original stream (no re-encode)', codec: 'original' },
+    { id: 'aac-256', name: 'AAC 256 kbps', codec: 'aac', bitrateKbps: 256 },
+    { id: 'aac-128', name: 'AAC 128 kbps', codec: 'aac', bitrateKbps: 128 },
+    { id: 'mp3-v0', name: 'MP3 VBR V0', codec: 'mp3', vbrQuality: 0 },
+    { id: 'mp3-320', name: 'MP3 320 kbps', codec: 'mp3', bitrateKbps: 320 },
+    { id: 'mp3-mono-64', name: 'MP3 64 kbps mono, 22 kHz', codec: 'mp3', bitrateKbps: 64, sampleRate: 22050, channels: 1 },
+    { id: 'opus-160', name: 'Opus 160 kbps', codec: 'opus', bitrateKbps: 160 },
+    { id: 'opus-96', name: 'Opus 96 kbps', codec: 'opus', bitrateKbps: 96 },
+    { id: 'vorbis-q6', name: 'Vorbis quality 6', codec: 'vorbis', vbrQuality: 6 },
+    { id: 'flac', name: 'FLAC (lossless)', codec: 'flac' },
+    { id: 'flac-cd', name: 'FLAC 44.1 kHz stereo', codec: 'flac', sampleRate: 44100, channels: 2 },
+    { id: 'wav', name: 'WAV 16-bit PCM', codec: 'wav' },
+];
+// Stock settings for re-encoding a file whose format the selected profile doesn't write.
+const AUDIO_EXTENSION_PROFILES = {
+    m4a: { id: 'aac-192', name: 'AAC 192 kbps', codec: 'aac', bitrateKbps: 192 },
+    mp3: { id: 'mp3-v2', name: 'MP3 VBR V2', codec: 'mp3', vbrQuality: 2 },
+    wav: { id: 'wav', name: 'WAV 16-bit PCM', codec: 'wav' },
+    flac: { id: 'flac', name: 'FLAC (lossless)', codec: 'flac' },
+    ogg: { id: 'vorbis-q5', name: 'Vorbis quality 5', codec: 'vorbis', vbrQuality: 5 },
+    opus: { id: 'opus-160', name: 'Opus 160 kbps', codec: 'opus', bitrateKbps: 160 },
+    webm: { id: 'opus-160', name: 'Opus 160 kbps', codec: 'opus', bitrateKbps: 160 },
+};
+// What each value of the old `fileExtension` setting (and the CLI's --format) maps to.
+const LEGACY_FILE_EXTENSION_PROFILES = {
+    m4a: 'aac-256',
+    mp3: 'mp3-v0',
+    wav: 'wav',
+    flac: 'flac',
+    ogg: 'vorbis-q6',
+    opus: 'opus-160',
+    webm: 'original',
+};
+
+// Words that mark an alternate version. They cost points unless the Spotify title contains them too.
+const CANDIDATE_PENALTY_TERMS = [
+    { term: 'live', penalty: 25 },
+    { term: 'cover', penalty: 30 },
+    { term: 'remix', penalty: 25 },
+    { term: 'sped up', penalty: 30 },
+    { term: 'slowed', penalty: 30 },
+    { term: 'reverb', penalty: 20 },
+    { term: 'nightcore', penalty: 35 },
+    { term: 'karaoke', penalty: 35 },
+    { term: 'instrumental', penalty: 25 },
+    { term: 'acoustic', penalty: 15 },
+    { term: '8d', penalty: 25 },
+    { term: 'lyrics', penalty: 5 },
+    { term: 'lyric video', penalty: 5 },
+];
+
+// yt-dlp failure categories, checked in order so the more specific patterns win. `retry` is the backoff
+// policy for failures that may clear up on their own; `tryNextCandidate` says whether another upload of the
+// same track could succeed where this one failed.
+const YTDLP_ERROR_CATEGORIES = [
+    {
+        category: 'rate-limited',
+        pattern: /HTTP Error 429|Too Many Requests|rate[- ]?limit/i,
+        explanation: 'The site is rate limiting requests from this connection.',
+        suggestion: 'Lower the download and link search thread counts, or wait a few minutes before trying again.',
+        retry: { maxRetries: 4, baseDelayMs: 5000, maxDelayMs: 60000 },
+        tryNextCandidate: false,
+    },
+    {
+        category: 'bot-check',
+        pattern: /not a bot|po[_ ]?token|not a robot|bot check/i,
+        explanation: 'YouTube asked for a bot check that yt-dlp could not pass.',
+        suggestion: 'Update yt-dlp from the Maintenance tab and make sure the yt-dlp-get-pot plugin is installed.',
+        retry: { maxRetries: 1, baseDelayMs: 10000, maxDelayMs: 10000 },
+        tryNextCandidate: false,
+    },
+    {
+        category: 'sign-in-required',
+        pattern: /confirm your age|age[- ]restricted|inappropriate for some users|members[- ]only|join this channel|sign in to|login required|requires authentication/i,
+        explanation: 'This upload is age-restricted or members-only and needs a signed-in account.',
+        suggestion: 'Pick a different upload of the track or paste another link.',
+        retry: null,
+        tryNextCandidate: true,
+    },
+    {
+        category: 'geo-blocked',
+        pattern: /available in your (country|region|location)|blocked it in your country|geo[- ]?restrict|from your location/i,
+        explanation: 'This upload is blocked in your region.',
+        suggestion: 'Pick a different upload of the track, or try again from a connection in another region.',
+        retry: null,
+        tryNextCandidate: true,
+    },
+    {
+        category: 'unavailable',
+        pattern: /video unavailable|private video|has been removed|no longer available|does not exist|account .* terminated|HTTP Error 404|HTTP Error 410/i,
+        explanation: 'The upload was removed, made private or no longer exists.',
+        suggestion: 'Pick a different upload of the track or paste another link.',
+        retry: null,
+        tryNextCandidate: true,
+    },
+    {
+        category: 'network',
+        pattern: /timed out|connection (reset|refused|aborted)|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|name resolution|getaddrinfo|network is unreachable|unable to download webpage|HTTP Error 5\d\d|IncompleteRead|SSL: |SSLError/i,
+        explanation: 'The connection dropped or the site did not respond.',
+        suggestion: 'Check your internet connection and retry the track.',
+        retry: { maxRetries: 3, baseDelayMs: 2000, maxDelayMs: 20000 },
+        tryNextCandidate: false,
+    },
+    {
+        category: 'post-processing',
+        pattern: /postprocessing|ffmpeg|ffprobe|conversion failed|error opening output/i,
+        explanation: 'The audio downloaded, but ffmpeg failed to convert it.',
+        suggestion: 'Check free disk space and that ffmpeg sits next to yt-dlp, or try another audio format.',
+        retry: null,
+        tryNextCandidate: true,
+    },
+];
+
+const UNKNOWN_YTDLP_ERROR = {
+    category: 'unknown',
+    explanation: 'yt-dlp failed for an unrecognised reason.',
+    suggestion: 'Check the console for the full error, or update yt-dlp from the Maintenance tab.',
+    retry: null,
+    tryNextCandidate: false,
+};
 
 const DEFAULT_DOWNLOAD_TIMING_STATS = {
     trackSamples: 0,
@@ -263,7 +445,7 @@ function findYtdlpExecutables() {
         } else {
             const selected = ytdlpThreadInstances[0];
             const pluginEnabledCount = ytdlpThreadInstances.filter(instance => instance.pluginPath).length;
-            console.log(`Prepared ${ytdlpThreadInstances.length} yt-dlp thread instance folder(s) from ${latestExecutables.length} executable(s), baseline: ${path.basename(selected.executablePath)}, plugin-ready: ${pluginEnabledCount}`);
+            writeLog('info', 'YTDLP', `Prepared ${ytdlpThreadInstances.length} yt-dlp thread instance folder(s) from ${latestExecutables.length} executable(s), baseline: ${path.basename(selected.executablePath)}, plugin-ready: ${pluginEnabledCount}`);
         }
     } catch (error) {
         console.error('Failed to find yt-dlp executables:', error);
@@ -284,25 +466,43 @@ function loadConfig() {
             if (typeof config.spectrogramColor !== 'string' || !/^#[\da-f]{6}$/i.test(config.spectrogramColor)) {
                 config.spectrogramColor = '#3b82f6';
             }
+            if (!config.audioProfile) {
+                config.audioProfile = getAudioProfileIdForExtension(config.fileExtension);
+                delete config.fileExtension;
+            }
         } else {
             config = { 
                 theme: 'dark',
-                fileExtension: 'm4a',
+                audioProfile: DEFAULT_AUDIO_PROFILE_ID,
+                customAudioProfiles: [],
+                filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
                 downloadThreads: 3,
+                linkSearchThreads: 3,
                 spotifySearchLimit: 10,
+                spotifyMarket: DEFAULT_SPOTIFY_MARKET,
                 spotify: { clientId: '', clientSecret: '' }, 
                 downloadsPath: downloadsDir,
                 autoCreatePlaylist: false,
                 favoriteThemes: [],
                 favoritePlaylists: [],
                 normalizeVolume: false,
+                embedMetadata: true,
                 hideSearchBars: false,
                 hideMixButtons: false,
                 visualThemeSync: false,
                 enableSmartPlaylists: true,
+                smartPlaylists: [],
                 libraryPerformanceMode: true,
                 skipManualLinkPrompt: false,
                 durationToleranceSeconds: 20,
+                linkCacheTtlDays: 90,
+                validateLinkCache: true,
+                watchedPlaylistSyncHours: 6,
+                duplicateHandling: 'skip',
+                artistLinkMode: 'top-tracks',
+                artistLinkGrouping: 'album',
+                automationApiEnabled: false,
+                automationApiPort: DEFAULT_AUTOMATION_API_PORT,
                 silenceTrimThresholdDb: 35,
                 playerVolume: 1,
                 spectrogramColor: '#3b82f6',
@@ -346,7 +546,16 @@ function loadStats() {
 function loadCache() {
     try {
         if (fs.existsSync(cachePath)) {
-            linkCache = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+            const parsed = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+            linkCache = {};
+            let migrated = false;
+            for (const [key, value] of Object.entries(parsed || {})) {
+                const entry = normalizeLinkCacheEntry(value);
+                if (!entry) continue;
+                migrated = migrated || typeof value === 'string';
+                linkCache[key] = entry;
+            }
+            if (migrated) saveCache();
         } else {
             linkCache = {};
             fs.writeFileSync(cachePath, JSON.stringify(linkCache, null, 4));
@@ -357,6 +566,117 @@ function loadCache() {
     }
 }
 
+// Older versions stored bare URLs; those are kept but dated to the migration so they don't all expire at once.
+function normalizeLinkCacheEntry(value) {
+    if (typeof value === 'string') {
+        return value ? { url: value, source: null, durationMs: null, manual: false, pinned: false, createdAt: Date.now(), checkedAt: null, dead: false } : null;
+    }
+    if (!value || typeof value.url !== 'string' || !value.url) return null;
+    return {
+        url: value.url,
+        source: typeof value.source === 'string' ? value.source : null,
+        durationMs: Number.isFinite(value.durationMs) ? value.durationMs : null,
+        manual: Boolean(value.manual),
+        pinned: Boolean(value.pinned),
+        createdAt: Number.isFinite(value.createdAt) ? value.createdAt : Date.now(),
+        checkedAt: Number.isFinite(value.checkedAt) ? value.checkedAt : null,
+        dead: Boolean(value.dead),
+    };
+}
+
+function getLinkCacheTtlMs() {
+    const days = Number.parseInt(config.linkCacheTtlDays, 10);
+    return Number.isFinite(days) && days > 0 ? days * 24 * 60 * 60 * 1000 : 0;
+}
+
+// Pinned entries never expire; a TTL of 0 days keeps everything.
+function isLinkCacheEntryExpired(entry, now = Date.now()) {
+    const ttlMs = getLinkCacheTtlMs();
+    return !entry.pinned && ttlMs > 0 && now - entry.createdAt > ttlMs;
+}
+
+function getCachedLink(key) {
+    const entry = linkCache[key];
+    if (!entry) return null;
+    if (isLinkCacheEntryExpired(entry)) {
+        delete linkCache[key];
+        saveCache();
+        return null;
+    }
+    return entry.dead ? null : entry;
+}
+
+function setCachedLink(key, { url, source = null, durationMs = null, manual = false }) {
+    const existing = linkCache[key];
+    // Pinned mappings are curated by hand, so automatic lookups never replace them.
+    if (existing?.pinned && existing.url !== url) return;
+    linkCache[key] = normalizeLinkCacheEntry({
+        url,
+        source,
+        durationMs,
+        manual,
+        pinned: existing?.pinned,
+        createdAt: Date.now(),
+    });
+    saveCache();
+}
+
+function clearLinkCache() {
+    const pinnedEntries = Object.entries(linkCache).filter(([, entry]) => entry.pinned);
+    const clearedCount = Object.keys(linkCache).length - pinnedEntries.length;
+    linkCache = Object.fromEntries(pinnedEntries);
+    saveCache();
+    return { clearedCount, keptCount: pinnedEntries.length };
+}
+
+function loadDownloadQueueState() {
+    try {
+        if (!fs.existsSync(downloadQueueStatePath)) {
+            pendingDownloadBatch = null;
+            return;
+        }
+
+        const parsed = JSON.parse(fs.readFileSync(downloadQueueStatePath, 'utf-8'));
+        const items = Array.isArray(parsed?.items) ? parsed.items : [];
+        const hasUnfinishedItems = items.some(item => item && !isDownloadItemFinished(item));
+        pendingDownloadBatch = hasUnfinishedItems ? parsed : null;
+        if (!pendingDownloadBatch) {
+            fs.rmSync(downloadQueueStatePath, { force: true });
+        }
+    } catch (error) {
+        console.error('Failed to load download queue state file:', error);
+        pendingDownloadBatch = null;
+    }
+}
+
+function loadDownloadHistory() {
+    try {
+        if (fs.existsSync(downloadHistoryPath)) {
+            const parsed = JSON.parse(fs.readFileSync(downloadHistoryPath, 'utf-8'));
+            downloadHistory = Array.isArray(parsed) ? parsed : [];
+        } else {
+            downloadHistory = [];
+        }
+    } catch (error) {
+        console.error('Failed to load download history file:', error);
+        downloadHistory = [];
+    }
+}
+
+function loadWatchedPlaylists() {
+    try {
+        if (fs.existsSync(watchedPlaylistsPath)) {
+            const parsed = JSON.parse(fs.readFileSync(watchedPlaylistsPath, 'utf-8'));
+            watchedPlaylists = Array.isArray(parsed) ? parsed : [];
+        } else {
+            watchedPlaylists = [];
+        }
+    } catch (error) {
+        console.error('Failed to load watched playlists file:', error);
+        watchedPlaylists = [];
+    }
+}
+
 function safeWriteFileSync(filePath, data) {
     const tempPath = `${filePath}.tmp-${Date.now()}`;
     try {
@@ -390,6 +710,120 @@ function saveCache() {
     }
 }
 
+function saveDownloadHistory() {
+    try {
+        safeWriteFileSync(downloadHistoryPath, JSON.stringify(downloadHistory, null, 4));
+    } catch (error) {
+        console.error('Failed to save download history file:', error);
+    }
+}
+
+function saveWatchedPlaylists() {
+    try {
+        safeWriteFileSync(watchedPlaylistsPath, JSON.stringify(watchedPlaylists, null, 4));
+    } catch (error) {
+        console.error('Failed to save watched playlists file:', error);
+    }
+}
+
+// Keeps history paths valid after "Create Playlist" moves a batch out of the downloads folder.
+function updateDownloadHistoryPaths(movedPaths) {
+    let changed = false;
+    for (const record of downloadHistory) {
+        for (const item of record.items || []) {
+            if (item.filePath && movedPaths.has(item.filePath)) {
+                item.filePath = movedPaths.get(item.filePath);
+                changed = true;
+            }
+        }
+    }
+    if (changed) saveDownloadHistory();
+}
+
+function saveDownloadQueueState(batch) {
+    if (!batch) return;
+    try {
+        batch.updatedAt = new Date().toISOString();
+        safeWriteFileSync(downloadQueueStatePath, JSON.stringify(batch, null, 4));
+    } catch (error) {
+        console.error('Failed to save download queue state file:', error);
+    }
+}
+
+function clearDownloadQueueState() {
+    try {
+        fs.rmSync(downloadQueueStatePath, { force: true });
+    } catch (error) {
+        console.error('Failed to remove download queue state file:', error);
+    }
+}
+
+function recordDownloadedFile(filePath, playlistName = null) {
+    lastDownloadedFiles.push(filePath);
+    if (playlistName) lastDownloadedFilePlaylists.set(filePath, playlistName);
+}
+
+// Filename templates can put tracks in sub-folders; those go once their last file has moved out.
+function removeEmptyDownloadFolders(folderPath) {
+    let currentPath = folderPath;
+    while (currentPath.startsWith(`${downloadsDir}${path.sep}`)) {
+        try {
+            if (fs.readdirSync(currentPath).length > 0) return;
+            fs.rmdirSync(currentPath);
+        } catch {
+            return;
+        }
+        currentPath = path.dirname(currentPath);
+    }
+}
+
+function isDownloadBatchRunning() {
+    return isDownloadBatchStarting || Boolean(activeDownloadBatch);
+}
+
+// A new batch would replace the interrupted one, so every way of starting one refuses until
+// the user has resumed or discarded it.
+function hasResumableDownloadBatch() {
+    return Boolean(pendingDownloadBatch?.items?.some(item => !isDownloadItemFinished(item)));
+}
+
+function isDownloadItemFinished(item) {
+    return item.phase === 'completed' || item.phase === 'cancelled' || item.phase === 'skipped';
+}
+
+function waitWhileDownloadQueuePaused() {
+    if (!isDownloadQueuePaused) return Promise.resolve();
+    return new Promise(resolve => downloadQueueResumeWaiters.push(resolve));
+}
+
+function setDownloadQueuePaused(paused) {
+    isDownloadQueuePaused = paused;
+    if (paused) return;
+    const waiters = downloadQueueResumeWaiters;
+    downloadQueueResumeWaiters = [];
+    waiters.forEach(resolve => resolve());
+}
+
+function trackDownloadItemProcess(index, proc) {
+    if (!activeDownloadItemProcesses.has(index)) activeDownloadItemProcesses.set(index, new Set());
+    activeDownloadItemProcesses.get(index).add(proc);
+}
+
+function untrackDownloadItemProcess(index, proc) {
+    const processes = activeDownloadItemProcesses.get(index);
+    if (!processes) return;
+    processes.delete(proc);
+    if (processes.size === 0) activeDownloadItemProcesses.delete(index);
+}
+
+function killDownloadItemProcesses(index) {
+    const processes = activeDownloadItemProcesses.get(index);
+    if (!processes) return;
+    for (const proc of processes) {
+        try { proc.kill('SIGTERM'); } catch (err) { console.error('Failed to kill process:', err); }
+    }
+}
+
 function getNextYtdlpInstance() {
     if (ytdlpThreadInstances.length === 0) return null;
     const instance = ytdlpThreadInstances[ytdlpInstanceIndex];
@@ -646,9 +1080,38 @@ function parseYtdlpProgressLine(line) {
     };
 }
 
+function classifyYtdlpError(output) {
+    return YTDLP_ERROR_CATEGORIES.find(entry => entry.pattern.test(output || '')) || UNKNOWN_YTDLP_ERROR;
+}
+
+function getYtdlpErrorCategory(category) {
+    return YTDLP_ERROR_CATEGORIES.find(entry => entry.category === category) || UNKNOWN_YTDLP_ERROR;
+}
+
+function getYtdlpErrorInfo(category) {
+    const entry = getYtdlpErrorCategory(category);
+    return { category: entry.category, explanation: entry.explanation, suggestion: entry.suggestion };
+}
+
+// Keeps the raw message for the console and attaches the category so callers can pick a retry policy.
+function createYtdlpError(message, output) {
+    const error = new Error(message);
+    Object.assign(error, getYtdlpErrorInfo(classifyYtdlpError(output).category));
+    return error;
+}
+
+// Exponential backoff with "equal jitter": half the delay is fixed, the other half random.
+function getYtdlpRetryDelayMs(policy, attempt) {
+    const delayMs = Math.min(policy.maxDelayMs, policy.baseDelayMs * (2 ** attempt));
+    return Math.round((delayMs / 2) + (Math.random() * delayMs / 2));
+}
+
 // --- INITIAL SETUP ---
 autoUpdater.logger = log;
 autoUpdater.logger.transports.file.level = 'info';
+if (cliCommand) {
+    log.transports.console.level = false;
+}
 log.info('App starting...');
 writeLog('info', 'Main', 'App bootstrap started', { isDev, currentLogLevel });
 
@@ -658,7 +1121,11 @@ loadCache();
 loadTrackTags();
 loadPlaylistTags();
 loadMetadataCache();
+loadArtworkCache();
 loadTrackPlayCounts();
+loadDownloadQueueState();
+loadDownloadHistory();
+loadWatchedPlaylists();
 findYtdlpExecutables();
 if (!fs.existsSync(downloadsDir)) {
     fs.mkdirSync(downloadsDir, { recursive: true });
@@ -670,10 +1137,19 @@ const spotifyApi = new SpotifyWebApi({
 });
 
 // --- SINGLE INSTANCE LOCK ---
-const gotTheLock = app.requestSingleInstanceLock();
+// CLI runs that download, trim or clear the cache rewrite the same userData files as the window,
+// so they take the same lock and refuse to start while SoundLink is open.
+const gotTheLock = cliCommand && isReadOnlyCliCommand(cliCommand) ? true : app.requestSingleInstanceLock();
 
 if (!gotTheLock) {
-    app.quit();
+    if (cliCommand) {
+        createCliReporter({ json: Boolean(cliCommand.globalOptions.json), prompt: false })
+            .error('SoundLink is already running. Quit it (including the tray icon) before running this command.');
+        fs.rmSync(ytdlpThreadInstancesDir, { recursive: true, force: true });
+        app.exit(1);
+    } else {
+        app.quit();
+    }
 } else {
     app.on('second-instance', (event, commandLine, workingDirectory) => {
         // Someone tried to run a second instance, we should focus our window.
@@ -703,6 +1179,13 @@ function createWindow() {
 
     mainWindow.loadFile(path.join(__dirname, 'src', 'index.html'));
 
+    // Automation API clients get the same status and progress events as the renderer.
+    const sendToRenderer = mainWindow.webContents.send.bind(mainWindow.webContents);
+    mainWindow.webContents.send = (channel, ...args) => {
+        sendToRenderer(channel, ...args);
+        mirrorToAutomationClients(channel, args);
+    };
+
     mainWindow.webContents.on('console-message', (_event, level, message, line, sourceId) => {
         const levelMap = {
             0: 'debug',
@@ -739,32 +1222,49 @@ app.whenReady().then(() => {
         writeLog(level, `Renderer:${scope}`, message, data);
     });
 
-    writeLog('info', 'Main', 'App ready event received');
-    createWindow();
-
-    // Start periodic update checks
-    if (!isDev) {
-        setInterval(() => {
-            log.info('[AutoUpdater] Performing periodic check for updates.');
-            autoUpdater.checkForUpdates();
-        }, 3 * 60 * 1000); // 3 minutes
-    }
+    writeLog('info', 'Main', 'App ready event received', { cliCommand: cliCommand?.name || null });
+    if (cliCommand) {
+        cliReporter = createCliReporter({
+            json: Boolean(cliCommand.globalOptions.json),
+            prompt: cliCommand.globalOptions.prompt !== false,
+        });
+        mainWindow = createHeadlessWindow(cliReporter, {
+            onManualLinkRequest: (request, link) => {
+                const pending = pendingManualLinkRequests.get(request.requestId);
+                if (!pending) return;
+                pendingManualLinkRequests.delete(request.requestId);
+                pending.resolve({ cancelled: !link, link: link || '' });
+            },
+        });
+    } else {
+        createWindow();
 
-    app.on('activate', () => {
-        if (BrowserWindow.getAllWindows().length === 0) {
-            createWindow();
+        // Start periodic update checks
+        if (!isDev) {
+            setInterval(() => {
+                log.info('[AutoUpdater] Performing periodic check for updates.');
+                autoUpdater.checkForUpdates();
+            }, 3 * 60 * 1000); // 3 minutes
         }
-    });
 
-    try {
-        tray = new Tray(trayIconPath);
-        refreshTrayContextMenu();
-        tray.on('click', () => {
-            writeLog('debug', 'Tray', 'Tray icon clicked');
-            mainWindow.show();
+        app.on('activate', () => {
+            if (BrowserWindow.getAllWindows().length === 0) {
+                createWindow();
+            }
         });
-    } catch (error) {
-        writeLog('error', 'Tray', 'Failed to create system tray icon', { error: error.message });
+
+        try {
+            tray = new Tray(trayIconPath);
+            refreshTrayContextMenu();
+            tray.on('click', () => {
+                writeLog('debug', 'Tray', 'Tray icon clicked');
+                mainWindow.show();
+            });
+        } catch (error) {
+            writeLog('error', 'Tray', 'Failed to create system tray icon', { error: error.message });
+        }
+
+        startLibraryWatcher();
     }
 
     // --- ALL IPC HANDLERS ARE DEFINED HERE ---
@@ -785,10 +1285,12 @@ app.whenReady().then(() => {
 
             const playlists = await getPhysicalPlaylists(playlistsPath);
             const smartPlaylists = isSmartPlaylistsEnabled()
-                ? [
-                    { name: 'Recently Added', path: SMART_PLAYLIST_RECENTLY_ADDED, isSmart: true },
-                    { name: 'Most Played', path: SMART_PLAYLIST_MOST_PLAYED, isSmart: true },
-                ]
+                ? getSmartPlaylistDefinitions().map(definition => ({
+                    name: definition.name,
+                    path: definition.path,
+                    isSmart: true,
+                    smartPlaylistId: definition.builtIn ? null : definition.id,
+                }))
                 : [];
 
             webContents.send('update-status', `[Playlist Loader] Found ${playlists.length} directories.`);
@@ -800,7 +1302,7 @@ app.whenReady().then(() => {
         }
     });
 
-    ipcMain.handle('get-playlist-tracks', async (event, playlistPath) => {
+    async function loadPlaylistTracks(playlistPath) {
         try {
             if (!playlistPath) return { tracks: [], totalDuration: 0 };
 
@@ -836,7 +1338,9 @@ app.whenReady().then(() => {
             console.error(`Error loading tracks from "${playlistPath}":`, err);
             return { tracks: [], totalDuration: 0 };
         }
-    });
+    }
+
+    ipcMain.handle('get-playlist-tracks', async (event, playlistPath) => loadPlaylistTracks(playlistPath));
 
     ipcMain.handle('get-playlist-duration', async (event, playlistPath) => {
         try {
@@ -883,7 +1387,7 @@ app.whenReady().then(() => {
                 return {
                     success: true,
                     details: {
-                        name: playlistPath === SMART_PLAYLIST_RECENTLY_ADDED ? 'Recently Added' : 'Most Played',
+                        name: getSmartPlaylistDefinition(playlistPath).name,
                         path: playlistPath,
                         trackCount: smart.tracks.length,
                         totalDurationSeconds: smart.totalDuration,
@@ -961,6 +1465,11 @@ app.whenReady().then(() => {
         saveStats();
     });
 
+    ipcMain.on('manual-link-request-shown', (_event, payload = {}) => {
+        const requestId = Number.parseInt(payload.requestId, 10);
+        pendingManualLinkRequests.get(requestId)?.startTimeout();
+    });
+
     ipcMain.on('manual-link-response', (_event, payload = {}) => {
         const requestId = Number.parseInt(payload.requestId, 10);
         if (!Number.isFinite(requestId)) return;
@@ -976,6 +1485,26 @@ app.whenReady().then(() => {
         });
     });
 
+    ipcMain.handle('search-manual-link-candidates', async (_event, payload = {}) => {
+        const query = typeof payload.query === 'string' ? payload.query.trim() : '';
+        if (!query) return { success: false, error: 'Enter a search query.' };
+
+        const expectedDurationMs = Number.isFinite(payload.expectedDurationMs) ? payload.expectedDurationMs : null;
+        const results = await Promise.allSettled([
+            fetchSearchCandidates('ytsearch', query, 8),
+            fetchSearchCandidates('scsearch', query, 5),
+        ]);
+        if (results.every(result => result.status === 'rejected')) {
+            return { success: false, error: results[0].reason?.message || 'Search failed.' };
+        }
+
+        const candidates = results
+            .filter(result => result.status === 'fulfilled')
+            .flatMap(result => result.value)
+            .map(candidate => toManualLinkCandidate(candidate, expectedDurationMs));
+        return { success: true, candidates };
+    });
+
     ipcMain.on('player-state-update', (_event, payload = {}) => {
         const currentTimeSeconds = Number.parseFloat(payload.currentTimeSeconds);
         const durationSeconds = Number.parseFloat(payload.durationSeconds);
@@ -994,8 +1523,40 @@ app.whenReady().then(() => {
         };
 
         refreshTrayContextMenu();
+        const trackPath = typeof payload.trackPath === 'string' ? payload.trackPath : null;
+        if (trackPath !== trayArtwork.trackPath) void updateTrayArtwork(trackPath);
     });
 
+    async function updateTrayArtwork(trackPath) {
+        trayArtwork = { trackPath, icon: null };
+        if (!trackPath) {
+            refreshTrayContextMenu();
+            return;
+        }
+        const { thumbnailPath, cacheUpdated } = await getTrackArtwork(trackPath);
+        if (cacheUpdated) saveArtworkCache();
+        // A newer track may have started while this one was being read.
+        if (trayArtwork.trackPath !== trackPath) return;
+        trayArtwork.icon = thumbnailPath ? nativeImage.createFromPath(thumbnailPath).resize({ width: 16, height: 16 }) : null;
+        refreshTrayContextMenu();
+    }
+
+    async function getArtworkUrls(sourcePaths, getArtwork) {
+        const artworkUrls = {};
+        let cacheUpdated = false;
+        for (const sourcePath of Array.isArray(sourcePaths) ? sourcePaths : []) {
+            const artwork = await getArtwork(sourcePath);
+            artworkUrls[sourcePath] = getArtworkUrl(artwork.thumbnailPath);
+            cacheUpdated = cacheUpdated || artwork.cacheUpdated;
+        }
+        if (cacheUpdated) saveArtworkCache();
+        return artworkUrls;
+    }
+
+    // Artwork is fetched separately from track and playlist listings so they never wait on cover extraction.
+    ipcMain.handle('get-track-artwork', (_event, filePaths) => getArtworkUrls(filePaths, getTrackArtwork));
+    ipcMain.handle('get-playlist-artwork', (_event, playlistPaths) => getArtworkUrls(playlistPaths, getPlaylistArtwork));
+
     ipcMain.handle('reset-stats', () => {
         stats = {
             totalSongsDownloaded: 0,
@@ -1013,18 +1574,22 @@ app.whenReady().then(() => {
     });
 
     ipcMain.handle('clear-link-cache', () => {
-        linkCache = {};
-        saveCache();
-        return { success: true, message: 'Link cache cleared successfully.' };
+        const { keptCount } = clearLinkCache();
+        const keptNote = keptCount > 0 ? ` ${keptCount} pinned link(s) were kept.` : '';
+        return { success: true, message: `Link cache cleared successfully.${keptNote}` };
     });
 
     ipcMain.handle('get-default-settings', () => {
         const defaultDownloadsPath = path.join(app.getPath('downloads'), 'SoundLink');
         return { 
             theme: 'dark',
-            fileExtension: 'm4a',
+            audioProfile: DEFAULT_AUDIO_PROFILE_ID,
+            customAudioProfiles: [],
+            filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
             downloadThreads: 3,
+            linkSearchThreads: 3,
             spotifySearchLimit: 10,
+            spotifyMarket: DEFAULT_SPOTIFY_MARKET,
             spotify: { clientId: '', clientSecret: '' }, 
             autoCreatePlaylist: false,
             hideRefreshButtons: false,
@@ -1034,31 +1599,46 @@ app.whenReady().then(() => {
             favoriteThemes: [],
             favoritePlaylists: [],
             normalizeVolume: false,
+            embedMetadata: true,
             hideSearchBars: false,
             hideMixButtons: false,
             visualThemeSync: false,
             enableSmartPlaylists: true,
+            smartPlaylists: [],
             libraryPerformanceMode: true,
             skipManualLinkPrompt: false,
             durationToleranceSeconds: 20,
+            linkCacheTtlDays: 90,
+            validateLinkCache: true,
+            watchedPlaylistSyncHours: 6,
+            duplicateHandling: 'skip',
+            artistLinkMode: 'top-tracks',
+            artistLinkGrouping: 'album',
+            automationApiEnabled: false,
+            automationApiPort: DEFAULT_AUTOMATION_API_PORT,
             silenceTrimThresholdDb: 35,
             playerVolume: 1,
             spectrogramColor: '#3b82f6',
         };
     });
 
-    ipcMain.handle('save-settings', (event, newSettings) => {
+    ipcMain.handle('save-settings', async (event, newSettings) => {
         try {
+            const previousWatchRoots = [config.playlistsFolderPath, downloadsDir].join('|');
             config = { ...config, ...newSettings };
             delete config.tabSwitchSpeed;
             delete config.dropdownSpeed;
             delete config.themeFadeSpeed;
             safeWriteFileSync(configPath, JSON.stringify(config, null, 4));
             downloadsDir = config.downloadsPath;
+            if (!cliCommand && previousWatchRoots !== [config.playlistsFolderPath, downloadsDir].join('|')) {
+                startLibraryWatcher();
+            }
             if (config.spotify) {
                 spotifyApi.setClientId(config.spotify.clientId);
                 spotifyApi.setClientSecret(config.spotify.clientSecret);
             }
+            await applyAutomationApiConfig();
             return { success: true };
         } catch (error) {
             console.error('Failed to save settings:', error);
@@ -1066,6 +1646,72 @@ app.whenReady().then(() => {
         }
     });
 
+    ipcMain.handle('get-audio-profiles', () => getAudioProfiles());
+
+    ipcMain.handle('save-custom-audio-profile', (event, rawProfile = {}) => {
+        try {
+            const profile = normalizeAudioProfile({ ...rawProfile, id: rawProfile.id || `custom-${Date.now().toString(36)}` });
+            if (!profile) return { success: false, error: 'Give the profile a name and pick a codec.' };
+            const customProfiles = (config.customAudioProfiles || []).filter(existing => existing.id !== profile.id);
+            config.customAudioProfiles = [...customProfiles, profile];
+            safeWriteFileSync(configPath, JSON.stringify(config, null, 4));
+            return { success: true, profile, profiles: getAudioProfiles() };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // An interrupted batch keeps its own copy of the profile; re-runs fall back to the selected one.
+    ipcMain.handle('delete-custom-audio-profile', (event, id) => {
+        try {
+            config.customAudioProfiles = (config.customAudioProfiles || []).filter(profile => profile.id !== id);
+            if (config.audioProfile === id) config.audioProfile = DEFAULT_AUDIO_PROFILE_ID;
+            safeWriteFileSync(configPath, JSON.stringify(config, null, 4));
+            return { success: true, profiles: getAudioProfiles() };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('get-smart-playlists', () => ({
+        success: true,
+        playlists: getSmartPlaylistDefinitions().filter(definition => !definition.builtIn),
+    }));
+
+    ipcMain.handle('save-smart-playlist', (_event, rawDefinition = {}) => {
+        try {
+            const definition = normalizeSmartPlaylistDefinition({
+                ...rawDefinition,
+                id: rawDefinition.id || `smart-${Date.now().toString(36)}`,
+            });
+            const saved = Array.isArray(config.smartPlaylists) ? config.smartPlaylists : [];
+            const existingIndex = saved.findIndex(existing => existing?.id === definition.id);
+            config.smartPlaylists = existingIndex === -1
+                ? [...saved, definition]
+                : saved.map((existing, index) => (index === existingIndex ? definition : existing));
+            safeWriteFileSync(configPath, JSON.stringify(config, null, 4));
+            return { success: true, playlist: { ...definition, path: getSmartPlaylistPath(definition.id) } };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('delete-smart-playlist', (_event, id) => {
+        try {
+            const saved = Array.isArray(config.smartPlaylists) ? config.smartPlaylists : [];
+            const definition = saved.find(existing => existing?.id === id);
+            if (!definition) return { success: false, error: 'Smart playlist not found.' };
+            config.smartPlaylists = saved.filter(existing => existing !== definition);
+            safeWriteFileSync(configPath, JSON.stringify(config, null, 4));
+            return {
+                success: true,
+                undoAction: { type: 'delete-smart-playlist', payload: { definition } },
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
     ipcMain.on('show-in-explorer', (event, path) => {
         if (path && fs.existsSync(path)) {
             shell.showItemInFolder(path);
@@ -1241,6 +1887,7 @@ app.whenReady().then(() => {
                 bitrateKbps: Number.isFinite(bitrate) ? Math.round(bitrate / 1000) : null,
                 source: inferTrackSource(filePath, metadata),
                 tags: getTrackTagsForPath(filePath),
+                artworkUrl: (await getArtworkUrls([filePath], getTrackArtwork))[filePath],
             };
 
             return { success: true, details };
@@ -1249,6 +1896,53 @@ app.whenReady().then(() => {
         }
     });
 
+    ipcMain.handle('get-editable-track-tags', async (_event, filePaths = []) => {
+        try {
+            const tracks = [];
+            for (const filePath of filePaths) {
+                if (!filePath || !fs.existsSync(filePath)) continue;
+                tracks.push({ path: filePath, tags: await readEditableTrackTags(filePath) });
+            }
+            return { success: true, tracks };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('write-track-file-tags', async (_event, { filePaths = [], tags = {} } = {}) => {
+        const edits = Object.fromEntries(Object.keys(EDITABLE_TRACK_TAG_KEYS)
+            .filter(field => typeof tags[field] === 'string')
+            .map(field => [field, tags[field].trim()]));
+        if (Object.keys(edits).length === 0) return { success: false, error: 'No tags were changed.' };
+        if (edits.year && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(edits.year)) {
+            return { success: false, error: 'Year must look like 2001 or 2001-03-12.' };
+        }
+        if (edits.trackNumber && !/^\d+(\/\d+)?$/.test(edits.trackNumber)) {
+            return { success: false, error: 'Track number must be a number, optionally followed by /total.' };
+        }
+
+        const backups = [];
+        const failures = [];
+        for (const filePath of filePaths) {
+            try {
+                if (!filePath || !fs.existsSync(filePath)) throw new Error('Track file does not exist.');
+                backups.push(await writeTrackFileTags(filePath, edits));
+            } catch (error) {
+                writeLog('warn', 'Metadata', 'Failed to write track tags', { filePath, error: error.message });
+                failures.push({ path: filePath, error: error.message });
+            }
+        }
+        if (backups.length > 0) saveMetadataCache();
+
+        return {
+            success: backups.length > 0,
+            writtenCount: backups.length,
+            failures,
+            error: failures[0]?.error || null,
+            undoAction: backups.length > 0 ? { type: 'edit-track-file-tags', payload: { items: backups } } : null,
+        };
+    });
+
     ipcMain.handle('update-ytdlp', async () => {
         const candidates = fs.existsSync(ytdlpDir)
             ? fs.readdirSync(ytdlpDir)
@@ -1333,6 +2027,87 @@ app.whenReady().then(() => {
         }
     });
 
+    function resolveSilenceThresholdDb(value) {
+        const thresholdRaw = Number.parseInt(value, 10);
+        const fallbackThreshold = Number.parseInt(config.silenceTrimThresholdDb, 10);
+        return Number.isFinite(thresholdRaw)
+            ? Math.min(80, Math.max(10, thresholdRaw))
+            : (Number.isFinite(fallbackThreshold) ? Math.min(80, Math.max(10, fallbackThreshold)) : 35);
+    }
+
+    // Trims every track in the playlists folder (or one playlist) and returns the completion payload.
+    async function trimLibrarySilence({ playlistsPath, thresholdDb, playlistName = null, sendProgress }) {
+        const playlistFolders = await fs.promises.readdir(playlistsPath, { withFileTypes: true });
+        const directories = playlistFolders.filter(entry => entry.isDirectory() && (!playlistName || entry.name === playlistName));
+        if (playlistName && directories.length === 0) {
+            throw new Error(`Playlist "${playlistName}" does not exist.`);
+        }
+        const trackPaths = [];
+
+        for (const folder of directories) {
+            const playlistFolderPath = path.join(playlistsPath, folder.name);
+            const files = await fs.promises.readdir(playlistFolderPath);
+            for (const file of files) {
+                if (supportedExtensions.includes(path.extname(file).toLowerCase())) {
+                    trackPaths.push(path.join(playlistFolderPath, file));
+                }
+            }
+        }
+
+        const totalCount = trackPaths.length;
+        const backups = [];
+        const failures = [];
+        let processedCount = 0;
+
+        sendProgress({
+            status: 'started',
+            thresholdDb,
+            totalCount,
+        });
+
+        for (const trackPath of trackPaths) {
+            try {
+                const trimResult = await trimTrackSilenceInPlace(trackPath, thresholdDb);
+                if (trimResult.modified && trimResult.backup) {
+                    backups.push(trimResult.backup);
+                }
+            } catch (error) {
+                failures.push({ path: trackPath, error: error.message });
+            }
+
+            processedCount += 1;
+            if (processedCount === totalCount || processedCount === 1 || processedCount % 10 === 0) {
+                sendProgress({
+                    status: 'progress',
+                    processedCount,
+                    totalCount,
+                    modifiedCount: backups.length,
+                    failedCount: failures.length,
+                });
+            }
+        }
+
+        let undoAction = null;
+        if (backups.length > 0) {
+            const manifestId = await saveTrimUndoManifest(backups);
+            undoAction = {
+                type: 'trim-library-silence-batch',
+                payload: { manifestId },
+            };
+        }
+
+        const summary = {
+            status: 'completed',
+            scannedCount: totalCount,
+            modifiedCount: backups.length,
+            failedCount: failures.length,
+            failures,
+            undoAction,
+        };
+        sendProgress(summary);
+        return summary;
+    }
+
     ipcMain.handle('start-trim-library-silence', async (_event, options = {}) => {
         try {
             if (activeSilenceTrimJobs.size > 0) {
@@ -1344,12 +2119,7 @@ app.whenReady().then(() => {
                 return { success: false, error: 'Playlists folder is not set or does not exist.' };
             }
 
-            const thresholdRaw = Number.parseInt(options.thresholdDb, 10);
-            const fallbackThreshold = Number.parseInt(config.silenceTrimThresholdDb, 10);
-            const thresholdDb = Number.isFinite(thresholdRaw)
-                ? Math.min(80, Math.max(10, thresholdRaw))
-                : (Number.isFinite(fallbackThreshold) ? Math.min(80, Math.max(10, fallbackThreshold)) : 35);
-
+            const thresholdDb = resolveSilenceThresholdDb(options.thresholdDb);
             const jobId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
             activeSilenceTrimJobs.set(jobId, {
                 startedAt: Date.now(),
@@ -1364,80 +2134,17 @@ app.whenReady().then(() => {
                 };
 
                 try {
-                    const playlistFolders = await fs.promises.readdir(playlistsPath, { withFileTypes: true });
-                    const directories = playlistFolders.filter(entry => entry.isDirectory());
-                    const trackPaths = [];
-
-                    for (const folder of directories) {
-                        const playlistFolderPath = path.join(playlistsPath, folder.name);
-                        const files = await fs.promises.readdir(playlistFolderPath);
-                        for (const file of files) {
-                            if (supportedExtensions.includes(path.extname(file).toLowerCase())) {
-                                trackPaths.push(path.join(playlistFolderPath, file));
-                            }
-                        }
-                    }
-
-                    const totalCount = trackPaths.length;
-                    const backups = [];
-                    const failures = [];
-                    let processedCount = 0;
-
+                    await trimLibrarySilence({ playlistsPath, thresholdDb, sendProgress });
+                } catch (error) {
+                    console.error('Failed to trim library silence in background:', error);
                     sendProgress({
-                        status: 'started',
-                        thresholdDb,
-                        totalCount,
+                        status: 'error',
+                        error: error.message,
                     });
-
-                    for (const trackPath of trackPaths) {
-                        try {
-                            const trimResult = await trimTrackSilenceInPlace(trackPath, thresholdDb);
-                            if (trimResult.modified && trimResult.backup) {
-                                backups.push(trimResult.backup);
-                            }
-                        } catch (error) {
-                            failures.push({ path: trackPath, error: error.message });
-                        }
-
-                        processedCount += 1;
-                        if (processedCount === totalCount || processedCount === 1 || processedCount % 10 === 0) {
-                            sendProgress({
-                                status: 'progress',
-                                processedCount,
-                                totalCount,
-                                modifiedCount: backups.length,
-                                failedCount: failures.length,
-                            });
-                        }
-                    }
-
-                    let undoAction = null;
-                    if (backups.length > 0) {
-                        const manifestId = await saveTrimUndoManifest(backups);
-                        undoAction = {
-                            type: 'trim-library-silence-batch',
-                            payload: { manifestId },
-                        };
-                    }
-
-                    sendProgress({
-                        status: 'completed',
-                        scannedCount: totalCount,
-                        modifiedCount: backups.length,
-                        failedCount: failures.length,
-                        failures,
-                        undoAction,
-                    });
-                } catch (error) {
-                    console.error('Failed to trim library silence in background:', error);
-                    sendProgress({
-                        status: 'error',
-                        error: error.message,
-                    });
-                } finally {
-                    activeSilenceTrimJobs.delete(jobId);
-                }
-            }, 0);
+                } finally {
+                    activeSilenceTrimJobs.delete(jobId);
+                }
+            }, 0);
 
             return { success: true, started: true, jobId, thresholdDb };
         } catch (error) {
@@ -1554,7 +2261,7 @@ app.whenReady().then(() => {
                 return { success: false, error: 'Playlists folder is not set or does not exist.' };
             }
 
-            const requestedName = sanitizeFilename(String(playlistName || '').trim());
+            const requestedName = sanitizeFolderName(playlistName);
             if (!requestedName) {
                 return { success: false, error: 'Please enter a valid playlist name.' };
             }
@@ -1622,6 +2329,16 @@ app.whenReady().then(() => {
         }
     });
 
+    ipcMain.handle('search-library', async (_event, { query, offset, limit, all } = {}) => {
+        try {
+            const result = await searchLibraryTracks(query, { offset, limit, all: Boolean(all) });
+            return { success: true, query: String(query || ''), ...result };
+        } catch (error) {
+            writeLog('warn', 'LibrarySearch', 'Library search failed', { query, error: error.message });
+            return { success: false, error: error.message };
+        }
+    });
+
     ipcMain.handle('delete-playlist', async (event, playlistPath) => {
         try {
             if (!playlistPath || !fs.existsSync(playlistPath)) {
@@ -1641,6 +2358,17 @@ app.whenReady().then(() => {
         }
     });
 
+    // Undo entries the renderer dropped from its history can no longer be used, so their paths are let go.
+    ipcMain.on('release-undo-actions', (_event, actions = []) => {
+        for (const action of Array.isArray(actions) ? actions : []) {
+            const payload = action?.payload || {};
+            const items = Array.isArray(payload.items) ? payload.items : [payload];
+            items.forEach((item) => {
+                if (typeof item?.originalPath === 'string') releaseUndoTrashHold(item.originalPath);
+            });
+        }
+    });
+
     ipcMain.handle('undo-action', async (event, action) => {
         try {
             if (!action || !action.type) {
@@ -1697,6 +2425,42 @@ app.whenReady().then(() => {
                 return { success: true, restoredPath: targetPath };
             }
 
+            // The edited files are swapped back for the originals kept in the undo trash.
+            if (action.type === 'edit-track-file-tags') {
+                const items = Array.isArray(payload.items) ? payload.items : [];
+                let restoredCount = 0;
+                for (const item of items) {
+                    try {
+                        if (item.originalPath && fs.existsSync(item.originalPath)) {
+                            await moveToUndoTrash(item.originalPath);
+                        }
+                        const restored = await restoreFromUndoTrash(item.trashPath, item.originalPath);
+                        if (!restored.success) continue;
+                        delete metadataCache[item.originalPath];
+                        restoredCount += 1;
+                    } catch (error) {
+                        writeLog('warn', 'Metadata', 'Failed to restore track before tag edit', { filePath: item.originalPath, error: error.message });
+                    }
+                }
+                if (restoredCount > 0) saveMetadataCache();
+                if (restoredCount < items.length) {
+                    return {
+                        success: restoredCount > 0,
+                        restoredCount,
+                        error: `Restored ${restoredCount} of ${items.length} track(s).`,
+                    };
+                }
+                return { success: true, restoredCount };
+            }
+
+            if (action.type === 'delete-smart-playlist') {
+                const definition = normalizeSmartPlaylistDefinition(payload.definition);
+                const saved = Array.isArray(config.smartPlaylists) ? config.smartPlaylists : [];
+                config.smartPlaylists = [...saved.filter(existing => existing?.id !== definition.id), definition];
+                safeWriteFileSync(configPath, JSON.stringify(config, null, 4));
+                return { success: true, restoredPath: getSmartPlaylistPath(definition.id) };
+            }
+
             if (action.type === 'trim-library-silence-batch') {
                 const manifestId = payload.manifestId;
                 const manifestData = await readTrimUndoManifest(manifestId);
@@ -1768,7 +2532,7 @@ app.whenReady().then(() => {
         }
     });
 
-    ipcMain.handle('get-spotify-item-details', async (event, { type, id }) => {
+    ipcMain.handle('get-spotify-item-details', async (event, { type, id, artistMode }) => {
         try {
             await refreshSpotifyToken();
             if (type === 'playlist') {
@@ -1783,6 +2547,22 @@ app.whenReady().then(() => {
                 const data = await spotifyApi.getTrack(id);
                 const track = { name: data.body.name, artist: data.body.artists.map(a => a.name).join(', '), url: data.body.external_urls.spotify };
                 return { name: data.body.name, tracks: [track] };
+            } else if (type === 'artist') {
+                // Previews list what a download would get, so the album modes read the discography.
+                const mode = ARTIST_LINK_MODES.includes(artistMode) ? artistMode : (config.artistLinkMode || 'top-tracks');
+                if (mode !== 'top-tracks') {
+                    const { tracks, artistName } = await getSpotifyArtistTracks(id, { mode, reportProgress: false });
+                    return {
+                        name: artistName,
+                        tracks: tracks.map(track => ({ name: track.name, artist: track.artist, url: track.metadata.spotifyUrl })),
+                    };
+                }
+                const [artistData, topTracksData] = await Promise.all([
+                    spotifyApi.getArtist(id),
+                    spotifyApi.getArtistTopTracks(id, getSpotifyMarket()),
+                ]);
+                const tracks = topTracksData.body.tracks.map(track => ({ name: track.name, artist: track.artists.map(a => a.name).join(', '), url: track.external_urls.spotify }));
+                return { name: artistData.body.name, tracks };
             }
             return null;
         } catch (error) {
@@ -1835,19 +2615,32 @@ app.whenReady().then(() => {
                             type: 'Album'
                         }));
                 },
+                artist: async () => {
+                    const data = await spotifyApi.searchArtists(query, { limit: searchLimit });
+                    return data.body.artists.items
+                        .filter(a => a)
+                        .map(a => ({
+                            name: a.name,
+                            followers: a.followers?.total || 0,
+                            url: a.external_urls.spotify,
+                            type: 'Artist'
+                        }));
+                },
                 all: async () => {
-                    const perTypeLimit = Math.max(1, Math.floor(searchLimit / 3));
-                    const [playlists, tracks, albums] = await Promise.all([
+                    const perTypeLimit = Math.max(1, Math.floor(searchLimit / 4));
+                    const [playlists, tracks, albums, artists] = await Promise.all([
                         spotifyApi.searchPlaylists(query, { limit: perTypeLimit }),
                         spotifyApi.searchTracks(query, { limit: perTypeLimit }),
-                        spotifyApi.searchAlbums(query, { limit: perTypeLimit + (searchLimit % 3) })
+                        spotifyApi.searchAlbums(query, { limit: perTypeLimit + (searchLimit % 4) }),
+                        spotifyApi.searchArtists(query, { limit: perTypeLimit })
                     ]);
     
                     const playlistResults = playlists.body.playlists.items.filter(p => p).map(p => ({ name: p.name, owner: p.owner.display_name, url: p.external_urls.spotify, type: 'Playlist' }));
                     const trackResults = tracks.body.tracks.items.filter(t => t).map(t => ({ name: t.name, artist: t.artists.map(a => a.name).join(', '), url: t.external_urls.spotify, type: 'Track' }));
                     const albumResults = albums.body.albums.items.filter(a => a).map(a => ({ name: a.name, artist: a.artists.map(a => a.name).join(', '), url: a.external_urls.spotify, type: 'Album' }));
+                    const artistResults = artists.body.artists.items.filter(a => a).map(a => ({ name: a.name, followers: a.followers?.total || 0, url: a.external_urls.spotify, type: 'Artist' }));
     
-                    return [...playlistResults, ...trackResults, ...albumResults];
+                    return [...playlistResults, ...trackResults, ...albumResults, ...artistResults];
                 }
             };
     
@@ -1869,8 +2662,230 @@ app.whenReady().then(() => {
         }
     });
 
-    ipcMain.on('start-download', async (event, linksArray) => {
-        if (!linksArray || linksArray.length === 0) return mainWindow.webContents.send('update-status', 'No links provided.', true, { success: false });
+    ipcMain.handle('parse-track-list', (event, fileName, text) => parseTrackListFile(fileName, text));
+
+    ipcMain.handle('open-track-list-files', async () => {
+        try {
+            const result = await dialog.showOpenDialog(mainWindow, {
+                title: 'Import Track Lists',
+                properties: ['openFile', 'multiSelections'],
+                filters: [
+                    { name: 'Track lists', extensions: ['txt', 'csv', 'tsv', 'm3u', 'm3u8'] },
+                    { name: 'All Files', extensions: ['*'] },
+                ],
+            });
+            if (result.canceled || result.filePaths.length === 0) return { success: false, cancelled: true };
+
+            const lists = [];
+            for (const filePath of result.filePaths) {
+                lists.push(parseTrackListFile(filePath, await fs.promises.readFile(filePath, 'utf-8')));
+            }
+            return { success: true, lists };
+        } catch (error) {
+            writeLog('error', 'DownloadQueue', 'Failed to import track lists', { error: error.message });
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.on('start-download', async (event, linksArray, options = {}) => {
+        await runDownloadBatch({
+            linksArray,
+            linkDestinations: options.linkDestinations,
+            importedItems: options.importedItems,
+            audioProfile: options.audioProfile,
+            duplicateHandling: options.duplicateHandling,
+            artistMode: options.artistMode,
+            artistGrouping: options.artistGrouping,
+        });
+    });
+
+    function getPendingDownloadBatchSummary() {
+        if (!pendingDownloadBatch) return null;
+
+        const items = Array.isArray(pendingDownloadBatch.items) ? pendingDownloadBatch.items : [];
+        const completedCount = items.filter(item => item.phase === 'completed').length;
+        const remainingCount = items.filter(item => !isDownloadItemFinished(item)).length;
+        return {
+            id: pendingDownloadBatch.id,
+            createdAt: pendingDownloadBatch.createdAt,
+            updatedAt: pendingDownloadBatch.updatedAt || null,
+            playlistName: pendingDownloadBatch.playlistName || null,
+            links: Array.isArray(pendingDownloadBatch.links) ? pendingDownloadBatch.links : [],
+            totalCount: items.length,
+            completedCount,
+            remainingCount,
+        };
+    }
+
+    async function discardPendingDownloadBatch() {
+        if (!pendingDownloadBatch) return 0;
+        const removedCount = await removeDownloadBatchPartialFiles(pendingDownloadBatch);
+        pendingDownloadBatch = null;
+        clearDownloadQueueState();
+        return removedCount;
+    }
+
+    ipcMain.handle('get-pending-download-batch', () => getPendingDownloadBatchSummary());
+
+    ipcMain.on('resume-download', async () => {
+        if (!pendingDownloadBatch) {
+            mainWindow.webContents.send('update-status', 'No interrupted download batch to resume.', true, { success: false });
+            return;
+        }
+        await runDownloadBatch({ resumeBatch: pendingDownloadBatch });
+    });
+
+    ipcMain.handle('discard-pending-download-batch', async () => {
+        try {
+            return { success: true, removedCount: await discardPendingDownloadBatch() };
+        } catch (error) {
+            console.error('Failed to discard interrupted download batch:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    function normalizeLibraryTitle(title) {
+        return normalizeMatchText(String(title || '').replace(/^\d{1,4}\s*-\s*/, ''));
+    }
+
+    function findLibraryDuplicate(item, libraryEntries) {
+        const metadata = item.metadata || {};
+        const isrc = (metadata.isrc || '').toUpperCase();
+        const itemTitle = normalizeLibraryTitle(item.type === 'search' ? (metadata.title || item.name) : item.trackName);
+        const itemArtists = (metadata.artists || []).map(normalizeMatchText).filter(Boolean);
+        const toleranceMs = getDurationToleranceMs();
+        if (!itemTitle && !isrc) return null;
+
+        return libraryEntries.find(entry => {
+            if (isrc && entry.isrc && entry.isrc.toUpperCase() === isrc) return true;
+
+            const entryTitle = normalizeLibraryTitle(entry.title || entry.name);
+            const entryArtist = normalizeMatchText(entry.artist);
+            if (item.type !== 'search') {
+                // Direct links only have the upload title, which usually reads "Artist - Title".
+                return itemTitle === entryTitle || (entryArtist && itemTitle === `${entryArtist} ${entryTitle}`);
+            }
+
+            if (itemTitle !== entryTitle) return false;
+            if (entryArtist && itemArtists.length > 0 && !itemArtists.some(artist => ` ${entryArtist} `.includes(` ${artist} `))) return false;
+            if (Number.isFinite(item.durationMs) && entry.duration > 0) {
+                return Math.abs(entry.duration * 1000 - item.durationMs) <= toleranceMs;
+            }
+            return true;
+        }) || null;
+    }
+
+    // --- DOWNLOAD HISTORY ---
+    const FINISHED_HISTORY_STATUSES = ['completed', 'failed', 'skipped', 'cancelled'];
+
+    function toDownloadHistoryItem(item) {
+        return {
+            index: item.index,
+            type: item.type,
+            name: item.trackName || item.name || item.link || `Track ${item.index + 1}`,
+            query: item.query || null,
+            link: item.link || null,
+            url: item.youtubeLink || null,
+            source: item.linkSource || null,
+            filePath: item.filePath || null,
+            durationMs: Number.isFinite(item.durationMs) ? item.durationMs : null,
+            downloadTimeMs: Number.isFinite(item.downloadTimeMs) ? item.downloadTimeMs : null,
+            // Anything still queued when the batch stopped was never attempted.
+            status: FINISHED_HISTORY_STATUSES.includes(item.phase) ? item.phase : 'interrupted',
+            error: item.error || null,
+            errorInfo: item.errorInfo || null,
+            failedLinks: item.failedLinks || [],
+            duplicateOf: item.duplicateOf || null,
+            metadata: item.metadata || null,
+            playlistName: item.playlistName || null,
+        };
+    }
+
+    // A batch that ran to the end is "completed" only if at least one track made it; otherwise the
+    // item results decide between "failed" and "partial".
+    function getFinishedBatchStatus(batch) {
+        const failedCount = batch.items.filter(item => item.phase === 'failed').length;
+        if (failedCount === 0) return 'completed';
+        const succeededCount = batch.items.filter(item => item.phase === 'completed' || item.phase === 'skipped').length;
+        return succeededCount > 0 ? 'partial' : 'failed';
+    }
+
+    // A resumed batch keeps its id, so it replaces the record written when it was interrupted.
+    function recordDownloadHistory(batch, status) {
+        const record = {
+            id: batch.id,
+            startedAt: batch.createdAt,
+            finishedAt: new Date().toISOString(),
+            status: status === 'completed' ? getFinishedBatchStatus(batch) : status,
+            links: batch.links || [],
+            linkDestinations: batch.linkDestinations || [],
+            importedItems: batch.importedItems || [],
+            retryOf: batch.retryOf || null,
+            playlistName: batch.playlistName || null,
+            settings: { duplicateHandling: batch.duplicateHandling, ...(batch.settings || {}) },
+            items: batch.items.map(toDownloadHistoryItem),
+        };
+        downloadHistory = [record, ...downloadHistory.filter(entry => entry.id !== batch.id)].slice(0, MAX_DOWNLOAD_HISTORY_BATCHES);
+        saveDownloadHistory();
+        if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('download-history-updated');
+    }
+
+    ipcMain.handle('get-download-history', () => downloadHistory);
+
+    ipcMain.handle('clear-download-history', () => {
+        downloadHistory = [];
+        saveDownloadHistory();
+        return { success: true };
+    });
+
+    // Re-runs a past batch from its input links, or only its failed tracks. Batches that were
+    // themselves retries have no links, so they are re-run from their items.
+    ipcMain.handle('rerun-download-history-batch', (event, id, { failedOnly = false } = {}) => {
+        if (isDownloadBatchRunning()) return { success: false, error: 'A download is already running.' };
+        if (hasResumableDownloadBatch()) return { success: false, error: 'Resume or discard the interrupted download batch first.' };
+        const record = downloadHistory.find(entry => entry.id === id);
+        if (!record) return { success: false, error: 'That batch is no longer in the history.' };
+
+        // Started on the next tick so the renderer resets its console before the first status line arrives.
+        const { audioProfile, ...recordedSettings } = record.settings || {};
+        const settings = { ...recordedSettings, audioProfile: audioProfile?.id };
+        const importedItems = record.importedItems || [];
+        if (!failedOnly && (record.links.length > 0 || importedItems.length > 0)) {
+            setImmediate(() => runDownloadBatch({
+                linksArray: record.links,
+                linkDestinations: record.linkDestinations,
+                importedItems,
+                ...settings,
+            }));
+            return { success: true, count: record.links.length + importedItems.length };
+        }
+
+        const items = record.items.filter(item => !failedOnly || item.status === 'failed');
+        if (items.length === 0) return { success: false, error: 'This batch has no failed tracks.' };
+        setImmediate(() => runDownloadBatch({
+            presetItems: items.map(item => ({
+                type: item.type,
+                query: item.query,
+                link: item.link,
+                // Direct links that never resolved a title were recorded under the link itself.
+                name: item.name !== item.link ? item.name : null,
+                metadata: item.metadata,
+                durationMs: item.durationMs,
+                playlistName: item.playlistName,
+            })),
+            retryOf: record.id,
+            ...settings,
+        }));
+        return { success: true, count: items.length };
+    });
+
+    // `linkDestinations[i]` names the playlist folder for the tracks of `linksArray[i]`; links without
+    // one use their own Spotify or YouTube playlist name. `afterDownloads` runs once every track has
+    // finished, before the batch reports that it is done.
+    async function runDownloadBatch({ linksArray = [], linkDestinations = [], importedItems = [], resumeBatch = null, presetItems = null, retryOf = null, playlistName = null, audioProfile = null, duplicateHandling = null, artistMode = null, artistGrouping = null, downloadThreads = null, linkSearchThreads = null, normalizeVolume = null, embedMetadata = null, afterDownloads = null } = {}) {
+        if (isDownloadBatchRunning()) return mainWindow.webContents.send('update-status', 'A download is already running.');
+        if (!resumeBatch && hasResumableDownloadBatch()) return mainWindow.webContents.send('update-status', 'Resume or discard the interrupted download batch first.', true, { success: false });
+        if (!resumeBatch && !presetItems?.length && !importedItems?.length && (!linksArray || linksArray.length === 0)) return mainWindow.webContents.send('update-status', 'No links provided.', true, { success: false });
         if (ytdlpThreadInstances.length === 0) return mainWindow.webContents.send('update-status', 'Error: No yt-dlp executable found.', true, { success: false });
 
         const pluginReadyInstance = ytdlpThreadInstances.find(instance => instance.pluginPath);
@@ -1880,56 +2895,213 @@ app.whenReady().then(() => {
             mainWindow.webContents.send('update-status', 'Warning: yt-dlp-get-pot plugin not found in resources; continuing without plugin override.');
         }
 
-        stats.downloadsInitiated = (stats.downloadsInitiated || 0) + 1;
+        isDownloadBatchStarting = true;
         lastDownloadedFiles = [];
-        lastPlaylistName = null;
+        lastDownloadedFilePlaylists.clear();
+        lastPlaylistName = playlistName;
         isDownloadCancelled = false;
-        mainWindow.webContents.send('update-status', 'Starting download process...');
+        setDownloadQueuePaused(false);
+        let batch = null;
+        let batchInterrupted = false;
 
         try {
-            await refreshSpotifyToken();
-            const configuredThreads = Number.parseInt(config.downloadThreads, 10);
-            const requestedThreads = Number.isFinite(configuredThreads) && configuredThreads > 0 ? configuredThreads : 3;
-            const concurrency = Math.max(1, Math.min(requestedThreads, MAX_DOWNLOAD_THREADS));
-            const itemsToProcess = [];
-            let trackIndex = 0;
-            let spotifyLinkCount = 0;
-            let youtubeLinkCount = 0;
-
-            for (const link of linksArray) {
-                if (isDownloadCancelled) break;
-                if (link.includes('spotify.com')) {
-                    spotifyLinkCount++;
-                    const { tracks, playlistName, error } = await getSpotifyTracks(link);
-                    if (error) {
-                        mainWindow.webContents.send('update-status', `Error processing Spotify link: ${error}`);
+            const getConcurrency = (value) => {
+                const configuredThreads = Number.parseInt(value, 10);
+                const requestedThreads = Number.isFinite(configuredThreads) && configuredThreads > 0 ? configuredThreads : 3;
+                return Math.max(1, Math.min(requestedThreads, MAX_DOWNLOAD_THREADS));
+            };
+            const downloadConcurrency = getConcurrency(downloadThreads ?? config.downloadThreads);
+            const linkConcurrency = getConcurrency(linkSearchThreads ?? config.linkSearchThreads);
+
+            if (resumeBatch) {
+                batch = resumeBatch;
+                activeDownloadBatch = batch;
+                lastPlaylistName = batch.playlistName || null;
+
+                const removedCount = await removeDownloadBatchPartialFiles(batch);
+                if (removedCount > 0) {
+                    mainWindow.webContents.send('update-status', `🧹 Removed ${removedCount} partial file(s) left by the interrupted batch.`);
+                }
+
+                for (const item of batch.items) {
+                    if (item.phase === 'completed' && item.filePath && fs.existsSync(item.filePath)) {
+                        recordDownloadedFile(item.filePath, item.playlistName);
                         continue;
                     }
-                    if (playlistName && !lastPlaylistName) lastPlaylistName = playlistName;
-                    if (tracks) {
-                        for (const track of tracks) {
-                            itemsToProcess.push({
-                                type: 'search',
-                                query: `${track.name} ${track.artist}`,
-                                name: track.name,
-                                metadata: track.metadata,
-                                durationMs: track.durationMs,
-                                index: trackIndex++,
-                            });
+                    if (item.phase === 'cancelled' || item.phase === 'skipped') continue;
+                    item.phase = item.youtubeLink ? 'resolved' : 'pending';
+                    item.filePath = null;
+                    item.error = null;
+                    item.errorInfo = null;
+                }
+
+                const remainingCount = batch.items.filter(item => !isDownloadItemFinished(item)).length;
+                mainWindow.webContents.send('update-status', `Resuming interrupted batch: ${remainingCount} of ${batch.items.length} tracks remaining...`);
+            } else {
+                stats.downloadsInitiated = (stats.downloadsInitiated || 0) + 1;
+                mainWindow.webContents.send('update-status', 'Starting download process...');
+                await refreshSpotifyToken();
+
+                // Only a batch with nothing left to resume can still be here; drop its leftovers.
+                await discardPendingDownloadBatch();
+
+                const expandedItems = [];
+                let trackIndex = 0;
+                let spotifyLinkCount = 0;
+                let youtubeLinkCount = 0;
+
+                // History retries and watched playlist syncs skip link expansion and bring their own items.
+                for (const item of presetItems || []) {
+                    expandedItems.push({ ...item, index: trackIndex++ });
+                }
+
+                for (const [linkIndex, link] of (presetItems ? [] : linksArray).entries()) {
+                    if (isDownloadCancelled) break;
+                    const destination = sanitizeFolderName(linkDestinations?.[linkIndex]) || null;
+                    if (link.includes('spotify.com')) {
+                        spotifyLinkCount++;
+                        const { tracks, playlistName, error } = await getSpotifyTracks(link, { artistMode, artistGrouping });
+                        if (error) {
+                            mainWindow.webContents.send('update-status', `Error processing Spotify link: ${error}`);
+                            continue;
+                        }
+                        if (playlistName && !lastPlaylistName) lastPlaylistName = playlistName;
+                        if (tracks) {
+                            for (const track of tracks) {
+                                expandedItems.push({
+                                    type: 'search',
+                                    query: `${track.name} ${track.artist}`,
+                                    name: track.name,
+                                    metadata: track.metadata,
+                                    durationMs: track.durationMs,
+                                    playlistName: destination || track.playlistName || playlistName || null,
+                                    index: trackIndex++,
+                                });
+                            }
+                        }
+                    } else if (isMediaPlaylistUrl(link)) {
+                        youtubeLinkCount++;
+                        mainWindow.webContents.send('update-status', `📃 Expanding playlist: ${link}`);
+                        try {
+                            const { playlistTitle, entries } = await getMediaPlaylistEntries(link);
+                            if (playlistTitle && !lastPlaylistName) lastPlaylistName = playlistTitle;
+                            for (const entry of entries) {
+                                expandedItems.push({
+                                    type: 'direct',
+                                    link: entry.link,
+                                    name: entry.title,
+                                    durationMs: entry.durationMs,
+                                    playlistName: destination || playlistTitle || null,
+                                    index: trackIndex++,
+                                });
+                            }
+                            mainWindow.webContents.send('update-status', `📃 Found ${entries.length} tracks in ${playlistTitle ? `"${playlistTitle}"` : 'playlist'}.`);
+                        } catch (error) {
+                            if (isDownloadCancelled) break;
+                            mainWindow.webContents.send('update-status', `Error expanding playlist link: ${error.message}`);
                         }
+                    } else {
+                        youtubeLinkCount++;
+                        expandedItems.push({ type: 'direct', link: link, playlistName: destination, index: trackIndex++ });
                     }
-                } else {
-                    youtubeLinkCount++;
-                    itemsToProcess.push({ type: 'direct', link: link, index: trackIndex++ });
                 }
+
+                for (const item of presetItems ? [] : importedItems || []) {
+                    if (!item?.query || !item.name) continue;
+                    const itemPlaylistName = sanitizeFolderName(item.playlistName) || null;
+                    if (itemPlaylistName && !lastPlaylistName) lastPlaylistName = itemPlaylistName;
+                    expandedItems.push({
+                        type: 'search',
+                        query: item.query,
+                        name: item.name,
+                        metadata: item.metadata || null,
+                        durationMs: item.durationMs || null,
+                        playlistName: itemPlaylistName,
+                        index: trackIndex++,
+                    });
+                }
+
+                if (isDownloadCancelled) return;
+                stats.totalLinksProcessed = (stats.totalLinksProcessed || 0) + expandedItems.length;
+                stats.spotifyLinksProcessed = (stats.spotifyLinksProcessed || 0) + spotifyLinkCount;
+                stats.youtubeLinksProcessed = (stats.youtubeLinksProcessed || 0) + youtubeLinkCount;
+
+                batch = {
+                    id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+                    createdAt: new Date().toISOString(),
+                    createdAtMs: Date.now(),
+                    links: presetItems ? [] : [...linksArray],
+                    linkDestinations: presetItems ? [] : linksArray.map((link, linkIndex) => linkDestinations?.[linkIndex] || null),
+                    importedItems: presetItems ? [] : importedItems || [],
+                    retryOf,
+                    settings: {
+                        audioProfile: getAudioProfile(audioProfile),
+                        downloadThreads: downloadConcurrency,
+                        linkSearchThreads: linkConcurrency,
+                        artistMode: ARTIST_LINK_MODES.includes(artistMode) ? artistMode : (config.artistLinkMode || 'top-tracks'),
+                        artistGrouping: ARTIST_LINK_GROUPINGS.includes(artistGrouping) ? artistGrouping : (config.artistLinkGrouping || 'album'),
+                        normalizeVolume: Boolean(normalizeVolume ?? config.normalizeVolume),
+                        embedMetadata: (embedMetadata ?? config.embedMetadata) !== false,
+                    },
+                    duplicateHandling: DUPLICATE_HANDLING_MODES.includes(duplicateHandling)
+                        ? duplicateHandling
+                        : (config.duplicateHandling || 'skip'),
+                    playlistName: lastPlaylistName,
+                    items: expandedItems.map(item => ({
+                        ...item,
+                        phase: 'pending',
+                        youtubeLink: null,
+                        trackName: null,
+                        outputBasePath: null,
+                        filePath: null,
+                        error: null,
+                    })),
+                };
+                activeDownloadBatch = batch;
             }
 
-            if (isDownloadCancelled) return;
-            const totalItems = itemsToProcess.length;
-            stats.totalLinksProcessed = (stats.totalLinksProcessed || 0) + totalItems;
-            stats.spotifyLinksProcessed = (stats.spotifyLinksProcessed || 0) + spotifyLinkCount;
-            stats.youtubeLinksProcessed = (stats.youtubeLinksProcessed || 0) + youtubeLinkCount;
-            mainWindow.webContents.send('update-status', `Phase 1/2: Finding links for ${totalItems} tracks...`);
+            saveDownloadQueueState(batch);
+
+            const findBatchItem = (index) => batch.items.find(batchItem => batchItem.index === index) || null;
+            const itemProgress = new Map(batch.items.map(item => [item.index, item.phase === 'completed' ? 100 : 0]));
+            const busyItemIndexes = new Set();
+
+            const getDownloadQueueSnapshot = () => ({
+                paused: isDownloadQueuePaused,
+                items: batch.items.map(item => ({
+                    index: item.index,
+                    name: item.trackName || item.name || item.link || `Track ${item.index + 1}`,
+                    phase: item.phase,
+                    progress: itemProgress.get(item.index) || 0,
+                    error: item.error || null,
+                    errorInfo: item.errorInfo || null,
+                })),
+            });
+
+            const sendDownloadQueueUpdate = () => {
+                if (!mainWindow || mainWindow.isDestroyed()) return;
+                mainWindow.webContents.send('download-queue-update', getDownloadQueueSnapshot());
+            };
+
+            const setItemProgress = (index, progress) => {
+                itemProgress.set(index, progress);
+                if (mainWindow && !mainWindow.isDestroyed()) {
+                    mainWindow.webContents.send('download-item-progress', { index, progress });
+                }
+            };
+
+            const updateBatchItem = (index, patch) => {
+                const batchItem = findBatchItem(index);
+                if (!batchItem) return;
+                Object.assign(batchItem, patch);
+                saveDownloadQueueState(batch);
+                sendDownloadQueueUpdate();
+            };
+
+            const totalItems = batch.items.length;
+            const itemsToFind = batch.items.filter(item => item.phase === 'pending').length;
+            sendDownloadQueueUpdate();
+            mainWindow.webContents.send('update-status', `Finding links for ${itemsToFind} tracks and downloading each one as soon as it resolves (${linkConcurrency} searches, ${downloadConcurrency} downloads at a time)...`);
 
             const downloadTimingStats = ensureDownloadTimingStatsShape(stats);
 
@@ -1990,259 +3162,1309 @@ app.whenReady().then(() => {
                 return blendEstimates(trackBasedEtaMs, queueBasedEtaMs);
             };
 
-            const estimateFullPhaseFromAverages = ({
-                itemCount,
-                averageTrackDurationMs,
-                trackSamples,
-                averageQueueDurationMs,
-                queueSamples,
-            }) => {
-                const safeItemCount = Number.isFinite(itemCount) && itemCount > 0 ? itemCount : 0;
-                if (safeItemCount === 0) return 0;
+            // Queues hold the batch items themselves so cancel/retry/reorder act on the same objects the workers see.
+            const linkFindingQueue = batch.items.filter(item => item.phase === 'pending');
+            const downloadQueue = [];
+            const resumedResolvedItems = batch.items.filter(item => item.phase === 'resolved');
+            const linkProgress = new Map(batch.items.map(item => [item.index, item.phase === 'pending' ? 0 : 100]));
+            const activeLinkTimingEstimates = new Map();
+            const linkTrackStartTimes = new Map();
+            const batchStartTimeMs = Date.now();
+            let lastLinkFinishedAtMs = null;
+            // Every item has a download share from the start; ones that will never download count as done.
+            const fileProgress = new Map(batch.items.map(item => [item.index, isDownloadItemFinished(item) ? 100 : 0]));
+            const activeTrackTimingEstimates = new Map();
+            const trackStartTimes = new Map();
+            let downloadsStarted = 0;
+            let libraryEntriesPromise = null;
 
-                const trackBasedMs = (averageTrackDurationMs > 0 && trackSamples > 0)
-                    ? safeItemCount * averageTrackDurationMs
-                    : null;
-                const queueBasedMs = (averageQueueDurationMs > 0 && queueSamples > 0)
-                    ? averageQueueDurationMs
-                    : null;
+            const linkWorkers = new Set();
+            const downloadWorkers = new Set();
 
-                return blendEstimates(trackBasedMs, queueBasedMs);
+            // Workers exit when their queue runs dry, so producers call this again whenever they add work.
+            const startWorkers = (pool, workerFn, limit) => {
+                while (pool.size < limit) {
+                    const workerPromise = workerFn().finally(() => pool.delete(workerPromise));
+                    pool.add(workerPromise);
+                }
+            };
+
+            // Both pools can refill each other (links feed downloads, retries feed either), so wait until both are empty.
+            const waitForWorkers = async (...pools) => {
+                while (pools.some(pool => pool.size > 0)) {
+                    await Promise.all(pools.flatMap(pool => [...pool]));
+                }
+            };
+
+            const sortByQueueOrder = (queue) => {
+                queue.sort((a, b) => batch.items.indexOf(a) - batch.items.indexOf(b));
             };
-            
-            const linkFindingQueue = [...itemsToProcess];
-            const itemsToDownload = [];
-            const linkProgress = new Array(totalItems).fill(0);
-            const activeLinkTimingEstimates = new Array(totalItems).fill(null);
-            const linkTrackStartTimes = new Map();
-            const linkQueueStartTimeMs = Date.now();
 
-            const updateOverallProgressDuringLinkFinding = () => {
+            // Links and downloads overlap, so each phase keeps its half of the bar over the whole batch.
+            const updateOverallProgress = () => {
                 const safeTotalItems = totalItems > 0 ? totalItems : 1;
-                const linkPhaseProgressPercent = linkProgress.reduce((sum, value) => sum + value, 0) / safeTotalItems;
-                const overallProgressPercent = Math.min(100, linkPhaseProgressPercent * 0.5);
+                const linkProgressValues = [...linkProgress.values()];
+                const fileProgressValues = [...fileProgress.values()];
+                const linkPhaseProgressPercent = linkProgressValues.reduce((sum, value) => sum + value, 0) / safeTotalItems;
+                const downloadPhaseProgressPercent = fileProgressValues.reduce((sum, value) => sum + value, 0) / safeTotalItems;
+                const totalProgress = Math.min(100, (linkPhaseProgressPercent * 0.5) + (downloadPhaseProgressPercent * 0.5));
 
                 const linkRemainingMs = estimatePhaseRemainingMs({
-                    progressValues: linkProgress,
-                    totalCount: totalItems,
+                    progressValues: linkProgressValues,
+                    totalCount: linkProgress.size,
                     averageTrackDurationMs: downloadTimingStats.averageLinkTrackDurationMs,
                     trackSamples: downloadTimingStats.linkTrackSamples,
                     averageQueueDurationMs: downloadTimingStats.averageLinkQueueDurationMs,
                     queueSamples: downloadTimingStats.linkQueueSamples,
-                    activeTrackEstimates: activeLinkTimingEstimates,
+                    activeTrackEstimates: [...activeLinkTimingEstimates.values()],
                 });
-
-                const fullDownloadEstimateMs = estimateFullPhaseFromAverages({
-                    itemCount: totalItems,
+                const downloadRemainingMs = estimatePhaseRemainingMs({
+                    progressValues: fileProgressValues,
+                    totalCount: fileProgress.size,
                     averageTrackDurationMs: downloadTimingStats.averageTrackDurationMs,
                     trackSamples: downloadTimingStats.trackSamples,
                     averageQueueDurationMs: downloadTimingStats.averageQueueDurationMs,
                     queueSamples: downloadTimingStats.queueSamples,
+                    activeTrackEstimates: [...activeTrackTimingEstimates.values()],
                 });
 
-                const totalEtaMs = [linkRemainingMs, fullDownloadEstimateMs]
-                    .filter(value => Number.isFinite(value) && value >= 0)
-                    .reduce((sum, value) => sum + value, 0);
-                const hasEta = Number.isFinite(totalEtaMs) && totalEtaMs > 0;
+                // Downloads run alongside the search, but the last one can only start after the last link is found.
+                let etaMs = null;
+                if (Number.isFinite(linkRemainingMs) || Number.isFinite(downloadRemainingMs)) {
+                    const lastDownloadTailMs = linkRemainingMs > 0 ? (downloadTimingStats.averageTrackDurationMs || 0) : 0;
+                    etaMs = Math.max(
+                        Number.isFinite(downloadRemainingMs) ? downloadRemainingMs : 0,
+                        (Number.isFinite(linkRemainingMs) ? linkRemainingMs : 0) + lastDownloadTailMs,
+                    );
+                }
 
                 mainWindow.webContents.send('download-progress', {
-                    progress: overallProgressPercent,
-                    eta: hasEta ? formatEta(totalEtaMs) : 'calculating...',
+                    progress: totalProgress,
+                    eta: etaMs !== null && etaMs > 0 ? formatEta(etaMs) : 'calculating...',
                 });
             };
 
-            updateOverallProgressDuringLinkFinding();
+            // Album batches share one cover, so fetch each artwork URL once per batch.
+            const artworkRequests = new Map();
+            const getBatchArtwork = (artworkUrl) => {
+                if (!artworkUrl) return Promise.resolve(null);
+                if (!artworkRequests.has(artworkUrl)) {
+                    artworkRequests.set(artworkUrl, fetchArtwork(artworkUrl).catch((error) => {
+                        writeLog('warn', 'Metadata', 'Failed to fetch cover art', { artworkUrl, error: error.message });
+                        return null;
+                    }));
+                }
+                return artworkRequests.get(artworkUrl);
+            };
+
+            const resolveBatchItemLink = async (item) => {
+                updateBatchItem(item.index, { phase: 'resolving', error: null });
+                if (item.type === 'search') {
+                    if (!item.linkState) item.linkState = createTrackLinkState();
+                    const resolved = await resolveTrackLink(item.query, item.name, item.durationMs, item.metadata?.artists || [], item.linkState, { itemIndex: item.index });
+                    mainWindow.webContents.send('update-status', `🔗 (${item.index + 1}/${totalItems}) Found ${resolved.source} link for: ${item.name}`);
+                    return { youtubeLink: resolved.link, linkSource: resolved.source, trackName: item.name };
+                }
+
+                // Entries expanded from a playlist already carry their title.
+                const trackName = item.name || await getYouTubeTitle(item.link, { itemIndex: item.index });
+                mainWindow.webContents.send('update-status', `🔗 (${item.index + 1}/${totalItems}) Found title: ${trackName}`);
+                return { youtubeLink: item.link, linkSource: 'direct', trackName };
+            };
+
+            updateOverallProgress();
+
+            // The library is scanned once per batch. Search items are checked before their link search, direct
+            // links once their title is known. A skipped duplicate the user retries is downloaded anyway.
+            const handleLibraryDuplicate = async (item) => {
+                if (batch.duplicateHandling === 'redownload' || item.duplicateOf) return false;
+                if (!libraryEntriesPromise) libraryEntriesPromise = getLibraryTrackEntriesForMatching();
+                const existing = findLibraryDuplicate(item, await libraryEntriesPromise);
+                if (!existing || item.phase === 'cancelled') return false;
+
+                if (batch.duplicateHandling === 'copy') {
+                    const filePath = `${getDownloadOutputBasePath(item, batch.items)}${path.extname(existing.path)}`;
+                    try {
+                        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                        await fs.promises.copyFile(existing.path, filePath);
+                    } catch (error) {
+                        writeLog('warn', 'DownloadQueue', 'Failed to copy existing library file; downloading instead', { source: existing.path, error: error.message });
+                        return false;
+                    }
+                    recordDownloadedFile(filePath, item.playlistName);
+                    setItemProgress(item.index, 100);
+                    updateBatchItem(item.index, { phase: 'completed', filePath, duplicateOf: existing.path });
+                } else {
+                    updateBatchItem(item.index, { phase: 'skipped', duplicateOf: existing.path });
+                }
+
+                fileProgress.set(item.index, 100);
+                updateOverallProgress();
+                const action = batch.duplicateHandling === 'copy' ? 'Copied' : 'Skipped';
+                mainWindow.webContents.send('update-status', `♻️ ${action} "${item.trackName || item.name}", already in your library as ${existing.playlistName}/${path.basename(existing.path)}`);
+                return true;
+            };
+
+            // Only yt-dlp failures carry a category; "no match found" and similar errors speak for themselves.
+            const markItemFailed = (item, error) => {
+                const errorInfo = error.category ? getYtdlpErrorInfo(error.category) : null;
+                if (errorInfo) {
+                    mainWindow.webContents.send('update-status', `💡 ${errorInfo.explanation} ${errorInfo.suggestion}`);
+                }
+                updateBatchItem(item.index, { phase: 'failed', error: error.message, errorInfo });
+            };
+
+            const queueForDownload = async (item) => {
+                if (isDownloadCancelled || item.phase !== 'resolved') return;
+                if (item.type !== 'search' && await handleLibraryDuplicate(item)) return;
+                if (isDownloadCancelled || item.phase !== 'resolved') return;
+                downloadQueue.push(item);
+                sortByQueueOrder(downloadQueue);
+                startWorkers(downloadWorkers, downloadWorker, downloadConcurrency);
+            };
 
             const linkFinderWorker = async () => {
                 while (linkFindingQueue.length > 0) {
+                    await waitWhileDownloadQueuePaused();
                     if (isDownloadCancelled) return;
                     const item = linkFindingQueue.shift();
-                    if (!item) continue;
+                    if (!item || item.phase !== 'pending') continue;
+                    if (item.type === 'search' && await handleLibraryDuplicate(item)) {
+                        linkProgress.set(item.index, 100);
+                        updateOverallProgress();
+                        continue;
+                    }
 
                     const startedAt = Date.now();
                     linkTrackStartTimes.set(item.index, startedAt);
+                    busyItemIndexes.add(item.index);
 
                     try {
-                        let youtubeLink;
-                        let trackName;
-                        if (item.type === 'search') {
-                            const resolved = await resolveTrackLink(item.query, item.name, item.durationMs);
-                            youtubeLink = resolved.link;
-                            trackName = item.name;
-                            mainWindow.webContents.send('update-status', `🔗 (${item.index + 1}/${totalItems}) Found ${resolved.source} link for: ${trackName}`);
-                        } else { // 'direct'
-                            youtubeLink = item.link;
-                            trackName = await getYouTubeTitle(item.link);
-                            mainWindow.webContents.send('update-status', `🔗 (${item.index + 1}/${totalItems}) Found title: ${trackName}`);
-                        }
-                        itemsToDownload.push({ youtubeLink, trackName, index: item.index, metadata: item.metadata });
+                        const { youtubeLink, linkSource, trackName } = await resolveBatchItemLink(item);
+                        if (item.phase === 'cancelled') continue;
+                        updateBatchItem(item.index, { youtubeLink, linkSource, trackName, phase: 'resolved' });
                     } catch (error) {
-                        if (!isDownloadCancelled) {
+                        if (!isDownloadCancelled && item.phase !== 'cancelled') {
                             mainWindow.webContents.send('update-status', `❌ Failed to find link for "${item.name || item.link}": ${error.message}`);
                             stats.songsFailed = (stats.songsFailed || 0) + 1;
+                            fileProgress.set(item.index, 100);
+                            markItemFailed(item, error);
                         }
                     } finally {
+                        busyItemIndexes.delete(item.index);
                         if (!isDownloadCancelled) {
                             const elapsedMs = Date.now() - startedAt;
                             pushTimingSample(elapsedMs, 'linkTrackSamples', 'averageLinkTrackDurationMs');
-                            activeLinkTimingEstimates[item.index] = null;
+                            activeLinkTimingEstimates.delete(item.index);
                             linkTrackStartTimes.delete(item.index);
-                            linkProgress[item.index] = 100;
-                            updateOverallProgressDuringLinkFinding();
+                            linkProgress.set(item.index, 100);
+                            lastLinkFinishedAtMs = Date.now();
+                            updateOverallProgress();
                         }
                     }
+
+                    await queueForDownload(item);
                 }
             };
-            await Promise.all(Array.from({ length: concurrency }, linkFinderWorker));
-
-            if (isDownloadCancelled) return;
-
-            if (totalItems > 0) {
-                pushTimingSample(Date.now() - linkQueueStartTimeMs, 'linkQueueSamples', 'averageLinkQueueDurationMs');
-            }
-            
-            const totalItemsToDownload = itemsToDownload.length;
-            if (totalItemsToDownload === 0) {
-                mainWindow.webContents.send('download-progress', { progress: 100, eta: 'less than a second remaining' });
-                mainWindow.webContents.send('update-status', 'No valid tracks found to download.', true, { success: true, filesDownloaded: 0 });
-                return;
-            }
-
-            mainWindow.webContents.send('update-status', `Phase 2/2: Downloading ${totalItemsToDownload} tracks...`);
 
-            const fileProgress = new Array(totalItemsToDownload).fill(0);
-            const activeTrackTimingEstimates = new Array(totalItemsToDownload).fill(null);
-            const trackStartTimes = new Map();
-            const queueStartTimeMs = Date.now();
-
-            const updateOverallProgress = () => {
-                const downloadPhaseProgressPercent = totalItemsToDownload > 0
-                    ? fileProgress.reduce((sum, value) => sum + value, 0) / totalItemsToDownload
-                    : 100;
-                const totalProgress = 50 + (downloadPhaseProgressPercent * 0.5);
-
-                const smartEtaMs = estimatePhaseRemainingMs({
-                    progressValues: fileProgress,
-                    totalCount: totalItemsToDownload,
-                    averageTrackDurationMs: downloadTimingStats.averageTrackDurationMs,
-                    trackSamples: downloadTimingStats.trackSamples,
-                    averageQueueDurationMs: downloadTimingStats.averageQueueDurationMs,
-                    queueSamples: downloadTimingStats.queueSamples,
-                    activeTrackEstimates: activeTrackTimingEstimates,
+            // Search results can be swapped for the next candidate; links the user pasted directly cannot.
+            const switchToFallbackLink = async (item, error) => {
+                if (item.type !== 'search' || !item.linkState) return false;
+                // Throttling, bot checks and dropped connections would fail the next upload the same way, and
+                // errors without a category (local encoding, tagging) have nothing to do with the link at all.
+                if (!error.category || !getYtdlpErrorCategory(error.category).tryNextCandidate) return false;
+
+                mainWindow.webContents.send('update-status', `↪️ Download failed for "${item.trackName}" (${error.message}). Trying the next candidate...`);
+                await removeDownloadBatchPartialFiles({ ...batch, items: [item] });
+                updateBatchItem(item.index, {
+                    phase: 'resolving',
+                    error: null,
+                    failedLinks: [...(item.failedLinks || []), { url: item.youtubeLink, error: error.message, category: error.category || null }],
                 });
-                const etaString = smartEtaMs !== null ? formatEta(smartEtaMs) : 'calculating...';
-
-                mainWindow.webContents.send('download-progress', { progress: totalProgress, eta: etaString });
+                try {
+                    const { link, source } = await resolveTrackLink(item.query, item.name, item.durationMs, item.metadata?.artists || [], item.linkState, { itemIndex: item.index });
+                    if (item.phase === 'cancelled' || isDownloadCancelled) return true;
+                    writeLog('info', 'DownloadQueue', 'Switched to fallback link', { track: item.trackName, failedLink: item.youtubeLink, link, source });
+                    mainWindow.webContents.send('update-status', `🔁 Retrying "${item.trackName}" with ${source} link: ${link}`);
+                    fileProgress.set(item.index, 0);
+                    setItemProgress(item.index, 0);
+                    updateBatchItem(item.index, { youtubeLink: link, linkSource: source, phase: 'resolved' });
+                    downloadQueue.push(item);
+                    sortByQueueOrder(downloadQueue);
+                    return true;
+                } catch (fallbackError) {
+                    if (item.phase === 'cancelled' || isDownloadCancelled) return true;
+                    writeLog('warn', 'DownloadQueue', 'No fallback link left', { track: item.trackName, error: fallbackError.message });
+                    return false;
+                }
             };
 
-            updateOverallProgress();
-
-            const downloadQueue = [...itemsToDownload.sort((a, b) => a.index - b.index).map((item, idx) => ({ ...item, queueIndex: idx }))];
-
             const downloadWorker = async () => {
                 while (downloadQueue.length > 0) {
+                    await waitWhileDownloadQueuePaused();
                     if (isDownloadCancelled) return;
                     const item = downloadQueue.shift();
-                    if (!item) continue;
+                    if (!item || item.phase !== 'resolved') continue;
+
+                    busyItemIndexes.add(item.index);
+                    fileProgress.set(item.index, 0);
+                    downloadsStarted++;
                     try {
                         const startedAt = Date.now();
-                        trackStartTimes.set(item.queueIndex, startedAt);
+                        trackStartTimes.set(item.index, startedAt);
+                        updateBatchItem(item.index, {
+                            phase: 'downloading',
+                            outputBasePath: getDownloadOutputBasePath(item, batch.items),
+                        });
 
-                        const filePath = await downloadItem(item, item.index, totalItems, (progress) => {
-                            fileProgress[item.queueIndex] = progress;
+                        let filePath = await withYtdlpRetries(() => downloadItem(item, item.index, totalItems, (progress) => {
+                            fileProgress.set(item.index, progress);
+                            setItemProgress(item.index, progress);
                             const elapsedMs = Date.now() - startedAt;
                             if (progress > 0) {
-                                activeTrackTimingEstimates[item.queueIndex] = elapsedMs / (progress / 100);
+                                activeTrackTimingEstimates.set(item.index, elapsedMs / (progress / 100));
                             }
                             updateOverallProgress();
+                        }), {
+                            label: `"${item.trackName}"`,
+                            isCancelled: () => isDownloadCancelled || item.phase === 'cancelled',
                         });
 
+                        const audioProfile = batch.settings?.audioProfile || getAudioProfile();
+                        const normalizeVolume = Boolean(batch.settings?.normalizeVolume ?? config.normalizeVolume);
+                        const embedMetadata = (batch.settings?.embedMetadata ?? config.embedMetadata) !== false;
+                        const needsEncode = AUDIO_CODECS[audioProfile.codec] && !await isAudioFileInProfileFormat(filePath, audioProfile);
+                        if (needsEncode || normalizeVolume) {
+                            mainWindow.webContents.send('update-status', `🎚️ Encoding "${item.trackName}" (${audioProfile.name})...`);
+                            filePath = await transcodeDownloadedAudio(filePath, audioProfile, { normalizeVolume });
+                        }
+
+                        if (item.metadata && embedMetadata) {
+                            try {
+                                const artwork = await getBatchArtwork(item.metadata.artworkUrl);
+                                await embedTrackMetadata(filePath, item.metadata, artwork);
+                            } catch (error) {
+                                writeLog('warn', 'Metadata', 'Failed to embed track metadata', { filePath, error: error.message });
+                                mainWindow.webContents.send('update-status', `⚠️ Could not write tags for "${item.trackName}": ${error.message}`);
+                            }
+                        }
+
                         const finishedAt = Date.now();
-                        const startTime = trackStartTimes.get(item.queueIndex);
+                        const startTime = trackStartTimes.get(item.index);
                         if (Number.isFinite(startTime)) {
                             pushTimingSample(finishedAt - startTime, 'trackSamples', 'averageTrackDurationMs');
                         }
-                        trackStartTimes.delete(item.queueIndex);
-                        activeTrackTimingEstimates[item.queueIndex] = null;
-                        fileProgress[item.queueIndex] = 100;
+                        trackStartTimes.delete(item.index);
+                        activeTrackTimingEstimates.delete(item.index);
+                        fileProgress.set(item.index, 100);
+                        setItemProgress(item.index, 100);
                         updateOverallProgress();
-                        lastDownloadedFiles.push(filePath);
+                        recordDownloadedFile(filePath, item.playlistName);
+                        updateBatchItem(item.index, { phase: 'completed', filePath, downloadTimeMs: finishedAt - startedAt });
                         stats.totalSongsDownloaded = (stats.totalSongsDownloaded || 0) + 1;
                     } catch (error) {
-                        trackStartTimes.delete(item.queueIndex);
-                        activeTrackTimingEstimates[item.queueIndex] = null;
-                        fileProgress[item.queueIndex] = 100;
+                        trackStartTimes.delete(item.index);
+                        activeTrackTimingEstimates.delete(item.index);
+                        fileProgress.set(item.index, 100);
                         updateOverallProgress();
 
-                        if (!isDownloadCancelled) {
+                        if (isDownloadCancelled) continue;
+                        if (item.phase === 'cancelled') {
+                            await removeDownloadBatchPartialFiles({ ...batch, items: [item] });
+                        } else if (!(await switchToFallbackLink(item, error))) {
                             console.error(`Download worker failed:`, error.message);
                             stats.songsFailed = (stats.songsFailed || 0) + 1;
+                            markItemFailed(item, error);
                         }
+                    } finally {
+                        busyItemIndexes.delete(item.index);
                     }
                 }
             };
-            await Promise.all(Array.from({ length: concurrency }, downloadWorker));
 
-            if (!isDownloadCancelled) {
-                if (totalItemsToDownload > 0) {
-                    pushTimingSample(Date.now() - queueStartTimeMs, 'queueSamples', 'averageQueueDurationMs');
-                }
-                mainWindow.webContents.send('download-progress', { progress: 100, eta: 'less than a second remaining' });
-                mainWindow.webContents.send('update-status', 'Task done.', true, { success: true, filesDownloaded: lastDownloadedFiles.length });
-            }
+            activeDownloadQueueController = {
+                cancelItem(index) {
+                    const item = findBatchItem(index);
+                    if (!item) throw new Error('Track not found in the download queue.');
+                    if (isDownloadItemFinished(item) || item.phase === 'failed') {
+                        throw new Error('This track is no longer queued.');
+                    }
 
-        } catch (error) {
-            console.error('An error occurred during the download process:', error);
-            mainWindow.webContents.send('update-status', `Error: ${error.message}`, true, { success: false });
-        } finally {
-            if (!isDownloadCancelled) saveStats();
-        }
-    });
+                    for (const queue of [linkFindingQueue, downloadQueue]) {
+                        const queuedPosition = queue.indexOf(item);
+                        if (queuedPosition >= 0) queue.splice(queuedPosition, 1);
+                    }
+                    linkProgress.set(item.index, 100);
+                    if (fileProgress.has(item.index)) fileProgress.set(item.index, 100);
+                    updateBatchItem(item.index, { phase: 'cancelled', error: null });
+                    killDownloadItemProcesses(item.index);
+                    mainWindow.webContents.send('update-status', `⏹️ Cancelled: ${item.trackName || item.name || item.link}`);
+                },
+                retryItem(index) {
+                    const item = findBatchItem(index);
+                    if (!item) throw new Error('Track not found in the download queue.');
+                    if (item.phase !== 'failed' && item.phase !== 'cancelled' && item.phase !== 'skipped') {
+                        throw new Error('Only failed, cancelled or skipped tracks can be retried.');
+                    }
+                    if (busyItemIndexes.has(item.index)) throw new Error('This track is still stopping. Try again in a moment.');
 
-    ipcMain.handle('create-playlist', async () => {
-        if (lastDownloadedFiles.length === 0) return 'No files from the last session to create a playlist with.';
-        if (!lastPlaylistName) {
-            const date = new Date();
-            lastPlaylistName = `Playlist ${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
-        }
+                    itemProgress.set(item.index, 0);
+                    fileProgress.set(item.index, 0);
+                    if (item.type === 'search' && item.phase === 'failed') {
+                        // A failed search item has used up every candidate, so start over with fresh searches.
+                        Object.assign(item, { youtubeLink: null, linkState: null });
+                    }
+                    if (!item.youtubeLink) {
+                        linkProgress.set(item.index, 0);
+                        updateBatchItem(item.index, { phase: 'pending', error: null, errorInfo: null, filePath: null });
+                        linkFindingQueue.push(item);
+                        sortByQueueOrder(linkFindingQueue);
+                        startWorkers(linkWorkers, linkFinderWorker, linkConcurrency);
+                    } else {
+                        // Skipped duplicates land here too; retrying one means the user wants it downloaded anyway.
+                        updateBatchItem(item.index, { phase: 'resolved', error: null, errorInfo: null, filePath: null });
+                        downloadQueue.push(item);
+                        sortByQueueOrder(downloadQueue);
+                        startWorkers(downloadWorkers, downloadWorker, downloadConcurrency);
+                    }
+                    updateOverallProgress();
+                    mainWindow.webContents.send('update-status', `🔁 Retrying: ${item.trackName || item.name || item.link}`);
+                },
+                moveItem(index, direction) {
+                    const position = batch.items.findIndex(item => item.index === index);
+                    if (position < 0) throw new Error('Track not found in the download queue.');
+                    const targetPosition = direction === 'up' ? position - 1 : position + 1;
+                    if (targetPosition < 0 || targetPosition >= batch.items.length) return;
+
+                    [batch.items[position], batch.items[targetPosition]] = [batch.items[targetPosition], batch.items[position]];
+                    sortByQueueOrder(linkFindingQueue);
+                    sortByQueueOrder(downloadQueue);
+                    saveDownloadQueueState(batch);
+                    sendDownloadQueueUpdate();
+                },
+                sendUpdate: sendDownloadQueueUpdate,
+                getSnapshot: getDownloadQueueSnapshot,
+            };
 
-        const sanitizedPlaylistName = sanitizeFilename(lastPlaylistName);
-        const playlistsPath = config.playlistsFolderPath;
-        if (!playlistsPath || !fs.existsSync(playlistsPath)) {
-            return 'Error: Playlists folder is not set or does not exist. Please set it in Settings.';
+            startWorkers(linkWorkers, linkFinderWorker, linkConcurrency);
+            for (const item of resumedResolvedItems) {
+                await queueForDownload(item);
+            }
+            await waitForWorkers(linkWorkers, downloadWorkers);
+
+            if (isDownloadCancelled) return;
+
+            if (itemsToFind > 0 && lastLinkFinishedAtMs !== null) {
+                pushTimingSample(lastLinkFinishedAtMs - batchStartTimeMs, 'linkQueueSamples', 'averageLinkQueueDurationMs');
+            }
+            if (downloadsStarted > 0) {
+                pushTimingSample(Date.now() - batchStartTimeMs, 'queueSamples', 'averageQueueDurationMs');
+            }
+
+            pendingDownloadBatch = null;
+            clearDownloadQueueState();
+            if (afterDownloads) await afterDownloads(batch);
+            mainWindow.webContents.send('download-progress', { progress: 100, eta: 'less than a second remaining' });
+            if (downloadsStarted > 0 || lastDownloadedFiles.length > 0) {
+                mainWindow.webContents.send('update-status', 'Task done.', true, { success: true, filesDownloaded: lastDownloadedFiles.length });
+            } else {
+                mainWindow.webContents.send('update-status', 'No valid tracks found to download.', true, { success: true, filesDownloaded: 0 });
+            }
+
+        } catch (error) {
+            console.error('An error occurred during the download process:', error);
+            batchInterrupted = true;
+            if (batch) pendingDownloadBatch = batch;
+            mainWindow.webContents.send('update-status', `Error: ${error.message}`, true, { success: false });
+        } finally {
+            isDownloadBatchStarting = false;
+            activeDownloadBatch = null;
+            activeDownloadQueueController = null;
+            setDownloadQueuePaused(false);
+            if (batch) recordDownloadHistory(batch, isDownloadCancelled ? 'cancelled' : (batchInterrupted ? 'interrupted' : 'completed'));
+            if (isDownloadCancelled) {
+                if (batch) await removeDownloadBatchPartialFiles(batch);
+                pendingDownloadBatch = null;
+                clearDownloadQueueState();
+            } else {
+                saveStats();
+            }
+            // yt-dlp calls outside a batch (link checks, previews, searches) refuse to run while this is set.
+            isDownloadCancelled = false;
+        }
+    }
+
+    function getDefaultPlaylistName() {
+        const date = new Date();
+        return `Playlist ${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    }
+
+    // Artist batches can spread tracks over several folders; everything else goes to the batch playlist.
+    function moveLastDownloadsToPlaylists(playlistsPath) {
+        const filesByPlaylist = new Map();
+        for (const filePath of lastDownloadedFiles) {
+            const playlistName = sanitizeFolderName(lastDownloadedFilePlaylists.get(filePath))
+                || sanitizeFolderName(lastPlaylistName)
+                || getDefaultPlaylistName();
+            if (!filesByPlaylist.has(playlistName)) filesByPlaylist.set(playlistName, []);
+            filesByPlaylist.get(playlistName).push(filePath);
         }
 
-        const folderName = path.join(playlistsPath, sanitizedPlaylistName);
-        try {
+        const movedPaths = new Map();
+        let createdCount = 0;
+        for (const [playlistName, filePaths] of filesByPlaylist) {
+            const folderName = path.join(playlistsPath, playlistName);
             if (!fs.existsSync(folderName)) {
                 fs.mkdirSync(folderName, { recursive: true });
+                createdCount++;
             }
-            let movedCount = 0;
-            for (const oldPath of lastDownloadedFiles) {
+            for (const oldPath of filePaths) {
                 if (fs.existsSync(oldPath)) {
-                    const newPath = path.join(folderName, path.basename(oldPath));
+                    // Sub-folders from the filename template ({artist}/{album}) move along with the file.
+                    const relativePath = path.relative(downloadsDir, oldPath);
+                    const targetPath = relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)
+                        ? path.join(folderName, relativePath)
+                        : path.join(folderName, path.basename(oldPath));
+                    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+                    // Existing playlists can be a target, so never overwrite a track already there.
+                    const { dir, name, ext } = path.parse(targetPath);
+                    let newPath = targetPath;
+                    let duplicateCounter = 2;
+                    while (fs.existsSync(newPath)) {
+                        newPath = path.join(dir, `${name} (${duplicateCounter})${ext}`);
+                        duplicateCounter += 1;
+                    }
                     fs.renameSync(oldPath, newPath);
-                    movedCount++;
+                    movedPaths.set(oldPath, newPath);
+                    removeEmptyDownloadFolders(path.dirname(oldPath));
                 }
             }
-            lastDownloadedFiles = [];
-            stats.playlistsCreated = (stats.playlistsCreated || 0) + 1;
+        }
+        updateDownloadHistoryPaths(movedPaths);
+        lastDownloadedFiles = [];
+        lastDownloadedFilePlaylists.clear();
+        return { movedPaths, playlistNames: [...filesByPlaylist.keys()], createdCount };
+    }
+
+    function createPlaylistFromLastDownload() {
+        if (lastDownloadedFiles.length === 0) return 'No files from the last session to create a playlist with.';
+        if (!lastPlaylistName) lastPlaylistName = getDefaultPlaylistName();
+
+        const playlistsPath = config.playlistsFolderPath;
+        if (!playlistsPath || !fs.existsSync(playlistsPath)) {
+            return 'Error: Playlists folder is not set or does not exist. Please set it in Settings.';
+        }
+
+        try {
+            const { movedPaths, playlistNames, createdCount } = moveLastDownloadsToPlaylists(playlistsPath);
+            stats.playlistsCreated = (stats.playlistsCreated || 0) + createdCount;
             saveStats();
-            return `Successfully created playlist and moved ${movedCount} files to "${sanitizedPlaylistName}".`;
+            if (playlistNames.length === 1) {
+                return `Successfully created playlist and moved ${movedPaths.size} files to "${playlistNames[0]}".`;
+            }
+            return `Successfully created ${playlistNames.length} playlists and moved ${movedPaths.size} files.`;
         } catch (error) {
             console.error('Failed to create playlist folder:', error);
             return `Error: Could not create playlist. ${error.message}`;
         }
-    });
+    }
+
+    ipcMain.handle('create-playlist', async () => createPlaylistFromLastDownload());
 
-    ipcMain.on('cancel-download', () => {
+    function cancelActiveDownload() {
         isDownloadCancelled = true;
+        setDownloadQueuePaused(false);
+        // Queued pickers have no timeout running yet, so they are closed here instead of waiting for one.
+        for (const [requestId, pending] of pendingManualLinkRequests) {
+            pending.resolve({ cancelled: true });
+            if (mainWindow) mainWindow.webContents.send('manual-link-request-expired', { requestId });
+        }
+        pendingManualLinkRequests.clear();
         for (const proc of activeProcesses) {
             try { proc.kill('SIGTERM'); } catch (err) { console.error('Failed to kill process:', err); }
         }
         activeProcesses.clear();
         if (mainWindow) mainWindow.webContents.send('update-status', 'Download cancelled by user.', true, { success: false });
         saveStats();
+    }
+
+    ipcMain.on('cancel-download', () => cancelActiveDownload());
+
+    ipcMain.handle('set-download-queue-paused', (event, paused) => {
+        if (!activeDownloadQueueController) return { success: false, error: 'No download is running.' };
+        setDownloadQueuePaused(Boolean(paused));
+        activeDownloadQueueController.sendUpdate();
+        mainWindow.webContents.send('update-status', paused
+            ? '⏸️ Queue paused. Tracks already in progress will finish.'
+            : '▶️ Queue resumed.');
+        return { success: true };
+    });
+
+    ipcMain.handle('cancel-download-item', (event, index) => {
+        if (!activeDownloadQueueController) return { success: false, error: 'No download is running.' };
+        try {
+            activeDownloadQueueController.cancelItem(index);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('retry-download-item', (event, index) => {
+        if (!activeDownloadQueueController) return { success: false, error: 'No download is running.' };
+        try {
+            activeDownloadQueueController.retryItem(index);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('move-download-item', (event, index, direction) => {
+        if (!activeDownloadQueueController) return { success: false, error: 'No download is running.' };
+        try {
+            activeDownloadQueueController.moveItem(index, direction);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // --- AUTOMATION API ---
+    // Opt-in localhost server so userscripts, stream decks and shell scripts can drive a running app.
+    // Every request needs the token. Endpoints:
+    //   GET /api/status, GET /api/queue, POST /api/downloads { links, duplicateHandling?, artistMode?, artistGrouping? },
+    //   DELETE /api/downloads, DELETE /api/queue/:index, POST /api/queue/:index/retry,
+    //   GET /api/playlists, GET /api/playlists/:name/tracks, and WebSocket /api/events for status/progress.
+    let automationServer = null;
+    let automationServerState = { running: false, port: null, error: null };
+
+    function getAutomationApiPort() {
+        const port = Number.parseInt(config.automationApiPort, 10);
+        return Number.isFinite(port) && port >= 1024 && port <= 65535 ? port : DEFAULT_AUTOMATION_API_PORT;
+    }
+
+    function ensureAutomationApiToken({ regenerate = false } = {}) {
+        if (!regenerate && typeof config.automationApiToken === 'string' && config.automationApiToken.length >= 32) {
+            return config.automationApiToken;
+        }
+        config.automationApiToken = crypto.randomBytes(24).toString('hex');
+        safeWriteFileSync(configPath, JSON.stringify(config, null, 4));
+        return config.automationApiToken;
+    }
+
+    function sendAutomationJson(response, statusCode, body) {
+        response.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify(body));
+    }
+
+    function readAutomationRequestBody(request) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            request.setEncoding('utf8');
+            request.on('data', (chunk) => {
+                body += chunk;
+                if (body.length > 1024 * 1024) {
+                    reject(new Error('Request body is too large.'));
+                    request.destroy();
+                }
+            });
+            request.on('end', () => {
+                if (!body.trim()) return resolve({});
+                try {
+                    resolve(JSON.parse(body));
+                } catch {
+                    reject(new Error('Request body must be JSON.'));
+                }
+            });
+            request.on('error', reject);
+        });
+    }
+
+    function isAutomationRequestAuthorized(request, url) {
+        // Only accept loopback host names so a web page can't reach the server through DNS rebinding.
+        const host = String(request.headers.host || '').replace(/:\d+$/, '');
+        if (host !== '127.0.0.1' && host !== 'localhost') return false;
+
+        const authorization = String(request.headers.authorization || '');
+        const token = authorization.startsWith('Bearer ')
+            ? authorization.slice('Bearer '.length).trim()
+            : url.searchParams.get('token');
+        return isAutomationTokenValid(token, config.automationApiToken);
+    }
+
+    function runQueueControllerAction(response, action) {
+        if (!activeDownloadQueueController) {
+            return sendAutomationJson(response, 409, { success: false, error: 'No download is running.' });
+        }
+        try {
+            action(activeDownloadQueueController);
+            return sendAutomationJson(response, 200, { success: true });
+        } catch (error) {
+            return sendAutomationJson(response, 409, { success: false, error: error.message });
+        }
+    }
+
+    async function handleAutomationRequest(request, response) {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        const url = new URL(request.url, 'http://127.0.0.1');
+        if (!isAutomationRequestAuthorized(request, url)) {
+            return sendAutomationJson(response, 401, { success: false, error: 'Missing or invalid token.' });
+        }
+
+        const [root, resource, id, action] = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        const { method } = request;
+        if (root !== 'api') {
+            return sendAutomationJson(response, 404, { success: false, error: 'Unknown endpoint.' });
+        }
+
+        if (resource === 'status' && method === 'GET') {
+            return sendAutomationJson(response, 200, {
+                success: true,
+                version: app.getVersion(),
+                downloading: isDownloadBatchRunning(),
+                paused: isDownloadQueuePaused,
+            });
+        }
+
+        if (resource === 'downloads' && !id && method === 'POST') {
+            const body = await readAutomationRequestBody(request);
+            const links = (Array.isArray(body.links) ? body.links : [body.link])
+                .filter(link => typeof link === 'string' && link.trim())
+                .map(link => link.trim());
+            if (links.length === 0) {
+                return sendAutomationJson(response, 400, { success: false, error: 'Send "links" as an array of URLs.' });
+            }
+            if (isDownloadBatchRunning()) {
+                return sendAutomationJson(response, 409, { success: false, error: 'A download is already running.' });
+            }
+            if (hasResumableDownloadBatch()) {
+                return sendAutomationJson(response, 409, { success: false, error: 'Resume or discard the interrupted download batch in the app first.' });
+            }
+
+            mainWindow.webContents.send('download-started-externally', { linkCount: links.length, source: 'the automation API' });
+            runDownloadBatch({
+                linksArray: links,
+                audioProfile: body.audioProfile,
+                duplicateHandling: body.duplicateHandling,
+                artistMode: body.artistMode,
+                artistGrouping: body.artistGrouping,
+            });
+            return sendAutomationJson(response, 202, { success: true, accepted: links.length });
+        }
+
+        if (resource === 'downloads' && !id && method === 'DELETE') {
+            if (!isDownloadBatchRunning()) {
+                return sendAutomationJson(response, 409, { success: false, error: 'No download is running.' });
+            }
+            cancelActiveDownload();
+            return sendAutomationJson(response, 200, { success: true });
+        }
+
+        if (resource === 'queue' && !id && method === 'GET') {
+            const snapshot = activeDownloadQueueController?.getSnapshot() || { paused: isDownloadQueuePaused, items: [] };
+            return sendAutomationJson(response, 200, { success: true, downloading: isDownloadBatchRunning(), ...snapshot });
+        }
+
+        if (resource === 'queue' && id !== undefined) {
+            const index = Number.parseInt(id, 10);
+            if (method === 'DELETE' && !action) {
+                return runQueueControllerAction(response, controller => controller.cancelItem(index));
+            }
+            if (method === 'POST' && action === 'retry') {
+                return runQueueControllerAction(response, controller => controller.retryItem(index));
+            }
+        }
+
+        if (resource === 'playlists' && method === 'GET') {
+            const playlistsPath = getExistingPlaylistsPath();
+            if (!id) {
+                return sendAutomationJson(response, 200, { success: true, playlists: await listPlaylistsWithTrackCounts(playlistsPath) });
+            }
+
+            const playlistPath = path.resolve(playlistsPath, id);
+            if (action === 'tracks' && path.dirname(playlistPath) === path.resolve(playlistsPath) && fs.existsSync(playlistPath)) {
+                const { tracks, totalDuration } = await loadPlaylistTracks(playlistPath);
+                return sendAutomationJson(response, 200, { success: true, name: id, tracks, totalDuration });
+            }
+            return sendAutomationJson(response, 404, { success: false, error: 'Playlist not found.' });
+        }
+
+        return sendAutomationJson(response, 404, { success: false, error: 'Unknown endpoint.' });
+    }
+
+    function handleAutomationUpgrade(request, socket) {
+        let url;
+        try {
+            url = new URL(request.url, 'http://127.0.0.1');
+        } catch (error) {
+            writeLog('warn', 'AutomationAPI', 'Rejected malformed upgrade request', { error: error.message });
+            socket.destroy();
+            return;
+        }
+        if (url.pathname !== '/api/events' || !isAutomationRequestAuthorized(request, url)) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+        if (!acceptWebSocketUpgrade(request, socket)) return;
+
+        automationApiSockets.add(socket);
+        const forgetSocket = () => automationApiSockets.delete(socket);
+        let unreadData = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            try {
+                unreadData = readWebSocketFrames(Buffer.concat([unreadData, chunk]), (opcode, payload) => {
+                    if (opcode === 0x8) {
+                        forgetSocket();
+                        socket.end(encodeWebSocketFrame(payload, 0x8));
+                    } else if (opcode === 0x9) {
+                        socket.write(encodeWebSocketFrame(payload, 0xA));
+                    }
+                });
+            } catch (error) {
+                writeLog('warn', 'AutomationAPI', 'Dropped WebSocket client', { error: error.message });
+                forgetSocket();
+                socket.destroy();
+            }
+        });
+        socket.on('close', forgetSocket);
+        socket.on('error', forgetSocket);
+    }
+
+    function stopAutomationServer() {
+        if (!automationServer) return;
+        for (const socket of automationApiSockets) socket.destroy();
+        automationApiSockets.clear();
+        automationServer.close();
+        automationServer = null;
+        automationServerState = { running: false, port: null, error: null };
+    }
+
+    // Starts, restarts or stops the server to match the saved settings.
+    function applyAutomationApiConfig({ restart = false } = {}) {
+        const port = getAutomationApiPort();
+        if (!config.automationApiEnabled) {
+            stopAutomationServer();
+            return Promise.resolve(automationServerState);
+        }
+        if (!restart && automationServer && automationServerState.port === port) {
+            return Promise.resolve(automationServerState);
+        }
+
+        stopAutomationServer();
+        ensureAutomationApiToken();
+        const server = http.createServer((request, response) => {
+            handleAutomationRequest(request, response).catch((error) => {
+                writeLog('error', 'AutomationAPI', 'Request failed', { method: request.method, url: request.url, error: error.message });
+                if (!response.headersSent) {
+                    sendAutomationJson(response, 500, { success: false, error: error.message });
+                }
+            });
+        });
+        server.on('upgrade', handleAutomationUpgrade);
+        automationServer = server;
+        automationServerState = { running: false, port, error: null };
+
+        return new Promise((resolve) => {
+            server.once('listening', () => {
+                automationServerState = { running: true, port, error: null };
+                writeLog('info', 'AutomationAPI', 'Automation API listening', { port });
+                resolve(automationServerState);
+            });
+            server.on('error', (error) => {
+                writeLog('error', 'AutomationAPI', 'Automation API server error', { port, error: error.message });
+                if (automationServer === server) automationServer = null;
+                automationServerState = {
+                    running: false,
+                    port,
+                    error: error.code === 'EADDRINUSE' ? `Port ${port} is already in use.` : error.message,
+                };
+                resolve(automationServerState);
+            });
+            server.listen(port, '127.0.0.1');
+        });
+    }
+
+    function getAutomationApiInfo() {
+        return {
+            enabled: Boolean(config.automationApiEnabled),
+            port: getAutomationApiPort(),
+            token: config.automationApiToken || '',
+            ...automationServerState,
+        };
+    }
+
+    ipcMain.handle('get-automation-api-info', () => getAutomationApiInfo());
+
+    ipcMain.handle('regenerate-automation-api-token', async () => {
+        try {
+            ensureAutomationApiToken({ regenerate: true });
+            // Restarting drops event streams that were opened with the old token.
+            if (config.automationApiEnabled) await applyAutomationApiConfig({ restart: true });
+            return { success: true, ...getAutomationApiInfo() };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // --- LINK CACHE MANAGEMENT ---
+
+    const LINK_CACHE_EXPORT_FORMAT = 'soundlink-link-cache';
+    const LINK_CACHE_VALIDATION_INTERVAL_MS = 30 * 60 * 1000;
+    const LINK_CACHE_VALIDATION_BATCH_SIZE = 25;
+    // One yt-dlp probe per link, so a manual check covers the oldest few hundred; running it again moves on.
+    const LINK_CACHE_MANUAL_CHECK_LIMIT = 200;
+    let isLinkCacheValidationRunning = false;
+    let isLinkCacheValidationCancelled = false;
+
+    function removeExpiredLinkCacheEntries() {
+        const now = Date.now();
+        const expiredKeys = Object.keys(linkCache).filter(key => isLinkCacheEntryExpired(linkCache[key], now));
+        expiredKeys.forEach(key => delete linkCache[key]);
+        return expiredKeys.length;
+    }
+
+    // Probes the least recently checked links. Network errors leave an entry untouched; only
+    // "unavailable" failures count as dead. Stops early if a download starts, the site throttles us
+    // or the user stops a manual check.
+    async function validateLinkCache({ limit = LINK_CACHE_VALIDATION_BATCH_SIZE, onProgress = null } = {}) {
+        const summary = { checkedCount: 0, deadCount: 0, removedCount: 0, expiredCount: 0, totalCount: 0, cancelled: false };
+        if (isLinkCacheValidationRunning || isDownloadBatchRunning()) return summary;
+        isLinkCacheValidationRunning = true;
+        isLinkCacheValidationCancelled = false;
+
+        try {
+            summary.expiredCount = removeExpiredLinkCacheEntries();
+            const keys = Object.keys(linkCache)
+                .sort((a, b) => (linkCache[a].checkedAt || 0) - (linkCache[b].checkedAt || 0))
+                .slice(0, limit);
+            summary.totalCount = keys.length;
+
+            for (const key of keys) {
+                if (isDownloadBatchRunning()) break;
+                if (isLinkCacheValidationCancelled) {
+                    summary.cancelled = true;
+                    break;
+                }
+                onProgress?.(summary.checkedCount, summary.totalCount);
+                const entry = linkCache[key];
+                if (!entry) continue;
+
+                try {
+                    await runYtdlp(['--simulate', '--no-warnings', '--print', 'id', entry.url], { retry: false });
+                    entry.dead = false;
+                    entry.checkedAt = Date.now();
+                } catch (error) {
+                    // Back off for this round instead of hammering a site that is already throttling us.
+                    if (error.category === 'rate-limited') break;
+                    if (error.category !== 'unavailable') continue;
+                    summary.deadCount++;
+                    writeLog('info', 'LinkCache', 'Cached link is no longer available', { key, url: entry.url, pinned: entry.pinned });
+                    if (!entry.pinned) {
+                        delete linkCache[key];
+                        summary.removedCount++;
+                    } else {
+                        entry.dead = true;
+                        entry.checkedAt = Date.now();
+                    }
+                }
+                summary.checkedCount++;
+            }
+        } finally {
+            isLinkCacheValidationRunning = false;
+            saveCache();
+        }
+        return summary;
+    }
+
+    if (!cliCommand) {
+        setInterval(() => {
+            if (config.validateLinkCache === false) return;
+            validateLinkCache().catch(error => {
+                writeLog('warn', 'LinkCache', 'Background link check failed', { error: error.message });
+            });
+        }, LINK_CACHE_VALIDATION_INTERVAL_MS);
+    }
+
+    ipcMain.handle('get-link-cache-entries', () => {
+        const now = Date.now();
+        const entries = Object.entries(linkCache)
+            .map(([key, entry]) => ({ key, ...entry, expired: isLinkCacheEntryExpired(entry, now) }))
+            .sort((a, b) => b.createdAt - a.createdAt);
+        return { entries, ttlDays: getLinkCacheTtlMs() / (24 * 60 * 60 * 1000) };
+    });
+
+    ipcMain.handle('update-link-cache-entry', (event, key, changes = {}) => {
+        const entry = linkCache[key];
+        if (!entry) return { success: false, error: 'That cache entry no longer exists.' };
+
+        if (typeof changes.url === 'string' && changes.url.trim() !== entry.url) {
+            const url = changes.url.trim();
+            if (!/^https?:\/\//i.test(url)) return { success: false, error: 'Links must start with http:// or https://.' };
+            Object.assign(entry, { url, source: 'manual', durationMs: null, manual: true, createdAt: Date.now(), checkedAt: null, dead: false });
+        }
+        if (typeof changes.pinned === 'boolean') {
+            entry.pinned = changes.pinned;
+        }
+        saveCache();
+        return { success: true, entry: { key, ...entry, expired: isLinkCacheEntryExpired(entry) } };
+    });
+
+    ipcMain.handle('delete-link-cache-entry', (event, key) => {
+        if (!linkCache[key]) return { success: false, error: 'That cache entry no longer exists.' };
+        delete linkCache[key];
+        saveCache();
+        return { success: true };
+    });
+
+    ipcMain.handle('check-link-cache', async () => {
+        if (isDownloadBatchRunning()) return { success: false, error: 'Wait for the current download to finish.' };
+        if (isLinkCacheValidationRunning) return { success: false, error: 'A link check is already running.' };
+        try {
+            const summary = await validateLinkCache({
+                limit: LINK_CACHE_MANUAL_CHECK_LIMIT,
+                onProgress: (checkedCount, totalCount) => {
+                    if (mainWindow && !mainWindow.isDestroyed()) {
+                        mainWindow.webContents.send('link-cache-check-progress', { checkedCount, totalCount });
+                    }
+                },
+            });
+            return { success: true, ...summary };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.on('cancel-link-cache-check', () => {
+        if (isLinkCacheValidationRunning) isLinkCacheValidationCancelled = true;
+    });
+
+    ipcMain.handle('export-link-cache', async () => {
+        try {
+            const result = await dialog.showSaveDialog(mainWindow, {
+                title: 'Export Link Cache',
+                defaultPath: path.join(app.getPath('documents'), 'soundlink-link-cache.json'),
+                filters: [{ name: 'JSON', extensions: ['json'] }],
+            });
+            if (result.canceled || !result.filePath) return { success: false, cancelled: true };
+
+            removeExpiredLinkCacheEntries();
+            saveCache();
+            const payload = { format: LINK_CACHE_EXPORT_FORMAT, version: 1, exportedAt: new Date().toISOString(), entries: linkCache };
+            await fs.promises.writeFile(result.filePath, JSON.stringify(payload, null, 4));
+            return { success: true, count: Object.keys(linkCache).length, filePath: result.filePath };
+        } catch (error) {
+            writeLog('error', 'LinkCache', 'Failed to export link cache', { error: error.message });
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Accepts exports from this dialog as well as a raw link_cache.json copied from another machine.
+    // Local pinned entries win over imported ones that point somewhere else.
+    ipcMain.handle('import-link-cache', async () => {
+        try {
+            const result = await dialog.showOpenDialog(mainWindow, {
+                title: 'Import Link Cache',
+                properties: ['openFile'],
+                filters: [{ name: 'JSON', extensions: ['json'] }],
+            });
+            if (result.canceled || result.filePaths.length === 0) return { success: false, cancelled: true };
+
+            const parsed = JSON.parse(await fs.promises.readFile(result.filePaths[0], 'utf-8'));
+            const importedEntries = parsed?.format === LINK_CACHE_EXPORT_FORMAT ? parsed.entries : parsed;
+            if (!importedEntries || typeof importedEntries !== 'object' || Array.isArray(importedEntries)) {
+                return { success: false, error: 'This file is not a SoundLink link cache export.' };
+            }
+
+            const summary = { addedCount: 0, updatedCount: 0, skippedCount: 0 };
+            for (const [rawKey, value] of Object.entries(importedEntries)) {
+                const key = rawKey.trim().toLowerCase();
+                const incoming = normalizeLinkCacheEntry(value);
+                const existing = linkCache[key];
+                if (!key || !incoming) {
+                    summary.skippedCount++;
+                } else if (!existing) {
+                    linkCache[key] = incoming;
+                    summary.addedCount++;
+                } else if (existing.pinned && existing.url !== incoming.url) {
+                    summary.skippedCount++;
+                } else {
+                    linkCache[key] = { ...incoming, pinned: existing.pinned || incoming.pinned };
+                    summary.updatedCount++;
+                }
+            }
+            saveCache();
+            return { success: true, ...summary };
+        } catch (error) {
+            writeLog('error', 'LinkCache', 'Failed to import link cache', { error: error.message });
+            return { success: false, error: error.message };
+        }
+    });
+
+    // --- WATCHED PLAYLISTS ---
+
+    const WATCHED_PLAYLIST_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+    const WATCHABLE_SPOTIFY_LINK_REGEX = /spotify\.com\/(?:intl-[a-z-]+\/)?(playlist|album|artist)\/([a-zA-Z0-9]+)/;
+    let isWatchedPlaylistSyncRunning = false;
+
+    // Spotify track URLs survive renames and re-uploads of the same recording; ISRC or
+    // name/artist cover tracks that have neither.
+    function getWatchedTrackKey(track) {
+        const metadata = track.metadata || {};
+        if (metadata.spotifyUrl) return metadata.spotifyUrl;
+        if (metadata.isrc) return `isrc:${metadata.isrc.toUpperCase()}`;
+        return `name:${normalizeMatchText(track.name)}|${normalizeMatchText(track.artist)}`;
+    }
+
+    function getWatchedPlaylistInfo(watch) {
+        const { knownTracks, ...info } = watch;
+        return { ...info, trackCount: Object.keys(knownTracks || {}).length };
+    }
+
+    function sendWatchedPlaylistsUpdate() {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('watched-playlists-updated', watchedPlaylists.map(getWatchedPlaylistInfo));
+        }
+    }
+
+    function showWatchedPlaylistSyncNotification(watch, sync) {
+        if (cliCommand || !Notification.isSupported()) return;
+        const label = watch.name || watch.folderName || 'watched playlist';
+        let body;
+        if (sync.status === 'failed') {
+            body = sync.error;
+        } else {
+            const parts = [];
+            if (sync.addedCount > 0) parts.push(`${sync.addedCount} new`);
+            if (sync.removedCount > 0) parts.push(`${sync.removedCount} removed upstream${sync.trashedCount > 0 ? ` (${sync.trashedCount} moved to trash)` : ''}`);
+            if (sync.failedCount > 0) parts.push(`${sync.failedCount} failed`);
+            body = parts.length > 0 ? `${parts.join(', ')}.` : 'No changes.';
+        }
+        new Notification({
+            title: sync.status === 'failed' ? `Could not sync "${label}"` : `Synced "${label}"`,
+            body,
+            icon: trayIconPath,
+        }).show();
+    }
+
+    // Downloads tracks added upstream since the last sync into the linked folder. Tracks
+    // already sitting in that folder are adopted instead of downloaded again.
+    async function syncWatchedPlaylist(watch) {
+        const sync = { status: 'completed', addedCount: 0, removedCount: 0, trashedCount: 0, failedCount: 0, error: null };
+        writeLog('info', 'WatchedPlaylists', 'Syncing watched playlist', { id: watch.id, link: watch.link });
+
+        try {
+            if (isDownloadBatchRunning()) throw new Error('A download is already running.');
+            const playlistsPath = config.playlistsFolderPath;
+            if (!playlistsPath || !fs.existsSync(playlistsPath)) {
+                throw new Error('Playlists folder is not set or does not exist. Please set it in Settings.');
+            }
+
+            // Watches made before the mode was stored keep whatever mode they have been syncing with.
+            if (watch.type === 'artist' && !ARTIST_LINK_MODES.includes(watch.artistMode)) {
+                watch.artistMode = config.artistLinkMode || 'top-tracks';
+            }
+            await refreshSpotifyToken();
+            const { tracks, playlistName, error } = await getSpotifyTracks(watch.link, { artistMode: watch.artistMode });
+            if (error) throw new Error(error);
+            if (playlistName) watch.name = playlistName;
+            if (!watch.folderName) watch.folderName = sanitizeFilename(playlistName || 'Watched Playlist');
+            const folderPath = path.join(playlistsPath, watch.folderName);
+
+            const remoteTracks = new Map(tracks.map(track => [getWatchedTrackKey(track), track]));
+            // Top tracks rotate every week; a track leaving the list was not removed from Spotify.
+            const isTopTracksWatch = watch.type === 'artist' && watch.artistMode === 'top-tracks';
+            for (const [key, known] of Object.entries(watch.knownTracks)) {
+                if (isTopTracksWatch || remoteTracks.has(key)) continue;
+                sync.removedCount++;
+                if (watch.removeMissing && known.filePath && fs.existsSync(known.filePath)) {
+                    try {
+                        await moveToUndoTrash(known.filePath);
+                        sync.trashedCount++;
+                    } catch (trashError) {
+                        // Kept as known so the next sync tries again.
+                        writeLog('warn', 'WatchedPlaylists', 'Failed to move removed track to the undo trash', { filePath: known.filePath, error: trashError.message });
+                        continue;
+                    }
+                }
+                delete watch.knownTracks[key];
+            }
+
+            const newTracks = [...remoteTracks].filter(([key]) => !watch.knownTracks[key]);
+            const folderEntries = newTracks.length > 0
+                ? (await getLibraryTrackEntriesForMatching()).filter(entry => isPathInside(entry.path, folderPath))
+                : [];
+            const pendingItems = [];
+            for (const [key, track] of newTracks) {
+                const item = {
+                    type: 'search',
+                    query: `${track.name} ${track.artist}`,
+                    name: track.name,
+                    metadata: track.metadata,
+                    durationMs: track.durationMs,
+                    playlistName: watch.folderName,
+                    watchedTrackKey: key,
+                };
+                const existing = findLibraryDuplicate(item, folderEntries);
+                if (existing) {
+                    watch.knownTracks[key] = { name: track.name, artist: track.artist, filePath: existing.path };
+                } else {
+                    pendingItems.push(item);
+                }
+            }
+
+            if (pendingItems.length > 0) {
+                let finishedBatch = null;
+                mainWindow.webContents.send('download-started-externally', {
+                    linkCount: pendingItems.length,
+                    source: `watched playlist "${watch.name || watch.folderName}"`,
+                });
+                // Copies tracks found elsewhere in the library so the watched folder stays complete.
+                await runDownloadBatch({
+                    presetItems: pendingItems,
+                    playlistName: watch.folderName,
+                    duplicateHandling: 'copy',
+                    afterDownloads: async (batch) => {
+                        finishedBatch = batch;
+                        try {
+                            const { movedPaths } = moveLastDownloadsToPlaylists(playlistsPath);
+                            for (const item of batch.items) {
+                                if (movedPaths.has(item.filePath)) item.filePath = movedPaths.get(item.filePath);
+                            }
+                        } catch (moveError) {
+                            writeLog('error', 'WatchedPlaylists', 'Failed to move synced tracks into their folder', { folderPath, error: moveError.message });
+                            sync.error = `Downloaded tracks could not be moved to "${watch.folderName}": ${moveError.message}`;
+                        }
+                    },
+                });
+                if (!finishedBatch) {
+                    throw new Error('The sync download was cancelled or did not finish.');
+                }
+
+                for (const item of finishedBatch.items) {
+                    if (item.phase === 'completed' && item.filePath) {
+                        watch.knownTracks[item.watchedTrackKey] = { name: item.name, artist: (item.metadata?.artists || []).join(', '), filePath: item.filePath };
+                        sync.addedCount++;
+                    } else {
+                        sync.failedCount++;
+                    }
+                }
+            }
+        } catch (error) {
+            sync.status = 'failed';
+            sync.error = error.message;
+            writeLog('warn', 'WatchedPlaylists', 'Watched playlist sync failed', { id: watch.id, error: error.message });
+        }
+
+        watch.lastSyncedAt = new Date().toISOString();
+        watch.lastSync = sync;
+        saveWatchedPlaylists();
+        sendWatchedPlaylistsUpdate();
+        showWatchedPlaylistSyncNotification(watch, sync);
+        return sync;
+    }
+
+    // Syncs run one after another since each one needs the download queue to itself.
+    async function syncWatchedPlaylists(watches) {
+        if (isWatchedPlaylistSyncRunning) return { success: false, error: 'Watched playlists are already syncing.' };
+        if (isDownloadBatchRunning()) return { success: false, error: 'A download is already running.' };
+        isWatchedPlaylistSyncRunning = true;
+
+        try {
+            const results = [];
+            for (const watch of watches) {
+                if (isDownloadBatchRunning()) break;
+                results.push({ id: watch.id, ...await syncWatchedPlaylist(watch) });
+            }
+            return { success: true, results };
+        } finally {
+            isWatchedPlaylistSyncRunning = false;
+        }
+    }
+
+    if (!cliCommand) {
+        setInterval(() => {
+            const intervalHours = Number(config.watchedPlaylistSyncHours);
+            if (!(intervalHours > 0) || isDownloadBatchRunning()) return;
+            // A new batch would discard the resumable interrupted batch and the downloads still
+            // waiting for "Create Playlist", so unattended syncs wait until the user has dealt with them.
+            if (hasResumableDownloadBatch() || lastDownloadedFiles.length > 0) return;
+            const dueBefore = Date.now() - intervalHours * 60 * 60 * 1000;
+            const dueWatches = watchedPlaylists.filter(watch => !watch.lastSyncedAt || Date.parse(watch.lastSyncedAt) <= dueBefore);
+            if (dueWatches.length === 0) return;
+            syncWatchedPlaylists(dueWatches).catch(error => {
+                writeLog('warn', 'WatchedPlaylists', 'Scheduled sync failed', { error: error.message });
+            });
+        }, WATCHED_PLAYLIST_CHECK_INTERVAL_MS);
+    }
+
+    ipcMain.handle('get-watched-playlists', () => watchedPlaylists.map(getWatchedPlaylistInfo));
+
+    ipcMain.handle('add-watched-playlist', (event, { link, folderName, removeMissing, artistMode } = {}) => {
+        const match = String(link || '').match(WATCHABLE_SPOTIFY_LINK_REGEX);
+        if (!match) return { success: false, error: 'Enter a Spotify playlist, album or artist link.' };
+        if (watchedPlaylists.some(watch => watch.link.match(WATCHABLE_SPOTIFY_LINK_REGEX)?.[2] === match[2])) {
+            return { success: false, error: 'That link is already watched.' };
+        }
+
+        const watch = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+            link: `https://open.spotify.com/${match[1]}/${match[2]}`,
+            type: match[1],
+            artistMode: match[1] === 'artist'
+                ? (ARTIST_LINK_MODES.includes(artistMode) ? artistMode : (config.artistLinkMode || 'top-tracks'))
+                : null,
+            name: null,
+            folderName: sanitizeFolderName(folderName) || null,
+            removeMissing: Boolean(removeMissing),
+            createdAt: new Date().toISOString(),
+            lastSyncedAt: null,
+            lastSync: null,
+            knownTracks: {},
+        };
+        watchedPlaylists.push(watch);
+        saveWatchedPlaylists();
+        sendWatchedPlaylistsUpdate();
+        return { success: true, watch: getWatchedPlaylistInfo(watch) };
+    });
+
+    ipcMain.handle('update-watched-playlist', (event, id, changes = {}) => {
+        const watch = watchedPlaylists.find(entry => entry.id === id);
+        if (!watch) return { success: false, error: 'That playlist is no longer watched.' };
+        if (typeof changes.removeMissing === 'boolean') watch.removeMissing = changes.removeMissing;
+        saveWatchedPlaylists();
+        sendWatchedPlaylistsUpdate();
+        return { success: true };
+    });
+
+    // Stops watching; files that were already synced stay in the folder.
+    ipcMain.handle('remove-watched-playlist', (event, id) => {
+        watchedPlaylists = watchedPlaylists.filter(watch => watch.id !== id);
+        saveWatchedPlaylists();
+        sendWatchedPlaylistsUpdate();
+        return { success: true };
+    });
+
+    ipcMain.handle('sync-watched-playlists', async (event, id = null, { discardLastDownloads = false } = {}) => {
+        const watches = id ? watchedPlaylists.filter(watch => watch.id === id) : [...watchedPlaylists];
+        if (watches.length === 0) return { success: false, error: 'There are no watched playlists to sync.' };
+        if (isDownloadBatchRunning()) return { success: false, error: 'A download is already running.' };
+        if (hasResumableDownloadBatch()) {
+            return { success: false, error: 'Resume or discard the interrupted download batch before syncing.' };
+        }
+        // Starting the sync batch forgets the downloads waiting for "Create Playlist", so the user has to agree first.
+        if (lastDownloadedFiles.length > 0 && !discardLastDownloads) {
+            return { success: false, unsavedDownloads: true, error: 'The last downloads have not been made into a playlist yet.' };
+        }
+        return syncWatchedPlaylists(watches);
     });
 
     async function refreshSpotifyToken() {
@@ -2272,8 +4494,110 @@ app.whenReady().then(() => {
         }
     }
 
-    async function getSpotifyTracks(link) {
-        const regex = /spotify\.com\/(playlist|album|track)\/([a-zA-Z0-9]+)/;
+    async function getSpotifyAlbumTracks(album) {
+        const tracks = [];
+        let offset = 0;
+        const total = album.tracks.total;
+        while (offset < total) {
+            const data = await spotifyApi.getAlbumTracks(album.id, { offset, limit: 50 });
+            tracks.push(...data.body.items.map(track => ({
+                id: track.id,
+                name: track.name,
+                artist: track.artists.map(a => a.name).join(', '),
+                durationMs: track.duration_ms,
+                metadata: buildSpotifyTrackMetadata(track, album),
+            })));
+            offset += 50;
+        }
+
+        // Album track listings are simplified objects without external IDs, so ISRCs need a second lookup.
+        try {
+            const trackIds = tracks.map(track => track.id).filter(Boolean);
+            for (let start = 0; start < trackIds.length; start += 50) {
+                const data = await spotifyApi.getTracks(trackIds.slice(start, start + 50));
+                for (const fullTrack of data.body.tracks || []) {
+                    const match = fullTrack && tracks.find(track => track.id === fullTrack.id);
+                    if (match) match.metadata.isrc = fullTrack.external_ids?.isrc || '';
+                }
+            }
+        } catch (isrcError) {
+            writeLog('warn', 'Spotify', 'Failed to fetch ISRCs for album tracks', { albumId: album.id, error: isrcError.message });
+        }
+
+        return tracks;
+    }
+
+    async function getSpotifyArtistTracks(artistId, { mode = 'top-tracks', grouping = 'album', reportProgress = true } = {}) {
+        const artistData = await spotifyApi.getArtist(artistId);
+        const artistName = artistData.body.name;
+        const getPlaylistName = (albumName) => (grouping === 'artist' ? artistName : `${artistName} - ${albumName}`);
+
+        if (mode === 'top-tracks') {
+            const data = await spotifyApi.getArtistTopTracks(artistId, getSpotifyMarket());
+            const tracks = data.body.tracks.map(track => ({
+                name: track.name,
+                artist: track.artists.map(a => a.name).join(', '),
+                durationMs: track.duration_ms,
+                metadata: buildSpotifyTrackMetadata(track, track.album),
+                playlistName: getPlaylistName(track.album.name),
+            }));
+            return { tracks, artistName };
+        }
+
+        // 'appears_on' is never requested: those releases belong to other artists.
+        const includeGroups = {
+            albums: 'album',
+            'albums-singles': 'album,single',
+            all: 'album,single,compilation',
+        }[mode] || 'album';
+
+        const releases = [];
+        let offset = 0;
+        let total = 1;
+        while (offset < total) {
+            const data = await spotifyApi.getArtistAlbums(artistId, { include_groups: includeGroups, limit: 50, offset });
+            releases.push(...data.body.items.filter(Boolean));
+            total = data.body.total;
+            offset += 50;
+        }
+
+        // Spotify lists regional and explicit/clean editions as separate releases.
+        const groupOrder = ['album', 'single', 'compilation'];
+        const seenReleaseKeys = new Set();
+        const uniqueReleases = releases
+            .sort((a, b) => groupOrder.indexOf(a.album_group || a.album_type) - groupOrder.indexOf(b.album_group || b.album_type))
+            .filter(release => {
+                const releaseKey = `${normalizeMatchText(release.name)}|${release.total_tracks}`;
+                if (seenReleaseKeys.has(releaseKey)) return false;
+                seenReleaseKeys.add(releaseKey);
+                return true;
+            });
+
+        // Singles usually reappear on the album, so keep each recording once, preferring the album release.
+        const tracks = [];
+        const seenTrackKeys = new Set();
+        for (let start = 0; start < uniqueReleases.length; start += 20) {
+            const data = await spotifyApi.getAlbums(uniqueReleases.slice(start, start + 20).map(release => release.id));
+            for (const album of data.body.albums.filter(Boolean)) {
+                if (isDownloadCancelled) return { tracks, artistName };
+                if (reportProgress) mainWindow.webContents.send('update-status', `💿 Reading ${album.album_type}: ${album.name}`);
+                for (const track of await getSpotifyAlbumTracks(album)) {
+                    const trackKeys = [
+                        track.metadata.isrc ? `isrc:${track.metadata.isrc.toUpperCase()}` : null,
+                        `name:${normalizeMatchText(track.name)}|${Math.round(track.durationMs / 2000)}`,
+                    ].filter(Boolean);
+                    if (trackKeys.some(key => seenTrackKeys.has(key))) continue;
+                    trackKeys.forEach(key => seenTrackKeys.add(key));
+                    tracks.push({ ...track, playlistName: getPlaylistName(album.name) });
+                }
+            }
+        }
+
+        return { tracks, artistName };
+    }
+
+    async function getSpotifyTracks(link, { artistMode, artistGrouping } = {}) {
+        const regex = /spotify\.com\/(?:intl-[a-z-]+\/)?(playlist|album|track|artist)\/([a-zA-Z0-9]+)/;
         const match = link.match(regex);
         if (!match) return { error: 'Invalid Spotify link' };
 
@@ -2297,6 +4621,7 @@ app.whenReady().then(() => {
                             name: track.name,
                             artist: track.artists.map(a => a.name).join(', '),
                             durationMs: track.duration_ms,
+                            metadata: buildSpotifyTrackMetadata(track, track.album),
                         };
                     }));
                     offset += 100;
@@ -2304,22 +4629,13 @@ app.whenReady().then(() => {
             } else if (type === 'album') {
                 const albumData = await spotifyApi.getAlbum(id);
                 playlistName = albumData.body.name;
-                const albumInfo = {
-                    album: albumData.body.name,
-                    year: albumData.body.release_date ? albumData.body.release_date.substring(0, 4) : '',
-                    artworkUrl: albumData.body.images.length > 0 ? albumData.body.images[0].url : null
-                };
-                let offset = 0;
-                let total = albumData.body.tracks.total;
-                while (offset < total) {
-                    const data = await spotifyApi.getAlbumTracks(id, { offset, limit: 50 });
-                    tracks.push(...data.body.items.map(track => ({
-                        name: track.name,
-                        artist: track.artists.map(a => a.name).join(', '),
-                        durationMs: track.duration_ms,
-                    })));
-                    offset += 50;
-                }
+                tracks = await getSpotifyAlbumTracks(albumData.body);
+            } else if (type === 'artist') {
+                const mode = ARTIST_LINK_MODES.includes(artistMode) ? artistMode : (config.artistLinkMode || 'top-tracks');
+                const grouping = ARTIST_LINK_GROUPINGS.includes(artistGrouping) ? artistGrouping : (config.artistLinkGrouping || 'album');
+                const artistResult = await getSpotifyArtistTracks(id, { mode, grouping });
+                playlistName = artistResult.artistName;
+                tracks = artistResult.tracks;
             } else if (type === 'track') {
                 const data = await spotifyApi.getTrack(id);
                 const track = data.body;
@@ -2327,6 +4643,7 @@ app.whenReady().then(() => {
                     name: track.name,
                     artist: track.artists.map(a => a.name).join(', '),
                     durationMs: track.duration_ms,
+                    metadata: buildSpotifyTrackMetadata(track, track.album),
                 });
             }
             return { tracks: tracks.filter(Boolean), playlistName };
@@ -2344,25 +4661,131 @@ app.whenReady().then(() => {
         return name.replace(/[<>:"/\\|?*]/g, '_').replace(/\s+/g, ' ').trim();
     }
 
-    function runYtdlp(args) {
+    // A name made only of dots would point at the playlists folder itself or its parent.
+    function sanitizeFolderName(name) {
+        const folderName = sanitizeFilename(String(name || ''));
+        return /^\.*$/.test(folderName) ? '' : folderName;
+    }
+
+    function getFilenameTemplateValues(item) {
+        const metadata = item.metadata || {};
+        return {
+            index: (item.index + 1).toString().padStart(3, '0'),
+            title: item.trackName || metadata.title || item.name || '',
+            artist: (metadata.artists || []).join(', '),
+            album: metadata.album || '',
+            year: metadata.year || '',
+            track: Number.isFinite(metadata.trackNumber) ? metadata.trackNumber.toString().padStart(2, '0') : '',
+            source: item.linkSource || '',
+            playlist: item.playlistName || lastPlaylistName || '',
+        };
+    }
+
+    // Values are sanitized before they are substituted, so only the template's own slashes make
+    // folders. Separators left dangling by empty tokens are trimmed and empty folders are dropped.
+    function renderFilenameTemplate(template, values) {
+        const segments = String(template || DEFAULT_FILENAME_TEMPLATE)
+            .split(/[\\/]+/)
+            .map((segment) => {
+                const filled = segment.replace(/\{(\w+)\}/g, (token, name) => (
+                    Object.prototype.hasOwnProperty.call(values, name) ? sanitizeFilename(String(values[name])) : token
+                ));
+                return sanitizeFilename(filled.replace(/(\s+-)+\s+/g, ' - ')).replace(/^[\s.\-_]+|[\s.\-_]+$/g, '');
+            })
+            .filter(Boolean);
+        return segments.length > 0 ? path.join(...segments) : `${values.index} - ${sanitizeFilename(values.title)}`;
+    }
+
+    // Tracks with the same name (another track in the batch, or a file already on disk) get a
+    // numbered suffix instead of overwriting each other.
+    function getDownloadOutputBasePath(item, batchItems = []) {
+        const basePath = path.join(downloadsDir, renderFilenameTemplate(config.filenameTemplate, getFilenameTemplateValues(item)));
+        const isTaken = (candidate) => {
+            if (candidate === item.outputBasePath) return false;
+            if (batchItems.some(other => other !== item && other.outputBasePath === candidate)) return true;
+            try {
+                const prefix = `${path.basename(candidate)}.`;
+                return fs.readdirSync(path.dirname(candidate)).some(fileName => fileName.startsWith(prefix));
+            } catch {
+                return false;
+            }
+        };
+
+        let candidate = basePath;
+        let duplicateCounter = 2;
+        while (isTaken(candidate)) {
+            candidate = `${basePath} (${duplicateCounter})`;
+            duplicateCounter += 1;
+        }
+        return candidate;
+    }
+
+    ipcMain.handle('preview-filename-template', (event, template) => {
+        const sample = {
+            index: 6,
+            trackName: 'Harder, Better, Faster, Stronger',
+            linkSource: 'youtube',
+            playlistName: 'Road Trip',
+            metadata: { artists: ['Daft Punk'], album: 'Discovery', year: '2001', trackNumber: 4 },
+        };
+        return path.join(downloadsDir, renderFilenameTemplate(template, getFilenameTemplateValues(sample)));
+    });
+
+    async function waitForRetryDelay(delayMs, isCancelled) {
+        const deadline = Date.now() + delayMs;
+        while (Date.now() < deadline && !isCancelled()) {
+            await new Promise(resolve => setTimeout(resolve, Math.min(500, deadline - Date.now())));
+        }
+    }
+
+    // Runs a yt-dlp task and retries it while its classified error has a retry policy left.
+    async function withYtdlpRetries(task, { label, isCancelled = () => isDownloadCancelled } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await task();
+            } catch (error) {
+                const policy = error.category ? getYtdlpErrorCategory(error.category).retry : null;
+                if (!policy || attempt >= policy.maxRetries || isCancelled()) throw error;
+
+                const delayMs = getYtdlpRetryDelayMs(policy, attempt);
+                writeLog('warn', 'YTDLP', 'Retrying after a recoverable yt-dlp error', { label, category: error.category, attempt: attempt + 1, delayMs });
+                mainWindow.webContents.send('update-status', `⏳ ${error.explanation} Retrying ${label} in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt + 2} of ${policy.maxRetries + 1})...`);
+                await waitForRetryDelay(delayMs, isCancelled);
+                if (isCancelled()) throw error;
+            }
+        }
+    }
+
+    // `itemIndex` ties the process to a batch item so cancelling that item kills it.
+    function runYtdlp(args, { retry = true, itemIndex = null } = {}) {
+        if (!retry) return runYtdlpOnce(args, itemIndex);
+        return withYtdlpRetries(() => runYtdlpOnce(args, itemIndex), { label: 'the yt-dlp request' });
+    }
+
+    function runYtdlpOnce(args, itemIndex = null) {
         return new Promise((resolve, reject) => {
             if (isDownloadCancelled) return reject(new Error('Operation cancelled'));
             const ytdlpInstance = getNextYtdlpInstance();
             if (!ytdlpInstance) return reject(new Error('No yt-dlp executable found.'));
             const proc = spawn(ytdlpInstance.executablePath, [...getYtdlpCommonArgs(ytdlpInstance), ...args], { cwd: ytdlpInstance.rootPath });
             activeProcesses.add(proc);
+            if (itemIndex !== null) trackDownloadItemProcess(itemIndex, proc);
             let stdout = '', stderr = '';
 
             proc.stdout.on('data', (data) => { stdout += data.toString(); });
             proc.stderr.on('data', (data) => { stderr += data.toString(); });
-            proc.on('close', (code) => {
+            proc.on('close', (code, signal) => {
                 activeProcesses.delete(proc);
+                if (itemIndex !== null) untrackDownloadItemProcess(itemIndex, proc);
                 if (isDownloadCancelled) return reject(new Error('Operation cancelled'));
+                // Killed by a per-item cancel; rejecting without a category keeps it from being retried.
+                if (signal && itemIndex !== null) return reject(new Error('Track cancelled'));
                 if (code === 0) resolve(stdout);
-                else reject(new Error(`yt-dlp exited with code ${code}: ${stderr}`));
+                else reject(createYtdlpError(`yt-dlp exited with code ${code}: ${stderr}`, stderr));
             });
             proc.on('error', (err) => {
                 activeProcesses.delete(proc);
+                if (itemIndex !== null) untrackDownloadItemProcess(itemIndex, proc);
                 reject(err);
             });
         });
@@ -2375,16 +4798,20 @@ app.whenReady().then(() => {
     }
 
     function parseSearchCandidates(rawOutput) {
+        const cleanField = (value) => (value && value.trim() !== 'NA' ? value.trim() : '');
         return rawOutput
             .split(/\r?\n/)
             .map(line => line.trim())
             .filter(Boolean)
-            .map(line => {
-                const [url = '', durationText = ''] = line.split('\t');
+            .map((line, rank) => {
+                const [url = '', durationText = '', title = '', uploader = ''] = line.split('\t');
                 const parsedDurationSec = Number.parseFloat(durationText);
                 return {
                     url: url.trim(),
                     durationMs: Number.isFinite(parsedDurationSec) ? Math.round(parsedDurationSec * 1000) : null,
+                    title: cleanField(title),
+                    uploader: cleanField(uploader),
+                    rank,
                 };
             })
             .filter(candidate => candidate.url);
@@ -2401,18 +4828,114 @@ app.whenReady().then(() => {
         return Math.abs(candidateDurationMs - expectedDurationMs) <= getDurationToleranceMs();
     }
 
-    async function searchCandidates(providerPrefix, query, expectedDurationMs, maxResults = 5) {
+    function normalizeMatchText(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    function scoreSearchCandidate(candidate, { title, artists, expectedDurationMs }) {
+        const candidateText = ` ${normalizeMatchText(`${candidate.title} ${candidate.uploader}`)} `;
+        const candidateTitleText = ` ${normalizeMatchText(candidate.title)} `;
+        const uploaderText = normalizeMatchText(candidate.uploader);
+        const normalizedTitle = normalizeMatchText(title);
+        const normalizedArtists = artists.map(normalizeMatchText).filter(Boolean);
+        const breakdown = { title: 0, artist: 0, uploader: 0, duration: 0, rank: 0, penalties: 0 };
+        const penaltyTerms = [];
+
+        const titleTokens = normalizedTitle.split(' ').filter(Boolean);
+        if (titleTokens.length > 0) {
+            const matchedTokens = titleTokens.filter(token => candidateTitleText.includes(` ${token} `)).length;
+            breakdown.title = Math.round((matchedTokens / titleTokens.length) * 40);
+        }
+
+        if (normalizedArtists.length > 0) {
+            const matchedArtists = normalizedArtists.filter(artist => candidateText.includes(` ${artist} `)).length;
+            breakdown.artist = Math.round((matchedArtists / normalizedArtists.length) * 25);
+        }
+
+        if (/ - topic$/i.test(candidate.uploader)) {
+            breakdown.uploader = 15;
+        } else if (uploaderText.includes('vevo') || uploaderText.includes('official')) {
+            breakdown.uploader = 10;
+        } else if (uploaderText && normalizedArtists.some(artist => uploaderText.replace(/ /g, '') === artist.replace(/ /g, ''))) {
+            breakdown.uploader = 10;
+        }
+
+        if (!Number.isFinite(expectedDurationMs) || expectedDurationMs <= 0) {
+            breakdown.duration = 10;
+        } else if (Number.isFinite(candidate.durationMs)) {
+            const toleranceMs = Math.max(getDurationToleranceMs(), 1);
+            const differenceMs = Math.abs(candidate.durationMs - expectedDurationMs);
+            breakdown.duration = Math.round(Math.max(0, 1 - (differenceMs / toleranceMs)) * 20);
+        }
+
+        breakdown.rank = Math.max(0, 4 - candidate.rank);
+
+        const paddedTitle = ` ${normalizedTitle} `;
+        for (const { term, penalty } of CANDIDATE_PENALTY_TERMS) {
+            if (candidateTitleText.includes(` ${term} `) && !paddedTitle.includes(` ${term} `)) {
+                breakdown.penalties -= penalty;
+                penaltyTerms.push(term);
+            }
+        }
+
+        const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+        return { ...candidate, score, breakdown, penaltyTerms };
+    }
+
+    function formatCandidateScore({ score, breakdown, penaltyTerms, title, uploader, url }) {
+        const penaltyNote = penaltyTerms.length > 0 ? ` (${penaltyTerms.join(', ')})` : '';
+        return `${score} pts [title ${breakdown.title}, artist ${breakdown.artist}, uploader ${breakdown.uploader}, duration ${breakdown.duration}, rank ${breakdown.rank}, penalties ${breakdown.penalties}${penaltyNote}] ${title || url}${uploader ? ` — ${uploader}` : ''}`;
+    }
+
+    async function fetchSearchCandidates(providerPrefix, query, maxResults = 5, { itemIndex = null } = {}) {
         const rawOutput = await runYtdlp([
             '--flat-playlist',
-            '--print', '%(webpage_url)s\t%(duration)s',
+            '--print', '%(webpage_url)s\t%(duration)s\t%(title)s\t%(channel,uploader|)s',
             `${providerPrefix}${maxResults}:${query}`,
-        ]);
+        ], { itemIndex });
 
-        const candidates = parseSearchCandidates(rawOutput);
-        return candidates.find(candidate => isDurationMatch(candidate.durationMs, expectedDurationMs)) || null;
+        const source = providerPrefix === 'scsearch' ? 'SoundCloud' : 'YouTube';
+        return parseSearchCandidates(rawOutput).map(candidate => ({ ...candidate, source }));
     }
 
-    async function requestManualLink(trackName, query) {
+    async function searchCandidates(providerPrefix, query, target, { maxResults = 5, itemIndex = null } = {}) {
+        const fetchedCandidates = await fetchSearchCandidates(providerPrefix, query, maxResults, { itemIndex });
+        const candidates = fetchedCandidates
+            .filter(candidate => isDurationMatch(candidate.durationMs, target.expectedDurationMs))
+            .map(candidate => scoreSearchCandidate(candidate, target));
+        if (candidates.length === 0) return { bestMatch: null, ranked: [], candidates: fetchedCandidates };
+
+        const ranked = [...candidates].sort((a, b) => b.score - a.score);
+        const bestMatch = ranked[0];
+        const lines = candidates.map(candidate => `${candidate === bestMatch ? '  ✔' : '   '} ${formatCandidateScore(candidate)}`);
+        mainWindow.webContents.send('update-status', `🎯 Candidates for "${target.title}":\n${lines.join('\n')}`);
+        writeLog('debug', 'Matching', 'Scored search candidates', {
+            query,
+            provider: providerPrefix,
+            chosen: bestMatch.url,
+            candidates: candidates.map(({ url, title, uploader, score, breakdown }) => ({ url, title, uploader, score, breakdown })),
+        });
+        return { bestMatch, ranked, candidates: fetchedCandidates };
+    }
+
+    function toManualLinkCandidate(candidate, expectedDurationMs) {
+        const hasDurations = Number.isFinite(candidate.durationMs) && Number.isFinite(expectedDurationMs) && expectedDurationMs > 0;
+        return {
+            url: candidate.url,
+            title: candidate.title,
+            uploader: candidate.uploader,
+            source: candidate.source,
+            durationMs: candidate.durationMs,
+            durationOffsetMs: hasDurations ? candidate.durationMs - expectedDurationMs : null,
+        };
+    }
+
+    async function requestManualLink(trackName, query, { candidates = [], expectedDurationMs = null } = {}) {
         if (config.skipManualLinkPrompt) {
             return null;
         }
@@ -2423,14 +4946,28 @@ app.whenReady().then(() => {
 
         return new Promise((resolve) => {
             const requestId = ++manualLinkRequestCounter;
-            const timeoutHandle = setTimeout(() => {
+            let timeoutHandle = null;
+            const expire = () => {
+                clearTimeout(timeoutHandle);
+                clearTimeout(fallbackHandle);
                 pendingManualLinkRequests.delete(requestId);
+                if (mainWindow && !mainWindow.isDestroyed()) {
+                    mainWindow.webContents.send('manual-link-request-expired', { requestId });
+                }
                 resolve(null);
-            }, 2 * 60 * 1000);
+            };
+            // Backstop for a renderer that reloads or crashes before it shows the picker.
+            const fallbackHandle = setTimeout(expire, 30 * 60 * 1000);
 
             pendingManualLinkRequests.set(requestId, {
+                // The renderer shows one picker at a time, so a request only starts expiring once it is on screen.
+                startTimeout: () => {
+                    if (timeoutHandle) return;
+                    timeoutHandle = setTimeout(expire, 2 * 60 * 1000);
+                },
                 resolve: (response) => {
                     clearTimeout(timeoutHandle);
+                    clearTimeout(fallbackHandle);
                     if (response?.cancelled) {
                         resolve(null);
                         return;
@@ -2444,48 +4981,82 @@ app.whenReady().then(() => {
                 requestId,
                 trackName,
                 query,
+                expectedDurationMs,
+                candidates: candidates.map(candidate => toManualLinkCandidate(candidate, expectedDurationMs)),
             });
         });
     }
 
-    async function resolveTrackLink(query, trackName, expectedDurationMs) {
+    const TRACK_LINK_PROVIDERS = [
+        { prefix: 'ytsearch', source: 'youtube', label: 'YouTube' },
+        { prefix: 'scsearch', source: 'soundcloud', label: 'SoundCloud' },
+    ];
+
+    function createTrackLinkState() {
+        return { candidates: [], tried: [], searched: [], manualCandidates: [] };
+    }
+
+    // Hands out the next link for a track. `linkState` keeps the ranked candidates that were not used yet,
+    // so a failed download can move on to the next one without searching again. Order: cache, remaining
+    // ranked candidates, the next unsearched provider, and finally the manual prompt.
+    async function resolveTrackLink(query, trackName, expectedDurationMs, artists = [], linkState = createTrackLinkState(), { itemIndex = null } = {}) {
         const cacheKey = query.trim().toLowerCase();
-        const cachedLink = linkCache[cacheKey] || linkCache[query];
-        if (cachedLink) {
-            mainWindow.webContents.send('update-status', `⚡ [Cache] Using cached link for: ${trackName}`);
-            return { link: cachedLink, source: 'cache' };
-        }
+        const tried = new Set(linkState.tried);
+        const useLink = (link, source, durationMs = null) => {
+            linkState.tried.push(link);
+            setCachedLink(cacheKey, { url: link, source, durationMs, manual: source === 'manual' });
+            return { link, source };
+        };
 
-        const youtubeMatch = await searchCandidates('ytsearch', query, expectedDurationMs);
-        if (youtubeMatch) {
-            linkCache[cacheKey] = youtubeMatch.url;
+        const cachedKey = getCachedLink(cacheKey) ? cacheKey : query;
+        const cachedEntry = getCachedLink(cachedKey);
+        if (cachedEntry && !tried.has(cachedEntry.url)) {
+            mainWindow.webContents.send('update-status', `⚡ [Cache] Using ${cachedEntry.pinned ? 'pinned' : 'cached'} link for: ${trackName}`);
+            linkState.tried.push(cachedEntry.url);
+            return { link: cachedEntry.url, source: 'cache' };
+        }
+        if (cachedEntry && !cachedEntry.pinned) {
+            // The cached link already failed for this track; don't hand it to the next batch either.
+            delete linkCache[cachedKey];
             saveCache();
-            return { link: youtubeMatch.url, source: 'youtube' };
         }
 
-        mainWindow.webContents.send('update-status', `⚠️ No duration-matching YouTube result for: ${trackName}. Trying SoundCloud...`);
-        const soundCloudMatch = await searchCandidates('scsearch', query, expectedDurationMs);
-        if (soundCloudMatch) {
-            linkCache[cacheKey] = soundCloudMatch.url;
-            saveCache();
-            return { link: soundCloudMatch.url, source: 'soundcloud' };
+        while (linkState.candidates.length > 0) {
+            const candidate = linkState.candidates.shift();
+            if (!tried.has(candidate.url)) return useLink(candidate.url, candidate.source, candidate.durationMs);
+        }
+
+        const matchTarget = { title: trackName, artists, expectedDurationMs };
+        for (const provider of TRACK_LINK_PROVIDERS) {
+            if (linkState.searched.includes(provider.source)) continue;
+            linkState.searched.push(provider.source);
+
+            const search = await searchCandidates(provider.prefix, query, matchTarget, { itemIndex });
+            linkState.manualCandidates.push(...search.candidates);
+            const ranked = search.ranked.filter(candidate => !tried.has(candidate.url));
+            if (ranked.length > 0) {
+                linkState.candidates = ranked.slice(1).map(({ url, durationMs }) => ({ url, durationMs, source: provider.source }));
+                return useLink(ranked[0].url, provider.source, ranked[0].durationMs);
+            }
+            mainWindow.webContents.send('update-status', `⚠️ No usable ${provider.label} result for: ${trackName}.`);
         }
 
-        mainWindow.webContents.send('update-status', `⚠️ No duration-matching SoundCloud result for: ${trackName}.`);
-        const manualLink = await requestManualLink(trackName, query);
+        const manualLink = await requestManualLink(trackName, query, {
+            candidates: linkState.manualCandidates.filter(candidate => !tried.has(candidate.url)),
+            expectedDurationMs,
+        });
         if (manualLink) {
-            linkCache[cacheKey] = manualLink;
-            saveCache();
-            return { link: manualLink, source: 'manual' };
+            return useLink(manualLink, 'manual');
         }
 
         throw new Error('No matching result found in YouTube/SoundCloud and no manual link provided.');
     }
 
     async function getYouTubeLink(query) {
-        if (linkCache[query]) {
+        const cachedEntry = getCachedLink(query);
+        if (cachedEntry) {
             mainWindow.webContents.send('update-status', `[Cache] Found link for: ${query}`);
-            return linkCache[query];
+            return cachedEntry.url;
         }
 
         let videoId = '';
@@ -2503,46 +5074,89 @@ app.whenReady().then(() => {
                 .find(Boolean) || '';
         }
 
-        if (!videoId) throw new Error('No video found for query.');
-        const youtubeLink = `https://www.youtube.com/watch?v=${videoId}`;
-        linkCache[query] = youtubeLink;
-        saveCache();
-        return youtubeLink;
+        if (!videoId) throw new Error('No video found for query.');
+        const youtubeLink = `https://www.youtube.com/watch?v=${videoId}`;
+        setCachedLink(query, { url: youtubeLink, source: 'youtube' });
+        return youtubeLink;
+    }
+
+    function isMediaPlaylistUrl(link) {
+        let url;
+        try {
+            url = new URL(link);
+        } catch {
+            return false;
+        }
+
+        const host = url.hostname.replace(/^(www|m)\./, '');
+        if (host === 'youtube.com' || host === 'music.youtube.com') {
+            // watch?v=...&list=... links point at one video, so only dedicated playlist and album pages expand.
+            return url.pathname === '/playlist' || url.pathname.startsWith('/browse/');
+        }
+        if (host === 'soundcloud.com') {
+            return /^\/[^/]+\/sets\/[^/]+/.test(url.pathname);
+        }
+        return false;
+    }
+
+    async function getMediaPlaylistEntries(link) {
+        const rawOutput = await runYtdlp([
+            '--flat-playlist',
+            '--print', '%(playlist_title|)s\t%(webpage_url,url|)s\t%(title|)s\t%(duration|)s',
+            link,
+        ]);
+
+        let playlistTitle = null;
+        const entries = [];
+        // Lines are split before trimming; an empty playlist title leaves a leading tab that keeps the columns aligned.
+        for (const line of rawOutput.split(/\r?\n/).filter(value => value.trim())) {
+            const [playlistTitleField = '', entryUrl = '', title = '', durationText = ''] = line.split('\t');
+            if (!playlistTitle && playlistTitleField.trim()) playlistTitle = playlistTitleField.trim();
+            if (!entryUrl.trim() || /^\[(private|deleted)/i.test(title.trim())) continue;
+
+            const durationSec = Number.parseFloat(durationText);
+            entries.push({
+                link: entryUrl.trim(),
+                title: title.trim() || null,
+                durationMs: Number.isFinite(durationSec) ? Math.round(durationSec * 1000) : null,
+            });
+        }
+
+        return { playlistTitle, entries };
     }
 
-    async function getYouTubeTitle(link) {
-        const title = await runYtdlp(['--get-title', link]);
+    async function getYouTubeTitle(link, { itemIndex = null } = {}) {
+        const title = await runYtdlp(['--get-title', link], { itemIndex });
         return title.trim();
     }
 
     async function downloadItem(item, index, total, onProgress) {
         const { youtubeLink: link, trackName } = item;
         const sanitizedTrackName = sanitizeFilename(trackName);
-        const numberPrefix = (index + 1).toString().padStart(3, '0');
-        const outputTemplate = path.join(downloadsDir, `${numberPrefix} - ${sanitizedTrackName}.%(ext)s`);
-        const audioFormat = config.fileExtension || 'm4a';
+        const outputBasePath = item.outputBasePath || getDownloadOutputBasePath(item);
+        // A literal "%" would otherwise be read as the start of a yt-dlp template field.
+        const outputTemplate = `${outputBasePath.replace(/%/g, '%%')}.%(ext)s`;
+        // The stream is only remuxed here; quality profiles are applied by transcodeDownloadedAudio.
         const args = [
-            '--extract-audio', 
-            '--audio-format', audioFormat, 
-            '--audio-quality', '0', 
-            '--output', outputTemplate, 
-            '--progress', 
-            '--no-playlist', 
-            '--ffmpeg-location', ytdlpDir, 
+            '--format', 'bestaudio/best',
+            '--extract-audio',
+            '--audio-format', 'best',
+            '--output', outputTemplate,
+            '--progress',
+            '--no-playlist',
+            '--ffmpeg-location', ytdlpDir,
             link
         ];
 
-        if (config.normalizeVolume) {
-            args.push('--ppa', 'ffmpeg:-af loudnorm');
-        }
-
         return new Promise((resolve, reject) => {
-            if (isDownloadCancelled) return reject(new Error('Download cancelled'));
+            if (isDownloadCancelled || item.phase === 'cancelled') return reject(new Error('Download cancelled'));
             const ytdlpInstance = getNextYtdlpInstance();
             if (!ytdlpInstance) return reject(new Error('No yt-dlp executable found.'));
             const proc = spawn(ytdlpInstance.executablePath, [...getYtdlpCommonArgs(ytdlpInstance), ...args], { cwd: ytdlpInstance.rootPath });
             activeProcesses.add(proc);
+            trackDownloadItemProcess(index, proc);
             let finalPath = '';
+            const ytdlpErrorLines = [];
             let stdoutBuffer = '';
             let stderrBuffer = '';
 
@@ -2568,6 +5182,10 @@ app.whenReady().then(() => {
                 const cleanLine = stripAnsi((line || '').trim());
                 if (!cleanLine) return;
 
+                if (cleanLine.startsWith('ERROR:')) {
+                    ytdlpErrorLines.push(cleanLine.replace(/^ERROR:\s*/, ''));
+                }
+
                 const progressData = parseYtdlpProgressLine(cleanLine);
                 if (progressData && onProgress) {
                     onProgress(progressData.progress, progressData.etaMs);
@@ -2580,17 +5198,13 @@ app.whenReady().then(() => {
             };
 
             const findFallbackDownloadedPath = () => {
-                const expectedWithConfiguredExt = path.join(downloadsDir, `${numberPrefix} - ${sanitizedTrackName}.${audioFormat}`);
-                if (fs.existsSync(expectedWithConfiguredExt)) {
-                    return expectedWithConfiguredExt;
-                }
-
                 try {
-                    const expectedPrefix = `${numberPrefix} - ${sanitizedTrackName}.`;
-                    const matchedFile = fs.readdirSync(downloadsDir)
-                        .find(fileName => fileName.startsWith(expectedPrefix));
+                    const outputDir = path.dirname(outputBasePath);
+                    const expectedPrefix = `${path.basename(outputBasePath)}.`;
+                    const matchedFile = fs.readdirSync(outputDir)
+                        .find(fileName => fileName.startsWith(expectedPrefix) && !isPartialDownloadFileName(fileName));
                     if (matchedFile) {
-                        return path.join(downloadsDir, matchedFile);
+                        return path.join(outputDir, matchedFile);
                     }
                 } catch {
                     return '';
@@ -2619,7 +5233,8 @@ app.whenReady().then(() => {
             });
             proc.on('close', async (code) => {
                 activeProcesses.delete(proc);
-                if (isDownloadCancelled) return reject(new Error('Download cancelled'));
+                untrackDownloadItemProcess(index, proc);
+                if (isDownloadCancelled || item.phase === 'cancelled') return reject(new Error('Download cancelled'));
 
                 if (stdoutBuffer) {
                     processOutputLine(stdoutBuffer);
@@ -2636,17 +5251,173 @@ app.whenReady().then(() => {
                     mainWindow.webContents.send('update-status', `✅ [${index + 1}/${total}] Finished: "${sanitizedTrackName}"`);
                     resolve(finalPath);
                 } else {
-                    const errorMsg = `❌ [${index + 1}/${total}] Failed: "${sanitizedTrackName}" (yt-dlp exit code ${code})`;
+                    const errorDetail = ytdlpErrorLines.length > 0 ? `: ${ytdlpErrorLines[ytdlpErrorLines.length - 1]}` : '';
+                    const errorMsg = `❌ [${index + 1}/${total}] Failed: "${sanitizedTrackName}" (yt-dlp exit code ${code})${errorDetail}`;
                     mainWindow.webContents.send('update-status', errorMsg);
-                    reject(new Error(errorMsg));
+                    reject(createYtdlpError(errorMsg, ytdlpErrorLines.join('\n')));
                 }
             });
             proc.on('error', (err) => {
                 activeProcesses.delete(proc);
+                untrackDownloadItemProcess(index, proc);
                 reject(err);
             });
         });
     }
+
+    // --- HEADLESS CLI COMMANDS ---
+    function getExistingPlaylistsPath() {
+        const playlistsPath = config.playlistsFolderPath;
+        if (!playlistsPath || !fs.existsSync(playlistsPath)) {
+            throw new Error('Playlists folder is not set or does not exist. Set it in the app settings first.');
+        }
+        return playlistsPath;
+    }
+
+    async function runCliDownload({ links, options }) {
+        // Overrides are passed to this run only; the config is left untouched.
+        const audioProfileId = options.profile || (options.format ? getAudioProfileIdForExtension(options.format) : null);
+        if (audioProfileId && !getAudioProfiles().some(profile => profile.id === audioProfileId)) {
+            throw new Error(`Unknown audio profile "${audioProfileId}". Available: ${getAudioProfiles().map(profile => profile.id).join(', ')}.`);
+        }
+
+        if (hasResumableDownloadBatch()) {
+            const choice = cliReporter.promptInterruptedBatch(getPendingDownloadBatchSummary());
+            if (choice === 'resume') {
+                await runDownloadBatch({ resumeBatch: pendingDownloadBatch });
+            } else if (choice === 'discard') {
+                await discardPendingDownloadBatch();
+            }
+            if (hasResumableDownloadBatch()) {
+                throw new Error('An interrupted download batch is waiting. Resume or discard it in the app, or run this command in a terminal to choose.');
+            }
+        }
+
+        await runDownloadBatch({
+            linksArray: links,
+            audioProfile: audioProfileId,
+            duplicateHandling: options.duplicates,
+            artistMode: options.artistMode,
+            artistGrouping: options.artistGrouping,
+            downloadThreads: options.threads,
+        });
+
+        const finished = cliReporter.finishedPayload || { success: false };
+        const filesDownloaded = finished.filesDownloaded || 0;
+        const failedCount = cliReporter.queueItems.filter(item => item.phase === 'failed').length;
+        let playlistMessage = null;
+        if (finished.success && filesDownloaded > 0 && (options.playlist || config.autoCreatePlaylist)) {
+            if (typeof options.playlist === 'string') {
+                // An explicit name collects everything, including artist batches that would otherwise split.
+                lastPlaylistName = options.playlist;
+                lastDownloadedFilePlaylists.clear();
+            }
+            playlistMessage = createPlaylistFromLastDownload();
+        }
+
+        const lines = [`Downloaded ${filesDownloaded} track(s)${failedCount > 0 ? `, ${failedCount} failed` : ''}.`];
+        if (playlistMessage) lines.push(playlistMessage);
+        cliReporter.result({ success: Boolean(finished.success), filesDownloaded, failedCount, playlistMessage }, lines);
+        return finished.success && failedCount === 0 && !playlistMessage?.startsWith('Error') ? 0 : 1;
+    }
+
+    async function runCliResolve({ inputs, options }) {
+        const results = [];
+        let spotifyReady = false;
+
+        for (const input of inputs) {
+            let targets = [{ query: input, name: input, durationMs: null, artists: [] }];
+            if (input.includes('spotify.com')) {
+                if (!spotifyReady) {
+                    await refreshSpotifyToken();
+                    spotifyReady = true;
+                }
+                const { tracks, error } = await getSpotifyTracks(input, { artistMode: options.artistMode });
+                if (error) {
+                    results.push({ input, error });
+                    continue;
+                }
+                targets = tracks.map(track => ({
+                    query: `${track.name} ${track.artist}`,
+                    name: track.name,
+                    durationMs: track.durationMs,
+                    artists: track.metadata?.artists || [],
+                }));
+            }
+
+            for (const target of targets) {
+                try {
+                    const { link, source } = await resolveTrackLink(target.query, target.name, target.durationMs, target.artists);
+                    results.push({ input, name: target.name, link, source });
+                } catch (error) {
+                    results.push({ input, name: target.name, error: error.message });
+                }
+            }
+        }
+
+        cliReporter.result({ results }, results.map(result => (result.error
+            ? `✖ ${result.name || result.input}: ${result.error}`
+            : `${result.name} → ${result.link} (${result.source})`)));
+        return results.some(result => result.error) ? 1 : 0;
+    }
+
+    async function runCliPlaylists() {
+        const rows = await listPlaylistsWithTrackCounts(getExistingPlaylistsPath());
+        cliReporter.result({ playlists: rows }, rows.length > 0
+            ? rows.map(row => `${row.name} (${row.trackCount} tracks)`)
+            : ['No playlists found.']);
+        return 0;
+    }
+
+    async function runCliTrimSilence({ playlist, options }) {
+        const summary = await trimLibrarySilence({
+            playlistsPath: getExistingPlaylistsPath(),
+            thresholdDb: resolveSilenceThresholdDb(options.threshold),
+            playlistName: playlist,
+            sendProgress: payload => mainWindow.webContents.send('trim-library-silence-progress', payload),
+        });
+
+        const lines = [`Trimmed ${summary.modifiedCount} of ${summary.scannedCount} track(s).`];
+        summary.failures.forEach(failure => lines.push(`✖ ${failure.path}: ${failure.error}`));
+        cliReporter.result(summary, lines);
+        return summary.failedCount > 0 ? 1 : 0;
+    }
+
+    function runCliCacheClear() {
+        const { clearedCount, keptCount } = clearLinkCache();
+        const keptNote = keptCount > 0 ? ` Kept ${keptCount} pinned link(s).` : '';
+        cliReporter.result({ clearedCount, keptCount }, [`Cleared ${clearedCount} cached link(s).${keptNote}`]);
+        return 0;
+    }
+
+    async function runCliCommand(command) {
+        try {
+            switch (command.name) {
+                case 'download': return await runCliDownload(command);
+                case 'resolve': return await runCliResolve(command);
+                case 'playlists': return await runCliPlaylists();
+                case 'trim-silence': return await runCliTrimSilence(command);
+                case 'cache-clear': return runCliCacheClear();
+                default: throw new Error(`Unknown command: ${command.name}`);
+            }
+        } catch (error) {
+            writeLog('error', 'CLI', 'Command failed', { command: command.name, error: error.message });
+            cliReporter.error(error.message);
+            return 1;
+        }
+    }
+
+    if (!cliCommand) {
+        applyAutomationApiConfig();
+    }
+
+    if (cliCommand) {
+        runCliCommand(cliCommand).then((exitCode) => {
+            saveStats();
+            fs.rmSync(ytdlpThreadInstancesDir, { recursive: true, force: true });
+            app.exit(exitCode);
+        });
+    }
 });
 
 // --- AUTO UPDATER LOGIC ---
@@ -2710,6 +5481,12 @@ process.on('uncaughtException', (error) => {
 app.on('will-quit', () => {
     // Unregister all shortcuts.
     globalShortcut.unregisterAll();
+    stopLibraryWatcher();
+    // Stop in-flight yt-dlp processes; the persisted queue lets the batch resume on next launch.
+    for (const proc of activeProcesses) {
+        try { proc.kill('SIGTERM'); } catch (err) { console.error('Failed to kill process:', err); }
+    }
+    activeProcesses.clear();
 });
 
 app.on('window-all-closed', () => {
@@ -2865,17 +5642,344 @@ async function detectLeadingTrailingSilence(filePath, thresholdDb, minimumSilenc
     };
 }
 
-function getCodecArgsForExtension(filePath) {
-    const extension = path.extname(filePath).toLowerCase();
-    if (extension === '.m4a') return ['-c:a', 'aac', '-b:a', '192k'];
-    if (extension === '.mp3') return ['-c:a', 'libmp3lame', '-q:a', '2'];
-    if (extension === '.wav') return ['-c:a', 'pcm_s16le'];
-    if (extension === '.flac') return ['-c:a', 'flac'];
-    if (extension === '.ogg') return ['-c:a', 'libvorbis', '-q:a', '5'];
-    if (extension === '.webm') return ['-c:a', 'libopus', '-b:a', '160k'];
+function clampInteger(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Custom profiles come from the settings form, so anything an encoder can't take is dropped here.
+function normalizeAudioProfile(rawProfile) {
+    const codec = AUDIO_CODECS[rawProfile?.codec];
+    const id = String(rawProfile?.id || '').trim();
+    const name = String(rawProfile?.name || '').trim();
+    if (!codec || !id || !name || AUDIO_QUALITY_PROFILES.some(profile => profile.id === id)) return null;
+
+    const profile = { id, name, codec: rawProfile.codec, custom: true };
+    const bitrateKbps = Number.parseInt(rawProfile.bitrateKbps, 10);
+    const vbrQuality = Number.parseInt(rawProfile.vbrQuality, 10);
+    if (!codec.lossless) {
+        if (codec.vbrRange && Number.isFinite(vbrQuality) && !Number.isFinite(bitrateKbps)) {
+            profile.vbrQuality = clampInteger(vbrQuality, ...codec.vbrRange);
+        } else {
+            profile.bitrateKbps = clampInteger(Number.isFinite(bitrateKbps) ? bitrateKbps : 192, 32, 512);
+        }
+    }
+    const sampleRate = Number.parseInt(rawProfile.sampleRate, 10);
+    if (sampleRate > 0 && (!codec.sampleRates || codec.sampleRates.includes(sampleRate))) profile.sampleRate = sampleRate;
+    const channels = Number.parseInt(rawProfile.channels, 10);
+    if (channels === 1 || channels === 2) profile.channels = channels;
+    return profile;
+}
+
+function getAudioProfiles() {
+    const customProfiles = (Array.isArray(config.customAudioProfiles) ? config.customAudioProfiles : [])
+        .map(normalizeAudioProfile)
+        .filter(Boolean);
+    return [...AUDIO_QUALITY_PROFILES, ...customProfiles].map(profile => ({
+        ...profile,
+        extension: AUDIO_CODECS[profile.codec]?.extension || null,
+    }));
+}
+
+// Unknown ids (a deleted custom profile, a typo on the command line) fall back to the configured profile.
+function getAudioProfile(profileId = null) {
+    const profiles = getAudioProfiles();
+    return profiles.find(profile => profile.id === profileId)
+        || profiles.find(profile => profile.id === config.audioProfile)
+        || profiles.find(profile => profile.id === DEFAULT_AUDIO_PROFILE_ID);
+}
+
+function getAudioProfileIdForExtension(extension) {
+    return LEGACY_FILE_EXTENSION_PROFILES[String(extension || '').toLowerCase()] || DEFAULT_AUDIO_PROFILE_ID;
+}
+
+function getAudioProfileCodecArgs(profile) {
+    const args = ['-c:a', AUDIO_CODECS[profile.codec].encoder];
+    if (Number.isFinite(profile.bitrateKbps)) args.push('-b:a', `${profile.bitrateKbps}k`);
+    else if (Number.isFinite(profile.vbrQuality)) args.push('-q:a', String(profile.vbrQuality));
+    if (profile.sampleRate) args.push('-ar', String(profile.sampleRate));
+    if (profile.channels) args.push('-ac', String(profile.channels));
+    return args;
+}
+
+// Re-encoding keeps a file's format: the selected profile is used when it writes that format,
+// otherwise the stock settings for the extension.
+function getCodecArgsForFile(filePath, profile = getAudioProfile()) {
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    if (AUDIO_CODECS[profile.codec]?.extension === extension) return getAudioProfileCodecArgs(profile);
+    if (AUDIO_EXTENSION_PROFILES[extension]) return getAudioProfileCodecArgs(AUDIO_EXTENSION_PROFILES[extension]);
     return ['-c:a', 'copy'];
 }
 
+// True when re-encoding `filePath` to `profile` could only lose quality: same codec and container,
+// no higher bitrate than the profile allows, and the sample rate and channels it asks for.
+// Anything ffprobe can't read is re-encoded as before.
+async function isAudioFileInProfileFormat(filePath, profile) {
+    const codec = AUDIO_CODECS[profile.codec];
+    if (!codec || path.extname(filePath).slice(1).toLowerCase() !== codec.extension) return false;
+    // The VBR level a file was encoded with can't be read back, so VBR profiles always encode.
+    if (Number.isFinite(profile.vbrQuality)) return false;
+
+    const result = await runMediaTool(getMediaToolPath('ffprobe'), [
+        '-v', 'error',
+        '-select_streams', 'a:0',
+        '-show_entries', 'stream=codec_name,bit_rate,sample_rate,channels:format=bit_rate',
+        '-of', 'json',
+        filePath,
+    ], { stdinNull: true });
+    if (result.code !== 0) return false;
+
+    let probe;
+    try {
+        probe = JSON.parse(result.stdout || '{}');
+    } catch {
+        return false;
+    }
+    const stream = probe.streams?.[0];
+    if (!stream || stream.codec_name !== codec.streamCodec) return false;
+    if (profile.sampleRate && Number(stream.sample_rate) !== profile.sampleRate) return false;
+    if (profile.channels && Number(stream.channels) !== profile.channels) return false;
+    if (Number.isFinite(profile.bitrateKbps)) {
+        // Opus and Vorbis streams usually only report the container's overall bitrate.
+        const bitrateKbps = Number(stream.bit_rate || probe.format?.bit_rate) / 1000;
+        if (!Number.isFinite(bitrateKbps) || bitrateKbps > profile.bitrateKbps * 1.05) return false;
+    }
+    return true;
+}
+
+// Converts a freshly downloaded stream to the profile's format, replacing the source file.
+// Volume normalization needs a re-encode too, so "original" then re-encodes in the same format.
+async function transcodeDownloadedAudio(filePath, profile, { normalizeVolume = false } = {}) {
+    const codec = AUDIO_CODECS[profile.codec];
+    if (!codec && !normalizeVolume) return filePath;
+
+    const sourceExtension = path.extname(filePath);
+    const baseName = path.basename(filePath, sourceExtension);
+    const outputExtension = codec ? `.${codec.extension}` : sourceExtension;
+    const outputPath = path.join(path.dirname(filePath), `${baseName}${outputExtension}`);
+    const tempOutputPath = path.join(
+        path.dirname(filePath),
+        `${baseName}.encode-${Date.now()}-${Math.random().toString(36).slice(2, 8)}${outputExtension}`
+    );
+
+    const ffmpegArgs = [
+        '-y',
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-i', filePath,
+        '-vn',
+        ...(normalizeVolume ? ['-af', 'loudnorm'] : []),
+        ...(codec ? getAudioProfileCodecArgs(profile) : getCodecArgsForFile(filePath, profile)),
+        tempOutputPath,
+    ];
+
+    const encodeRun = await runMediaTool(getMediaToolPath('ffmpeg'), ffmpegArgs, { stdinNull: true });
+    if (encodeRun.code !== 0 || !fs.existsSync(tempOutputPath)) {
+        // The track counts as failed, so the unconverted download goes too.
+        await fs.promises.rm(tempOutputPath, { force: true });
+        await fs.promises.rm(filePath, { force: true });
+        throw new Error(`ffmpeg encode to ${profile.name} failed (${encodeRun.code}). ${encodeRun.stderr.trim()}`.trim());
+    }
+
+    await fs.promises.rm(filePath, { force: true });
+    await fs.promises.rename(tempOutputPath, outputPath);
+    return outputPath;
+}
+
+// App credentials carry no user account, so `from_token` is not available;
+// artist top tracks use the two-letter country set in settings.
+function getSpotifyMarket() {
+    const market = String(config.spotifyMarket || '').trim().toUpperCase();
+    return /^[A-Z]{2}$/.test(market) ? market : DEFAULT_SPOTIFY_MARKET;
+}
+
+function buildSpotifyTrackMetadata(track, album) {
+    const artists = (track.artists || []).map(artist => artist.name).filter(Boolean);
+    const albumArtists = (album?.artists || []).map(artist => artist.name).filter(Boolean);
+    const releaseDate = album?.release_date || '';
+    return {
+        title: track.name || '',
+        artists,
+        album: album?.name || '',
+        albumArtist: albumArtists.join(', ') || artists[0] || '',
+        trackNumber: Number.isFinite(track.track_number) ? track.track_number : null,
+        trackTotal: Number.isFinite(album?.total_tracks) ? album.total_tracks : null,
+        discNumber: Number.isFinite(track.disc_number) ? track.disc_number : null,
+        year: releaseDate ? releaseDate.substring(0, 4) : '',
+        isrc: track.external_ids?.isrc || '',
+        artworkUrl: album?.images?.length > 0 ? album.images[0].url : null,
+        spotifyUrl: track.external_urls?.spotify || '',
+    };
+}
+
+async function fetchArtwork(artworkUrl) {
+    const response = await axios.get(artworkUrl, { responseType: 'arraybuffer', timeout: 15000 });
+    const buffer = Buffer.from(response.data);
+    const isPng = buffer.length > 4 && buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG';
+    return { buffer, mimeType: isPng ? 'image/png' : 'image/jpeg' };
+}
+
+function escapeFfmetadataValue(value) {
+    return String(value).replace(/[=;#\\\n]/g, match => `\\${match}`);
+}
+
+// Ogg containers cannot carry attached picture streams, so Vorbis comments embed the
+// cover as a base64 FLAC picture block instead.
+function buildFlacPictureBlock({ buffer, mimeType }) {
+    const mimeBuffer = Buffer.from(mimeType, 'ascii');
+    const header = Buffer.alloc(8 + mimeBuffer.length + 4 + 16 + 4);
+    let offset = 0;
+    header.writeUInt32BE(3, offset); offset += 4; // front cover
+    header.writeUInt32BE(mimeBuffer.length, offset); offset += 4;
+    mimeBuffer.copy(header, offset); offset += mimeBuffer.length;
+    header.writeUInt32BE(0, offset); offset += 4; // empty description
+    offset += 16; // width, height, depth and palette size are optional and left at zero
+    header.writeUInt32BE(buffer.length, offset);
+    return Buffer.concat([header, buffer]).toString('base64');
+}
+
+async function embedTrackMetadata(filePath, metadata, artwork = null) {
+    const extension = path.extname(filePath).toLowerCase();
+    const isOggContainer = extension === '.ogg' || extension === '.opus';
+    const supportsAttachedPicture = extension === '.m4a' || extension === '.mp3' || extension === '.flac';
+
+    const tags = {
+        title: metadata.title,
+        artist: (metadata.artists || []).join(', '),
+        album: metadata.album,
+        album_artist: metadata.albumArtist,
+        track: metadata.trackNumber ? (metadata.trackTotal ? `${metadata.trackNumber}/${metadata.trackTotal}` : `${metadata.trackNumber}`) : '',
+        disc: metadata.discNumber ? `${metadata.discNumber}` : '',
+        date: metadata.year,
+        comment: metadata.spotifyUrl ? `Spotify: ${metadata.spotifyUrl}` : '',
+    };
+    // ID3 takes the ISRC as its TSRC frame; m4a files get an iTunes freeform atom once ffmpeg is done.
+    if (metadata.isrc) {
+        if (extension === '.mp3') tags.TSRC = metadata.isrc;
+        else if (extension !== '.m4a') tags.ISRC = metadata.isrc;
+    }
+    if (artwork && isOggContainer) {
+        tags.METADATA_BLOCK_PICTURE = buildFlacPictureBlock(artwork);
+    }
+
+    const tempToken = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const metadataFilePath = path.join(app.getPath('temp'), `soundlink-tags-${tempToken}.txt`);
+    const coverFilePath = path.join(app.getPath('temp'), `soundlink-cover-${tempToken}${artwork?.mimeType === 'image/png' ? '.png' : '.jpg'}`);
+    const tempOutputPath = path.join(
+        path.dirname(filePath),
+        `${path.basename(filePath, path.extname(filePath))}.tags-${tempToken}${path.extname(filePath)}`
+    );
+
+    const metadataLines = Object.entries(tags)
+        .filter(([, value]) => value)
+        .map(([key, value]) => `${key}=${escapeFfmetadataValue(value)}`);
+    await fs.promises.writeFile(metadataFilePath, `;FFMETADATA1\n${metadataLines.join('\n')}\n`, 'utf-8');
+
+    const embedCover = Boolean(artwork) && supportsAttachedPicture;
+    const ffmpegArgs = [
+        '-y',
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-i', filePath,
+        '-f', 'ffmetadata', '-i', metadataFilePath,
+    ];
+    if (embedCover) {
+        await fs.promises.writeFile(coverFilePath, artwork.buffer);
+        ffmpegArgs.push('-i', coverFilePath, '-map', '0:a', '-map', '2:v', '-disposition:v:0', 'attached_pic');
+    } else {
+        ffmpegArgs.push('-map', '0:a');
+    }
+    ffmpegArgs.push('-map_metadata', '1');
+    if (isOggContainer) ffmpegArgs.push('-map_metadata:s:a:0', '1:g');
+    if (extension === '.mp3') ffmpegArgs.push('-id3v2_version', '3');
+    ffmpegArgs.push('-c', 'copy', tempOutputPath);
+
+    try {
+        const tagRun = await runMediaTool(getMediaToolPath('ffmpeg'), ffmpegArgs, { stdinNull: true });
+        if (tagRun.code !== 0 || !fs.existsSync(tempOutputPath)) {
+            throw new Error(`ffmpeg tagging failed (${tagRun.code}). ${tagRun.stderr.trim()}`.trim());
+        }
+        if (metadata.isrc && extension === '.m4a') await writeMp4FreeformTag(tempOutputPath, 'ISRC', metadata.isrc);
+        await fs.promises.rename(tempOutputPath, filePath);
+    } finally {
+        await fs.promises.rm(tempOutputPath, { force: true });
+        await fs.promises.rm(metadataFilePath, { force: true });
+        await fs.promises.rm(coverFilePath, { force: true });
+    }
+}
+
+// Tag editor fields and the ffmpeg metadata keys they are written under.
+const EDITABLE_TRACK_TAG_KEYS = {
+    title: 'title',
+    artist: 'artist',
+    album: 'album',
+    albumArtist: 'album_artist',
+    genre: 'genre',
+    year: 'date',
+    trackNumber: 'track',
+    comment: 'comment',
+};
+
+async function readEditableTrackTags(filePath) {
+    let common = {};
+    try {
+        common = (await mm.parseFile(filePath, { skipCovers: true })).common || {};
+    } catch {
+        common = {};
+    }
+    const comment = Array.isArray(common.comment) ? common.comment[0] : common.comment;
+    return {
+        title: common.title || '',
+        artist: common.artist || '',
+        album: common.album || '',
+        albumArtist: common.albumartist || '',
+        genre: Array.isArray(common.genre) ? common.genre.join(', ') : (common.genre || ''),
+        year: common.year ? String(common.year) : '',
+        trackNumber: common.track?.no ? String(common.track.no) : '',
+        comment: (typeof comment === 'object' ? comment?.text : comment) || '',
+    };
+}
+
+// Only fields present in `tags` change and an empty string clears one. The streams, cover art
+// and other tags are copied untouched, and the original file goes to the undo trash.
+async function writeTrackFileTags(filePath, tags) {
+    const extension = path.extname(filePath).toLowerCase();
+    const isOggContainer = extension === '.ogg' || extension === '.opus';
+    const tempOutputPath = path.join(
+        path.dirname(filePath),
+        `${path.basename(filePath, extension)}.tags-${Date.now()}-${Math.random().toString(36).slice(2, 8)}${extension}`
+    );
+
+    const ffmpegArgs = ['-y', '-hide_banner', '-loglevel', 'error', '-i', filePath, '-map', '0:a', '-map', '0:v?', '-map_metadata', '0'];
+    for (const [field, key] of Object.entries(EDITABLE_TRACK_TAG_KEYS)) {
+        if (typeof tags[field] !== 'string') continue;
+        // Vorbis comments live on the audio stream rather than the container.
+        ffmpegArgs.push(isOggContainer ? '-metadata:s:a:0' : '-metadata', `${key}=${tags[field].trim()}`);
+    }
+    if (extension === '.mp3') ffmpegArgs.push('-id3v2_version', '3');
+    ffmpegArgs.push('-c', 'copy', tempOutputPath);
+
+    let backup = null;
+    try {
+        // ffmpeg drops freeform MP4 atoms when it copies tags, so the ISRC is carried over by hand.
+        const isrc = extension === '.m4a' ? await readMp4FreeformTag(filePath, 'ISRC') : null;
+        const tagRun = await runMediaTool(getMediaToolPath('ffmpeg'), ffmpegArgs, { stdinNull: true });
+        if (tagRun.code !== 0 || !fs.existsSync(tempOutputPath)) {
+            throw new Error(`ffmpeg tagging failed (${tagRun.code}). ${tagRun.stderr.trim()}`.trim());
+        }
+        if (isrc) await writeMp4FreeformTag(tempOutputPath, 'ISRC', isrc);
+        backup = await moveToUndoTrash(filePath);
+        await fs.promises.rename(tempOutputPath, filePath);
+        releaseUndoTrashHold(filePath);
+    } catch (error) {
+        await fs.promises.rm(tempOutputPath, { force: true });
+        if (backup) await restoreFromUndoTrash(backup.trashPath, backup.originalPath);
+        throw error;
+    }
+
+    delete metadataCache[filePath];
+    return backup;
+}
+
 async function trimTrackSilenceInPlace(filePath, thresholdDb) {
     const { trimStartTo, trimEndFrom, hasTrim } = await detectLeadingTrailingSilence(filePath, thresholdDb);
     if (!hasTrim) {
@@ -2903,7 +6007,7 @@ async function trimTrackSilenceInPlace(filePath, thresholdDb) {
         '-to', `${trimEndFrom}`,
         '-i', filePath,
         '-vn',
-        ...getCodecArgsForExtension(filePath),
+        ...getCodecArgsForFile(filePath),
         tempOutputPath,
     ];
 
@@ -2918,6 +6022,7 @@ async function trimTrackSilenceInPlace(filePath, thresholdDb) {
     const backup = await moveToUndoTrash(filePath);
     try {
         await fs.promises.rename(tempOutputPath, filePath);
+        releaseUndoTrashHold(filePath);
     } catch (error) {
         if (fs.existsSync(tempOutputPath)) {
             await fs.promises.rm(tempOutputPath, { force: true });
@@ -2967,12 +6072,69 @@ async function deleteTrimUndoManifest(manifestId) {
     }
 }
 
+function isPartialDownloadFileName(fileName) {
+    return /\.(part|ytdl)$/i.test(fileName)
+        || /\.part-Frag\d+/i.test(fileName)
+        || /\.temp\.[a-z0-9]+$/i.test(fileName)
+        || /\.f\d+\.[a-z0-9]+$/i.test(fileName);
+}
+
+async function removeDownloadBatchPartialFiles(batch) {
+    if (!batch || !Array.isArray(batch.items)) return 0;
+
+    const prefixesByDirectory = new Map();
+    for (const item of batch.items) {
+        if (!item || item.phase === 'completed' || !item.outputBasePath) continue;
+        const directory = path.dirname(item.outputBasePath);
+        if (!prefixesByDirectory.has(directory)) prefixesByDirectory.set(directory, []);
+        prefixesByDirectory.get(directory).push(`${path.basename(item.outputBasePath)}.`);
+    }
+
+    const batchStartedAtMs = Number.isFinite(batch.createdAtMs) ? batch.createdAtMs : Date.parse(batch.createdAt || '') || 0;
+    let removedCount = 0;
+
+    for (const [directory, prefixes] of prefixesByDirectory) {
+        let fileNames = [];
+        try {
+            fileNames = await fs.promises.readdir(directory);
+        } catch {
+            continue;
+        }
+
+        for (const fileName of fileNames) {
+            if (!prefixes.some(prefix => fileName.startsWith(prefix))) continue;
+
+            const filePath = path.join(directory, fileName);
+            const fileStat = await getTrackStatSafe(filePath);
+            if (!fileStat || !fileStat.isFile()) continue;
+
+            // Same-numbered files from older batches can share the prefix, so only touch
+            // yt-dlp intermediates or files created after this batch started.
+            const createdAtMs = fileStat.birthtimeMs || fileStat.ctimeMs || 0;
+            if (!isPartialDownloadFileName(fileName) && createdAtMs < batchStartedAtMs) continue;
+
+            try {
+                await fs.promises.rm(filePath, { force: true });
+                removedCount += 1;
+            } catch (error) {
+                writeLog('warn', 'DownloadQueue', 'Failed to remove partial download file', { filePath, error: error.message });
+            }
+        }
+    }
+
+    return removedCount;
+}
+
 function buildUndoTrashItemPath(targetPath) {
     const itemName = path.basename(targetPath);
     const uniqueId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
     return path.join(undoTrashPath, `${uniqueId}-${itemName}`);
 }
 
+function releaseUndoTrashHold(targetPath) {
+    undoTrashOriginalPaths.delete(targetPath);
+}
+
 async function moveToUndoTrash(targetPath) {
     await ensureUndoTrashExists();
     const trashPath = buildUndoTrashItemPath(targetPath);
@@ -2990,6 +6152,7 @@ async function moveToUndoTrash(targetPath) {
             await fs.promises.unlink(targetPath);
         }
     }
+    undoTrashOriginalPaths.add(targetPath);
     return { trashPath, originalPath: targetPath, itemName: path.basename(targetPath) };
 }
 
@@ -3021,6 +6184,7 @@ async function restoreFromUndoTrash(trashPath, originalPath) {
             await fs.promises.unlink(trashPath);
         }
     }
+    releaseUndoTrashHold(originalPath);
     return { success: true, restoredPath: originalPath };
 }
 
@@ -3040,6 +6204,7 @@ function loadTrackTags() {
 }
 
 function saveTrackTags() {
+    librarySearchCache = null;
     try {
         safeWriteFileSync(trackTagsPath, JSON.stringify(trackTags, null, 4));
     } catch (error) {
@@ -3107,36 +6272,172 @@ function inferTrackSource(filePath, metadata) {
     return 'Unknown';
 }
 
-function formatBytes(bytes) {
-    if (!Number.isFinite(bytes) || bytes < 0) return 'Unknown';
-    if (bytes === 0) return '0 B';
-    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
-    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
-    const value = bytes / (1024 ** exponent);
-    return `${value.toFixed(value >= 100 || exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+function formatBytes(bytes) {
+    if (!Number.isFinite(bytes) || bytes < 0) return 'Unknown';
+    if (bytes === 0) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / (1024 ** exponent);
+    return `${value.toFixed(value >= 100 || exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+function loadMetadataCache() {
+    try {
+        if (fs.existsSync(metadataCachePath)) {
+            const parsed = JSON.parse(fs.readFileSync(metadataCachePath, 'utf-8'));
+            metadataCache = parsed && typeof parsed === 'object' ? parsed : {};
+        } else {
+            metadataCache = {};
+            fs.writeFileSync(metadataCachePath, JSON.stringify(metadataCache, null, 4));
+        }
+    } catch (error) {
+        console.error('Failed to load or create metadata cache file:', error);
+        metadataCache = {};
+    }
+}
+
+function saveMetadataCache() {
+    librarySearchCache = null;
+    try {
+        safeWriteFileSync(metadataCachePath, JSON.stringify(metadataCache, null, 4));
+    } catch (error) {
+        console.error('Failed to save metadata cache file:', error);
+    }
+}
+
+// --- Artwork cache ---
+// Covers are shrunk to JPEG thumbnails in userData. Entries are keyed by the image's source file
+// (a track or a cover image) and, like metadataCache, are only trusted while its mtime and size match.
+const ARTWORK_THUMBNAIL_SIZE = 300;
+const FOLDER_ARTWORK_NAMES = ['cover', 'folder', 'front', 'album', 'albumart'];
+const FOLDER_ARTWORK_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+function loadArtworkCache() {
+    try {
+        if (fs.existsSync(artworkCachePath)) {
+            const parsed = JSON.parse(fs.readFileSync(artworkCachePath, 'utf-8'));
+            artworkCache = parsed && typeof parsed === 'object' ? parsed : {};
+        } else {
+            artworkCache = {};
+        }
+    } catch (error) {
+        console.error('Failed to load artwork cache file:', error);
+        artworkCache = {};
+    }
+}
+
+function saveArtworkCache() {
+    try {
+        safeWriteFileSync(artworkCachePath, JSON.stringify(artworkCache, null, 4));
+    } catch (error) {
+        console.error('Failed to save artwork cache file:', error);
+    }
+}
+
+function getArtworkThumbnailPath(sourcePath) {
+    return path.join(artworkThumbnailsPath, `${crypto.createHash('sha1').update(sourcePath).digest('hex')}.jpg`);
+}
+
+async function writeArtworkThumbnail(imageBuffer, thumbnailPath) {
+    let image = nativeImage.createFromBuffer(imageBuffer);
+    if (image.isEmpty()) return false;
+    const { width, height } = image.getSize();
+    if (Math.max(width, height) > ARTWORK_THUMBNAIL_SIZE) {
+        image = image.resize(width >= height ? { width: ARTWORK_THUMBNAIL_SIZE, quality: 'good' } : { height: ARTWORK_THUMBNAIL_SIZE, quality: 'good' });
+    }
+    await fs.promises.mkdir(artworkThumbnailsPath, { recursive: true });
+    await fs.promises.writeFile(thumbnailPath, image.toJPEG(85));
+    return true;
+}
+
+// `readImage` returns the full-size image buffer for a source, or null when it has none.
+async function getCachedArtwork(sourcePath, readImage) {
+    const sourceStat = await getTrackStatSafe(sourcePath);
+    if (!sourceStat) return { thumbnailPath: null, cacheUpdated: false };
+
+    const thumbnailPath = getArtworkThumbnailPath(sourcePath);
+    const existing = artworkCache[sourcePath];
+    if (existing && existing.mtimeMs === sourceStat.mtimeMs && existing.size === sourceStat.size) {
+        if (!existing.hasArtwork) return { thumbnailPath: null, cacheUpdated: false };
+        if (fs.existsSync(thumbnailPath)) return { thumbnailPath, cacheUpdated: false };
+    }
+
+    let hasArtwork = false;
+    try {
+        const imageBuffer = await readImage(sourcePath);
+        hasArtwork = Boolean(imageBuffer) && await writeArtworkThumbnail(imageBuffer, thumbnailPath);
+    } catch (error) {
+        writeLog('warn', 'Metadata', 'Failed to extract artwork', { sourcePath, error: error.message });
+    }
+    artworkCache[sourcePath] = { mtimeMs: sourceStat.mtimeMs, size: sourceStat.size, hasArtwork };
+    return { thumbnailPath: hasArtwork ? thumbnailPath : null, cacheUpdated: true };
+}
+
+async function readEmbeddedArtwork(filePath) {
+    const parsed = await mm.parseFile(filePath, { duration: false });
+    return mm.selectCover(parsed.common.picture)?.data || null;
 }
 
-function loadMetadataCache() {
+async function findFolderArtworkFile(folderPath) {
+    let fileNames = [];
     try {
-        if (fs.existsSync(metadataCachePath)) {
-            const parsed = JSON.parse(fs.readFileSync(metadataCachePath, 'utf-8'));
-            metadataCache = parsed && typeof parsed === 'object' ? parsed : {};
-        } else {
-            metadataCache = {};
-            fs.writeFileSync(metadataCachePath, JSON.stringify(metadataCache, null, 4));
+        fileNames = await fs.promises.readdir(folderPath);
+    } catch {
+        return null;
+    }
+    const candidates = new Map(fileNames.map(fileName => [fileName.toLowerCase(), fileName]));
+    for (const name of FOLDER_ARTWORK_NAMES) {
+        for (const extension of FOLDER_ARTWORK_EXTENSIONS) {
+            const fileName = candidates.get(`${name}${extension}`);
+            if (fileName) return path.join(folderPath, fileName);
         }
-    } catch (error) {
-        console.error('Failed to load or create metadata cache file:', error);
-        metadataCache = {};
     }
+    return null;
 }
 
-function saveMetadataCache() {
+async function getFolderArtwork(folderPath) {
+    const imagePath = await findFolderArtworkFile(folderPath);
+    if (!imagePath) return { thumbnailPath: null, cacheUpdated: false };
+    return getCachedArtwork(imagePath, sourcePath => fs.promises.readFile(sourcePath));
+}
+
+// The embedded cover wins; tracks without one fall back to the folder's cover image.
+async function getTrackArtwork(filePath) {
+    const embedded = await getCachedArtwork(filePath, readEmbeddedArtwork);
+    if (embedded.thumbnailPath) return embedded;
+    const folder = await getFolderArtwork(path.dirname(filePath));
+    return { thumbnailPath: folder.thumbnailPath, cacheUpdated: embedded.cacheUpdated || folder.cacheUpdated };
+}
+
+// A playlist shows its folder cover, or else the first embedded cover among its first few tracks.
+async function getPlaylistArtwork(playlistPath) {
+    const folder = await getFolderArtwork(playlistPath);
+    if (folder.thumbnailPath) return folder;
+
+    let cacheUpdated = folder.cacheUpdated;
+    let fileNames = [];
     try {
-        safeWriteFileSync(metadataCachePath, JSON.stringify(metadataCache, null, 4));
-    } catch (error) {
-        console.error('Failed to save metadata cache file:', error);
+        fileNames = await fs.promises.readdir(playlistPath);
+    } catch {
+        return { thumbnailPath: null, cacheUpdated };
+    }
+    const trackNames = fileNames
+        .filter(fileName => supportedExtensions.includes(path.extname(fileName).toLowerCase()))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .slice(0, 4);
+    for (const fileName of trackNames) {
+        const embedded = await getCachedArtwork(path.join(playlistPath, fileName), readEmbeddedArtwork);
+        cacheUpdated = cacheUpdated || embedded.cacheUpdated;
+        if (embedded.thumbnailPath) return { thumbnailPath: embedded.thumbnailPath, cacheUpdated };
     }
+    return { thumbnailPath: null, cacheUpdated };
+}
+
+// The mtime query keeps the renderer from showing a stale cached image after a cover changes.
+function getArtworkUrl(thumbnailPath) {
+    if (!thumbnailPath) return null;
+    const thumbnailStat = fs.statSync(thumbnailPath, { throwIfNoEntry: false });
+    return `${pathToFileURL(thumbnailPath).href}?v=${Math.round(thumbnailStat?.mtimeMs || 0)}`;
 }
 
 function loadTrackPlayCounts() {
@@ -3155,6 +6456,7 @@ function loadTrackPlayCounts() {
 }
 
 function saveTrackPlayCounts() {
+    librarySearchCache = null;
     try {
         safeWriteFileSync(trackPlayCountsPath, JSON.stringify(trackPlayCounts, null, 4));
     } catch (error) {
@@ -3163,7 +6465,7 @@ function saveTrackPlayCounts() {
 }
 
 function isSmartPlaylistPath(playlistPath) {
-    return playlistPath === SMART_PLAYLIST_RECENTLY_ADDED || playlistPath === SMART_PLAYLIST_MOST_PLAYED;
+    return Boolean(getSmartPlaylistDefinition(playlistPath));
 }
 
 function isSmartPlaylistsEnabled() {
@@ -3195,6 +6497,7 @@ async function getTrackMetadata(filePath, options = {}) {
                 genre: null,
                 title: path.parse(filePath).name,
                 source: 'Unknown',
+                isrc: null,
             },
             cacheUpdated: false,
             stat: null,
@@ -3220,6 +6523,7 @@ async function getTrackMetadata(filePath, options = {}) {
                 genre: existing.genre || null,
                 title: existing.title || path.parse(filePath).name,
                 source: existing.source || 'Unknown',
+                isrc: existing.isrc || null,
             },
             cacheUpdated: false,
             stat: trackStat,
@@ -3243,6 +6547,9 @@ async function getTrackMetadata(filePath, options = {}) {
         : (parsedMetadata?.common?.genre || null);
     const title = parsedMetadata?.common?.title || path.parse(filePath).name;
     const source = inferTrackSource(filePath, parsedMetadata);
+    const isrc = Array.isArray(parsedMetadata?.common?.isrc)
+        ? (parsedMetadata.common.isrc[0] || null)
+        : (parsedMetadata?.common?.isrc || null);
 
     metadataCache[cacheKey] = {
         mtimeMs: trackStat.mtimeMs,
@@ -3254,6 +6561,7 @@ async function getTrackMetadata(filePath, options = {}) {
         genre,
         title,
         source,
+        isrc,
     };
 
     return {
@@ -3265,6 +6573,7 @@ async function getTrackMetadata(filePath, options = {}) {
             genre,
             title,
             source,
+            isrc,
         },
         cacheUpdated: true,
         stat: trackStat,
@@ -3286,6 +6595,21 @@ async function getPhysicalPlaylists(playlistsPath) {
     });
 }
 
+async function listPlaylistsWithTrackCounts(playlistsPath) {
+    const playlists = await getPhysicalPlaylists(playlistsPath);
+    const rows = [];
+    for (const playlist of playlists) {
+        const files = await fs.promises.readdir(playlist.path);
+        rows.push({
+            name: playlist.name,
+            path: playlist.path,
+            trackCount: files.filter(file => supportedExtensions.includes(path.extname(file).toLowerCase())).length,
+            tags: playlist.tags,
+        });
+    }
+    return rows;
+}
+
 async function getAllTrackEntriesFromLibrary(playlistsPath, options = {}) {
     const useCache = options.useCache !== false;
     const playlists = await getPhysicalPlaylists(playlistsPath);
@@ -3311,6 +6635,13 @@ async function getAllTrackEntriesFromLibrary(playlistsPath, options = {}) {
                 duration: metadataResult.metadata.durationSeconds,
                 tags: getTrackTagsForPath(filePath),
                 artist: metadataResult.metadata.artist,
+                title: metadataResult.metadata.title,
+                album: metadataResult.metadata.album,
+                genre: metadataResult.metadata.genre,
+                source: metadataResult.metadata.source,
+                isrc: metadataResult.metadata.isrc,
+                bitrateKbps: metadataResult.metadata.bitrateKbps,
+                format: ext.slice(1),
                 addedAtMs: stat?.birthtimeMs || stat?.ctimeMs || stat?.mtimeMs || 0,
                 modifiedAtMs: stat?.mtimeMs || 0,
                 playCount: Number.isFinite(trackPlayCounts[filePath]) ? trackPlayCounts[filePath] : 0,
@@ -3321,9 +6652,246 @@ async function getAllTrackEntriesFromLibrary(playlistsPath, options = {}) {
     return { entries, cacheUpdated };
 }
 
+async function getLibraryTrackEntriesForMatching() {
+    const playlistsPath = config.playlistsFolderPath;
+    if (!playlistsPath || !fs.existsSync(playlistsPath)) return [];
+
+    try {
+        const { entries, cacheUpdated } = await getAllTrackEntriesFromLibrary(playlistsPath, { useCache: true });
+        if (cacheUpdated) saveMetadataCache();
+        return entries;
+    } catch (error) {
+        writeLog('warn', 'DownloadQueue', 'Failed to scan library for duplicates', { error: error.message });
+        return [];
+    }
+}
+
+// --- Smart playlists ---
+// A definition is a list of rule groups joined by `match` ('all' or 'any'); each group joins
+// its own rules the same way. The two built-ins are plain definitions that can't be edited.
+const SMART_PLAYLIST_DEFAULT_LIMIT = 200;
+const SMART_PLAYLIST_MAX_LIMIT = 5000;
+const SMART_PLAYLIST_TEXT_FIELDS = {
+    tag: entry => entry.tags || [],
+    artist: entry => [entry.artist],
+    album: entry => [entry.album],
+    genre: entry => [entry.genre],
+    source: entry => [entry.source],
+    format: entry => [entry.format],
+};
+const SMART_PLAYLIST_NUMBER_FIELDS = {
+    duration: entry => entry.duration,
+    plays: entry => entry.playCount,
+    bitrate: entry => entry.bitrateKbps,
+};
+const SMART_PLAYLIST_TEXT_OPERATORS = ['contains', 'notContains', 'is', 'isNot'];
+const SMART_PLAYLIST_NUMBER_OPERATORS = ['greaterThan', 'lessThan', 'equals'];
+const SMART_PLAYLIST_ADDED_OPERATORS = ['inLast', 'notInLast', 'before', 'after'];
+const SMART_PLAYLIST_SORT_FIELDS = {
+    added: entry => entry.addedAtMs,
+    plays: entry => entry.playCount,
+    duration: entry => entry.duration,
+    bitrate: entry => entry.bitrateKbps,
+    title: entry => entry.title || entry.name,
+    artist: entry => entry.artist,
+    album: entry => entry.album,
+};
+const BUILT_IN_SMART_PLAYLISTS = [
+    {
+        id: 'recently-added',
+        path: SMART_PLAYLIST_RECENTLY_ADDED,
+        name: 'Recently Added',
+        builtIn: true,
+        match: 'all',
+        groups: [],
+        sort: { field: 'added', direction: 'desc' },
+        limit: SMART_PLAYLIST_DEFAULT_LIMIT,
+    },
+    {
+        id: 'most-played',
+        path: SMART_PLAYLIST_MOST_PLAYED,
+        name: 'Most Played',
+        builtIn: true,
+        match: 'all',
+        groups: [{ match: 'all', rules: [{ field: 'plays', operator: 'greaterThan', value: 0 }] }],
+        sort: { field: 'plays', direction: 'desc' },
+        limit: SMART_PLAYLIST_DEFAULT_LIMIT,
+    },
+];
+
+function getSmartPlaylistPath(id) {
+    return `${SMART_PLAYLIST_CUSTOM_PREFIX}${id}`;
+}
+
+function normalizeSmartPlaylistRule(rawRule) {
+    const field = String(rawRule?.field || '');
+    const operator = String(rawRule?.operator || '');
+    const rawValue = String(rawRule?.value ?? '').trim();
+
+    if (SMART_PLAYLIST_TEXT_FIELDS[field]) {
+        if (!SMART_PLAYLIST_TEXT_OPERATORS.includes(operator)) throw new Error(`Pick a condition for the ${field} rule.`);
+        if (!rawValue) throw new Error(`Fill in a value for the ${field} rule.`);
+        return { field, operator, value: rawValue };
+    }
+
+    if (SMART_PLAYLIST_NUMBER_FIELDS[field]) {
+        if (!SMART_PLAYLIST_NUMBER_OPERATORS.includes(operator)) throw new Error(`Pick a condition for the ${field} rule.`);
+        const value = field === 'duration'
+            ? parseLibraryQueryDuration(rawValue)
+            : (/^\d+$/.test(rawValue) ? Number(rawValue) : null);
+        if (value === null) {
+            throw new Error(field === 'duration'
+                ? `"${rawValue}" is not a duration. Try 3:30 or 210.`
+                : `The ${field} rule needs a whole number.`);
+        }
+        return { field, operator, value };
+    }
+
+    if (field === 'added') {
+        if (!SMART_PLAYLIST_ADDED_OPERATORS.includes(operator)) throw new Error('Pick a condition for the added rule.');
+        if (operator === 'inLast' || operator === 'notInLast') {
+            if (!/^\d+$/.test(rawValue) || Number(rawValue) < 1) throw new Error('The added rule needs a number of days.');
+            return { field, operator, value: Number(rawValue) };
+        }
+        const date = rawValue.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!date || !Number.isFinite(new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3])).getTime())) {
+            throw new Error(`"${rawValue}" is not a date. Use YYYY-MM-DD.`);
+        }
+        return { field, operator, value: rawValue };
+    }
+
+    throw new Error(`Unknown smart playlist field: ${field || '(none)'}.`);
+}
+
+// Saved definitions come from the rule editor, so bad input is reported rather than dropped.
+function normalizeSmartPlaylistDefinition(rawDefinition) {
+    const id = String(rawDefinition?.id || '').trim();
+    const name = String(rawDefinition?.name || '').trim();
+    if (!id) throw new Error('Smart playlist id is missing.');
+    if (!name) throw new Error('Give the smart playlist a name.');
+
+    const groups = (Array.isArray(rawDefinition.groups) ? rawDefinition.groups : [])
+        .map(group => ({
+            match: group?.match === 'any' ? 'any' : 'all',
+            rules: (Array.isArray(group?.rules) ? group.rules : []).map(normalizeSmartPlaylistRule),
+        }))
+        .filter(group => group.rules.length > 0);
+
+    const sortField = rawDefinition.sort?.field;
+    const sort = {
+        field: sortField === 'random' || SMART_PLAYLIST_SORT_FIELDS[sortField] ? sortField : 'added',
+        direction: rawDefinition.sort?.direction === 'asc' ? 'asc' : 'desc',
+    };
+    // 0 keeps every matching track.
+    const parsedLimit = Number.parseInt(rawDefinition.limit, 10);
+    const limit = Number.isFinite(parsedLimit)
+        ? clampInteger(parsedLimit, 0, SMART_PLAYLIST_MAX_LIMIT)
+        : SMART_PLAYLIST_DEFAULT_LIMIT;
+
+    return {
+        id,
+        name,
+        match: rawDefinition.match === 'any' ? 'any' : 'all',
+        groups,
+        sort,
+        limit,
+    };
+}
+
+// A hand-edited definition that no longer validates is left in config but not listed.
+function getSmartPlaylistDefinitions() {
+    const saved = (Array.isArray(config.smartPlaylists) ? config.smartPlaylists : [])
+        .map(rawDefinition => {
+            try {
+                const definition = normalizeSmartPlaylistDefinition(rawDefinition);
+                return { ...definition, path: getSmartPlaylistPath(definition.id), builtIn: false };
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean);
+    return [...BUILT_IN_SMART_PLAYLISTS, ...saved];
+}
+
+function getSmartPlaylistDefinition(playlistPath) {
+    if (typeof playlistPath !== 'string' || !playlistPath.startsWith('__smart__/')) return null;
+    return getSmartPlaylistDefinitions().find(definition => definition.path === playlistPath) || null;
+}
+
+function matchesSmartPlaylistRule(entry, rule) {
+    if (SMART_PLAYLIST_TEXT_FIELDS[rule.field]) {
+        const expected = rule.value.toLowerCase();
+        const values = SMART_PLAYLIST_TEXT_FIELDS[rule.field](entry)
+            .filter(value => typeof value === 'string' && value.length > 0)
+            .map(value => value.toLowerCase());
+        switch (rule.operator) {
+            case 'contains': return values.some(value => value.includes(expected));
+            case 'notContains': return !values.some(value => value.includes(expected));
+            case 'is': return values.includes(expected);
+            case 'isNot': return !values.includes(expected);
+            default: return false;
+        }
+    }
+
+    if (SMART_PLAYLIST_NUMBER_FIELDS[rule.field]) {
+        const actual = SMART_PLAYLIST_NUMBER_FIELDS[rule.field](entry);
+        if (rule.operator === 'equals') {
+            return Number.isFinite(actual) && Math.round(actual) === Math.round(rule.value);
+        }
+        return compareLibraryValues(actual, rule.operator === 'greaterThan' ? '>' : '<', rule.value);
+    }
+
+    if (rule.operator === 'inLast' || rule.operator === 'notInLast') {
+        const isRecent = entry.addedAtMs >= Date.now() - (rule.value * LIBRARY_SEARCH_AGE_UNITS_MS.d);
+        return rule.operator === 'inLast' ? isRecent : !isRecent;
+    }
+    const [year, month, day] = rule.value.split('-').map(Number);
+    const dayStart = new Date(year, month - 1, day).getTime();
+    return rule.operator === 'before' ? entry.addedAtMs < dayStart : entry.addedAtMs >= dayStart;
+}
+
+function matchesSmartPlaylist(entry, definition) {
+    const matchesGroup = group => (group.match === 'any'
+        ? group.rules.some(rule => matchesSmartPlaylistRule(entry, rule))
+        : group.rules.every(rule => matchesSmartPlaylistRule(entry, rule)));
+    if (definition.groups.length === 0) return true;
+    return definition.match === 'any'
+        ? definition.groups.some(matchesGroup)
+        : definition.groups.every(matchesGroup);
+}
+
+function sortSmartPlaylistEntries(entries, sort) {
+    if (sort.field === 'random') {
+        for (let index = entries.length - 1; index > 0; index -= 1) {
+            const swapIndex = Math.floor(Math.random() * (index + 1));
+            [entries[index], entries[swapIndex]] = [entries[swapIndex], entries[index]];
+        }
+        return entries;
+    }
+
+    const getValue = SMART_PLAYLIST_SORT_FIELDS[sort.field];
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return entries.sort((a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        // Tracks without a value go last whichever way the list is sorted.
+        const hasA = valueA !== null && valueA !== undefined && valueA !== '';
+        const hasB = valueB !== null && valueB !== undefined && valueB !== '';
+        if (hasA !== hasB) return hasA ? -1 : 1;
+        if (hasA) {
+            const order = typeof valueA === 'string'
+                ? valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: 'base' })
+                : valueA - valueB;
+            if (order !== 0) return order * direction;
+        }
+        return b.modifiedAtMs - a.modifiedAtMs;
+    });
+}
+
 async function getSmartPlaylistTracks(playlistPath) {
     const playlistsPath = config.playlistsFolderPath;
-    if (!playlistsPath || !fs.existsSync(playlistsPath)) {
+    const definition = getSmartPlaylistDefinition(playlistPath);
+    if (!definition || !playlistsPath || !fs.existsSync(playlistsPath)) {
         return { tracks: [], totalDuration: 0, cacheUpdated: false };
     }
 
@@ -3331,20 +6899,8 @@ async function getSmartPlaylistTracks(playlistPath) {
         useCache: isLibraryPerformanceModeEnabled(),
     });
 
-    let selectedTracks = [];
-    if (playlistPath === SMART_PLAYLIST_RECENTLY_ADDED) {
-        selectedTracks = entries
-            .sort((a, b) => b.addedAtMs - a.addedAtMs)
-            .slice(0, 200);
-    } else if (playlistPath === SMART_PLAYLIST_MOST_PLAYED) {
-        selectedTracks = entries
-            .filter(track => (track.playCount || 0) > 0)
-            .sort((a, b) => {
-                if (b.playCount !== a.playCount) return b.playCount - a.playCount;
-                return b.modifiedAtMs - a.modifiedAtMs;
-            })
-            .slice(0, 200);
-    }
+    const matches = sortSmartPlaylistEntries(entries.filter(entry => matchesSmartPlaylist(entry, definition)), definition.sort);
+    const selectedTracks = definition.limit > 0 ? matches.slice(0, definition.limit) : matches;
 
     const tracks = selectedTracks.map(track => ({
         name: track.name,
@@ -3356,6 +6912,487 @@ async function getSmartPlaylistTracks(playlistPath) {
     return { tracks, totalDuration, cacheUpdated };
 }
 
+// --- Library search ---
+// Words and "quoted phrases" match the title, file name, artist and album. `field:value`
+// narrows a term to one field, duration/plays/added take a comparison (`plays>=5`,
+// `duration>4:00`, `added<30d`) and a leading `-` negates any term.
+const LIBRARY_SEARCH_TEXT_FIELDS = {
+    artist: entry => [entry.artist],
+    album: entry => [entry.album],
+    genre: entry => [entry.genre],
+    title: entry => [entry.title, entry.name],
+    tag: entry => entry.tags || [],
+    playlist: entry => [entry.playlistName],
+    source: entry => [entry.source],
+};
+const LIBRARY_SEARCH_COMPARISON_FIELDS = ['duration', 'plays', 'added'];
+const LIBRARY_SEARCH_AGE_UNITS_MS = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    m: 30 * 24 * 60 * 60 * 1000,
+    y: 365 * 24 * 60 * 60 * 1000,
+};
+const LIBRARY_SEARCH_MAX_PAGE_SIZE = 500;
+const LIBRARY_SEARCH_INVERTED_OPERATORS = { '>': '<', '<': '>', '>=': '<=', '<=': '>=', '=': '=' };
+
+function parseLibraryQueryDuration(value) {
+    const clock = value.match(/^(\d+):(\d{1,2})(?::(\d{1,2}))?$/);
+    if (clock) {
+        const parts = clock.slice(1).filter(part => part !== undefined).map(Number);
+        return parts.reduce((total, part) => (total * 60) + part, 0);
+    }
+    return /^\d+(\.\d+)?$/.test(value) ? Number(value) : null;
+}
+
+// Relative ages (`30d`) become a cutoff timestamp, so "added less than 30 days ago" is
+// "added after the cutoff" and the operator flips.
+function parseLibraryQueryAdded(value, operator) {
+    const age = value.toLowerCase().match(/^(\d+)([hdwmy])$/);
+    if (age) {
+        return {
+            expected: Date.now() - (Number(age[1]) * LIBRARY_SEARCH_AGE_UNITS_MS[age[2]]),
+            operator: LIBRARY_SEARCH_INVERTED_OPERATORS[operator],
+        };
+    }
+
+    const date = value.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+    if (!date) return null;
+    const timestamp = new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3] || 1)).getTime();
+    return Number.isFinite(timestamp) ? { expected: timestamp, operator } : null;
+}
+
+function parseLibraryComparisonTerm(field, operator, value, raw) {
+    const normalizedOperator = operator === ':' ? '=' : operator;
+    let parsed = null;
+
+    if (field === 'duration') {
+        const seconds = parseLibraryQueryDuration(value);
+        if (seconds !== null) parsed = { expected: seconds, operator: normalizedOperator };
+    } else if (field === 'plays') {
+        if (/^\d+$/.test(value)) parsed = { expected: Number(value), operator: normalizedOperator };
+    } else if (field === 'added') {
+        parsed = parseLibraryQueryAdded(value, normalizedOperator);
+    }
+
+    if (!parsed) {
+        const examples = { duration: 'duration>4:00', plays: 'plays>=5', added: 'added<30d or added>2024-01-01' };
+        throw new Error(`Could not read "${raw}". Try ${examples[field]}.`);
+    }
+    return { field, ...parsed };
+}
+
+function parseLibraryQuery(query) {
+    const terms = [];
+    const text = String(query || '');
+    const pattern = /\s*(-?)(?:([a-z]+)(>=|<=|:|>|<|=))?(?:"([^"]*)"?|(\S*))/iy;
+
+    while (pattern.lastIndex < text.length) {
+        const match = pattern.exec(text);
+        if (!match) break;
+
+        const [, negation, rawField, operator, quotedValue, plainValue] = match;
+        const value = (quotedValue ?? plainValue ?? '').trim();
+        const field = rawField?.toLowerCase();
+        const negate = negation === '-';
+
+        if (field && LIBRARY_SEARCH_COMPARISON_FIELDS.includes(field)) {
+            terms.push({ negate, ...parseLibraryComparisonTerm(field, operator, value, `${rawField}${operator}${value}`) });
+        } else if (field && LIBRARY_SEARCH_TEXT_FIELDS[field] && (operator === ':' || operator === '=')) {
+            terms.push({ negate, field, value: value.toLowerCase() });
+        } else {
+            const phrase = rawField ? `${rawField}${operator}${value}` : value;
+            if (phrase) terms.push({ negate, field: null, value: phrase.toLowerCase() });
+        }
+    }
+
+    return terms;
+}
+
+function compareLibraryValues(actual, operator, expected) {
+    if (!Number.isFinite(actual)) return false;
+    switch (operator) {
+        case '>': return actual > expected;
+        case '<': return actual < expected;
+        case '>=': return actual >= expected;
+        case '<=': return actual <= expected;
+        default: return false;
+    }
+}
+
+function matchesLibraryTerm(entry, term) {
+    if (!term.field) {
+        return [entry.title, entry.name, entry.artist, entry.album]
+            .some(value => typeof value === 'string' && value.toLowerCase().includes(term.value));
+    }
+
+    if (LIBRARY_SEARCH_TEXT_FIELDS[term.field]) {
+        const values = LIBRARY_SEARCH_TEXT_FIELDS[term.field](entry)
+            .filter(value => typeof value === 'string' && value.length > 0)
+            .map(value => value.toLowerCase());
+        // A bare `tag:` or `album:` means "has any value".
+        if (!term.value) return values.length > 0;
+        return values.some(value => value.includes(term.value));
+    }
+
+    if (term.field === 'duration') {
+        if (term.operator === '=') return Math.round(entry.duration) === Math.round(term.expected);
+        return compareLibraryValues(entry.duration, term.operator, term.expected);
+    }
+    if (term.field === 'plays') {
+        if (term.operator === '=') return entry.playCount === term.expected;
+        return compareLibraryValues(entry.playCount, term.operator, term.expected);
+    }
+    if (term.operator === '=') {
+        return new Date(entry.addedAtMs).toDateString() === new Date(term.expected).toDateString();
+    }
+    return compareLibraryValues(entry.addedAtMs, term.operator, term.expected);
+}
+
+// The sorted matches of the last search. Its first page rescans the library and later
+// pages and `all` requests for the same query read from here; saving tags, play counts
+// or the metadata cache drops it.
+let librarySearchCache = null;
+
+async function getLibrarySearchMatches(query, playlistsPath, { refresh }) {
+    const key = `${playlistsPath}\n${String(query || '')}`;
+    if (!refresh && librarySearchCache?.key === key) return librarySearchCache;
+
+    const terms = parseLibraryQuery(query);
+    const { entries, cacheUpdated } = await getAllTrackEntriesFromLibrary(playlistsPath, { useCache: true });
+    if (cacheUpdated) saveMetadataCache();
+
+    const matches = entries
+        .filter(entry => terms.every(term => matchesLibraryTerm(entry, term) !== term.negate))
+        .sort((a, b) => a.playlistName.localeCompare(b.playlistName, undefined, { numeric: true, sensitivity: 'base' })
+            || a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+    const totalDuration = matches.reduce((sum, entry) => sum + (Number.isFinite(entry.duration) ? entry.duration : 0), 0);
+    librarySearchCache = { key, matches, totalDuration };
+    return librarySearchCache;
+}
+
+async function searchLibraryTracks(query, options = {}) {
+    const offset = Math.max(0, Number.parseInt(options.offset, 10) || 0);
+    const limit = Math.min(LIBRARY_SEARCH_MAX_PAGE_SIZE, Math.max(1, Number.parseInt(options.limit, 10) || 100));
+    const playlistsPath = config.playlistsFolderPath;
+    if (!playlistsPath || !fs.existsSync(playlistsPath)) {
+        return { tracks: [], total: 0, totalDuration: 0, offset, limit };
+    }
+
+    const { matches, totalDuration } = await getLibrarySearchMatches(query, playlistsPath, { refresh: offset === 0 && !options.all });
+
+    // `all` hands the whole result set to play, queue and save actions.
+    const pageEntries = options.all ? matches : matches.slice(offset, offset + limit);
+    const tracks = pageEntries.map(entry => ({
+        name: entry.name,
+        path: entry.path,
+        duration: entry.duration,
+        tags: entry.tags,
+        playlistPath: entry.playlistPath,
+        playlistName: entry.playlistName,
+        artist: entry.artist,
+        album: entry.album,
+        playCount: entry.playCount,
+    }));
+    return { tracks, total: matches.length, totalDuration, offset, limit };
+}
+
+// --- Library watcher ---
+// Explorer changes under the playlists and downloads folders are collected for a short
+// while, then handled together so a renamed folder's remove and add events pair up.
+const LIBRARY_WATCHER_DEBOUNCE_MS = 1000;
+const LIBRARY_WATCHER_BATCH_SIZE = 25;
+// Files SoundLink writes next to a track while encoding, tagging or trimming it, e.g. "Song.tags-1700000000000-ab12cd.mp3".
+const LIBRARY_WATCHER_TEMP_FILE_PATTERN = /\.(?:encode|atoms|tags|trim)-\d+-[a-z0-9]+\.[^.\\/]+$/i;
+
+function isPathInside(childPath, parentPath) {
+    return childPath === parentPath || childPath.startsWith(`${parentPath}${path.sep}`);
+}
+
+function isSupportedTrackFile(filePath) {
+    return supportedExtensions.includes(path.extname(filePath).toLowerCase());
+}
+
+async function listTrackFilesRecursive(directoryPath) {
+    const trackPaths = [];
+    let entries = [];
+    try {
+        entries = await fs.promises.readdir(directoryPath, { withFileTypes: true });
+    } catch {
+        return trackPaths;
+    }
+
+    for (const entry of entries) {
+        const entryPath = path.join(directoryPath, entry.name);
+        if (entry.isDirectory()) {
+            trackPaths.push(...await listTrackFilesRecursive(entryPath));
+        } else if (entry.isFile() && isSupportedTrackFile(entryPath)) {
+            trackPaths.push(entryPath);
+        }
+    }
+    return trackPaths;
+}
+
+// Tracks SoundLink knows about at or below the removed paths.
+function getKnownTrackPathsUnder(removedPaths) {
+    const knownPaths = new Set([
+        ...Object.keys(metadataCache),
+        ...Object.keys(trackTags),
+        ...Object.keys(trackPlayCounts),
+    ]);
+    return [...knownPaths].filter(knownPath => removedPaths.some(removedPath => isPathInside(knownPath, removedPath)));
+}
+
+function moveArtworkCacheEntry(fromPath, toPath) {
+    const entry = artworkCache[fromPath];
+    if (!entry) return;
+    delete artworkCache[fromPath];
+    if (entry.hasArtwork) {
+        try {
+            fs.renameSync(getArtworkThumbnailPath(fromPath), getArtworkThumbnailPath(toPath));
+        } catch {
+            // The thumbnail is rebuilt on the next request.
+            return;
+        }
+    }
+    artworkCache[toPath] = entry;
+}
+
+function forgetArtworkCacheEntry(sourcePath) {
+    if (!artworkCache[sourcePath]) return;
+    delete artworkCache[sourcePath];
+    fs.promises.rm(getArtworkThumbnailPath(sourcePath), { force: true }).catch(() => {});
+}
+
+function moveTrackLibraryEntries(fromPath, toPath) {
+    moveTrackTagsPath(fromPath, toPath);
+    if (Number.isFinite(trackPlayCounts[fromPath])) {
+        trackPlayCounts[toPath] = (trackPlayCounts[toPath] || 0) + trackPlayCounts[fromPath];
+        delete trackPlayCounts[fromPath];
+    }
+    if (metadataCache[fromPath]) {
+        metadataCache[toPath] = metadataCache[fromPath];
+        delete metadataCache[fromPath];
+    }
+    moveArtworkCacheEntry(fromPath, toPath);
+}
+
+function forgetTrackLibraryEntries(filePath) {
+    setTrackTagsForPath(filePath, []);
+    delete trackPlayCounts[filePath];
+    delete metadataCache[filePath];
+    forgetArtworkCacheEntry(filePath);
+}
+
+// A rename keeps size and mtime, so those pair a removed track with its new path. A move across
+// drives can change the mtime, so a unique file name with the same size is the fallback. Tracks
+// that were never scanned have no size to compare and are not paired.
+function pairMovedTracks(removedTracks, addedTracks) {
+    const removedByFingerprint = new Map();
+    const removedByName = new Map();
+    removedTracks.forEach((removedPath) => {
+        const cached = metadataCache[removedPath];
+        if (cached) removedByFingerprint.set(`${cached.size}:${cached.mtimeMs}`, removedPath);
+        const name = path.basename(removedPath);
+        removedByName.set(name, removedByName.has(name) ? null : removedPath);
+    });
+
+    const moves = [];
+    const claimed = new Set();
+    addedTracks.forEach(({ filePath, stat }) => {
+        const byFingerprint = removedByFingerprint.get(`${stat.size}:${stat.mtimeMs}`);
+        const byName = removedByName.get(path.basename(filePath));
+        const byNameAndSize = byName && metadataCache[byName]?.size === stat.size ? byName : null;
+        const fromPath = [byFingerprint, byNameAndSize].find(candidate => candidate && !claimed.has(candidate));
+        if (!fromPath) return;
+        claimed.add(fromPath);
+        moves.push({ from: fromPath, to: filePath });
+    });
+    return moves;
+}
+
+function getMovedFolders(movedTracks, removedFolders, addedFolders) {
+    const folderMoves = new Map();
+    movedTracks.forEach(({ from, to }) => {
+        const fromFolder = path.dirname(from);
+        const toFolder = path.dirname(to);
+        if (fromFolder !== toFolder && removedFolders.includes(fromFolder)) folderMoves.set(fromFolder, toFolder);
+    });
+
+    // An empty tagged folder has no tracks to follow; a lone remove and add in the same parent is a rename.
+    const unpairedRemoved = removedFolders.filter(folderPath => !folderMoves.has(folderPath)
+        && getPlaylistTagsForPath(folderPath).length > 0);
+    const unpairedAdded = addedFolders.filter(folderPath => ![...folderMoves.values()].includes(folderPath));
+    if (unpairedRemoved.length === 1 && unpairedAdded.length === 1
+        && path.dirname(unpairedRemoved[0]) === path.dirname(unpairedAdded[0])) {
+        folderMoves.set(unpairedRemoved[0], unpairedAdded[0]);
+    }
+
+    return [...folderMoves].map(([from, to]) => ({ from, to }));
+}
+
+async function refreshTrackMetadataInBatches(trackPaths) {
+    for (let index = 0; index < trackPaths.length; index += LIBRARY_WATCHER_BATCH_SIZE) {
+        const batch = trackPaths.slice(index, index + LIBRARY_WATCHER_BATCH_SIZE);
+        const results = await Promise.all(batch.map(filePath => getTrackMetadata(filePath, { useCache: true })));
+        if (results.some(result => result.cacheUpdated)) saveMetadataCache();
+        // Give IPC handlers a turn between batches when a whole folder lands at once.
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+async function processLibraryChanges() {
+    if (isLibraryChangeProcessing) {
+        scheduleLibraryChangeProcessing();
+        return;
+    }
+    isLibraryChangeProcessing = true;
+    const changedPaths = [...pendingLibraryChangePaths];
+    pendingLibraryChangePaths.clear();
+
+    try {
+        const removedPaths = [];
+        const addedFolders = [];
+        const addedTracks = [];
+        for (const changedPath of changedPaths) {
+            const stat = await getTrackStatSafe(changedPath);
+            if (!stat) {
+                removedPaths.push(changedPath);
+            } else if (stat.isDirectory()) {
+                addedFolders.push(changedPath);
+                for (const filePath of await listTrackFilesRecursive(changedPath)) {
+                    if (LIBRARY_WATCHER_TEMP_FILE_PATTERN.test(filePath)) continue;
+                    const trackStat = await getTrackStatSafe(filePath);
+                    if (trackStat && !addedTracks.some(track => track.filePath === filePath)) {
+                        addedTracks.push({ filePath, stat: trackStat });
+                    }
+                }
+            } else if (stat.isFile() && isSupportedTrackFile(changedPath)
+                && !addedTracks.some(track => track.filePath === changedPath)) {
+                addedTracks.push({ filePath: changedPath, stat });
+            }
+        }
+        // Something is back at a held path, so deleting it later has nothing to do with the undo trash.
+        [...addedFolders, ...addedTracks.map(({ filePath }) => filePath)].forEach(releaseUndoTrashHold);
+
+        // Temporary download files come and go constantly; only tracks and folders matter.
+        const removedTracks = getKnownTrackPathsUnder(removedPaths)
+            .filter(filePath => !fs.existsSync(filePath));
+        const removedFolderCandidates = removedPaths.filter(removedPath => !isSupportedTrackFile(removedPath) && (
+            getPlaylistTagsForPath(removedPath).length > 0
+            || removedTracks.some(filePath => isPathInside(filePath, removedPath) && filePath !== removedPath)
+        ));
+        if (removedTracks.length === 0 && removedFolderCandidates.length === 0
+            && addedFolders.length === 0 && addedTracks.length === 0) return;
+
+        const newTracks = addedTracks.filter(({ filePath }) => !metadataCache[filePath]);
+        const movedTracks = pairMovedTracks(removedTracks, newTracks);
+        const movedFolders = getMovedFolders(movedTracks, removedFolderCandidates, addedFolders);
+        const movedFromPaths = new Set(movedTracks.map(move => move.from));
+        const removedFolders = removedFolderCandidates.filter(folderPath => !movedFolders.some(move => move.from === folderPath));
+        const isHeldForUndo = filePath => [...undoTrashOriginalPaths].some(heldPath => isPathInside(filePath, heldPath));
+        const deletedTracks = removedTracks.filter(filePath => !movedFromPaths.has(filePath));
+        const forgottenTracks = deletedTracks.filter(filePath => !isHeldForUndo(filePath));
+
+        movedTracks.forEach(({ from, to }) => moveTrackLibraryEntries(from, to));
+        movedFolders.forEach(({ from, to }) => movePlaylistTagsPath(from, to));
+        forgottenTracks.forEach(forgetTrackLibraryEntries);
+        const forgottenFolders = removedFolders.filter(folderPath => !isHeldForUndo(folderPath)
+            && getPlaylistTagsForPath(folderPath).length > 0);
+        if (forgottenFolders.length > 0) {
+            forgottenFolders.forEach(folderPath => setPlaylistTagsForPath(folderPath, []));
+            savePlaylistTags();
+        }
+
+        if (movedTracks.length > 0 || forgottenTracks.length > 0) {
+            saveTrackTags();
+            saveTrackPlayCounts();
+            saveMetadataCache();
+            saveArtworkCache();
+        }
+
+        const movedToPaths = new Set(movedTracks.map(move => move.to));
+        await refreshTrackMetadataInBatches(addedTracks
+            .map(({ filePath }) => filePath)
+            .filter(filePath => !movedToPaths.has(filePath)));
+
+        const changedFolders = new Set([
+            ...addedTracks.map(({ filePath }) => path.dirname(filePath)),
+            ...removedTracks.map(filePath => path.dirname(filePath)),
+            ...addedFolders,
+            ...removedFolders,
+        ]);
+        writeLog('info', 'LibraryWatcher', 'Applied library changes', {
+            addedCount: addedTracks.length - movedTracks.length,
+            removedCount: forgottenTracks.length,
+            movedCount: movedTracks.length,
+            movedFolderCount: movedFolders.length,
+        });
+
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('library-changed', {
+                changedFolders: [...changedFolders],
+                movedTracks,
+                movedFolders,
+                removedTracks: deletedTracks,
+                removedFolders,
+            });
+        }
+    } catch (error) {
+        writeLog('warn', 'LibraryWatcher', 'Failed to apply library changes', { error: error.message });
+    } finally {
+        isLibraryChangeProcessing = false;
+    }
+}
+
+function scheduleLibraryChangeProcessing() {
+    clearTimeout(libraryChangeTimer);
+    libraryChangeTimer = setTimeout(() => {
+        libraryChangeTimer = null;
+        processLibraryChanges();
+    }, LIBRARY_WATCHER_DEBOUNCE_MS);
+}
+
+function stopLibraryWatcher() {
+    libraryWatchers.forEach(watcher => watcher.close());
+    libraryWatchers = [];
+    clearTimeout(libraryChangeTimer);
+    libraryChangeTimer = null;
+    pendingLibraryChangePaths.clear();
+}
+
+function startLibraryWatcher() {
+    stopLibraryWatcher();
+
+    // A downloads folder inside the playlists folder (or the other way round) is watched once.
+    const roots = [config.playlistsFolderPath, downloadsDir]
+        .filter(root => root && fs.existsSync(root))
+        .map(root => path.resolve(root));
+    const watchRoots = roots.filter((root, index) => !roots.some((other, otherIndex) => (
+        otherIndex !== index && isPathInside(root, other) && (root !== other || otherIndex < index)
+    )));
+
+    for (const root of watchRoots) {
+        try {
+            const watcher = fs.watch(root, { recursive: true }, (_eventType, fileName) => {
+                if (!fileName || LIBRARY_WATCHER_TEMP_FILE_PATTERN.test(fileName.toString())) return;
+                pendingLibraryChangePaths.add(path.join(root, fileName.toString()));
+                scheduleLibraryChangeProcessing();
+            });
+            watcher.on('error', (error) => {
+                writeLog('warn', 'LibraryWatcher', 'Folder watcher stopped', { root, error: error.message });
+                watcher.close();
+                libraryWatchers = libraryWatchers.filter(active => active !== watcher);
+            });
+            libraryWatchers.push(watcher);
+        } catch (error) {
+            writeLog('warn', 'LibraryWatcher', 'Failed to watch folder', { root, error: error.message });
+        }
+    }
+
+    writeLog('info', 'LibraryWatcher', 'Watching library folders', { roots: watchRoots });
+}
+
 function formatDurationClock(totalSeconds) {
     const safeSeconds = Number.isFinite(totalSeconds) && totalSeconds > 0
         ? Math.floor(totalSeconds)
@@ -3413,7 +7450,7 @@ function buildTrayContextMenuTemplate() {
             ],
         },
         { type: 'separator' },
-        { label: `♫ ${trackName}`, enabled: false },
+        { label: `♫ ${trackName}`, enabled: false, ...(trayArtwork.icon ? { icon: trayArtwork.icon } : {}) },
         { label: `📁 ${playlistName}`, enabled: false },
         { label: `⏱ ${progressText}`, enabled: false },
         { label: sleepTimerText, enabled: false },
@@ -3486,4 +7523,101 @@ function movePlaylistTagsPath(fromPath, toPath) {
     setPlaylistTagsForPath(toPath, tags);
     delete playlistTags[fromPath];
     savePlaylistTags();
-}
\ No newline at end of file
+}
+
+function isAutomationTokenValid(providedToken, expectedToken) {
+    if (typeof providedToken !== 'string' || typeof expectedToken !== 'string' || !expectedToken) return false;
+    const provided = Buffer.from(providedToken);
+    const expected = Buffer.from(expectedToken);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+function acceptWebSocketUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return false;
+    }
+
+    const accept = crypto.createHash('sha1').update(`${key}${WEBSOCKET_ACCEPT_GUID}`).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        '',
+    ].join('\r\n'));
+    return true;
+}
+
+function encodeWebSocketFrame(payload, opcode = 0x1) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+    let header;
+    if (data.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = data.length;
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, data]);
+}
+
+// Reads every complete client frame from `buffer` and returns the unread remainder.
+function readWebSocketFrames(buffer, onFrame) {
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const isMasked = (buffer[offset + 1] & 0x80) !== 0;
+        let payloadLength = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        if (payloadLength === 126) {
+            if (buffer.length - offset < 4) break;
+            payloadLength = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (payloadLength === 127) {
+            if (buffer.length - offset < 10) break;
+            payloadLength = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        if (payloadLength > 64 * 1024) throw new Error('WebSocket frame too large.');
+
+        const maskLength = isMasked ? 4 : 0;
+        const frameLength = headerLength + maskLength + payloadLength;
+        if (buffer.length - offset < frameLength) break;
+
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + frameLength));
+        if (isMasked) {
+            const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        onFrame(opcode, payload);
+        offset += frameLength;
+    }
+    return buffer.subarray(offset);
+}
+
+function mirrorToAutomationClients(channel, args) {
+    if (automationApiSockets.size === 0) return;
+
+    let message = null;
+    if (channel === 'update-status') {
+        const [statusMessage, isFinished, payload] = args;
+        message = { event: 'update-status', message: statusMessage, finished: Boolean(isFinished), payload: payload || null };
+    } else if (channel === 'download-progress') {
+        message = { event: 'download-progress', ...(args[0] || {}) };
+    }
+    if (!message) return;
+
+    const frame = encodeWebSocketFrame(JSON.stringify(message));
+    for (const socket of automationApiSockets) {
+        socket.write(frame);
+    }
+}
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// --- MP4 FREEFORM TAGS ---
+// ffmpeg's MP4 muxer only writes the iTunes atoms it knows, so freeform items such as
+// `----:com.apple.iTunes:ISRC` are spliced into moov/udta/meta/ilst here. Only the moov box is
+// read into memory; the media data around it is streamed into the rewritten file. Growing moov
+// moves everything after it, so the stco/co64 chunk offsets that point past moov are shifted to match.
+const MP4_FREEFORM_MEAN = 'com.apple.iTunes';
+
+// `header` holds the box's first 8 or 16 bytes; `offset` and `end` place it inside its parent.
+function parseMp4BoxHeader(header, offset, end) {
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+    if (size === 1) {
+        size = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+    } else if (size === 0) {
+        size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) throw new Error(`Malformed MP4 box "${type}".`);
+    return { type, start: offset, payloadStart: offset + headerSize, end: offset + size };
+}
+
+function readMp4Boxes(buffer, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        const box = parseMp4BoxHeader(buffer.subarray(offset, Math.min(offset + 16, end)), offset, end);
+        boxes.push(box);
+        offset = box.end;
+    }
+    return boxes;
+}
+
+async function readMp4TopLevelBoxes(handle, fileSize) {
+    const boxes = [];
+    const header = Buffer.alloc(16);
+    let offset = 0;
+    while (offset + 8 <= fileSize) {
+        const { bytesRead } = await handle.read(header, 0, header.length, offset);
+        const box = parseMp4BoxHeader(header.subarray(0, bytesRead), offset, fileSize);
+        boxes.push(box);
+        offset = box.end;
+    }
+    return boxes;
+}
+
+// Returns the moov box's position in the file and a buffer holding just that box.
+async function readMp4Moov(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const moov = (await readMp4TopLevelBoxes(handle, size)).find(box => box.type === 'moov');
+        if (!moov) throw new Error('No moov box found in the MP4 file.');
+        const buffer = Buffer.alloc(moov.end - moov.start);
+        await handle.read(buffer, 0, buffer.length, moov.start);
+        return { moov, buffer, fileSize: size };
+    } finally {
+        await handle.close();
+    }
+}
+
+function buildMp4Box(type, ...payloads) {
+    const payload = Buffer.concat(payloads);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+}
+
+// `mean` and `name` are full boxes: a zero version/flags word, then the string.
+function buildMp4FreeformItem(name, value) {
+    const flags = Buffer.alloc(4);
+    const dataHeader = Buffer.alloc(8);
+    dataHeader.writeUInt32BE(1, 0); // UTF-8 text, default locale
+    return buildMp4Box(
+        '----',
+        buildMp4Box('mean', flags, Buffer.from(MP4_FREEFORM_MEAN, 'latin1')),
+        buildMp4Box('name', flags, Buffer.from(name, 'latin1')),
+        buildMp4Box('data', dataHeader, Buffer.from(value, 'utf-8'))
+    );
+}
+
+function readMp4FreeformItem(buffer, item) {
+    const children = readMp4Boxes(buffer, item.payloadStart, item.end);
+    const readString = (type, skip, encoding) => {
+        const child = children.find(box => box.type === type);
+        return child ? buffer.toString(encoding, child.payloadStart + skip, child.end) : null;
+    };
+    return {
+        mean: readString('mean', 4, 'latin1'),
+        name: readString('name', 4, 'latin1'),
+        value: readString('data', 8, 'utf-8'),
+    };
+}
+
+// `moovBuffer` holds only the moov box, so offsets here are relative to its start.
+function getMp4IlstPath(moovBuffer) {
+    const [moov] = readMp4Boxes(moovBuffer, 0, moovBuffer.length);
+    const udta = readMp4Boxes(moovBuffer, moov.payloadStart, moov.end).find(box => box.type === 'udta') || null;
+    const meta = udta ? readMp4Boxes(moovBuffer, udta.payloadStart, udta.end).find(box => box.type === 'meta') || null : null;
+    // meta is a full box, so its children start after the version/flags word.
+    const ilst = meta ? readMp4Boxes(moovBuffer, meta.payloadStart + 4, meta.end).find(box => box.type === 'ilst') || null : null;
+    return { moov, udta, meta, ilst };
+}
+
+function isMp4FreeformItem(buffer, item, name) {
+    if (item.type !== '----') return false;
+    const freeform = readMp4FreeformItem(buffer, item);
+    return freeform.mean === MP4_FREEFORM_MEAN && freeform.name?.toLowerCase() === name.toLowerCase();
+}
+
+async function readMp4FreeformTag(filePath, name) {
+    const { buffer } = await readMp4Moov(filePath);
+    const { ilst } = getMp4IlstPath(buffer);
+    if (!ilst) return null;
+    const item = readMp4Boxes(buffer, ilst.payloadStart, ilst.end).find(box => isMp4FreeformItem(buffer, box, name));
+    return item ? readMp4FreeformItem(buffer, item).value : null;
+}
+
+function shiftMp4ChunkOffsets(moovBuffer, afterOffset, delta) {
+    const visit = (start, end) => {
+        for (const box of readMp4Boxes(moovBuffer, start, end)) {
+            if (['trak', 'mdia', 'minf', 'stbl'].includes(box.type)) {
+                visit(box.payloadStart, box.end);
+            } else if (box.type === 'stco' || box.type === 'co64') {
+                const is64 = box.type === 'co64';
+                const entryCount = moovBuffer.readUInt32BE(box.payloadStart + 4);
+                for (let index = 0; index < entryCount; index++) {
+                    const position = box.payloadStart + 8 + index * (is64 ? 8 : 4);
+                    if (is64) {
+                        const offset = moovBuffer.readBigUInt64BE(position);
+                        if (offset > BigInt(afterOffset)) moovBuffer.writeBigUInt64BE(offset + BigInt(delta), position);
+                    } else {
+                        const offset = moovBuffer.readUInt32BE(position);
+                        if (offset > afterOffset) moovBuffer.writeUInt32BE(offset + delta, position);
+                    }
+                }
+            }
+        }
+    };
+    visit(8, moovBuffer.length);
+}
+
+// Replaces any existing item of the same name. Missing udta/meta/ilst boxes are created.
+async function writeMp4FreeformTag(filePath, name, value) {
+    const { moov: moovInFile, buffer, fileSize } = await readMp4Moov(filePath);
+    const { moov, udta, meta, ilst } = getMp4IlstPath(buffer);
+    const slice = box => buffer.subarray(box.start, box.end);
+    const replaceChild = (children, type, replacement) => (children.some(box => box.type === type)
+        ? children.map(box => (box.type === type ? replacement : slice(box)))
+        : [...children.map(slice), replacement]);
+
+    const ilstItems = ilst
+        ? readMp4Boxes(buffer, ilst.payloadStart, ilst.end).filter(box => !isMp4FreeformItem(buffer, box, name)).map(slice)
+        : [];
+    const newIlst = buildMp4Box('ilst', ...ilstItems, buildMp4FreeformItem(name, value));
+
+    let newMeta;
+    if (meta) {
+        const metaChildren = readMp4Boxes(buffer, meta.payloadStart + 4, meta.end);
+        newMeta = buildMp4Box('meta', buffer.subarray(meta.payloadStart, meta.payloadStart + 4), ...replaceChild(metaChildren, 'ilst', newIlst));
+    } else {
+        // iTunes-style metadata handler: pre_defined, "mdir", "appl" reserved bytes, empty name.
+        const handler = Buffer.alloc(25);
+        handler.write('mdir', 8, 'latin1');
+        handler.write('appl', 12, 'latin1');
+        newMeta = buildMp4Box('meta', Buffer.alloc(4), buildMp4Box('hdlr', handler), newIlst);
+    }
+
+    const udtaChildren = udta ? readMp4Boxes(buffer, udta.payloadStart, udta.end) : [];
+    const newUdta = buildMp4Box('udta', ...replaceChild(udtaChildren, 'meta', newMeta));
+    const moovChildren = readMp4Boxes(buffer, moov.payloadStart, moov.end);
+    const newMoov = buildMp4Box('moov', ...replaceChild(moovChildren, 'udta', newUdta));
+
+    const delta = newMoov.length - buffer.length;
+    if (delta !== 0) shiftMp4ChunkOffsets(newMoov, moovInFile.start, delta);
+
+    const tempOutputPath = path.join(
+        path.dirname(filePath),
+        `${path.basename(filePath, path.extname(filePath))}.atoms-${Date.now()}-${Math.random().toString(36).slice(2, 8)}${path.extname(filePath)}`
+    );
+    try {
+        await pipeline(async function* () {
+            if (moovInFile.start > 0) yield* fs.createReadStream(filePath, { start: 0, end: moovInFile.start - 1 });
+            yield newMoov;
+            if (moovInFile.end < fileSize) yield* fs.createReadStream(filePath, { start: moovInFile.end });
+        }, fs.createWriteStream(tempOutputPath));
+        await fs.promises.rename(tempOutputPath, filePath);
+    } finally {
+        await fs.promises.rm(tempOutputPath, { force: true });
+    }
+}
+
+module.exports = {
+    readMp4FreeformTag,
+    writeMp4FreeformTag,
+};
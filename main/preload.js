@@ -5,9 +5,32 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // This was the primary cause of the playlists not loading.
     getSettings: () => ipcRenderer.invoke('get-settings'),
     saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
+    previewFilenameTemplate: (template) => ipcRenderer.invoke('preview-filename-template', template),
+    parseTrackList: (fileName, text) => ipcRenderer.invoke('parse-track-list', fileName, text),
+    openTrackListFiles: () => ipcRenderer.invoke('open-track-list-files'),
+    getAudioProfiles: () => ipcRenderer.invoke('get-audio-profiles'),
+    saveCustomAudioProfile: (profile) => ipcRenderer.invoke('save-custom-audio-profile', profile),
+    deleteCustomAudioProfile: (id) => ipcRenderer.invoke('delete-custom-audio-profile', id),
     getDefaultSettings: () => ipcRenderer.invoke('get-default-settings'),
-    startDownload: (links) => ipcRenderer.send('start-download', links),
+    startDownload: (links, options) => ipcRenderer.send('start-download', links, options),
     cancelDownload: () => ipcRenderer.send('cancel-download'),
+    getPendingDownloadBatch: () => ipcRenderer.invoke('get-pending-download-batch'),
+    resumeDownload: () => ipcRenderer.send('resume-download'),
+    discardPendingDownloadBatch: () => ipcRenderer.invoke('discard-pending-download-batch'),
+    setDownloadQueuePaused: (paused) => ipcRenderer.invoke('set-download-queue-paused', paused),
+    cancelDownloadItem: (index) => ipcRenderer.invoke('cancel-download-item', index),
+    retryDownloadItem: (index) => ipcRenderer.invoke('retry-download-item', index),
+    moveDownloadItem: (index, direction) => ipcRenderer.invoke('move-download-item', index, direction),
+    onDownloadStartedExternally: (callback) => ipcRenderer.on('download-started-externally', (event, ...args) => callback(...args)),
+    onWatchedPlaylistsUpdated: (callback) => ipcRenderer.on('watched-playlists-updated', (event, ...args) => callback(...args)),
+    onLibraryChanged: (callback) => ipcRenderer.on('library-changed', (event, ...args) => callback(...args)),
+    getWatchedPlaylists: () => ipcRenderer.invoke('get-watched-playlists'),
+    addWatchedPlaylist: (options) => ipcRenderer.invoke('add-watched-playlist', options),
+    updateWatchedPlaylist: (id, changes) => ipcRenderer.invoke('update-watched-playlist', id, changes),
+    removeWatchedPlaylist: (id) => ipcRenderer.invoke('remove-watched-playlist', id),
+    syncWatchedPlaylists: (id, options) => ipcRenderer.invoke('sync-watched-playlists', id, options),
+    getAutomationApiInfo: () => ipcRenderer.invoke('get-automation-api-info'),
+    regenerateAutomationApiToken: () => ipcRenderer.invoke('regenerate-automation-api-token'),
     createPlaylist: () => ipcRenderer.invoke('create-playlist'),
     getPlaylists: () => ipcRenderer.invoke('get-playlists'),
     getPlaylistTracks: (path) => ipcRenderer.invoke('get-playlist-tracks', path),
@@ -17,19 +40,39 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getStats: () => ipcRenderer.invoke('get-stats'),
     resetStats: () => ipcRenderer.invoke('reset-stats'),
     clearLinkCache: () => ipcRenderer.invoke('clear-link-cache'),
+    getDownloadHistory: () => ipcRenderer.invoke('get-download-history'),
+    clearDownloadHistory: () => ipcRenderer.invoke('clear-download-history'),
+    rerunDownloadHistoryBatch: (id, options) => ipcRenderer.invoke('rerun-download-history-batch', id, options),
+    getLinkCacheEntries: () => ipcRenderer.invoke('get-link-cache-entries'),
+    updateLinkCacheEntry: (key, changes) => ipcRenderer.invoke('update-link-cache-entry', key, changes),
+    deleteLinkCacheEntry: (key) => ipcRenderer.invoke('delete-link-cache-entry', key),
+    checkLinkCache: () => ipcRenderer.invoke('check-link-cache'),
+    cancelLinkCacheCheck: () => ipcRenderer.send('cancel-link-cache-check'),
+    onLinkCacheCheckProgress: (callback) => ipcRenderer.on('link-cache-check-progress', (event, ...args) => callback(...args)),
+    exportLinkCache: () => ipcRenderer.invoke('export-link-cache'),
+    importLinkCache: () => ipcRenderer.invoke('import-link-cache'),
     startTrimLibrarySilence: (options) => ipcRenderer.invoke('start-trim-library-silence', options),
     deleteTrack: (filePath) => ipcRenderer.invoke('delete-track', filePath),
     deletePlaylist: (path) => ipcRenderer.invoke('delete-playlist', path),
     moveTrack: (data) => ipcRenderer.invoke('move-track', data),
     createNewPlaylist: () => ipcRenderer.invoke('create-new-playlist'),
     createPlaylistFromTracks: (data) => ipcRenderer.invoke('create-playlist-from-tracks', data),
+    searchLibrary: (options) => ipcRenderer.invoke('search-library', options),
+    getSmartPlaylists: () => ipcRenderer.invoke('get-smart-playlists'),
+    saveSmartPlaylist: (definition) => ipcRenderer.invoke('save-smart-playlist', definition),
+    deleteSmartPlaylist: (id) => ipcRenderer.invoke('delete-smart-playlist', id),
     renamePlaylist: (data) => ipcRenderer.invoke('rename-playlist', data),
     renameTrack: (data) => ipcRenderer.invoke('rename-track', data),
     undoAction: (action) => ipcRenderer.invoke('undo-action', action),
+    releaseUndoActions: (actions) => ipcRenderer.send('release-undo-actions', actions),
     searchSpotifyPlaylists: (query) => ipcRenderer.invoke('search-spotify-playlists', query),
     getSpotifyItemDetails: (data) => ipcRenderer.invoke('get-spotify-item-details', data),
     openFolderDialog: () => ipcRenderer.invoke('open-folder-dialog'),
     getTrackDetails: (filePath) => ipcRenderer.invoke('get-track-details', filePath),
+    getTrackArtwork: (filePaths) => ipcRenderer.invoke('get-track-artwork', filePaths),
+    getPlaylistArtwork: (playlistPaths) => ipcRenderer.invoke('get-playlist-artwork', playlistPaths),
+    getEditableTrackTags: (filePaths) => ipcRenderer.invoke('get-editable-track-tags', filePaths),
+    writeTrackFileTags: (payload) => ipcRenderer.invoke('write-track-file-tags', payload),
     getTrackTags: (filePath) => ipcRenderer.invoke('get-track-tags', filePath),
     getPlaylistTags: (playlistPath) => ipcRenderer.invoke('get-playlist-tags', playlistPath),
     addPlaylistTag: (payload) => ipcRenderer.invoke('add-playlist-tag', payload),
@@ -55,11 +98,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
     onMediaKeyNext: (callback) => ipcRenderer.on('media-key-next', callback),
     onMediaKeyPrev: (callback) => ipcRenderer.on('media-key-prev', callback),
     onDownloadProgress: (callback) => ipcRenderer.on('download-progress', (event, ...args) => callback(...args)),
+    onDownloadQueueUpdate: (callback) => ipcRenderer.on('download-queue-update', (event, ...args) => callback(...args)),
+    onDownloadHistoryUpdated: (callback) => ipcRenderer.on('download-history-updated', () => callback()),
+    onDownloadItemProgress: (callback) => ipcRenderer.on('download-item-progress', (event, ...args) => callback(...args)),
     onTrimLibrarySilenceProgress: (callback) => ipcRenderer.on('trim-library-silence-progress', (event, ...args) => callback(...args)),
     onTrayPlaybackCommand: (callback) => ipcRenderer.on('tray-playback-command', (event, ...args) => callback(...args)),
     onTraySleepTimerCommand: (callback) => ipcRenderer.on('tray-sleep-timer-command', (event, ...args) => callback(...args)),
     onManualLinkRequest: (callback) => ipcRenderer.on('manual-link-request', (event, ...args) => callback(...args)),
     respondManualLink: (payload) => ipcRenderer.send('manual-link-response', payload),
+    acknowledgeManualLinkRequest: (requestId) => ipcRenderer.send('manual-link-request-shown', { requestId }),
+    onManualLinkRequestExpired: (callback) => ipcRenderer.on('manual-link-request-expired', (event, ...args) => callback(...args)),
+    searchManualLinkCandidates: (payload) => ipcRenderer.invoke('search-manual-link-candidates', payload),
     getDetailedStats: (statType) => ipcRenderer.invoke('get-detailed-stats', statType),
     incrementNotificationStat: () => ipcRenderer.send('increment-notification-stat'),
     log: (payload) => ipcRenderer.send('renderer-log', payload)
@@ -46,9 +46,11 @@ let spectrogramHeight = 0;
 let sleepTimerInterval = null;
 let sleepTimerEndTime = null;
 let persistVolumeTimeout = null;
+let nowPlayingArtworkPath = null;
 
 const VISUAL_SYNC_SMOOTHING = 0.2;
 const SPECTROGRAM_BAR_COUNT = 40;
+const LIBRARY_SEARCH_PAGE_SIZE = 100;
 let playerState = {
     playlistSearchQuery: '',
     trackSearchQuery: '',
@@ -56,6 +58,10 @@ let playerState = {
     activePlaylistIds: [],
     allPlaylists: [],
     activePlaylistSummaries: [],
+    // Tracks added from library search; they follow the active playlists in the queue.
+    queuedTracks: [],
+    queueLabel: null,
+    librarySearch: { query: '', offset: 0, total: 0 },
 };
 
 // --- Helper Functions ---
@@ -158,9 +164,26 @@ function updateNowPlaying() {
         titleBarTrack.textContent = displayTrackName;
     }
 
+    updateNowPlayingArtwork(currentTracklist[currentTrackIndex] || null);
     emitPlayerStateUpdate();
 }
 
+async function updateNowPlayingArtwork(track) {
+    const { nowPlayingArtwork } = ctx.elements;
+    const trackPath = track?.path || null;
+    if (trackPath === nowPlayingArtworkPath) return;
+    nowPlayingArtworkPath = trackPath;
+    nowPlayingArtwork.classList.add('hidden');
+    nowPlayingArtwork.removeAttribute('src');
+    if (!trackPath) return;
+
+    const artwork = await window.electronAPI.getTrackArtwork([trackPath]);
+    // Skipped tracks can resolve out of order.
+    if (nowPlayingArtworkPath !== trackPath || !artwork[trackPath]) return;
+    nowPlayingArtwork.src = artwork[trackPath];
+    nowPlayingArtwork.classList.remove('hidden');
+}
+
 function emitPlayerStateUpdate() {
     const currentTrack = currentTracklist[currentTrackIndex] || null;
     const playlistName = currentTrack ? getPlaylistNameByPath(currentTrack.playlistPath) : '—';
@@ -168,6 +191,7 @@ function emitPlayerStateUpdate() {
     window.electronAPI?.updatePlayerState?.({
         isPlaying: !audio.paused && Boolean(audio.src),
         trackName: currentTrack?.displayName || 'Nothing playing',
+        trackPath: currentTrack?.path || null,
         playlistName,
         currentTimeSeconds: Number.isFinite(audio.currentTime) ? audio.currentTime : 0,
         durationSeconds: Number.isFinite(audio.duration) ? audio.duration : 0,
@@ -701,7 +725,9 @@ function updateTracksHeader() {
     if (!playerTracksHeader) return;
 
     if (playerState.activePlaylistIds.length === 0) {
-        playerTracksHeader.textContent = 'Select a playlist';
+        playerTracksHeader.textContent = playerState.queuedTracks.length > 0
+            ? `${playerState.queueLabel || 'Queue'} • ${getActiveQueueSummaryText()}`
+            : 'Select a playlist';
         playerTracksHeader.classList.remove('interactive-header');
         playerTracksHeader.removeAttribute('title');
         return;
@@ -978,6 +1004,59 @@ async function deletePlaylistFromContext(playlist) {
     await renderActiveTracks({ autoplayFirstTrack: false, preserveCurrentTrack: true });
 }
 
+async function createSmartPlaylist() {
+    const saved = await ctx.helpers.showSmartPlaylistEditor();
+    if (!saved) return;
+    log('Smart playlist created', { name: saved.name, path: saved.path });
+    await renderPlaylists();
+}
+
+async function editSmartPlaylistFromContext(playlist) {
+    const saved = await ctx.helpers.showSmartPlaylistEditor(playlist.smartPlaylistId);
+    if (!saved) return;
+    log('Smart playlist rules edited', { name: saved.name, path: saved.path });
+    await renderPlaylists();
+    if (playerState.activePlaylistIds.includes(playlist.path)) {
+        await renderActiveTracks({ autoplayFirstTrack: false, preserveCurrentTrack: true });
+    }
+}
+
+// Only the definition is removed; the tracks it listed stay where they are.
+async function deleteSmartPlaylistFromContext(playlist) {
+    const confirmed = await ctx.helpers.showConfirmDialog(
+        'Delete Smart Playlist',
+        `Delete the smart playlist "${playlist.name}"? Its tracks are not deleted.`,
+        { confirmText: 'Delete', cancelText: 'Cancel', danger: true }
+    );
+    if (!confirmed) return;
+
+    const result = await window.electronAPI.deleteSmartPlaylist(playlist.smartPlaylistId);
+    if (!result.success) {
+        ctx.helpers.showNotification('error', 'Delete Failed', result.error || 'Could not delete the smart playlist.');
+        return;
+    }
+
+    ctx.helpers.showNotification(
+        'success',
+        'Smart Playlist Deleted',
+        `"${playlist.name}" has been deleted.`,
+        { undoAction: result.undoAction || null }
+    );
+    playerState.activePlaylistIds = playerState.activePlaylistIds.filter(id => id !== playlist.path);
+    if (playerState.selectedPlaylistPath === playlist.path) {
+        playerState.selectedPlaylistPath = playerState.activePlaylistIds[0] || null;
+    }
+
+    if (Array.isArray(ctx.state.favoritePlaylists)) {
+        ctx.state.favoritePlaylists = ctx.state.favoritePlaylists.filter(id => id !== playlist.path);
+        await ctx.helpers.saveSettings();
+    }
+
+    syncSharedActiveState();
+    await renderPlaylists();
+    await renderActiveTracks({ autoplayFirstTrack: false, preserveCurrentTrack: true });
+}
+
 async function renameTrackFromContext(track) {
     const newName = await ctx.helpers.showPromptDialog(
         'Rename Track',
@@ -1188,7 +1267,7 @@ async function showTrackInfoFromContext(track) {
     }
 
     const detailsText = buildTrackDetailsMessage(result.details);
-    await ctx.helpers.showInfoDialog('Track Details', detailsText, { confirmText: 'Close' });
+    await ctx.helpers.showInfoDialog('Track Details', detailsText, { confirmText: 'Close', imageUrl: result.details.artworkUrl });
 }
 
 async function addTagToTrackFromContext(track) {
@@ -1242,6 +1321,20 @@ async function editTagOnTrackFromContext(track) {
     await renderActiveTracks({ autoplayFirstTrack: false, preserveCurrentTrack: true });
 }
 
+async function editFileTagsFromContext(tracks) {
+    const saved = await ctx.helpers.showTrackTagEditor(tracks);
+    if (saved) await renderActiveTracks({ autoplayFirstTrack: false, preserveCurrentTrack: true });
+}
+
+async function editPlaylistFileTagsFromContext(playlist) {
+    const { tracks } = await window.electronAPI.getPlaylistTracks(playlist.path);
+    if (!tracks || tracks.length === 0) {
+        ctx.helpers.showNotification('info', 'Edit File Tags', `"${playlist.name}" has no tracks.`);
+        return;
+    }
+    await editFileTagsFromContext(tracks);
+}
+
 async function goToTrackFileFromContext(track) {
     const result = await window.electronAPI.openTrackFile(track.path);
     if (!result?.success) {
@@ -1270,7 +1363,7 @@ function updatePlaylistItemVisuals() {
 
 function buildTracklistForPlaylist(tracks, playlistPath) {
     return tracks
-        .filter(t => /\.(m4a|mp3|wav|flac|ogg|webm)$/i.test(t.path))
+        .filter(t => /\.(m4a|mp3|wav|flac|ogg|opus|webm)$/i.test(t.path))
         .map(track => {
             const parsed = parseQueuePrefix(track.name);
             return {
@@ -1288,6 +1381,18 @@ function buildTracklistForPlaylist(tracks, playlistPath) {
         });
 }
 
+// Unlike playlist tracks, queued tracks keep the order they were added in.
+function buildQueuedTracklist(tracks) {
+    return tracks.map((track) => {
+        const parsed = parseQueuePrefix(track.name);
+        return {
+            ...track,
+            queueNumber: parsed.queueNumber,
+            displayName: parsed.displayName,
+        };
+    });
+}
+
 function shuffleArray(array) {
     const newArray = [...array];
     for (let i = newArray.length - 1; i > 0; i--) {
@@ -1404,6 +1509,12 @@ function renderTracklistUI() {
                         await addTagToTrackFromContext(track);
                     },
                 },
+                {
+                    label: 'Edit file tags',
+                    action: async () => {
+                        await editFileTagsFromContext([track]);
+                    },
+                },
                 {
                     label: 'Go to file',
                     action: async () => {
@@ -1448,7 +1559,7 @@ async function renderActiveTracks(options = {}) {
     const { playerTracksContainer } = ctx.elements;
     const activeIds = [...playerState.activePlaylistIds];
 
-    if (activeIds.length === 0) {
+    if (activeIds.length === 0 && playerState.queuedTracks.length === 0) {
         log('Render tracks called with no active playlists');
         playerTracksContainer.innerHTML = `<div class="empty-playlist-message">Select a playlist to see its tracks.</div>`;
         playerState.activePlaylistSummaries = [];
@@ -1489,6 +1600,18 @@ async function renderActiveTracks(options = {}) {
             mergedTracklist.push(...buildTracklistForPlaylist(tracks, activeIds[resultIndex]));
         });
 
+        const loadedPaths = new Set(mergedTracklist.map(track => track.path));
+        const queuedTracks = buildQueuedTracklist(playerState.queuedTracks.filter(track => !loadedPaths.has(track.path)));
+        if (queuedTracks.length > 0) {
+            mergedTracklist.push(...queuedTracks);
+            playerState.activePlaylistSummaries.push({
+                path: null,
+                name: playerState.queueLabel || 'Queue',
+                trackCount: queuedTracks.length,
+                durationSeconds: queuedTracks.reduce((sum, track) => sum + (Number.isFinite(track.duration) ? track.duration : 0), 0),
+            });
+        }
+
         updateTracksHeader();
         renderTracksStats();
 
@@ -1547,6 +1670,9 @@ async function setActivePlaylists(nextIds, options = {}) {
     if (normalizedIds.length < 2) {
         closeMixDetailsModal();
     }
+    // Picking playlists starts a new queue.
+    playerState.queuedTracks = [];
+    playerState.queueLabel = null;
     playerState.activePlaylistIds = normalizedIds;
     playerState.selectedPlaylistPath = normalizedIds[0] || null;
     syncSharedActiveState();
@@ -1555,6 +1681,211 @@ async function setActivePlaylists(nextIds, options = {}) {
     await renderActiveTracks(options);
 }
 
+async function playTrackQueue(tracks, label, startIndex = 0) {
+    if (!Array.isArray(tracks) || tracks.length === 0) return;
+
+    closeMixDetailsModal();
+    playerState.activePlaylistIds = [];
+    playerState.selectedPlaylistPath = null;
+    playerState.queuedTracks = tracks;
+    playerState.queueLabel = label;
+    syncSharedActiveState();
+    updatePlaylistItemVisuals();
+
+    const startPath = tracks[startIndex]?.path;
+    await renderActiveTracks({ preserveCurrentTrack: false });
+    const index = currentTracklist.findIndex(track => track.path === startPath);
+    playTrack(index > -1 ? index : 0);
+}
+
+async function queueTracks(tracks, label) {
+    if (!Array.isArray(tracks) || tracks.length === 0) return 0;
+
+    const queuedPaths = new Set([
+        ...currentTracklist.map(track => track.path),
+        ...playerState.queuedTracks.map(track => track.path),
+    ]);
+    const newTracks = tracks.filter(track => !queuedPaths.has(track.path));
+    if (newTracks.length === 0) return 0;
+
+    playerState.queuedTracks = [...playerState.queuedTracks, ...newTracks];
+    playerState.queueLabel = playerState.queueLabel || label;
+    await renderActiveTracks();
+    return newTracks.length;
+}
+
+// --- Library Search ---
+function closeLibrarySearchModal() {
+    ctx.elements.librarySearchModal?.classList.add('hidden');
+}
+
+function openLibrarySearchModal() {
+    const { librarySearchModal, librarySearchInput } = ctx.elements;
+    if (!librarySearchModal) return;
+    librarySearchModal.classList.remove('hidden');
+    librarySearchInput.focus();
+    librarySearchInput.select();
+}
+
+function getLibrarySearchQueueLabel() {
+    return `Search: ${playerState.librarySearch.query || 'All tracks'}`;
+}
+
+function setLibrarySearchActionsEnabled(enabled) {
+    const { librarySearchPlayBtn, librarySearchQueueBtn, librarySearchSaveBtn } = ctx.elements;
+    [librarySearchPlayBtn, librarySearchQueueBtn, librarySearchSaveBtn].forEach((button) => {
+        button.disabled = !enabled;
+    });
+}
+
+function renderLibrarySearchPager() {
+    const { librarySearchPrevBtn, librarySearchNextBtn, librarySearchPage } = ctx.elements;
+    const { offset, total } = playerState.librarySearch;
+    const pageCount = Math.max(1, Math.ceil(total / LIBRARY_SEARCH_PAGE_SIZE));
+    const page = Math.floor(offset / LIBRARY_SEARCH_PAGE_SIZE) + 1;
+
+    librarySearchPage.textContent = `Page ${page} of ${pageCount}`;
+    librarySearchPrevBtn.disabled = offset === 0;
+    librarySearchNextBtn.disabled = offset + LIBRARY_SEARCH_PAGE_SIZE >= total;
+}
+
+function buildLibrarySearchResultMeta(track) {
+    return [
+        track.artist,
+        track.album,
+        track.playlistName,
+        formatTrackListDuration(track.duration),
+        `${track.playCount || 0} play${track.playCount !== 1 ? 's' : ''}`,
+    ].filter(Boolean).join(' • ');
+}
+
+async function runLibrarySearch(offset = 0) {
+    const { librarySearchInput, librarySearchSummary, librarySearchResults } = ctx.elements;
+    const query = librarySearchInput.value.trim();
+    log('Library search requested', { query, offset });
+
+    const result = await window.electronAPI.searchLibrary({ query, offset, limit: LIBRARY_SEARCH_PAGE_SIZE });
+    librarySearchResults.innerHTML = '';
+
+    if (!result?.success) {
+        playerState.librarySearch = { query, offset: 0, total: 0 };
+        librarySearchSummary.textContent = result?.error || 'Search failed.';
+        librarySearchResults.innerHTML = '<li class="link-picker-empty">No results.</li>';
+        setLibrarySearchActionsEnabled(false);
+        renderLibrarySearchPager();
+        return;
+    }
+
+    playerState.librarySearch = { query, offset: result.offset, total: result.total };
+    librarySearchSummary.textContent = `${result.total} track${result.total !== 1 ? 's' : ''} • ${formatDurationForSummary(result.totalDuration)}`;
+    setLibrarySearchActionsEnabled(result.total > 0);
+    renderLibrarySearchPager();
+
+    if (result.tracks.length === 0) {
+        librarySearchResults.innerHTML = '<li class="link-picker-empty">No tracks match this search.</li>';
+        return;
+    }
+
+    result.tracks.forEach((track, pageIndex) => {
+        const resultIndex = result.offset + pageIndex;
+        const { displayName } = parseQueuePrefix(track.name);
+        const item = document.createElement('li');
+        item.className = 'link-picker-candidate';
+        item.innerHTML = `<span class="link-picker-candidate-title" title="${escapeHtml(displayName)}">${escapeHtml(displayName)}</span><span class="link-picker-candidate-meta">${escapeHtml(buildLibrarySearchResultMeta(track))}</span>`;
+        item.addEventListener('click', () => playLibrarySearchResults(resultIndex));
+        item.addEventListener('contextmenu', (event) => {
+            event.preventDefault();
+            ctx.helpers.showContextMenu(event.clientX, event.clientY, [
+                {
+                    label: 'Play from here',
+                    action: () => playLibrarySearchResults(resultIndex),
+                },
+                {
+                    label: 'Add to queue',
+                    action: async () => {
+                        const addedCount = await queueTracks([track], getLibrarySearchQueueLabel());
+                        ctx.helpers.showNotification('info', 'Queued', addedCount > 0 ? `Added "${displayName}" to the queue.` : `"${displayName}" is already queued.`);
+                    },
+                },
+                { type: 'separator' },
+                {
+                    label: 'More info',
+                    action: async () => {
+                        await showTrackInfoFromContext(track);
+                    },
+                },
+                {
+                    label: 'Show in folder',
+                    action: () => window.electronAPI.showInExplorer(track.path),
+                },
+            ]);
+        });
+        librarySearchResults.appendChild(item);
+    });
+}
+
+async function getAllLibrarySearchResults() {
+    const result = await window.electronAPI.searchLibrary({ query: playerState.librarySearch.query, all: true });
+    if (!result?.success) {
+        ctx.helpers.showNotification('error', 'Search Failed', result?.error || 'Could not load the search results.');
+        return [];
+    }
+    return result.tracks;
+}
+
+async function playLibrarySearchResults(startIndex = 0) {
+    const tracks = await getAllLibrarySearchResults();
+    if (tracks.length === 0) return;
+    closeLibrarySearchModal();
+    await playTrackQueue(tracks, getLibrarySearchQueueLabel(), startIndex);
+}
+
+async function queueLibrarySearchResults() {
+    const tracks = await getAllLibrarySearchResults();
+    if (tracks.length === 0) return;
+    const addedCount = await queueTracks(tracks, getLibrarySearchQueueLabel());
+    ctx.helpers.showNotification(
+        'info',
+        'Queued',
+        addedCount > 0
+            ? `Added ${addedCount} track${addedCount !== 1 ? 's' : ''} to the queue.`
+            : 'Every result is already in the queue.'
+    );
+}
+
+async function saveLibrarySearchAsPlaylist() {
+    const tracks = await getAllLibrarySearchResults();
+    if (tracks.length === 0) return;
+
+    const requestedName = await ctx.helpers.showPromptDialog(
+        'Save Search as Playlist',
+        'Enter a playlist name:',
+        playerState.librarySearch.query || 'Library Search',
+        { confirmText: 'Save', cancelText: 'Cancel' }
+    );
+
+    const playlistName = requestedName?.trim();
+    if (!playlistName) return;
+
+    const result = await window.electronAPI.createPlaylistFromTracks({
+        playlistName,
+        trackPaths: tracks.map(track => track.path),
+    });
+
+    if (!result?.success) {
+        ctx.helpers.showNotification('error', 'Save Failed', result?.error || 'Could not save the search results.');
+        return;
+    }
+
+    ctx.helpers.showNotification(
+        'success',
+        'Search Saved',
+        `Saved ${result.savedTrackCount} track${result.savedTrackCount !== 1 ? 's' : ''} to "${result.playlist?.name || playlistName}".`
+    );
+
+    await renderPlaylists();
+}
+
 function highlightCurrentTrack() {
     const { playerTracksContainer } = ctx.elements;
     let activeTrackElement = null;
@@ -1633,7 +1964,8 @@ async function renderPlaylists() {
             const tagMarkup = primaryTag
                 ? `<span class="playlist-tag-badge" title="${escapeHtml(primaryTag)}">${escapeHtml(primaryTag)}${tagSuffix}</span>`
                 : '';
-            item.innerHTML = `<span class="playlist-name" title="${escapeHtml(p.name)}">${escapeHtml(p.name)}</span>${tagMarkup}<button class="playlist-add-btn" type="button" title="Add to Mix" aria-label="Add to Mix">+</button>`;
+            const artworkMarkup = p.isSmart ? '' : '<img class="playlist-artwork hidden" alt="">';
+            item.innerHTML = `${artworkMarkup}<span class="playlist-name" title="${escapeHtml(p.name)}">${escapeHtml(p.name)}</span>${tagMarkup}<button class="playlist-add-btn" type="button" title="Add to Mix" aria-label="Add to Mix">+</button>`;
 
             const addBtn = item.querySelector('.playlist-add-btn');
             addBtn.addEventListener('click', async (event) => {
@@ -1689,6 +2021,12 @@ async function renderPlaylists() {
 
                 if (!isSmartPlaylist) {
                     menuItems.push(
+                        {
+                            label: 'Edit file tags for all tracks',
+                            action: async () => {
+                                await editPlaylistFileTagsFromContext(p);
+                            },
+                        },
                         { type: 'separator' },
                         {
                             label: 'Rename',
@@ -1710,12 +2048,31 @@ async function renderPlaylists() {
                     );
                 }
 
+                if (p.smartPlaylistId) {
+                    menuItems.push(
+                        { type: 'separator' },
+                        {
+                            label: 'Edit rules',
+                            action: async () => {
+                                await editSmartPlaylistFromContext(p);
+                            },
+                        },
+                        {
+                            label: 'Delete',
+                            action: async () => {
+                                await deleteSmartPlaylistFromContext(p);
+                            },
+                        },
+                    );
+                }
+
                 ctx.helpers.showContextMenu(event.clientX, event.clientY, menuItems);
             });
 
             playerPlaylistsContainer.appendChild(item);
         });
 
+        void ctx.helpers.applyPlaylistArtwork(playerPlaylistsContainer);
         updateTracksHeader();
         updatePlaylistItemVisuals();
 
@@ -1743,6 +2100,17 @@ export function initializePlayer(context) {
         mixDetailsModal,
         mixDetailsCloseBtn,
         mixDetailsSaveBtn,
+        librarySearchBtn,
+        smartPlaylistNewBtn,
+        librarySearchModal,
+        librarySearchCloseBtn,
+        librarySearchInput,
+        librarySearchSubmitBtn,
+        librarySearchPrevBtn,
+        librarySearchNextBtn,
+        librarySearchPlayBtn,
+        librarySearchQueueBtn,
+        librarySearchSaveBtn,
     } = ctx.elements;
 
     if (ctx.state.activeQueuePaths instanceof Set) {
@@ -1756,6 +2124,7 @@ export function initializePlayer(context) {
 
     ctx.playerAPI.unloadTrackByPath = async (trackPath) => {
         if (!trackPath) return false;
+        playerState.queuedTracks = playerState.queuedTracks.filter(track => track.path !== trackPath);
         const currentTrack = currentTracklist[currentTrackIndex];
         if (!currentTrack || currentTrack.path !== trackPath) return false;
 
@@ -1766,6 +2135,7 @@ export function initializePlayer(context) {
 
     ctx.playerAPI.unloadPlaylistByPath = async (playlistPath) => {
         if (!playlistPath) return false;
+        playerState.queuedTracks = playerState.queuedTracks.filter(track => track.playlistPath !== playlistPath);
 
         const isActivePlaylist = playerState.activePlaylistIds.includes(playlistPath);
         const currentTrack = currentTracklist[currentTrackIndex];
@@ -1795,6 +2165,36 @@ export function initializePlayer(context) {
         return true;
     };
 
+    ctx.playerAPI.applyLibraryChange = async (change = {}) => {
+        const movedTracks = new Map((change.movedTracks || []).map(move => [move.from, move.to]));
+        const removedTracks = new Set(change.removedTracks || []);
+        const changedFolders = new Set(change.changedFolders || []);
+        const queueChanged = playerState.queuedTracks.some(track => movedTracks.has(track.path) || removedTracks.has(track.path));
+
+        playerState.queuedTracks = playerState.queuedTracks
+            .filter(track => !removedTracks.has(track.path))
+            .map((track) => {
+                const movedPath = movedTracks.get(track.path);
+                if (!movedPath) return track;
+                const fileName = movedPath.split(/[\\/]/).pop();
+                return {
+                    ...track,
+                    path: movedPath,
+                    name: fileName.replace(/\.[^.]+$/, ''),
+                    playlistPath: getParentDirectory(movedPath),
+                };
+            });
+
+        await renderPlaylists();
+        // Smart playlists draw from the whole library, so any change can affect them.
+        const activeChanged = playerState.activePlaylistIds.some(playlistPath => (
+            changedFolders.has(playlistPath) || getPlaylistByPath(playlistPath)?.isSmart
+        ));
+        if (queueChanged || activeChanged) {
+            await renderActiveTracks({ autoplayFirstTrack: false, preserveCurrentTrack: true });
+        }
+    };
+
     ctx.playerAPI.applyVisualThemeSyncSetting = (enabled) => {
         ctx.state.visualThemeSync = Boolean(enabled);
 
@@ -1851,6 +2251,24 @@ export function initializePlayer(context) {
         });
     }
 
+    librarySearchBtn.addEventListener('click', openLibrarySearchModal);
+    smartPlaylistNewBtn.addEventListener('click', createSmartPlaylist);
+    librarySearchCloseBtn.addEventListener('click', closeLibrarySearchModal);
+    librarySearchModal.addEventListener('click', (event) => {
+        if (event.target === librarySearchModal) closeLibrarySearchModal();
+    });
+    librarySearchSubmitBtn.addEventListener('click', () => runLibrarySearch(0));
+    librarySearchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') runLibrarySearch(0);
+    });
+    librarySearchPrevBtn.addEventListener('click', () => runLibrarySearch(Math.max(0, playerState.librarySearch.offset - LIBRARY_SEARCH_PAGE_SIZE)));
+    librarySearchNextBtn.addEventListener('click', () => runLibrarySearch(playerState.librarySearch.offset + LIBRARY_SEARCH_PAGE_SIZE));
+    librarySearchPlayBtn.addEventListener('click', () => playLibrarySearchResults(0));
+    librarySearchQueueBtn.addEventListener('click', queueLibrarySearchResults);
+    librarySearchSaveBtn.addEventListener('click', saveLibrarySearchAsPlaylist);
+    setLibrarySearchActionsEnabled(false);
+    renderLibrarySearchPager();
+
     // --- Event Listeners for Audio Element ---
     audio.addEventListener('play', () => {
         logDebug('Audio play event');
@@ -104,7 +104,7 @@ async function showTrackInfoFromContext(track) {
         return;
     }
 
-    await ctx.helpers.showInfoDialog('Track Details', buildTrackDetailsMessage(result.details), { confirmText: 'Close' });
+    await ctx.helpers.showInfoDialog('Track Details', buildTrackDetailsMessage(result.details), { confirmText: 'Close', imageUrl: result.details.artworkUrl });
 }
 
 async function addTagToTrackFromContext(track) {
@@ -158,6 +158,20 @@ async function editTagOnTrackFromContext(track) {
     await pmRenderTracks(ctx.state.pmSelectedPlaylistPath);
 }
 
+async function editFileTagsFromContext(tracks) {
+    const saved = await ctx.helpers.showTrackTagEditor(tracks);
+    if (saved && ctx.state.pmSelectedPlaylistPath) await pmRenderTracks(ctx.state.pmSelectedPlaylistPath);
+}
+
+async function editPlaylistFileTagsFromContext(playlist) {
+    const { tracks } = await window.electronAPI.getPlaylistTracks(playlist.path);
+    if (!tracks || tracks.length === 0) {
+        ctx.helpers.showNotification('info', 'Edit File Tags', `"${playlist.name}" has no tracks.`);
+        return;
+    }
+    await editFileTagsFromContext(tracks);
+}
+
 async function goToTrackFileFromContext(track) {
     const result = await window.electronAPI.openTrackFile(track.path);
     if (!result?.success) {
@@ -175,6 +189,48 @@ async function showPlaylistInfoFromContext(playlist) {
     await ctx.helpers.showInfoDialog('Playlist Details', buildPlaylistDetailsMessage(result.details), { confirmText: 'Close' });
 }
 
+async function editSmartPlaylistFromContext(playlist) {
+    const saved = await ctx.helpers.showSmartPlaylistEditor(playlist.smartPlaylistId);
+    if (!saved) return;
+    log('Smart playlist rules edited', { playlistName: saved.name });
+    pmRenderPlaylists();
+    if (ctx.state.pmSelectedPlaylistPath === playlist.path) {
+        ctx.elements.pmTracksHeader.textContent = saved.name;
+        pmRenderTracks(playlist.path);
+    }
+    if (ctx.state.isPlayerInitialized) ctx.playerAPI?.loadAndRenderPlaylists?.();
+}
+
+async function deleteSmartPlaylistFromContext(playlist) {
+    const confirmed = await ctx.helpers.showConfirmDialog(
+        'Delete Smart Playlist',
+        `Delete the smart playlist "${playlist.name}"? Its tracks are not deleted.`,
+        { confirmText: 'Delete', cancelText: 'Cancel', danger: true }
+    );
+    if (!confirmed) return;
+
+    log('Deleting smart playlist', { playlistName: playlist.name });
+    const result = await window.electronAPI.deleteSmartPlaylist(playlist.smartPlaylistId);
+    if (!result.success) {
+        ctx.helpers.showNotification('error', 'Delete Failed', result.error);
+        return;
+    }
+
+    ctx.helpers.showNotification(
+        'success',
+        'Smart Playlist Deleted',
+        `"${playlist.name}" has been deleted.`,
+        { undoAction: result.undoAction || null }
+    );
+    if (ctx.state.pmSelectedPlaylistPath === playlist.path) {
+        ctx.elements.pmTracksContainer.innerHTML = '';
+        ctx.elements.pmTracksHeader.textContent = 'Select a playlist';
+        ctx.state.pmSelectedPlaylistPath = null;
+    }
+    pmRenderPlaylists();
+    if (ctx.state.isPlayerInitialized) ctx.playerAPI?.loadAndRenderPlaylists?.();
+}
+
 async function pmRenderTracks(playlistPath) {
     const { pmTracksContainer, pmTrackSearchInput, moveTrackNameEl, moveTrackDestinationSelect, moveTrackModal } = ctx.elements;
     log('Rendering tracks', { playlistPath });
@@ -233,6 +289,10 @@ async function pmRenderTracks(playlistPath) {
                         label: 'Add tag',
                         action: () => { void addTagToTrackFromContext(track); }
                     },
+                    {
+                        label: 'Edit file tags',
+                        action: () => { void editFileTagsFromContext([track]); }
+                    },
                     {
                         label: 'Go to file',
                         action: () => { void goToTrackFileFromContext(track); }
@@ -365,7 +425,7 @@ async function pmRenderPlaylists() {
             item.className = 'playlist-list-item';
             if (isSmartPlaylist) item.classList.add('smart-playlist-item');
             item.dataset.path = p.path;
-            item.innerHTML = `<span class="playlist-name" title="${p.name}">${p.name}</span>${isSmartPlaylist ? '' : '<button class="playlist-delete-btn" title="Delete Playlist"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg></button>'}`;
+            item.innerHTML = `${isSmartPlaylist ? '' : '<img class="playlist-artwork hidden" alt="">'}<span class="playlist-name" title="${p.name}">${p.name}</span>${isSmartPlaylist ? '' : '<button class="playlist-delete-btn" title="Delete Playlist"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg></button>'}`;
             targetGrid.appendChild(item);
             item.addEventListener('click', (e) => {
                 if (e.target.closest('.playlist-delete-btn') || e.target.tagName === 'INPUT') return;
@@ -385,6 +445,10 @@ async function pmRenderPlaylists() {
                         label: 'More info',
                         action: () => { void showPlaylistInfoFromContext(p); }
                     },
+                    {
+                        label: 'Edit file tags for all tracks',
+                        action: () => { void editPlaylistFileTagsFromContext(p); }
+                    },
                     { type: 'separator' },
                     {
                         label: 'Rename',
@@ -408,6 +472,19 @@ async function pmRenderPlaylists() {
                             action: () => { void showPlaylistInfoFromContext(p); }
                         }
                     ];
+                    if (p.smartPlaylistId) {
+                        smartMenuItems.push(
+                            { type: 'separator' },
+                            {
+                                label: 'Edit rules',
+                                action: () => { void editSmartPlaylistFromContext(p); }
+                            },
+                            {
+                                label: 'Delete',
+                                action: () => { void deleteSmartPlaylistFromContext(p); }
+                            }
+                        );
+                    }
                     ctx.helpers.showContextMenu(e.clientX, e.clientY, smartMenuItems);
                     return;
                 }
@@ -511,6 +588,8 @@ async function pmRenderPlaylists() {
             });
         });
         pmFavoritePlaylistsContainer.classList.toggle('hidden', pmFavoritePlaylistsGrid.children.length === 0);
+        void ctx.helpers.applyPlaylistArtwork(pmFavoritePlaylistsGrid);
+        void ctx.helpers.applyPlaylistArtwork(pmAllPlaylistsGrid);
     } catch (error) {
         logError('Failed to render PM playlists', { error: error.message });
     }
@@ -533,6 +612,24 @@ export function initializePlaylistManagement(context) {
             await pmRenderTracks(ctx.state.pmSelectedPlaylistPath);
         }
     };
+    ctx.pmAPI.applyLibraryChange = async (change = {}) => {
+        const { pmTracksContainer, pmTracksHeader } = ctx.elements;
+        const selectedPath = ctx.state.pmSelectedPlaylistPath;
+        const selectedMove = (change.movedFolders || []).find(move => move.from === selectedPath);
+        if (selectedMove) {
+            ctx.state.pmSelectedPlaylistPath = selectedMove.to;
+            pmTracksHeader.textContent = selectedMove.to.split(/[\\/]/).pop();
+        } else if ((change.removedFolders || []).includes(selectedPath)) {
+            pmTracksContainer.innerHTML = '';
+            pmTracksHeader.textContent = 'Select a playlist';
+            ctx.state.pmSelectedPlaylistPath = null;
+        }
+
+        await pmRenderPlaylists();
+        const selectedChanged = ctx.state.pmSelectedPlaylistPath
+            && (selectedMove || (change.changedFolders || []).includes(ctx.state.pmSelectedPlaylistPath));
+        if (selectedChanged) await pmRenderTracks(ctx.state.pmSelectedPlaylistPath);
+    };
     
     pmRenderPlaylists();
     ctx.state.isPmInitialized = true;
@@ -14,6 +14,7 @@ window.addEventListener('DOMContentLoaded', () => {
     const consoleBtn = document.getElementById('console-btn');
     const statsBtn = document.getElementById('stats-btn');
     const notificationHistoryBtn = document.getElementById('notification-history-btn');
+    const downloadHistoryBtn = document.getElementById('download-history-btn');
     const helpBtn = document.getElementById('help-btn');
     const homeView = document.getElementById('home-view');
     const settingsView = document.getElementById('settings-view');
@@ -23,6 +24,7 @@ window.addEventListener('DOMContentLoaded', () => {
     const consoleView = document.getElementById('console-view');
     const statsView = document.getElementById('stats-view');
     const notificationHistoryView = document.getElementById('notification-history-view');
+    const downloadHistoryView = document.getElementById('download-history-view');
     const helpView = document.getElementById('help-view');
     const downloadBtn = document.getElementById('download-btn');
     const linksInput = document.getElementById('links-input');
@@ -31,6 +33,12 @@ window.addEventListener('DOMContentLoaded', () => {
     const bigCancelBtn = document.getElementById('big-cancel-btn');
     const loadingOverlay = document.getElementById('loading-overlay');
     const dropZone = document.getElementById('drop-zone');
+    const linkDestinationsContainer = document.getElementById('link-destinations');
+    const linkDestinationsList = document.getElementById('link-destinations-list');
+    const importedTrackListsContainer = document.getElementById('imported-track-lists');
+    const importedTrackListsList = document.getElementById('imported-track-lists-list');
+    const importTrackListBtn = document.getElementById('import-track-list-btn');
+    const playlistNameOptions = document.getElementById('playlist-name-options');
     const createPlaylistBtn = document.getElementById('create-playlist-btn');
     const updateNotification = document.getElementById('update-notification');
     const updateMessage = document.getElementById('update-message');
@@ -42,11 +50,24 @@ window.addEventListener('DOMContentLoaded', () => {
     const toastCloseBtn = document.getElementById('toast-close-btn');
     const notificationHistoryContainer = document.getElementById('notification-history-container');
     const clearHistoryBtn = document.getElementById('clear-history-btn');
+    const downloadHistoryContainer = document.getElementById('download-history-container');
+    const downloadHistoryFilter = document.getElementById('download-history-filter');
+    const clearDownloadHistoryBtn = document.getElementById('clear-download-history-btn');
     const themeGridContainer = document.getElementById('theme-grid');
     const favoriteThemeGrid = document.getElementById('favorite-theme-grid');
     const favoritesContainer = document.getElementById('favorites-container');
-    const fileExtensionInput = document.getElementById('fileExtension');
+    const filenameTemplateInput = document.getElementById('filenameTemplate');
+    const filenameTemplatePreview = document.getElementById('filename-template-preview');
+    const customAudioProfilesList = document.getElementById('custom-audio-profiles-list');
+    const customProfileNameInput = document.getElementById('custom-profile-name');
+    const customProfileCodecSelect = document.getElementById('custom-profile-codec');
+    const customProfileModeSelect = document.getElementById('custom-profile-mode');
+    const customProfileQualityInput = document.getElementById('custom-profile-quality');
+    const customProfileSampleRateSelect = document.getElementById('custom-profile-sample-rate');
+    const customProfileChannelsSelect = document.getElementById('custom-profile-channels');
+    const addCustomProfileBtn = document.getElementById('add-custom-profile-btn');
     const downloadThreadsInput = document.getElementById('downloadThreads');
+    const linkSearchThreadsInput = document.getElementById('linkSearchThreads');
     const clientIdInput = document.getElementById('clientId');
     const clientSecretInput = document.getElementById('clientSecret');
     const toggleSecretBtn = document.getElementById('toggle-secret-btn');
@@ -83,10 +104,17 @@ window.addEventListener('DOMContentLoaded', () => {
     const settingsTabButtons = Array.from(document.querySelectorAll('.settings-tab-btn'));
     const settingsTabPanels = Array.from(document.querySelectorAll('.settings-tab-panel'));
     const autoCreatePlaylistInput = document.getElementById('autoCreatePlaylist');
+    const automationApiEnabledInput = document.getElementById('automationApiEnabled');
+    const automationApiPortInput = document.getElementById('automationApiPort');
+    const automationApiTokenInput = document.getElementById('automationApiToken');
+    const automationApiStatusNote = document.getElementById('automation-api-status');
+    const copyAutomationTokenBtn = document.getElementById('copy-automation-token-btn');
+    const regenerateAutomationTokenBtn = document.getElementById('regenerate-automation-token-btn');
     const hideRefreshButtonsInput = document.getElementById('hideRefreshButtons');
     const hidePlaylistCountsInput = document.getElementById('hidePlaylistCounts');
     const hideTrackNumbersInput = document.getElementById('hideTrackNumbers');
     const normalizeVolumeInput = document.getElementById('normalizeVolume');
+    const embedMetadataInput = document.getElementById('embedMetadata');
     const hideSearchBarsInput = document.getElementById('hideSearchBars');
     const hideMixButtonsInput = document.getElementById('hideMixButtons');
     const visualThemeSyncInput = document.getElementById('visualThemeSync');
@@ -95,10 +123,31 @@ window.addEventListener('DOMContentLoaded', () => {
     const libraryPerformanceModeInput = document.getElementById('libraryPerformanceMode');
     const skipManualLinkPromptInput = document.getElementById('skipManualLinkPrompt');
     const durationToleranceSecondsInput = document.getElementById('durationToleranceSeconds');
+    const linkCacheTtlDaysInput = document.getElementById('linkCacheTtlDays');
+    const validateLinkCacheInput = document.getElementById('validateLinkCache');
     const silenceTrimThresholdDbInput = document.getElementById('silenceTrimThresholdDb');
+    const watchedPlaylistSyncHoursInput = document.getElementById('watchedPlaylistSyncHours');
     const updateYtdlpBtn = document.getElementById('update-ytdlp-btn');
     const checkForUpdatesBtn = document.getElementById('check-for-updates-btn');
     const clearCacheBtn = document.getElementById('clear-cache-btn');
+    const manageLinkCacheBtn = document.getElementById('manage-link-cache-btn');
+    const linkCacheModal = document.getElementById('link-cache-modal');
+    const linkCacheCloseBtn = document.getElementById('link-cache-close-btn');
+    const linkCacheSummary = document.getElementById('link-cache-summary');
+    const linkCacheSearchInput = document.getElementById('link-cache-search-input');
+    const linkCacheList = document.getElementById('link-cache-list');
+    const linkCacheImportBtn = document.getElementById('link-cache-import-btn');
+    const linkCacheExportBtn = document.getElementById('link-cache-export-btn');
+    const linkCacheCheckBtn = document.getElementById('link-cache-check-btn');
+    const manageWatchedPlaylistsBtn = document.getElementById('manage-watched-playlists-btn');
+    const watchedPlaylistsModal = document.getElementById('watched-playlists-modal');
+    const watchedPlaylistsCloseBtn = document.getElementById('watched-playlists-close-btn');
+    const watchedPlaylistLinkInput = document.getElementById('watched-playlist-link-input');
+    const watchedPlaylistFolderInput = document.getElementById('watched-playlist-folder-input');
+    const watchedPlaylistRemoveMissingInput = document.getElementById('watched-playlist-remove-missing-input');
+    const watchedPlaylistAddBtn = document.getElementById('watched-playlist-add-btn');
+    const watchedPlaylistsList = document.getElementById('watched-playlists-list');
+    const watchedPlaylistsSyncAllBtn = document.getElementById('watched-playlists-sync-all-btn');
     const trimLibrarySilenceBtn = document.getElementById('trim-library-silence-btn');
     const spotifyLink = document.getElementById('spotify-link');
     const spotifySearchInput = document.getElementById('spotify-search-input');
@@ -106,13 +155,22 @@ window.addEventListener('DOMContentLoaded', () => {
     const spotifyFilterBtn = document.getElementById('spotify-filter-btn');
     const spotifyFilterDropdown = document.getElementById('spotify-filter-dropdown');
     const spotifySearchLimitInput = document.getElementById('spotify-search-limit');
+    const spotifyMarketInput = document.getElementById('spotify-market');
     const downloadProgressContainer = document.getElementById('download-progress-container');
     const downloadProgressBar = document.getElementById('download-progress-bar');
     const downloadEta = document.getElementById('download-eta');
+    const audioProfileSelect = document.getElementById('audio-profile-select');
+    const duplicateHandlingSelect = document.getElementById('duplicate-handling-select');
+    const artistLinkModeSelect = document.getElementById('artist-link-mode-select');
+    const artistLinkGroupingSelect = document.getElementById('artist-link-grouping-select');
+    const downloadQueueContainer = document.getElementById('download-queue-container');
+    const downloadQueueList = document.getElementById('download-queue-list');
+    const downloadQueuePauseBtn = document.getElementById('download-queue-pause-btn');
     const spectrogramCanvas = document.getElementById('audio-spectrogram-overlay');
     const contextMenu = document.getElementById('context-menu');
 
     const nowPlaying = document.getElementById('now-playing');
+    const nowPlayingArtwork = document.getElementById('now-playing-artwork');
     const playPauseBtn = document.getElementById('play-pause-btn');
     const prevBtn = document.getElementById('prev-btn');
     const nextBtn = document.getElementById('next-btn');
@@ -141,10 +199,37 @@ window.addEventListener('DOMContentLoaded', () => {
     const previewAddAllBtn = document.getElementById('preview-add-all-btn');
     const appDialogModal = document.getElementById('app-dialog-modal');
     const appDialogTitle = document.getElementById('app-dialog-title');
+    const appDialogImage = document.getElementById('app-dialog-image');
     const appDialogMessage = document.getElementById('app-dialog-message');
     const appDialogInput = document.getElementById('app-dialog-input');
     const appDialogConfirmBtn = document.getElementById('app-dialog-confirm-btn');
     const appDialogCancelBtn = document.getElementById('app-dialog-cancel-btn');
+    const trackTagEditorModal = document.getElementById('track-tag-editor-modal');
+    const trackTagEditorSummary = document.getElementById('track-tag-editor-summary');
+    const trackTagEditorInputs = [...document.querySelectorAll('#track-tag-editor-fields input')];
+    const trackTagEditorSaveBtn = document.getElementById('track-tag-editor-save-btn');
+    const trackTagEditorCancelBtn = document.getElementById('track-tag-editor-cancel-btn');
+    const trackTagEditorCloseBtn = document.getElementById('track-tag-editor-close-btn');
+    const smartPlaylistEditorModal = document.getElementById('smart-playlist-editor-modal');
+    const smartPlaylistEditorTitle = document.getElementById('smart-playlist-editor-title');
+    const smartPlaylistNameInput = document.getElementById('smart-playlist-name');
+    const smartPlaylistMatchSelect = document.getElementById('smart-playlist-match');
+    const smartPlaylistGroups = document.getElementById('smart-playlist-groups');
+    const smartPlaylistAddGroupBtn = document.getElementById('smart-playlist-add-group-btn');
+    const smartPlaylistSortFieldSelect = document.getElementById('smart-playlist-sort-field');
+    const smartPlaylistSortDirectionSelect = document.getElementById('smart-playlist-sort-direction');
+    const smartPlaylistLimitInput = document.getElementById('smart-playlist-limit');
+    const smartPlaylistEditorSaveBtn = document.getElementById('smart-playlist-editor-save-btn');
+    const smartPlaylistEditorCancelBtn = document.getElementById('smart-playlist-editor-cancel-btn');
+    const smartPlaylistEditorCloseBtn = document.getElementById('smart-playlist-editor-close-btn');
+    const linkPickerModal = document.getElementById('link-picker-modal');
+    const linkPickerSummary = document.getElementById('link-picker-summary');
+    const linkPickerCandidates = document.getElementById('link-picker-candidates');
+    const linkPickerSearchInput = document.getElementById('link-picker-search-input');
+    const linkPickerSearchBtn = document.getElementById('link-picker-search-btn');
+    const linkPickerUrlInput = document.getElementById('link-picker-url-input');
+    const linkPickerUrlBtn = document.getElementById('link-picker-url-btn');
+    const linkPickerSkipBtn = document.getElementById('link-picker-skip-btn');
     const mixDetailsModal = document.getElementById('mix-details-modal');
     const mixDetailsCloseBtn = document.getElementById('mix-details-close-btn');
     const mixDetailsTitle = document.getElementById('mix-details-title');
@@ -223,8 +308,8 @@ window.addEventListener('DOMContentLoaded', () => {
 
     logDebug('Renderer DOM content loaded');
 
-    const allViews = [homeView, settingsView, advancedSettingsView, playerView, playlistManagementView, statsView, notificationHistoryView, consoleView, helpView].filter(Boolean);
-    const allNavBtns = [homeBtn, settingsBtn, playerBtn, playlistManagementBtn, statsBtn, notificationHistoryBtn, consoleBtn, helpBtn].filter(Boolean);
+    const allViews = [homeView, settingsView, advancedSettingsView, playerView, playlistManagementView, statsView, notificationHistoryView, downloadHistoryView, consoleView, helpView].filter(Boolean);
+    const allNavBtns = [homeBtn, settingsBtn, playerBtn, playlistManagementBtn, statsBtn, notificationHistoryBtn, downloadHistoryBtn, consoleBtn, helpBtn].filter(Boolean);
     async function showView(viewToShow, btnToActivate) {
         log('Switching view', { viewId: viewToShow?.id, navId: btnToActivate?.id });
         // FIX: Restore full showView functionality to handle nav button states and saving settings.
@@ -245,6 +330,7 @@ window.addEventListener('DOMContentLoaded', () => {
             'console-view': 'Console',
             'stats-view': 'Stats',
             'notification-history-view': 'NotificationHistory',
+            'download-history-view': 'DownloadHistory',
             'help-view': 'Help',
         };
         const tabName = viewToTabMap[viewToShow?.id] || viewToShow?.id || 'Unknown';
@@ -313,6 +399,7 @@ window.addEventListener('DOMContentLoaded', () => {
         prompt = false,
         initialValue = '',
         placeholder = '',
+        imageUrl = null,
     }) => {
         return new Promise(resolve => {
             if (!appDialogModal || !appDialogTitle || !appDialogMessage || !appDialogConfirmBtn || !appDialogCancelBtn || !appDialogInput) {
@@ -323,6 +410,9 @@ window.addEventListener('DOMContentLoaded', () => {
             log('Opening custom dialog', { title, prompt, danger });
             appDialogTitle.textContent = title;
             appDialogMessage.textContent = message;
+            appDialogImage.classList.toggle('hidden', !imageUrl);
+            if (imageUrl) appDialogImage.src = imageUrl;
+            else appDialogImage.removeAttribute('src');
             appDialogConfirmBtn.textContent = confirmText;
             appDialogCancelBtn.textContent = cancelText;
             appDialogConfirmBtn.classList.toggle('danger', danger);
@@ -395,22 +485,293 @@ window.addEventListener('DOMContentLoaded', () => {
         confirmText: options.confirmText || 'Close',
     });
 
+    // Resolves to true once tags were written. Only fields the user typed in are written, so a
+    // batch edit leaves "Multiple values" fields alone; title and track number stay per-file.
+    const showTrackTagEditor = async (tracks) => {
+        const result = await window.electronAPI.getEditableTrackTags(tracks.map(track => track.path));
+        if (!result?.success || result.tracks.length === 0) {
+            showNotification('error', 'Edit Tags Failed', result?.error || 'Could not read the track tags.');
+            return false;
+        }
+
+        const isBatch = result.tracks.length > 1;
+        log('Opening tag editor', { trackCount: result.tracks.length });
+        trackTagEditorSummary.textContent = isBatch
+            ? `Editing ${result.tracks.length} tracks. Fields you leave untouched keep their current values.`
+            : result.tracks[0].path;
+        for (const input of trackTagEditorInputs) {
+            const values = [...new Set(result.tracks.map(track => track.tags[input.dataset.tag] || ''))];
+            input.value = values.length === 1 ? values[0] : '';
+            input.placeholder = values.length === 1 ? '' : 'Multiple values';
+            input.disabled = isBatch && (input.dataset.tag === 'title' || input.dataset.tag === 'trackNumber');
+            delete input.dataset.edited;
+        }
+        trackTagEditorModal.classList.remove('hidden');
+        trackTagEditorInputs.find(input => !input.disabled)?.focus();
+
+        return new Promise(resolve => {
+            const onInput = (event) => {
+                event.target.dataset.edited = 'true';
+            };
+
+            const close = (saved) => {
+                trackTagEditorModal.classList.add('hidden');
+                trackTagEditorInputs.forEach(input => input.removeEventListener('input', onInput));
+                trackTagEditorSaveBtn.removeEventListener('click', onSave);
+                trackTagEditorCancelBtn.removeEventListener('click', onCancel);
+                trackTagEditorCloseBtn.removeEventListener('click', onCancel);
+                resolve(saved);
+            };
+
+            const onCancel = () => close(false);
+
+            const onSave = async () => {
+                const tags = Object.fromEntries(trackTagEditorInputs
+                    .filter(input => input.dataset.edited)
+                    .map(input => [input.dataset.tag, input.value]));
+                if (Object.keys(tags).length === 0) {
+                    close(false);
+                    return;
+                }
+
+                trackTagEditorSaveBtn.disabled = true;
+                const writeResult = await window.electronAPI.writeTrackFileTags({ filePaths: result.tracks.map(track => track.path), tags });
+                trackTagEditorSaveBtn.disabled = false;
+                // Validation errors keep the editor open so the value can be fixed.
+                if (!writeResult?.success) {
+                    showNotification('error', 'Edit Tags Failed', writeResult?.error || 'Could not write the track tags.');
+                    return;
+                }
+
+                const failedCount = writeResult.failures.length;
+                showNotification(
+                    failedCount > 0 ? 'error' : 'success',
+                    'Tags Saved',
+                    failedCount > 0
+                        ? `Updated ${writeResult.writtenCount} track(s); ${failedCount} failed: ${writeResult.failures[0].error}`
+                        : `Updated ${writeResult.writtenCount} track(s).`,
+                    { undoAction: writeResult.undoAction }
+                );
+                close(true);
+            };
+
+            trackTagEditorInputs.forEach(input => input.addEventListener('input', onInput));
+            trackTagEditorSaveBtn.addEventListener('click', onSave);
+            trackTagEditorCancelBtn.addEventListener('click', onCancel);
+            trackTagEditorCloseBtn.addEventListener('click', onCancel);
+        });
+    };
+
+    const SMART_PLAYLIST_FIELDS = [
+        { value: 'tag', label: 'Tag', kind: 'text' },
+        { value: 'artist', label: 'Artist', kind: 'text' },
+        { value: 'album', label: 'Album', kind: 'text' },
+        { value: 'genre', label: 'Genre', kind: 'text' },
+        { value: 'source', label: 'Source', kind: 'text', placeholder: 'Spotify, YouTube, SoundCloud...' },
+        { value: 'format', label: 'Format', kind: 'text', placeholder: 'mp3, m4a, flac...' },
+        { value: 'duration', label: 'Duration', kind: 'number', placeholder: '3:30' },
+        { value: 'plays', label: 'Play count', kind: 'number', placeholder: '5' },
+        { value: 'bitrate', label: 'Bitrate (kbps)', kind: 'number', placeholder: '256' },
+        { value: 'added', label: 'Added', kind: 'added' },
+    ];
+    const SMART_PLAYLIST_OPERATORS = {
+        text: [['contains', 'contains'], ['notContains', 'does not contain'], ['is', 'is'], ['isNot', 'is not']],
+        number: [['greaterThan', 'is more than'], ['lessThan', 'is less than'], ['equals', 'is']],
+        added: [['inLast', 'in the last (days)'], ['notInLast', 'not in the last (days)'], ['before', 'before (YYYY-MM-DD)'], ['after', 'on or after (YYYY-MM-DD)']],
+    };
+
+    const createSelect = (className, options, value) => {
+        const select = document.createElement('select');
+        select.className = className;
+        for (const [optionValue, label] of options) {
+            select.add(new Option(label, optionValue));
+        }
+        if (value !== undefined && options.some(([optionValue]) => optionValue === value)) select.value = value;
+        return select;
+    };
+
+    // Durations are saved in seconds but edited as m:ss.
+    const formatSmartPlaylistRuleValue = (rule) => {
+        if (rule.field !== 'duration' || !Number.isFinite(rule.value)) return String(rule.value ?? '');
+        const seconds = Math.round(rule.value);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+
+    const createSmartPlaylistRuleRow = (rule = { field: 'tag', operator: 'contains', value: '' }) => {
+        const row = document.createElement('div');
+        row.className = 'smart-playlist-rule';
+        const fieldSelect = createSelect('smart-playlist-rule-field', SMART_PLAYLIST_FIELDS.map(field => [field.value, field.label]), rule.field);
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.className = 'smart-playlist-rule-value';
+        valueInput.value = formatSmartPlaylistRuleValue(rule);
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'secondary-btn smart-playlist-remove-btn';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove rule';
+
+        let operatorSelect = null;
+        const syncOperators = (operator) => {
+            const field = SMART_PLAYLIST_FIELDS.find(candidate => candidate.value === fieldSelect.value);
+            const nextSelect = createSelect('smart-playlist-rule-operator', SMART_PLAYLIST_OPERATORS[field.kind], operator);
+            if (operatorSelect) operatorSelect.replaceWith(nextSelect);
+            else fieldSelect.after(nextSelect);
+            operatorSelect = nextSelect;
+            valueInput.placeholder = field.placeholder || '';
+        };
+        fieldSelect.addEventListener('change', () => {
+            syncOperators();
+            valueInput.value = '';
+        });
+        removeBtn.addEventListener('click', () => row.remove());
+
+        row.append(fieldSelect, valueInput, removeBtn);
+        syncOperators(rule.operator);
+        return row;
+    };
+
+    const createSmartPlaylistGroup = (group = { match: 'all', rules: [undefined] }) => {
+        const groupEl = document.createElement('div');
+        groupEl.className = 'smart-playlist-group';
+        const header = document.createElement('div');
+        header.className = 'smart-playlist-group-header';
+        const label = document.createElement('span');
+        label.textContent = 'Tracks matching';
+        const matchSelect = createSelect('smart-playlist-group-match', [['all', 'all of these rules'], ['any', 'any of these rules']], group.match);
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'secondary-btn smart-playlist-remove-btn';
+        removeBtn.textContent = 'Remove group';
+        removeBtn.addEventListener('click', () => groupEl.remove());
+        header.append(label, matchSelect, removeBtn);
+
+        const rules = document.createElement('div');
+        rules.className = 'smart-playlist-rules';
+        group.rules.forEach(rule => rules.appendChild(createSmartPlaylistRuleRow(rule)));
+
+        const addRuleBtn = document.createElement('button');
+        addRuleBtn.type = 'button';
+        addRuleBtn.className = 'secondary-btn';
+        addRuleBtn.textContent = 'Add Rule';
+        addRuleBtn.addEventListener('click', () => rules.appendChild(createSmartPlaylistRuleRow()));
+
+        groupEl.append(header, rules, addRuleBtn);
+        return groupEl;
+    };
+
+    const readSmartPlaylistGroups = () => [...smartPlaylistGroups.querySelectorAll('.smart-playlist-group')].map(groupEl => ({
+        match: groupEl.querySelector('.smart-playlist-group-match').value,
+        rules: [...groupEl.querySelectorAll('.smart-playlist-rule')].map(row => ({
+            field: row.querySelector('.smart-playlist-rule-field').value,
+            operator: row.querySelector('.smart-playlist-rule-operator').value,
+            value: row.querySelector('.smart-playlist-rule-value').value,
+        })),
+    }));
+
+    // Opens the rule builder for a saved smart playlist, or a blank one when `id` is omitted.
+    // Resolves to the saved definition, or null when the editor was dismissed.
+    const showSmartPlaylistEditor = async (id = null) => {
+        let definition = null;
+        if (id) {
+            const result = await window.electronAPI.getSmartPlaylists();
+            definition = result?.playlists?.find(playlist => playlist.id === id) || null;
+            if (!definition) {
+                showNotification('error', 'Smart Playlist', 'That smart playlist no longer exists.');
+                return null;
+            }
+        }
+
+        log('Opening smart playlist editor', { id });
+        smartPlaylistEditorTitle.textContent = definition ? 'Edit Smart Playlist' : 'New Smart Playlist';
+        smartPlaylistNameInput.value = definition?.name || '';
+        smartPlaylistMatchSelect.value = definition?.match || 'all';
+        smartPlaylistGroups.innerHTML = '';
+        (definition?.groups?.length ? definition.groups : [undefined])
+            .forEach(group => smartPlaylistGroups.appendChild(createSmartPlaylistGroup(group)));
+        smartPlaylistSortFieldSelect.value = definition?.sort?.field || 'added';
+        smartPlaylistSortDirectionSelect.value = definition?.sort?.direction || 'desc';
+        smartPlaylistLimitInput.value = String(definition?.limit ?? 200);
+        smartPlaylistEditorModal.classList.remove('hidden');
+        smartPlaylistNameInput.focus();
+
+        return new Promise(resolve => {
+            const close = (saved) => {
+                smartPlaylistEditorModal.classList.add('hidden');
+                smartPlaylistAddGroupBtn.removeEventListener('click', onAddGroup);
+                smartPlaylistEditorSaveBtn.removeEventListener('click', onSave);
+                smartPlaylistEditorCancelBtn.removeEventListener('click', onCancel);
+                smartPlaylistEditorCloseBtn.removeEventListener('click', onCancel);
+                resolve(saved);
+            };
+
+            const onCancel = () => close(null);
+
+            const onAddGroup = () => smartPlaylistGroups.appendChild(createSmartPlaylistGroup());
+
+            const onSave = async () => {
+                smartPlaylistEditorSaveBtn.disabled = true;
+                const result = await window.electronAPI.saveSmartPlaylist({
+                    id: definition?.id,
+                    name: smartPlaylistNameInput.value,
+                    match: smartPlaylistMatchSelect.value,
+                    groups: readSmartPlaylistGroups(),
+                    sort: { field: smartPlaylistSortFieldSelect.value, direction: smartPlaylistSortDirectionSelect.value },
+                    limit: smartPlaylistLimitInput.value,
+                });
+                smartPlaylistEditorSaveBtn.disabled = false;
+                // A rule that doesn't parse keeps the editor open so it can be fixed.
+                if (!result?.success) {
+                    showNotification('error', 'Smart Playlist Not Saved', result?.error || 'Could not save the smart playlist.');
+                    return;
+                }
+                showNotification('success', 'Smart Playlist Saved', `"${result.playlist.name}" was saved.`);
+                close(result.playlist);
+            };
+
+            smartPlaylistAddGroupBtn.addEventListener('click', onAddGroup);
+            smartPlaylistEditorSaveBtn.addEventListener('click', onSave);
+            smartPlaylistEditorCancelBtn.addEventListener('click', onCancel);
+            smartPlaylistEditorCloseBtn.addEventListener('click', onCancel);
+        });
+    };
+
+    // Fills the `.playlist-artwork` images of playlist items after they are on screen, so listing
+    // playlists never waits for covers to be extracted.
+    const applyPlaylistArtwork = async (container) => {
+        const items = [...container.querySelectorAll('.playlist-list-item')].filter(item => item.querySelector('.playlist-artwork'));
+        if (items.length === 0) return;
+        const artwork = await window.electronAPI.getPlaylistArtwork(items.map(item => item.dataset.path));
+        for (const item of items) {
+            const image = item.querySelector('.playlist-artwork');
+            const artworkUrl = artwork[item.dataset.path];
+            image.classList.toggle('hidden', !artworkUrl);
+            if (artworkUrl) image.src = artworkUrl;
+        }
+    };
+
     const saveSettings = async () => {
         const newSettings = {
             theme: state.currentThemeName,
             favoriteThemes: state.favoriteThemes,
             favoritePlaylists: state.favoritePlaylists,
-            fileExtension: fileExtensionInput.value,
+            audioProfile: audioProfileSelect.value,
+            filenameTemplate: filenameTemplateInput.value.trim(),
             downloadThreads: parseInt(downloadThreadsInput.value, 10),
+            linkSearchThreads: parseInt(linkSearchThreadsInput.value, 10),
             spotifySearchLimit: parseInt(spotifySearchLimitInput.value, 10),
+            spotifyMarket: spotifyMarketInput.value.trim().toUpperCase() || 'US',
             spotify: { clientId: clientIdInput.value, clientSecret: clientSecretInput.value },
             downloadsPath: downloadsPathInput.value,
             playlistsFolderPath: playlistsPathInput.value,
             autoCreatePlaylist: autoCreatePlaylistInput.checked,
+            automationApiEnabled: automationApiEnabledInput.checked,
+            automationApiPort: parseInt(automationApiPortInput.value, 10),
             hideRefreshButtons: hideRefreshButtonsInput.checked,
             hidePlaylistCounts: hidePlaylistCountsInput.checked,
             hideTrackNumbers: hideTrackNumbersInput.checked,
             normalizeVolume: normalizeVolumeInput.checked,
+            embedMetadata: embedMetadataInput.checked,
             hideSearchBars: hideSearchBarsInput.checked,
             hideMixButtons: hideMixButtonsInput.checked,
             visualThemeSync: visualThemeSyncInput.checked,
@@ -419,7 +780,13 @@ window.addEventListener('DOMContentLoaded', () => {
             libraryPerformanceMode: libraryPerformanceModeInput.checked,
             skipManualLinkPrompt: skipManualLinkPromptInput.checked,
             durationToleranceSeconds: parseInt(durationToleranceSecondsInput.value, 10),
+            linkCacheTtlDays: parseInt(linkCacheTtlDaysInput.value, 10),
+            validateLinkCache: validateLinkCacheInput.checked,
+            duplicateHandling: duplicateHandlingSelect.value,
+            artistLinkMode: artistLinkModeSelect.value,
+            artistLinkGrouping: artistLinkGroupingSelect.value,
             silenceTrimThresholdDb: parseInt(silenceTrimThresholdDbInput.value, 10),
+            watchedPlaylistSyncHours: parseInt(watchedPlaylistSyncHoursInput.value, 10),
             playerVolume: Number.parseFloat(volumeSlider.value),
         };
         await window.electronAPI.saveSettings(newSettings);
@@ -439,6 +806,7 @@ window.addEventListener('DOMContentLoaded', () => {
             consoleBtn,
             statsBtn,
             notificationHistoryBtn,
+            downloadHistoryBtn,
             helpBtn,
             homeView,
             settingsView,
@@ -448,6 +816,7 @@ window.addEventListener('DOMContentLoaded', () => {
             consoleView,
             statsView,
             notificationHistoryView,
+            downloadHistoryView,
             helpView,
             downloadBtn,
             linksInput,
@@ -470,8 +839,9 @@ window.addEventListener('DOMContentLoaded', () => {
             themeGridContainer,
             favoriteThemeGrid,
             favoritesContainer,
-            fileExtensionInput,
+            audioProfileSelect,
             downloadThreadsInput,
+            linkSearchThreadsInput,
             clientIdInput,
             clientSecretInput,
             toggleSecretBtn,
@@ -512,6 +882,7 @@ window.addEventListener('DOMContentLoaded', () => {
             hidePlaylistCountsInput,
             hideTrackNumbersInput,
             normalizeVolumeInput,
+            embedMetadataInput,
             hideSearchBarsInput,
             hideMixButtonsInput,
             visualThemeSyncInput,
@@ -535,6 +906,7 @@ window.addEventListener('DOMContentLoaded', () => {
             repeatBtn,
             repeatStatusText,
             nowPlaying,
+            nowPlayingArtwork,
             playPauseBtn,
             prevBtn,
             nextBtn,
@@ -561,6 +933,20 @@ window.addEventListener('DOMContentLoaded', () => {
             mixDetailsSummary,
             mixDetailsContent,
             mixDetailsSaveBtn,
+            librarySearchBtn: document.getElementById('library-search-btn'),
+            smartPlaylistNewBtn: document.getElementById('smart-playlist-new-btn'),
+            librarySearchModal: document.getElementById('library-search-modal'),
+            librarySearchCloseBtn: document.getElementById('library-search-close-btn'),
+            librarySearchInput: document.getElementById('library-search-input'),
+            librarySearchSubmitBtn: document.getElementById('library-search-submit-btn'),
+            librarySearchSummary: document.getElementById('library-search-summary'),
+            librarySearchResults: document.getElementById('library-search-results'),
+            librarySearchPrevBtn: document.getElementById('library-search-prev-btn'),
+            librarySearchNextBtn: document.getElementById('library-search-next-btn'),
+            librarySearchPage: document.getElementById('library-search-page'),
+            librarySearchPlayBtn: document.getElementById('library-search-play-btn'),
+            librarySearchQueueBtn: document.getElementById('library-search-queue-btn'),
+            librarySearchSaveBtn: document.getElementById('library-search-save-btn'),
         },
         state: state,
         helpers: { showLoader, hideLoader, saveSettings, showView, showContextMenu, hideContextMenu, showInfoDialog },
@@ -569,6 +955,9 @@ window.addEventListener('DOMContentLoaded', () => {
     };
     context.helpers.showConfirmDialog = showConfirmDialog;
     context.helpers.showPromptDialog = showPromptDialog;
+    context.helpers.showTrackTagEditor = showTrackTagEditor;
+    context.helpers.showSmartPlaylistEditor = showSmartPlaylistEditor;
+    context.helpers.applyPlaylistArtwork = applyPlaylistArtwork;
 
     const setVisualThemeSyncEnabled = (enabled) => {
         state.visualThemeSync = Boolean(enabled);
@@ -642,6 +1031,7 @@ window.addEventListener('DOMContentLoaded', () => {
                 let ownerText = '';
                 if (item.type === 'Playlist') ownerText = `by ${item.owner}`;
                 else if (item.type === 'Track' || item.type === 'Album') ownerText = `by ${item.artist}`;
+                else if (item.type === 'Artist') ownerText = `${item.followers.toLocaleString()} followers`;
 
                 let typeLabel = '';
                 if (state.spotifySearchType === 'all' && item.type) {
@@ -674,7 +1064,11 @@ window.addEventListener('DOMContentLoaded', () => {
                     previewModalContent.innerHTML = '<div class="spinner"></div>';
                     spotifyPreviewModal.classList.remove('hidden');
 
-                    const details = await window.electronAPI.getSpotifyItemDetails({ type: resultEl.dataset.type, id: resultEl.dataset.id });
+                    const details = await window.electronAPI.getSpotifyItemDetails({
+                        type: resultEl.dataset.type,
+                        id: resultEl.dataset.id,
+                        artistMode: artistLinkModeSelect.value,
+                    });
 
                     if (details && !details.error) {
                         previewModalTitle.textContent = `${item.type}: ${details.name}`;
@@ -786,6 +1180,12 @@ window.addEventListener('DOMContentLoaded', () => {
         return state.notificationHistory.find((entry) => entry.id === notificationId) || null;
     };
 
+    // Main keeps the tags of trashed files while their undo is reachable; dropped entries let them go.
+    function releaseUndoActions(entries) {
+        const actions = entries.filter(entry => entry.undoAction && !entry.undone).map(entry => entry.undoAction);
+        if (actions.length > 0) window.electronAPI.releaseUndoActions(actions);
+    }
+
     async function refreshAfterUndo() {
         if (state.isPlayerInitialized) {
             await context.playerAPI?.loadAndRenderPlaylists?.();
@@ -857,6 +1257,7 @@ window.addEventListener('DOMContentLoaded', () => {
             { confirmText: 'Clear', cancelText: 'Cancel', danger: true }
         );
         if (confirmed) {
+            releaseUndoActions(state.notificationHistory);
             state.notificationHistory = [];
             saveNotificationHistory();
             renderNotificationHistory();
@@ -881,7 +1282,7 @@ window.addEventListener('DOMContentLoaded', () => {
                 undone: false,
             };
             state.notificationHistory.unshift(notification);
-            if (state.notificationHistory.length > 100) state.notificationHistory.pop();
+            if (state.notificationHistory.length > 100) releaseUndoActions([state.notificationHistory.pop()]);
             saveNotificationHistory();
             if (notificationHistoryView.classList.contains('active-view')) renderNotificationHistory();
             state.activeToastNotificationId = notification.id;
@@ -936,10 +1337,20 @@ window.addEventListener('DOMContentLoaded', () => {
         if (newPath) {
             logTab('Settings', 'downloads path changed', { newPath });
             downloadsPathInput.value = newPath;
-            saveSettings();
+            await saveSettings();
+            updateFilenameTemplatePreview();
         }
     });
 
+    async function updateFilenameTemplatePreview() {
+        const previewPath = await window.electronAPI.previewFilenameTemplate(filenameTemplateInput.value.trim());
+        const profile = audioProfiles.find(entry => entry.id === audioProfileSelect.value);
+        filenameTemplatePreview.textContent = `Example: ${previewPath}.${profile?.extension || '*'}`;
+    }
+
+    filenameTemplateInput.addEventListener('input', updateFilenameTemplatePreview);
+    audioProfileSelect.addEventListener('change', updateFilenameTemplatePreview);
+
     changePlaylistsPathBtn.addEventListener('click', async () => {
         logTab('Settings', 'change playlists path requested');
         const newPath = await window.electronAPI.openFolderDialog();
@@ -957,6 +1368,46 @@ window.addEventListener('DOMContentLoaded', () => {
         toggleSecretBtn.textContent = isPassword ? 'Hide' : 'Show';
     });
 
+    async function refreshAutomationApiInfo() {
+        const info = await window.electronAPI.getAutomationApiInfo();
+        automationApiTokenInput.value = info.token || '';
+        if (!info.enabled) {
+            automationApiStatusNote.textContent = 'The server only listens on 127.0.0.1.';
+        } else if (info.error) {
+            automationApiStatusNote.textContent = `Not running: ${info.error}`;
+        } else {
+            automationApiStatusNote.textContent = `Listening on http://127.0.0.1:${info.port}`;
+        }
+    }
+
+    [automationApiEnabledInput, automationApiPortInput].forEach(input => input.addEventListener('change', async () => {
+        await saveSettings();
+        refreshAutomationApiInfo();
+    }));
+
+    copyAutomationTokenBtn.addEventListener('click', async () => {
+        if (!automationApiTokenInput.value) return;
+        await navigator.clipboard.writeText(automationApiTokenInput.value);
+        showNotification('success', 'Token Copied', 'The automation API token is on your clipboard.');
+    });
+
+    regenerateAutomationTokenBtn.addEventListener('click', async () => {
+        const confirmed = await showConfirmDialog(
+            'Regenerate Token?',
+            'Scripts using the current token will stop working until they are updated.',
+            { confirmText: 'Regenerate', cancelText: 'Cancel', danger: true }
+        );
+        if (!confirmed) return;
+
+        const result = await window.electronAPI.regenerateAutomationApiToken();
+        if (!result?.success) {
+            showNotification('error', 'Regenerate Failed', result?.error || 'Could not create a new token.');
+            return;
+        }
+        refreshAutomationApiInfo();
+        showNotification('success', 'Token Regenerated', 'Update your scripts with the new token.');
+    });
+
     function parseHexColor(colorValue) {
         if (typeof colorValue !== 'string') return null;
         const value = colorValue.trim();
@@ -1120,14 +1571,16 @@ window.addEventListener('DOMContentLoaded', () => {
         log('Loading initial settings...');
         const currentConfig = await window.electronAPI.getSettings();
         const downloadThreadLimit = await window.electronAPI.getYtdlpCount();
-        if (downloadThreadLimit > 0) {
-            downloadThreadsInput.max = downloadThreadLimit;
-            downloadThreadsInput.placeholder = `1-${downloadThreadLimit}`;
-        } else {
-            downloadThreadsInput.max = 1;
-            downloadThreadsInput.placeholder = 'No yt-dlp found';
-            downloadThreadsInput.disabled = true;
-        }
+        [downloadThreadsInput, linkSearchThreadsInput].forEach(input => {
+            if (downloadThreadLimit > 0) {
+                input.max = downloadThreadLimit;
+                input.placeholder = `1-${downloadThreadLimit}`;
+            } else {
+                input.max = 1;
+                input.placeholder = 'No yt-dlp found';
+                input.disabled = true;
+            }
+        });
         if (currentConfig) {
             state.spectrogramColor = (typeof currentConfig.spectrogramColor === 'string' && /^#[\da-f]{6}$/i.test(currentConfig.spectrogramColor))
                 ? currentConfig.spectrogramColor
@@ -1136,8 +1589,11 @@ window.addEventListener('DOMContentLoaded', () => {
             state.favoriteThemes = currentConfig.favoriteThemes || [];
             state.favoritePlaylists = currentConfig.favoritePlaylists || [];
             log('Initial settings loaded');
-            fileExtensionInput.value = currentConfig.fileExtension || 'm4a';
+            await loadAudioProfiles(currentConfig.audioProfile);
+            filenameTemplateInput.value = currentConfig.filenameTemplate || '';
+            updateFilenameTemplatePreview();
             downloadThreadsInput.value = currentConfig.downloadThreads || 3;
+            linkSearchThreadsInput.value = currentConfig.linkSearchThreads || 3;
             clientIdInput.value = currentConfig.spotify.clientId;
             clientSecretInput.value = currentConfig.spotify.clientSecret;
             downloadsPathInput.value = currentConfig.downloadsPath;
@@ -1147,12 +1603,16 @@ window.addEventListener('DOMContentLoaded', () => {
                 body.classList.toggle(bodyClass, value);
             };
             autoCreatePlaylistInput.checked = currentConfig.autoCreatePlaylist || false;
+            automationApiEnabledInput.checked = currentConfig.automationApiEnabled || false;
+            automationApiPortInput.value = currentConfig.automationApiPort || 17321;
+            refreshAutomationApiInfo();
             setToggle(hideRefreshButtonsInput, 'hide-refresh-buttons', currentConfig.hideRefreshButtons || false);
             setToggle(hidePlaylistCountsInput, 'hide-playlist-counts', currentConfig.hidePlaylistCounts || false);
             setToggle(hideTrackNumbersInput, 'hide-track-numbers', currentConfig.hideTrackNumbers || false);
             setToggle(hideSearchBarsInput, 'hide-search-bars', currentConfig.hideSearchBars || false);
             setToggle(hideMixButtonsInput, 'hide-mix-buttons', currentConfig.hideMixButtons || false);
             normalizeVolumeInput.checked = currentConfig.normalizeVolume || false;
+            embedMetadataInput.checked = currentConfig.embedMetadata !== false;
             visualThemeSyncInput.checked = currentConfig.visualThemeSync || false;
             spectrogramColorInput.value = state.spectrogramColor;
             applySpectrogramColorFromHex(state.spectrogramColor);
@@ -1161,12 +1621,19 @@ window.addEventListener('DOMContentLoaded', () => {
             setVisualThemeSyncEnabled(visualThemeSyncInput.checked);
             skipManualLinkPromptInput.checked = currentConfig.skipManualLinkPrompt || false;
             durationToleranceSecondsInput.value = currentConfig.durationToleranceSeconds || 20;
+            linkCacheTtlDaysInput.value = currentConfig.linkCacheTtlDays ?? 90;
+            validateLinkCacheInput.checked = currentConfig.validateLinkCache !== false;
+            watchedPlaylistSyncHoursInput.value = currentConfig.watchedPlaylistSyncHours ?? 6;
+            duplicateHandlingSelect.value = currentConfig.duplicateHandling || 'skip';
+            artistLinkModeSelect.value = currentConfig.artistLinkMode || 'top-tracks';
+            artistLinkGroupingSelect.value = currentConfig.artistLinkGrouping || 'album';
             silenceTrimThresholdDbInput.value = currentConfig.silenceTrimThresholdDb || 35;
             spotifySearchLimitInput.value = currentConfig.spotifySearchLimit || 10;
+            spotifyMarketInput.value = currentConfig.spotifyMarket || 'US';
             const savedPlayerVolume = Number.parseFloat(currentConfig.playerVolume);
             volumeSlider.value = Number.isFinite(savedPlayerVolume) ? Math.min(Math.max(savedPlayerVolume, 0), 1) : 1;
         }
-        [fileExtensionInput, downloadThreadsInput, clientIdInput, clientSecretInput, autoCreatePlaylistInput, hideRefreshButtonsInput, hidePlaylistCountsInput, hideTrackNumbersInput, normalizeVolumeInput, hideSearchBarsInput, hideMixButtonsInput, visualThemeSyncInput, spectrogramColorInput, enableSmartPlaylistsInput, libraryPerformanceModeInput, spotifySearchLimitInput, skipManualLinkPromptInput, durationToleranceSecondsInput, silenceTrimThresholdDbInput].forEach(input => input.addEventListener('change', saveSettings));
+        [audioProfileSelect, filenameTemplateInput, downloadThreadsInput, linkSearchThreadsInput, clientIdInput, clientSecretInput, autoCreatePlaylistInput, hideRefreshButtonsInput, hidePlaylistCountsInput, hideTrackNumbersInput, normalizeVolumeInput, embedMetadataInput, hideSearchBarsInput, hideMixButtonsInput, visualThemeSyncInput, spectrogramColorInput, enableSmartPlaylistsInput, libraryPerformanceModeInput, spotifySearchLimitInput, spotifyMarketInput, skipManualLinkPromptInput, durationToleranceSecondsInput, linkCacheTtlDaysInput, validateLinkCacheInput, duplicateHandlingSelect, artistLinkModeSelect, artistLinkGroupingSelect, silenceTrimThresholdDbInput, watchedPlaylistSyncHoursInput].forEach(input => input.addEventListener('change', saveSettings));
         hideRefreshButtonsInput.addEventListener('change', () => body.classList.toggle('hide-refresh-buttons', hideRefreshButtonsInput.checked));
         hidePlaylistCountsInput.addEventListener('change', () => body.classList.toggle('hide-playlist-counts', hidePlaylistCountsInput.checked));
         hideTrackNumbersInput.addEventListener('change', () => body.classList.toggle('hide-track-numbers', hideTrackNumbersInput.checked));
@@ -1177,13 +1644,13 @@ window.addEventListener('DOMContentLoaded', () => {
             state.spectrogramColor = spectrogramColorInput.value;
             applySpectrogramColorFromHex(state.spectrogramColor);
         });
-        downloadThreadsInput.addEventListener('input', () => {
-            const max = parseInt(downloadThreadsInput.max, 10), min = parseInt(downloadThreadsInput.min, 10);
-            let value = parseInt(downloadThreadsInput.value, 10);
+        [downloadThreadsInput, linkSearchThreadsInput, linkCacheTtlDaysInput, watchedPlaylistSyncHoursInput].forEach(input => input.addEventListener('input', () => {
+            const max = parseInt(input.max, 10), min = parseInt(input.min, 10);
+            let value = parseInt(input.value, 10);
             if (isNaN(value)) return;
-            if (value > max) downloadThreadsInput.value = max;
-            else if (value < min && downloadThreadsInput.value !== '') downloadThreadsInput.value = min;
-        });
+            if (value > max) input.value = max;
+            else if (value < min && input.value !== '') input.value = min;
+        }));
         spotifySearchLimitInput.addEventListener('input', () => {
             const max = parseInt(spotifySearchLimitInput.max, 10), min = parseInt(spotifySearchLimitInput.min, 10);
             let value = parseInt(spotifySearchLimitInput.value, 10);
@@ -1272,15 +1739,32 @@ window.addEventListener('DOMContentLoaded', () => {
     
 
     // --- Drag and Drop for Links ---
+    const TRACK_LIST_FILE_PATTERN = /\.(txt|csv|tsv|m3u8?)$/i;
     homeView.addEventListener('dragover', (e) => { e.preventDefault(); e.stopPropagation(); dropZone.classList.add('active'); });
     homeView.addEventListener('dragleave', (e) => { e.preventDefault(); e.stopPropagation(); dropZone.classList.remove('active'); });
     homeView.addEventListener('drop', (e) => {
         e.preventDefault();
         e.stopPropagation();
         dropZone.classList.remove('active');
+        const files = [...e.dataTransfer.files];
+        if (files.length > 0) {
+            const trackListFiles = files.filter(file => TRACK_LIST_FILE_PATTERN.test(file.name));
+            const skippedNames = files.filter(file => !trackListFiles.includes(file)).map(file => file.name);
+            logTab('Home', 'track list files dropped', { fileCount: files.length, skippedCount: skippedNames.length });
+            if (skippedNames.length > 0) {
+                showNotification('info', 'Files Skipped', `Only .txt, .csv, .tsv, .m3u and .m3u8 track lists can be imported. Skipped: ${skippedNames.join(', ')}`);
+            }
+            Promise.all(trackListFiles.map(async file => window.electronAPI.parseTrackList(file.name, await file.text())))
+                .then(addImportedTrackLists)
+                .catch(error => showNotification('error', 'Import Failed', error.message));
+            return;
+        }
         const text = e.dataTransfer.getData('text/plain');
         logTab('Home', 'links dropped', { hasText: Boolean(text), textLength: text?.length || 0 });
-        if (text) linksInput.value += (linksInput.value ? '\n' : '') + text;
+        if (text) {
+            linksInput.value += (linksInput.value ? '\n' : '') + text;
+            linksInput.dispatchEvent(new Event('input', { bubbles: true }));
+        }
     });
 
     // --- Tab Switching Logic ---
@@ -1326,6 +1810,11 @@ window.addEventListener('DOMContentLoaded', () => {
         showView(notificationHistoryView, notificationHistoryBtn);
         renderNotificationHistory();
     });
+    downloadHistoryBtn.addEventListener('click', () => {
+        logTab('DownloadHistory', 'open requested');
+        showView(downloadHistoryView, downloadHistoryBtn);
+        renderDownloadHistory();
+    });
     helpBtn.addEventListener('click', () => {
         logTab('Help', 'open requested');
         showView(helpView, helpBtn);
@@ -1350,6 +1839,428 @@ window.addEventListener('DOMContentLoaded', () => {
         else showNotification('error', 'Cache Error', result.error);
     });
 
+    // --- Link Cache Manager ---
+    const LINK_CACHE_RENDER_LIMIT = 200;
+    let linkCacheEntries = [];
+
+    function describeLinkCacheEntry(entry) {
+        const parts = [entry.source || 'unknown source'];
+        if (Number.isFinite(entry.durationMs)) parts.push(formatCandidateDuration(entry.durationMs));
+        parts.push(`added ${new Date(entry.createdAt).toLocaleDateString()}`);
+        if (entry.manual) parts.push('chosen manually');
+        if (entry.dead) parts.push('link is dead');
+        else if (entry.expired) parts.push('expired');
+        return parts.join(' · ');
+    }
+
+    function renderLinkCacheEntries() {
+        const filter = linkCacheSearchInput.value.trim().toLowerCase();
+        const matches = filter
+            ? linkCacheEntries.filter(entry => entry.key.includes(filter) || entry.url.toLowerCase().includes(filter))
+            : linkCacheEntries;
+        const pinnedCount = linkCacheEntries.filter(entry => entry.pinned).length;
+        const shownNote = matches.length > LINK_CACHE_RENDER_LIMIT ? ` Showing the newest ${LINK_CACHE_RENDER_LIMIT} of ${matches.length} matches.` : '';
+        linkCacheSummary.textContent = `${linkCacheEntries.length} cached link(s), ${pinnedCount} pinned.${shownNote}`;
+
+        linkCacheList.innerHTML = '';
+        if (matches.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'link-picker-empty';
+            empty.textContent = filter ? 'No cached links match this filter.' : 'The link cache is empty.';
+            linkCacheList.appendChild(empty);
+            return;
+        }
+
+        for (const entry of matches.slice(0, LINK_CACHE_RENDER_LIMIT)) {
+            const li = document.createElement('li');
+            li.className = 'link-cache-entry';
+            li.classList.toggle('is-dead', entry.dead);
+            li.dataset.key = entry.key;
+
+            const title = document.createElement('span');
+            title.className = 'link-picker-candidate-title';
+            title.textContent = entry.key;
+            title.title = entry.key;
+
+            const meta = document.createElement('span');
+            meta.className = 'link-picker-candidate-meta';
+            meta.textContent = describeLinkCacheEntry(entry);
+
+            const row = document.createElement('div');
+            row.className = 'link-picker-row';
+            const urlInput = document.createElement('input');
+            urlInput.type = 'text';
+            urlInput.className = 'link-cache-url-input';
+            urlInput.value = entry.url;
+            const pinBtn = document.createElement('button');
+            pinBtn.type = 'button';
+            pinBtn.className = 'secondary-btn link-cache-entry-pin';
+            pinBtn.classList.toggle('is-pinned', entry.pinned);
+            pinBtn.textContent = entry.pinned ? 'Pinned' : 'Pin';
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'cancel-btn link-cache-entry-delete';
+            deleteBtn.textContent = 'Delete';
+            row.append(urlInput, pinBtn, deleteBtn);
+
+            li.append(title, meta, row);
+            linkCacheList.appendChild(li);
+        }
+    }
+
+    async function refreshLinkCacheEntries() {
+        const result = await window.electronAPI.getLinkCacheEntries();
+        linkCacheEntries = result.entries || [];
+        renderLinkCacheEntries();
+    }
+
+    async function updateLinkCacheEntry(key, changes) {
+        const result = await window.electronAPI.updateLinkCacheEntry(key, changes);
+        if (!result.success) {
+            showNotification('error', 'Link Cache', result.error);
+        } else {
+            linkCacheEntries = linkCacheEntries.map(entry => (entry.key === key ? result.entry : entry));
+        }
+        renderLinkCacheEntries();
+    }
+
+    manageLinkCacheBtn.addEventListener('click', async () => {
+        logTab('AdvancedSettings', 'link cache manager opened');
+        linkCacheSearchInput.value = '';
+        linkCacheModal.classList.remove('hidden');
+        await refreshLinkCacheEntries();
+        linkCacheSearchInput.focus();
+    });
+    linkCacheCloseBtn.addEventListener('click', () => linkCacheModal.classList.add('hidden'));
+    linkCacheModal.addEventListener('click', (event) => {
+        if (event.target === linkCacheModal) linkCacheModal.classList.add('hidden');
+    });
+    linkCacheSearchInput.addEventListener('input', renderLinkCacheEntries);
+
+    linkCacheList.addEventListener('change', (event) => {
+        if (!event.target.classList.contains('link-cache-url-input')) return;
+        const key = event.target.closest('.link-cache-entry').dataset.key;
+        updateLinkCacheEntry(key, { url: event.target.value });
+    });
+    linkCacheList.addEventListener('click', async (event) => {
+        const item = event.target.closest('.link-cache-entry');
+        if (!item) return;
+        const entry = linkCacheEntries.find(candidate => candidate.key === item.dataset.key);
+        if (!entry) return;
+
+        if (event.target.classList.contains('link-cache-entry-pin')) {
+            updateLinkCacheEntry(entry.key, { pinned: !entry.pinned });
+        } else if (event.target.classList.contains('link-cache-entry-delete')) {
+            const result = await window.electronAPI.deleteLinkCacheEntry(entry.key);
+            if (!result.success) showNotification('error', 'Link Cache', result.error);
+            linkCacheEntries = linkCacheEntries.filter(candidate => candidate.key !== entry.key);
+            renderLinkCacheEntries();
+        }
+    });
+
+    linkCacheExportBtn.addEventListener('click', async () => {
+        const result = await window.electronAPI.exportLinkCache();
+        if (result.cancelled) return;
+        if (result.success) showNotification('success', 'Link Cache Exported', `Saved ${result.count} link(s) to ${result.filePath}.`);
+        else showNotification('error', 'Export Failed', result.error);
+    });
+    linkCacheImportBtn.addEventListener('click', async () => {
+        const result = await window.electronAPI.importLinkCache();
+        if (result.cancelled) return;
+        if (!result.success) {
+            showNotification('error', 'Import Failed', result.error);
+            return;
+        }
+        showNotification('success', 'Link Cache Imported', `${result.addedCount} added, ${result.updatedCount} updated, ${result.skippedCount} skipped.`);
+        await refreshLinkCacheEntries();
+    });
+    // While a check runs the button stops it; progress arrives one link at a time.
+    let isLinkCacheCheckRunning = false;
+    window.electronAPI.onLinkCacheCheckProgress(({ checkedCount, totalCount }) => {
+        if (isLinkCacheCheckRunning) linkCacheCheckBtn.textContent = `Stop Checking (${checkedCount}/${totalCount})`;
+    });
+    linkCacheCheckBtn.addEventListener('click', async () => {
+        if (isLinkCacheCheckRunning) {
+            window.electronAPI.cancelLinkCacheCheck();
+            linkCacheCheckBtn.disabled = true;
+            linkCacheCheckBtn.textContent = 'Stopping...';
+            return;
+        }
+        isLinkCacheCheckRunning = true;
+        linkCacheCheckBtn.textContent = 'Stop Checking';
+        try {
+            const result = await window.electronAPI.checkLinkCache();
+            if (result.success) {
+                const title = result.cancelled ? 'Link Check Stopped' : 'Link Check Finished';
+                showNotification('info', title, `Checked ${result.checkedCount} of ${result.totalCount} link(s): ${result.deadCount} dead, ${result.removedCount} removed, ${result.expiredCount} expired.`);
+            } else {
+                showNotification('error', 'Link Check', result.error);
+            }
+            await refreshLinkCacheEntries();
+        } finally {
+            isLinkCacheCheckRunning = false;
+            linkCacheCheckBtn.disabled = false;
+            linkCacheCheckBtn.textContent = 'Check Links Now';
+        }
+    });
+
+    // --- Audio Quality Profiles ---
+    let audioProfiles = [];
+
+    function describeAudioProfile(profile) {
+        if (profile.codec === 'original') return 'Keeps the source stream as downloaded';
+        const parts = [profile.codec.toUpperCase()];
+        if (profile.bitrateKbps) parts.push(`${profile.bitrateKbps} kbps`);
+        if (Number.isFinite(profile.vbrQuality)) parts.push(`VBR ${profile.vbrQuality}`);
+        if (profile.sampleRate) parts.push(`${profile.sampleRate / 1000} kHz`);
+        if (profile.channels) parts.push(profile.channels === 1 ? 'mono' : 'stereo');
+        return parts.join(' · ');
+    }
+
+    function renderAudioProfiles(selectedId) {
+        audioProfileSelect.innerHTML = '';
+        for (const profile of audioProfiles) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.title = describeAudioProfile(profile);
+            audioProfileSelect.appendChild(option);
+        }
+        audioProfileSelect.value = audioProfiles.some(profile => profile.id === selectedId) ? selectedId : 'aac-256';
+
+        customAudioProfilesList.innerHTML = '';
+        const customProfiles = audioProfiles.filter(profile => profile.custom);
+        if (customProfiles.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'link-picker-empty';
+            empty.textContent = 'No custom profiles yet.';
+            customAudioProfilesList.appendChild(empty);
+            return;
+        }
+        for (const profile of customProfiles) {
+            const li = document.createElement('li');
+            li.className = 'custom-audio-profile-entry';
+            li.dataset.id = profile.id;
+            const title = document.createElement('span');
+            title.className = 'link-picker-candidate-title';
+            title.textContent = profile.name;
+            const meta = document.createElement('span');
+            meta.className = 'link-picker-candidate-meta';
+            meta.textContent = describeAudioProfile(profile);
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'cancel-btn custom-audio-profile-remove';
+            removeBtn.textContent = 'Delete';
+            li.append(title, meta, removeBtn);
+            customAudioProfilesList.appendChild(li);
+        }
+    }
+
+    async function loadAudioProfiles(selectedId = audioProfileSelect.value) {
+        audioProfiles = await window.electronAPI.getAudioProfiles();
+        renderAudioProfiles(selectedId);
+    }
+
+    addCustomProfileBtn.addEventListener('click', async () => {
+        const quality = customProfileQualityInput.value;
+        const result = await window.electronAPI.saveCustomAudioProfile({
+            name: customProfileNameInput.value.trim(),
+            codec: customProfileCodecSelect.value,
+            bitrateKbps: customProfileModeSelect.value === 'bitrate' ? quality : null,
+            vbrQuality: customProfileModeSelect.value === 'vbr' ? quality : null,
+            sampleRate: customProfileSampleRateSelect.value,
+            channels: customProfileChannelsSelect.value,
+        });
+        if (!result.success) {
+            showNotification('error', 'Quality Profiles', result.error);
+            return;
+        }
+        logTab('Settings', 'custom audio profile added', { id: result.profile.id, codec: result.profile.codec });
+        audioProfiles = result.profiles;
+        renderAudioProfiles(audioProfileSelect.value);
+        customProfileNameInput.value = '';
+        customProfileQualityInput.value = '';
+        showNotification('success', 'Quality Profiles', `"${result.profile.name}" is now in the Quality menu.`);
+    });
+
+    customAudioProfilesList.addEventListener('click', async (event) => {
+        const removeBtn = event.target.closest('.custom-audio-profile-remove');
+        if (!removeBtn) return;
+        const { id } = removeBtn.closest('.custom-audio-profile-entry').dataset;
+        const result = await window.electronAPI.deleteCustomAudioProfile(id);
+        if (!result.success) {
+            showNotification('error', 'Quality Profiles', result.error);
+            return;
+        }
+        logTab('Settings', 'custom audio profile deleted', { id });
+        audioProfiles = result.profiles;
+        renderAudioProfiles(audioProfileSelect.value);
+        updateFilenameTemplatePreview();
+    });
+
+    // --- Watched Playlists ---
+    let watchedPlaylists = [];
+    let isWatchedPlaylistSyncPending = false;
+
+    function describeWatchedPlaylist(watch) {
+        const parts = [watch.type === 'artist' && watch.artistMode ? `artist (${watch.artistMode})` : (watch.type || 'playlist')];
+        parts.push(watch.folderName ? `into "${watch.folderName}"` : 'folder named on first sync');
+        parts.push(`${watch.trackCount} track(s)`);
+        if (!watch.lastSyncedAt) {
+            parts.push('never synced');
+        } else if (watch.lastSync?.status === 'failed') {
+            parts.push(`sync failed ${new Date(watch.lastSyncedAt).toLocaleString()}: ${watch.lastSync.error}`);
+        } else {
+            const { addedCount = 0, removedCount = 0, failedCount = 0 } = watch.lastSync || {};
+            parts.push(`synced ${new Date(watch.lastSyncedAt).toLocaleString()} (${addedCount} new, ${removedCount} removed, ${failedCount} failed)`);
+        }
+        return parts.join(' · ');
+    }
+
+    function renderWatchedPlaylists() {
+        watchedPlaylistsSyncAllBtn.disabled = isWatchedPlaylistSyncPending || watchedPlaylists.length === 0;
+        watchedPlaylistsSyncAllBtn.textContent = isWatchedPlaylistSyncPending ? 'Syncing...' : 'Sync All Now';
+        watchedPlaylistsList.innerHTML = '';
+        if (watchedPlaylists.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'link-picker-empty';
+            empty.textContent = 'No playlists are watched yet.';
+            watchedPlaylistsList.appendChild(empty);
+            return;
+        }
+
+        for (const watch of watchedPlaylists) {
+            const li = document.createElement('li');
+            li.className = 'link-cache-entry watched-playlist-entry';
+            li.classList.toggle('is-failed', watch.lastSync?.status === 'failed');
+            li.dataset.id = watch.id;
+
+            const title = document.createElement('span');
+            title.className = 'link-picker-candidate-title';
+            title.textContent = watch.name || watch.link;
+            title.title = watch.link;
+
+            const meta = document.createElement('span');
+            meta.className = 'link-picker-candidate-meta';
+            meta.textContent = describeWatchedPlaylist(watch);
+
+            const row = document.createElement('div');
+            row.className = 'link-picker-row';
+            const removeMissingLabel = document.createElement('label');
+            removeMissingLabel.className = 'watched-playlist-option';
+            const removeMissingInput = document.createElement('input');
+            removeMissingInput.type = 'checkbox';
+            removeMissingInput.className = 'watched-playlist-remove-missing';
+            removeMissingInput.checked = Boolean(watch.removeMissing);
+            if (watch.type === 'artist' && watch.artistMode === 'top-tracks') {
+                removeMissingInput.disabled = true;
+                removeMissingLabel.title = 'Top tracks change every week, so tracks leaving the list are never trashed.';
+            }
+            removeMissingLabel.append(removeMissingInput, 'Trash tracks removed from Spotify');
+            const syncBtn = document.createElement('button');
+            syncBtn.type = 'button';
+            syncBtn.className = 'secondary-btn watched-playlist-sync';
+            syncBtn.textContent = 'Sync Now';
+            syncBtn.disabled = isWatchedPlaylistSyncPending;
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'cancel-btn watched-playlist-remove';
+            removeBtn.textContent = 'Stop Watching';
+            row.append(removeMissingLabel, syncBtn, removeBtn);
+
+            li.append(title, meta, row);
+            watchedPlaylistsList.appendChild(li);
+        }
+    }
+
+    async function refreshWatchedPlaylists() {
+        watchedPlaylists = await window.electronAPI.getWatchedPlaylists();
+        renderWatchedPlaylists();
+    }
+
+    // Resolves once the whole sync, downloads included, has finished.
+    async function syncWatchedPlaylists(id = null) {
+        isWatchedPlaylistSyncPending = true;
+        renderWatchedPlaylists();
+        try {
+            if (!(await canStartNewDownloadBatch())) return;
+            let result = await window.electronAPI.syncWatchedPlaylists(id);
+            if (result.unsavedDownloads) {
+                const confirmed = await showConfirmDialog(
+                    'Sync Anyway?',
+                    'The last downloads have not been made into a playlist yet. They stay in the downloads folder, but Create Playlist will no longer pick them up.',
+                    { confirmText: 'Sync', cancelText: 'Cancel' }
+                );
+                if (!confirmed) return;
+                result = await window.electronAPI.syncWatchedPlaylists(id, { discardLastDownloads: true });
+            }
+            if (!result.success) showNotification('error', 'Watched Playlists', result.error);
+        } finally {
+            isWatchedPlaylistSyncPending = false;
+            renderWatchedPlaylists();
+        }
+    }
+
+    window.electronAPI.onWatchedPlaylistsUpdated((updatedPlaylists) => {
+        watchedPlaylists = updatedPlaylists || [];
+        if (!watchedPlaylistsModal.classList.contains('hidden')) renderWatchedPlaylists();
+    });
+
+    manageWatchedPlaylistsBtn.addEventListener('click', async () => {
+        logTab('AdvancedSettings', 'watched playlists manager opened');
+        watchedPlaylistsModal.classList.remove('hidden');
+        await refreshWatchedPlaylists();
+        watchedPlaylistLinkInput.focus();
+    });
+    watchedPlaylistsCloseBtn.addEventListener('click', () => watchedPlaylistsModal.classList.add('hidden'));
+    watchedPlaylistsModal.addEventListener('click', (event) => {
+        if (event.target === watchedPlaylistsModal) watchedPlaylistsModal.classList.add('hidden');
+    });
+
+    watchedPlaylistAddBtn.addEventListener('click', async () => {
+        const result = await window.electronAPI.addWatchedPlaylist({
+            link: watchedPlaylistLinkInput.value.trim(),
+            folderName: watchedPlaylistFolderInput.value.trim(),
+            removeMissing: watchedPlaylistRemoveMissingInput.checked,
+            artistMode: artistLinkModeSelect.value,
+        });
+        if (!result.success) {
+            showNotification('error', 'Watched Playlists', result.error);
+            return;
+        }
+        logTab('AdvancedSettings', 'watched playlist added', { id: result.watch.id });
+        watchedPlaylistLinkInput.value = '';
+        watchedPlaylistFolderInput.value = '';
+        watchedPlaylistRemoveMissingInput.checked = false;
+        await refreshWatchedPlaylists();
+        if (!isWatchedPlaylistSyncPending) syncWatchedPlaylists(result.watch.id);
+    });
+    watchedPlaylistsSyncAllBtn.addEventListener('click', () => syncWatchedPlaylists());
+
+    watchedPlaylistsList.addEventListener('change', (event) => {
+        if (!event.target.classList.contains('watched-playlist-remove-missing')) return;
+        const id = event.target.closest('.watched-playlist-entry').dataset.id;
+        window.electronAPI.updateWatchedPlaylist(id, { removeMissing: event.target.checked });
+    });
+    watchedPlaylistsList.addEventListener('click', async (event) => {
+        const item = event.target.closest('.watched-playlist-entry');
+        if (!item) return;
+        const watch = watchedPlaylists.find(candidate => candidate.id === item.dataset.id);
+        if (!watch) return;
+
+        if (event.target.classList.contains('watched-playlist-sync')) {
+            syncWatchedPlaylists(watch.id);
+        } else if (event.target.classList.contains('watched-playlist-remove')) {
+            const confirmed = await showConfirmDialog(
+                'Stop Watching',
+                `Stop syncing "${watch.name || watch.link}"? Tracks already downloaded stay in their folder.`,
+                { confirmText: 'Stop Watching' }
+            );
+            if (!confirmed) return;
+            await window.electronAPI.removeWatchedPlaylist(watch.id);
+        }
+    });
+
     // --- Console Output Logic ---
     function appendConsoleMessage(message) {
         logTab('Console', 'message appended', { length: message?.length || 0 });
@@ -1364,6 +2275,10 @@ window.addEventListener('DOMContentLoaded', () => {
         logTab('Console', 'download update status event', { isFinished, hasPayload: Boolean(payload) });
         appendConsoleMessage(message);
         if (isFinished) {
+            // The batch may have created playlists, so the destination suggestions are reloaded next time.
+            playlistNameOptionsLoaded = false;
+            downloadQueueState.active = false;
+            renderDownloadQueue();
             downloadBtn.classList.remove('hidden');
             linksInput.disabled = false;
             cancelBtn.classList.add('hidden');
@@ -1380,30 +2295,272 @@ window.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    window.electronAPI.onManualLinkRequest(async ({ requestId, trackName }) => {
-        const manualLink = await showPromptDialog(
-            'Manual Link Needed',
-            `No duration-matching result found for "${trackName}" on YouTube or SoundCloud. Paste a direct link manually, or cancel to skip this track.`,
-            '',
-            { confirmText: 'Use Link', cancelText: 'Skip Track', placeholder: 'https://...' }
-        );
+    // --- Manual Link Picker ---
+    let manualLinkPickerQueue = Promise.resolve();
+    let activeLinkPicker = null;
+    const expiredManualLinkRequestIds = new Set();
 
-        window.electronAPI.respondManualLink({
-            requestId,
-            cancelled: !manualLink,
-            link: manualLink || '',
+    const formatCandidateDuration = (durationMs) => {
+        if (!Number.isFinite(durationMs)) return '?:??';
+        const totalSeconds = Math.round(durationMs / 1000);
+        return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    };
+
+    const formatDurationOffset = (offsetMs) => {
+        if (!Number.isFinite(offsetMs)) return 'length unknown';
+        const offsetSeconds = Math.round(offsetMs / 1000);
+        if (offsetSeconds === 0) return 'exact length';
+        return `${offsetSeconds > 0 ? '+' : '−'}${Math.abs(offsetSeconds)}s`;
+    };
+
+    function renderLinkPickerCandidates(candidates, emptyMessage = 'No candidates found.') {
+        linkPickerCandidates.innerHTML = '';
+        if (candidates.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'link-picker-empty';
+            empty.textContent = emptyMessage;
+            linkPickerCandidates.appendChild(empty);
+            return;
+        }
+
+        const toleranceMs = (Number.parseInt(durationToleranceSecondsInput.value, 10) || 20) * 1000;
+        for (const candidate of candidates) {
+            const li = document.createElement('li');
+            li.className = 'link-picker-candidate';
+            li.dataset.url = candidate.url;
+            li.title = candidate.url;
+
+            const title = document.createElement('span');
+            title.className = 'link-picker-candidate-title';
+            title.textContent = candidate.title || candidate.url;
+
+            const meta = document.createElement('span');
+            meta.className = 'link-picker-candidate-meta';
+            const offset = document.createElement('span');
+            offset.className = 'link-picker-candidate-offset';
+            offset.classList.toggle('is-off', Number.isFinite(candidate.durationOffsetMs) && Math.abs(candidate.durationOffsetMs) > toleranceMs);
+            offset.textContent = formatDurationOffset(candidate.durationOffsetMs);
+            meta.append(`${candidate.source} · ${candidate.uploader || 'Unknown uploader'} · ${formatCandidateDuration(candidate.durationMs)} (`, offset, ')');
+
+            li.append(title, meta);
+            linkPickerCandidates.appendChild(li);
+        }
+    }
+
+    function showLinkPickerDialog({ requestId, trackName, query, expectedDurationMs, candidates = [] }) {
+        return new Promise(resolve => {
+            log('Opening link picker', { requestId, candidateCount: candidates.length });
+            linkPickerSummary.textContent = `No result for "${trackName}" matched the expected length (${formatCandidateDuration(expectedDurationMs)}). Pick a candidate, search again, or paste a link.`;
+            linkPickerSearchInput.value = query || trackName || '';
+            linkPickerUrlInput.value = '';
+            renderLinkPickerCandidates(candidates);
+            linkPickerModal.classList.remove('hidden');
+            window.electronAPI.acknowledgeManualLinkRequest(requestId);
+
+            const finish = (link) => {
+                linkPickerModal.classList.add('hidden');
+                linkPickerCandidates.removeEventListener('click', onCandidateClick);
+                linkPickerSearchBtn.removeEventListener('click', onSearch);
+                linkPickerUrlBtn.removeEventListener('click', onUseUrl);
+                linkPickerSkipBtn.removeEventListener('click', onSkip);
+                linkPickerSearchInput.removeEventListener('keydown', onSearchKeydown);
+                linkPickerUrlInput.removeEventListener('keydown', onUrlKeydown);
+                activeLinkPicker = null;
+                resolve(link);
+            };
+
+            const onCandidateClick = (event) => {
+                const item = event.target.closest('.link-picker-candidate');
+                if (item) finish(item.dataset.url);
+            };
+
+            const onSearch = async () => {
+                const searchQuery = linkPickerSearchInput.value.trim();
+                if (!searchQuery) return;
+                logTab('Console', 'link picker custom search', { requestId });
+                linkPickerSearchBtn.disabled = true;
+                renderLinkPickerCandidates([], 'Searching...');
+                const result = await window.electronAPI.searchManualLinkCandidates({ query: searchQuery, expectedDurationMs });
+                linkPickerSearchBtn.disabled = false;
+                if (activeLinkPicker?.requestId !== requestId) return;
+                if (result?.success) renderLinkPickerCandidates(result.candidates);
+                else renderLinkPickerCandidates([], `Search failed: ${result?.error || 'unknown error'}`);
+            };
+
+            const onUseUrl = () => {
+                const link = linkPickerUrlInput.value.trim();
+                if (link) finish(link);
+            };
+
+            const onSkip = () => finish(null);
+            const onSearchKeydown = (event) => {
+                if (event.key === 'Enter') onSearch();
+            };
+            const onUrlKeydown = (event) => {
+                if (event.key === 'Enter') onUseUrl();
+            };
+
+            linkPickerCandidates.addEventListener('click', onCandidateClick);
+            linkPickerSearchBtn.addEventListener('click', onSearch);
+            linkPickerUrlBtn.addEventListener('click', onUseUrl);
+            linkPickerSkipBtn.addEventListener('click', onSkip);
+            linkPickerSearchInput.addEventListener('keydown', onSearchKeydown);
+            linkPickerUrlInput.addEventListener('keydown', onUrlKeydown);
+            activeLinkPicker = { requestId, close: onSkip };
+        });
+    }
+
+    // Link lookups run in parallel, so requests wait their turn for the single picker.
+    window.electronAPI.onManualLinkRequest((request) => {
+        manualLinkPickerQueue = manualLinkPickerQueue.then(async () => {
+            if (expiredManualLinkRequestIds.delete(request.requestId)) return;
+            const manualLink = await showLinkPickerDialog(request);
+            window.electronAPI.respondManualLink({
+                requestId: request.requestId,
+                cancelled: !manualLink,
+                link: manualLink || '',
+            });
         });
     });
 
-    // --- Download Logic ---
-    downloadBtn.addEventListener('click', () => {
-        const links = linksInput.value.split('\n').filter(link => link.trim() !== '');
-        log('Download requested', { linkCount: links.length });
-        if (links.length === 0) {
-            appendConsoleMessage('Please enter at least one link.');
-            return;
+    window.electronAPI.onManualLinkRequestExpired(({ requestId }) => {
+        if (activeLinkPicker?.requestId === requestId) activeLinkPicker.close();
+        else expiredManualLinkRequestIds.add(requestId);
+    });
+
+    // --- Link Destinations ---
+    // Names are kept per link, so editing the link list doesn't wipe what was typed for other links.
+    const linkDestinationNames = new Map();
+    let playlistNameOptionsLoaded = false;
+
+    function renderLinkDestinations() {
+        const links = [...new Set(linksInput.value.split('\n').map(link => link.trim()).filter(Boolean))];
+        linkDestinationsContainer.classList.toggle('hidden', links.length === 0);
+        linkDestinationsList.innerHTML = '';
+        for (const link of links) {
+            const li = document.createElement('li');
+            li.className = 'link-destination-row';
+            li.dataset.link = link;
+
+            const label = document.createElement('span');
+            label.className = 'link-destination-link';
+            label.textContent = link;
+            label.title = link;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'link-destination-input';
+            input.setAttribute('list', 'playlist-name-options');
+            input.placeholder = 'Automatic';
+            input.value = linkDestinationNames.get(link) || '';
+
+            li.append(label, input);
+            linkDestinationsList.appendChild(li);
         }
-        showView(consoleView, consoleBtn);
+    }
+
+    async function loadPlaylistNameOptions() {
+        if (playlistNameOptionsLoaded) return;
+        playlistNameOptionsLoaded = true;
+        const playlists = await window.electronAPI.getPlaylists();
+        playlistNameOptions.innerHTML = '';
+        for (const playlist of playlists.filter(candidate => !candidate.isSmart)) {
+            const option = document.createElement('option');
+            option.value = playlist.name;
+            playlistNameOptions.appendChild(option);
+        }
+    }
+
+    linksInput.addEventListener('input', renderLinkDestinations);
+    linkDestinationsList.addEventListener('focusin', loadPlaylistNameOptions);
+    linkDestinationsList.addEventListener('input', (event) => {
+        if (!event.target.classList.contains('link-destination-input')) return;
+        const link = event.target.closest('.link-destination-row').dataset.link;
+        const name = event.target.value.trim();
+        if (name) linkDestinationNames.set(link, name);
+        else linkDestinationNames.delete(link);
+    });
+
+    // --- Track List Import ---
+    // Links found in a file go into the links box; everything else is kept here as search items.
+    let importedTrackLists = [];
+
+    function renderImportedTrackLists() {
+        importedTrackListsContainer.classList.toggle('hidden', importedTrackLists.length === 0);
+        importedTrackListsList.innerHTML = '';
+        for (const list of importedTrackLists) {
+            const li = document.createElement('li');
+            li.className = 'link-destination-row';
+            li.dataset.id = list.id;
+
+            const label = document.createElement('span');
+            label.className = 'link-destination-link';
+            label.textContent = `${list.fileName} · ${list.items.length} track(s)`;
+            label.title = list.items.slice(0, 10).map(item => [item.metadata?.artists?.join(', '), item.name].filter(Boolean).join(' - ')).join('\n');
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'link-destination-input';
+            input.setAttribute('list', 'playlist-name-options');
+            input.placeholder = 'No playlist';
+            input.value = list.playlistName;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'cancel-btn imported-track-list-remove';
+            removeBtn.title = 'Remove these tracks';
+            removeBtn.textContent = '×';
+
+            li.append(label, input, removeBtn);
+            importedTrackListsList.appendChild(li);
+        }
+    }
+
+    function addImportedTrackLists(lists) {
+        for (const list of lists) {
+            if (list.links.length === 0 && list.items.length === 0) {
+                showNotification('error', 'Import', `No tracks or links were found in ${list.fileName}.`);
+                continue;
+            }
+            if (list.links.length > 0) {
+                linksInput.value += (linksInput.value ? '\n' : '') + list.links.join('\n');
+                linksInput.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+            if (list.items.length > 0) {
+                importedTrackLists.push({
+                    id: `${Date.now()}-${importedTrackLists.length}`,
+                    fileName: list.fileName,
+                    playlistName: list.items[0].playlistName || '',
+                    items: list.items,
+                });
+            }
+            logTab('Home', 'track list imported', { fileName: list.fileName, linkCount: list.links.length, trackCount: list.items.length });
+        }
+        renderImportedTrackLists();
+    }
+
+    importTrackListBtn.addEventListener('click', async () => {
+        const result = await window.electronAPI.openTrackListFiles();
+        if (result.success) addImportedTrackLists(result.lists);
+        else if (!result.cancelled) showNotification('error', 'Import Failed', result.error);
+    });
+
+    importedTrackListsList.addEventListener('focusin', loadPlaylistNameOptions);
+    importedTrackListsList.addEventListener('input', (event) => {
+        if (!event.target.classList.contains('link-destination-input')) return;
+        const list = importedTrackLists.find(entry => entry.id === event.target.closest('.link-destination-row').dataset.id);
+        if (list) list.playlistName = event.target.value.trim();
+    });
+    importedTrackListsList.addEventListener('click', (event) => {
+        if (!event.target.classList.contains('imported-track-list-remove')) return;
+        const { id } = event.target.closest('.link-destination-row').dataset;
+        importedTrackLists = importedTrackLists.filter(entry => entry.id !== id);
+        renderImportedTrackLists();
+    });
+
+    // --- Download Logic ---
+    function showDownloadInProgressUi({ switchView = true } = {}) {
+        if (switchView) showView(consoleView, consoleBtn);
         downloadBtn.classList.add('hidden');
         linksInput.disabled = true;
         cancelBtn.classList.remove('hidden');
@@ -1413,8 +2570,266 @@ window.addEventListener('DOMContentLoaded', () => {
         downloadProgressContainer.classList.remove('hidden');
         downloadProgressBar.style.width = '0%';
         downloadEta.textContent = 'Estimated time remaining: calculating...';
-        window.electronAPI.startDownload(links);
+        downloadQueueState.active = true;
+        downloadQueueState.paused = false;
+        downloadQueueState.items = [];
+        renderDownloadQueue();
+    }
+
+    downloadBtn.addEventListener('click', async () => {
+        const links = linksInput.value.split('\n').filter(link => link.trim() !== '');
+        const importedItems = importedTrackLists.flatMap(list => list.items.map(item => ({ ...item, playlistName: list.playlistName || null })));
+        log('Download requested', { linkCount: links.length, importedTrackCount: importedItems.length });
+        if (links.length === 0 && importedItems.length === 0) {
+            appendConsoleMessage('Please enter at least one link.');
+            return;
+        }
+        if (!(await canStartNewDownloadBatch())) return;
+        showDownloadInProgressUi();
+        window.electronAPI.startDownload(links, {
+            linkDestinations: links.map(link => linkDestinationNames.get(link.trim()) || null),
+            importedItems,
+            audioProfile: audioProfileSelect.value,
+            duplicateHandling: duplicateHandlingSelect.value,
+            artistMode: artistLinkModeSelect.value,
+            artistGrouping: artistLinkGroupingSelect.value,
+        });
+    });
+
+    // --- Download History ---
+    const DOWNLOAD_HISTORY_STATUS_LABELS = {
+        completed: 'Downloaded',
+        failed: 'Failed',
+        skipped: 'Skipped',
+        cancelled: 'Cancelled',
+        interrupted: 'Interrupted',
+        partial: 'Partly failed',
+    };
+
+    function createDownloadHistoryTrack(item) {
+        const li = document.createElement('li');
+        li.className = `download-history-track status-${item.status}`;
+
+        const name = document.createElement('span');
+        name.className = 'download-history-track-name';
+        name.textContent = `${item.index + 1}. ${item.name}`;
+        const status = document.createElement('span');
+        status.className = 'download-history-track-status';
+        status.textContent = DOWNLOAD_HISTORY_STATUS_LABELS[item.status] || item.status;
+        li.append(name, status);
+
+        const details = [];
+        if (item.query) details.push(`Query: ${item.query}`);
+        if (item.url) details.push(`${item.source || 'link'} · ${item.url}${Number.isFinite(item.durationMs) ? ` · ${formatCandidateDuration(item.durationMs)}` : ''}`);
+        if (item.filePath) details.push(item.filePath);
+        if (item.duplicateOf) details.push(`Already in library: ${item.duplicateOf}`);
+        (item.failedLinks || []).forEach(attempt => details.push(`Tried ${attempt.url}: ${attempt.error}`));
+        details.forEach(text => {
+            const detail = document.createElement('span');
+            detail.className = 'download-history-track-detail';
+            detail.textContent = text;
+            li.appendChild(detail);
+        });
+
+        if (item.error) {
+            const error = document.createElement('span');
+            error.className = 'download-history-track-error';
+            error.textContent = item.error;
+            li.appendChild(error);
+        }
+        if (item.errorInfo) {
+            const hint = document.createElement('span');
+            hint.className = 'download-history-track-detail download-history-track-hint';
+            hint.textContent = `💡 ${item.errorInfo.explanation} ${item.errorInfo.suggestion}`;
+            li.appendChild(hint);
+        }
+        return li;
+    }
+
+    function createDownloadHistoryBatch(record, filter) {
+        const counts = record.items.reduce((totals, item) => ({ ...totals, [item.status]: (totals[item.status] || 0) + 1 }), {});
+        const visibleItems = filter === 'all' ? record.items : record.items.filter(item => item.status === filter);
+
+        const batchEl = document.createElement('div');
+        batchEl.className = `download-history-batch status-${record.status}`;
+        batchEl.classList.toggle('has-failures', Boolean(counts.failed));
+        batchEl.dataset.id = record.id;
+
+        const header = document.createElement('div');
+        header.className = 'download-history-batch-header';
+        const content = document.createElement('div');
+        content.className = 'history-content';
+        const title = document.createElement('p');
+        title.className = 'history-title';
+        const startedAt = new Date(record.startedAt);
+        title.textContent = `${record.playlistName || `${record.items.length} track(s)`} · ${startedAt.toLocaleDateString()} ${startedAt.toLocaleTimeString()}`;
+        const summary = document.createElement('p');
+        summary.className = 'history-message';
+        const countText = Object.entries(counts).map(([statusKey, count]) => `${count} ${(DOWNLOAD_HISTORY_STATUS_LABELS[statusKey] || statusKey).toLowerCase()}`).join(', ');
+        const settings = record.settings || {};
+        const settingsText = [settings.audioProfile?.name || settings.fileExtension, settings.downloadThreads && `${settings.downloadThreads} downloads`, settings.duplicateHandling && `duplicates: ${settings.duplicateHandling}`].filter(Boolean).join(' · ');
+        summary.textContent = `${record.status === 'completed' ? 'Finished' : DOWNLOAD_HISTORY_STATUS_LABELS[record.status] || record.status}: ${countText || 'no tracks'}${settingsText ? ` · ${settingsText}` : ''}`;
+        const links = document.createElement('p');
+        links.className = 'download-history-links';
+        const importedCount = record.importedItems?.length || 0;
+        links.textContent = record.retryOf
+            ? 'Retry of an earlier batch'
+            : [
+                ...record.links.slice(0, 3),
+                record.links.length > 3 && `…and ${record.links.length - 3} more`,
+                importedCount > 0 && `${importedCount} track(s) imported from files`,
+            ].filter(Boolean).join('\n');
+        content.append(title, summary, links);
+
+        const actions = document.createElement('div');
+        actions.className = 'download-history-batch-actions';
+        const rerunBtn = document.createElement('button');
+        rerunBtn.className = 'secondary-btn';
+        rerunBtn.dataset.action = 'rerun';
+        rerunBtn.textContent = 'Re-run';
+        const retryBtn = document.createElement('button');
+        retryBtn.dataset.action = 'retry-failed';
+        retryBtn.textContent = `Retry Failed (${counts.failed || 0})`;
+        retryBtn.disabled = !counts.failed;
+        actions.append(rerunBtn, retryBtn);
+        header.append(content, actions);
+
+        const details = document.createElement('details');
+        details.open = filter !== 'all';
+        const detailsSummary = document.createElement('summary');
+        detailsSummary.textContent = `${visibleItems.length} track(s)`;
+        const list = document.createElement('ul');
+        list.className = 'download-history-items';
+        visibleItems.forEach(item => list.appendChild(createDownloadHistoryTrack(item)));
+        details.append(detailsSummary, list);
+
+        batchEl.append(header, details);
+        return batchEl;
+    }
+
+    async function renderDownloadHistory() {
+        const history = await window.electronAPI.getDownloadHistory();
+        const filter = downloadHistoryFilter.value;
+        const records = filter === 'all' ? history : history.filter(record => record.items.some(item => item.status === filter));
+
+        downloadHistoryContainer.innerHTML = '';
+        if (records.length === 0) {
+            downloadHistoryContainer.innerHTML = `<div class="empty-playlist-message">${history.length === 0 ? 'No downloads recorded yet.' : 'No batches have tracks with this result.'}</div>`;
+            return;
+        }
+        records.forEach(record => downloadHistoryContainer.appendChild(createDownloadHistoryBatch(record, filter)));
+    }
+
+    downloadHistoryFilter.addEventListener('change', renderDownloadHistory);
+    window.electronAPI.onDownloadHistoryUpdated(() => {
+        if (downloadHistoryView.classList.contains('active-view')) renderDownloadHistory();
+    });
+
+    downloadHistoryContainer.addEventListener('click', async (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        const id = button.closest('.download-history-batch')?.dataset.id;
+        const failedOnly = button.dataset.action === 'retry-failed';
+        logTab('DownloadHistory', 'batch re-run requested', { id, failedOnly });
+        if (!(await canStartNewDownloadBatch())) return;
+
+        const result = await window.electronAPI.rerunDownloadHistoryBatch(id, { failedOnly });
+        if (!result.success) {
+            showNotification('error', 'Download History', result.error);
+            return;
+        }
+        showDownloadInProgressUi();
+    });
+
+    clearDownloadHistoryBtn.addEventListener('click', async () => {
+        const confirmed = await showConfirmDialog(
+            'Clear Download History',
+            'Remove every recorded download batch? Downloaded files are not affected.',
+            { confirmText: 'Clear', cancelText: 'Cancel', danger: true }
+        );
+        if (!confirmed) return;
+        await window.electronAPI.clearDownloadHistory();
+        renderDownloadHistory();
+        showNotification('info', 'History Cleared', 'Your download history has been cleared.');
+    });
+
+    window.electronAPI.onLibraryChanged(async (change = {}) => {
+        log('Library changed on disk', {
+            changedFolderCount: change.changedFolders?.length || 0,
+            movedTrackCount: change.movedTracks?.length || 0,
+            removedTrackCount: change.removedTracks?.length || 0,
+        });
+
+        // Keep favorites and the active queue pointing at folders renamed outside SoundLink.
+        let favoritesChanged = false;
+        (change.movedFolders || []).forEach(({ from, to }) => {
+            const favoriteIndex = state.favoritePlaylists.indexOf(from);
+            if (favoriteIndex > -1) {
+                state.favoritePlaylists[favoriteIndex] = to;
+                favoritesChanged = true;
+            }
+            if (state.activePlaylistPath === from) state.activePlaylistPath = to;
+            if (state.activeQueuePaths.has(from)) {
+                state.activeQueuePaths.delete(from);
+                state.activeQueuePaths.add(to);
+            }
+        });
+        if (favoritesChanged) saveSettings();
+
+        if (state.isPlayerInitialized) await context.playerAPI?.applyLibraryChange?.(change);
+        await context.pmAPI?.applyLibraryChange?.(change);
+    });
+
+    window.electronAPI.onDownloadStartedExternally(({ linkCount, source }) => {
+        log('Download started outside the download view', { linkCount, source });
+        // Don't pull the user away from whatever they're doing; the console fills in the background.
+        showDownloadInProgressUi({ switchView: false });
+        appendConsoleMessage(`Download of ${linkCount} link(s) started from ${source}.`);
     });
+
+    // Offers to resume or discard an interrupted batch. Returns 'none' when there is none, otherwise
+    // 'resumed', 'discarded' or 'kept'. A new batch can only start after 'none' or 'discarded'.
+    async function promptForInterruptedDownloadBatch({ beforeNewBatch = false } = {}) {
+        const pending = await window.electronAPI.getPendingDownloadBatch();
+        if (!pending || pending.remainingCount <= 0) return 'none';
+
+        log('Interrupted download batch found', { batchId: pending.id, remainingCount: pending.remainingCount, beforeNewBatch });
+        const batchLabel = pending.playlistName ? `"${pending.playlistName}"` : 'Your last download batch';
+        const resume = await showConfirmDialog(
+            'Resume Downloads?',
+            `${batchLabel} was interrupted with ${pending.remainingCount} of ${pending.totalCount} track(s) unfinished. Completed tracks will be skipped.`
+                + (beforeNewBatch ? ' It has to be resumed or discarded before a new download can start.' : ''),
+            { confirmText: 'Resume', cancelText: 'Not Now' }
+        );
+        if (resume) {
+            logTab('Console', 'interrupted download batch resumed', { batchId: pending.id });
+            showDownloadInProgressUi();
+            window.electronAPI.resumeDownload();
+            return 'resumed';
+        }
+
+        const discard = await showConfirmDialog(
+            'Discard Interrupted Batch?',
+            beforeNewBatch
+                ? 'Discarding removes the unfinished queue and any partial files it left behind, then starts the new download. Keep it to resume it later instead.'
+                : 'Discarding removes the unfinished queue and any partial files it left behind. Keep it to be asked again on next launch.',
+            { confirmText: 'Discard', cancelText: 'Keep', danger: true }
+        );
+        if (!discard) return 'kept';
+
+        const result = await window.electronAPI.discardPendingDownloadBatch();
+        if (result?.success) {
+            showNotification('info', 'Batch Discarded', `Removed ${result.removedCount || 0} partial file(s).`);
+            return 'discarded';
+        }
+        showNotification('error', 'Discard Failed', result?.error || 'Could not discard the interrupted batch.');
+        return 'kept';
+    }
+
+    async function canStartNewDownloadBatch() {
+        const choice = await promptForInterruptedDownloadBatch({ beforeNewBatch: true });
+        return choice === 'none' || choice === 'discarded';
+    }
     cancelBtn.addEventListener('click', () => {
         log('Download cancel requested from small cancel button');
         window.electronAPI.cancelDownload();
@@ -1440,13 +2855,18 @@ window.addEventListener('DOMContentLoaded', () => {
         applyTheme(defaultSettings.theme || 'dark');
         state.favoriteThemes = defaultSettings.favoriteThemes || [];
         state.favoritePlaylists = defaultSettings.favoritePlaylists || [];
-        fileExtensionInput.value = defaultSettings.fileExtension || 'm4a';
+        audioProfileSelect.value = defaultSettings.audioProfile;
+        filenameTemplateInput.value = defaultSettings.filenameTemplate || '';
         downloadThreadsInput.value = defaultSettings.downloadThreads || 3;
+        linkSearchThreadsInput.value = defaultSettings.linkSearchThreads || 3;
         clientIdInput.value = defaultSettings.spotify.clientId;
         clientSecretInput.value = defaultSettings.spotify.clientSecret;
         downloadsPathInput.value = defaultSettings.downloadsPath;
         autoCreatePlaylistInput.checked = defaultSettings.autoCreatePlaylist || false;
+        automationApiEnabledInput.checked = defaultSettings.automationApiEnabled || false;
+        automationApiPortInput.value = defaultSettings.automationApiPort || 17321;
         spotifySearchLimitInput.value = defaultSettings.spotifySearchLimit || 10;
+        spotifyMarketInput.value = defaultSettings.spotifyMarket || 'US';
         const setToggle = (input, bodyClass, value) => {
             input.checked = value;
             body.classList.toggle(bodyClass, value);
@@ -1456,6 +2876,7 @@ window.addEventListener('DOMContentLoaded', () => {
         setToggle(hideTrackNumbersInput, 'hide-track-numbers', defaultSettings.hideTrackNumbers || false);
         setToggle(hideSearchBarsInput, 'hide-search-bars', defaultSettings.hideSearchBars || false);
         setToggle(hideMixButtonsInput, 'hide-mix-buttons', defaultSettings.hideMixButtons || false);
+        embedMetadataInput.checked = defaultSettings.embedMetadata !== false;
         enableSmartPlaylistsInput.checked = defaultSettings.enableSmartPlaylists !== false;
         libraryPerformanceModeInput.checked = defaultSettings.libraryPerformanceMode !== false;
         state.spectrogramColor = (typeof defaultSettings.spectrogramColor === 'string' && /^#[\da-f]{6}$/i.test(defaultSettings.spectrogramColor))
@@ -1465,12 +2886,18 @@ window.addEventListener('DOMContentLoaded', () => {
         applySpectrogramColorFromHex(state.spectrogramColor);
         skipManualLinkPromptInput.checked = defaultSettings.skipManualLinkPrompt || false;
         durationToleranceSecondsInput.value = defaultSettings.durationToleranceSeconds || 20;
+        linkCacheTtlDaysInput.value = defaultSettings.linkCacheTtlDays ?? 90;
+        validateLinkCacheInput.checked = defaultSettings.validateLinkCache !== false;
+        watchedPlaylistSyncHoursInput.value = defaultSettings.watchedPlaylistSyncHours ?? 6;
+        duplicateHandlingSelect.value = defaultSettings.duplicateHandling || 'skip';
+        artistLinkModeSelect.value = defaultSettings.artistLinkMode || 'top-tracks';
+        artistLinkGroupingSelect.value = defaultSettings.artistLinkGrouping || 'album';
         silenceTrimThresholdDbInput.value = defaultSettings.silenceTrimThresholdDb || 35;
         volumeSlider.value = Number.isFinite(Number.parseFloat(defaultSettings.playerVolume))
             ? Number.parseFloat(defaultSettings.playerVolume)
             : 1;
         populateThemeGrid();
-        saveSettings();
+        saveSettings().then(refreshAutomationApiInfo).then(updateFilenameTemplatePreview);
         showNotification('success', 'Settings Reset', 'All settings have been restored to their defaults.');
     });
 
@@ -1622,6 +3049,128 @@ window.addEventListener('DOMContentLoaded', () => {
         window.electronAPI.restartApp();
     });
 
+    // --- Download Queue Logic ---
+    const downloadQueueState = { active: false, paused: false, items: [] };
+    const DOWNLOAD_QUEUE_PHASE_LABELS = {
+        pending: 'Queued',
+        resolving: 'Finding link',
+        resolved: 'Ready',
+        downloading: 'Downloading',
+        completed: 'Done',
+        failed: 'Failed',
+        cancelled: 'Cancelled',
+        skipped: 'In library',
+    };
+
+    function createDownloadQueueActionButton(action, label, title) {
+        const button = document.createElement('button');
+        button.className = 'secondary-btn';
+        button.dataset.action = action;
+        button.textContent = label;
+        button.title = title;
+        return button;
+    }
+
+    function renderDownloadQueue() {
+        downloadQueueContainer.classList.toggle('hidden', downloadQueueState.items.length === 0);
+        downloadQueuePauseBtn.classList.toggle('hidden', !downloadQueueState.active);
+        downloadQueuePauseBtn.textContent = downloadQueueState.paused ? 'Resume Queue' : 'Pause Queue';
+
+        const previousScrollTop = downloadQueueList.scrollTop;
+        downloadQueueList.innerHTML = '';
+        downloadQueueState.items.forEach((item, position) => {
+            const li = document.createElement('li');
+            li.className = `download-queue-item phase-${item.phase}`;
+            li.dataset.index = item.index;
+
+            const info = document.createElement('div');
+            info.className = 'download-queue-item-info';
+            const name = document.createElement('span');
+            name.className = 'download-queue-item-name';
+            name.textContent = `${item.index + 1}. ${item.name}`;
+            name.title = item.error || item.name;
+            const barWrapper = document.createElement('div');
+            barWrapper.className = 'progress-bar-wrapper';
+            const bar = document.createElement('div');
+            bar.className = 'download-queue-item-bar';
+            bar.style.width = `${item.phase === 'completed' ? 100 : item.progress}%`;
+            barWrapper.appendChild(bar);
+            info.appendChild(name);
+            if (item.phase === 'failed' && item.errorInfo) {
+                const hint = document.createElement('span');
+                hint.className = 'download-queue-item-hint';
+                hint.textContent = `${item.errorInfo.explanation} ${item.errorInfo.suggestion}`;
+                info.appendChild(hint);
+            }
+            info.appendChild(barWrapper);
+
+            const phase = document.createElement('span');
+            phase.className = 'download-queue-item-phase';
+            phase.textContent = DOWNLOAD_QUEUE_PHASE_LABELS[item.phase] || item.phase;
+
+            const actions = document.createElement('div');
+            actions.className = 'download-queue-item-actions';
+            if (downloadQueueState.active) {
+                const isQueued = item.phase === 'pending' || item.phase === 'resolved';
+                if (isQueued && position > 0) actions.appendChild(createDownloadQueueActionButton('up', '▲', 'Move up'));
+                if (isQueued && position < downloadQueueState.items.length - 1) actions.appendChild(createDownloadQueueActionButton('down', '▼', 'Move down'));
+                if (isQueued || item.phase === 'resolving' || item.phase === 'downloading') {
+                    actions.appendChild(createDownloadQueueActionButton('cancel', 'Cancel', 'Cancel this track'));
+                }
+                if (item.phase === 'failed' || item.phase === 'cancelled') {
+                    actions.appendChild(createDownloadQueueActionButton('retry', 'Retry', 'Retry this track'));
+                }
+                if (item.phase === 'skipped') {
+                    actions.appendChild(createDownloadQueueActionButton('retry', 'Download', 'Download this track anyway'));
+                }
+            }
+
+            li.append(info, phase, actions);
+            downloadQueueList.appendChild(li);
+        });
+        downloadQueueList.scrollTop = previousScrollTop;
+    }
+
+    downloadQueueList.addEventListener('click', async (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        const index = Number(button.closest('.download-queue-item')?.dataset.index);
+        if (!Number.isInteger(index)) return;
+
+        const { action } = button.dataset;
+        logTab('Console', 'download queue item action', { action, index });
+        let result;
+        if (action === 'cancel') result = await window.electronAPI.cancelDownloadItem(index);
+        else if (action === 'retry') result = await window.electronAPI.retryDownloadItem(index);
+        else result = await window.electronAPI.moveDownloadItem(index, action);
+
+        if (result && !result.success) {
+            showNotification('error', 'Queue Action Failed', result.error);
+        }
+    });
+
+    downloadQueuePauseBtn.addEventListener('click', async () => {
+        const paused = !downloadQueueState.paused;
+        logTab('Console', 'download queue pause toggled', { paused });
+        const result = await window.electronAPI.setDownloadQueuePaused(paused);
+        if (result && !result.success) {
+            showNotification('error', 'Queue Action Failed', result.error);
+        }
+    });
+
+    window.electronAPI.onDownloadQueueUpdate(({ paused, items }) => {
+        downloadQueueState.paused = Boolean(paused);
+        downloadQueueState.items = Array.isArray(items) ? items : [];
+        renderDownloadQueue();
+    });
+
+    window.electronAPI.onDownloadItemProgress(({ index, progress }) => {
+        const item = downloadQueueState.items.find(entry => entry.index === index);
+        if (item) item.progress = progress;
+        const bar = downloadQueueList.querySelector(`.download-queue-item[data-index="${index}"] .download-queue-item-bar`);
+        if (bar) bar.style.width = `${progress}%`;
+    });
+
     window.electronAPI.onDownloadProgress(({ progress, eta }) => {
         log('Download progress event', { progress, eta });
         if (downloadProgressBar) downloadProgressBar.style.width = `${progress}%`;
@@ -1633,6 +3182,7 @@ window.addEventListener('DOMContentLoaded', () => {
     loadNotificationHistory();
     loadInitialSettings();
     initializePlayer(context);
+    promptForInterruptedDownloadBatch();
     log('Renderer initialized');
     // Player is initialized at startup so settings-level sleep timer is available immediately.
 });
\ No newline at end of file
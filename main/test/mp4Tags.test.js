@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readMp4FreeformTag, writeMp4FreeformTag } = require('../mp4Tags');
+
+const SAMPLE = Buffer.from('SAMPLE-DATA');
+
+function box(type, ...payloads) {
+    const payload = Buffer.concat(payloads);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+}
+
+function buildStco(chunkOffset) {
+    const payload = Buffer.alloc(12);
+    payload.writeUInt32BE(1, 4);
+    payload.writeUInt32BE(chunkOffset, 8);
+    return box('stco', payload);
+}
+
+// A minimal audio file: ftyp, a moov whose single stco entry points at the sample, and mdat.
+function buildFixture({ moovFirst }) {
+    const ftyp = box('ftyp', Buffer.from('M4A \0\0\0\0M4A mp42', 'latin1'));
+    const buildMoov = (chunkOffset) => box('moov',
+        box('mvhd', Buffer.alloc(100)),
+        box('trak', box('mdia', box('minf', box('stbl', buildStco(chunkOffset))))));
+    const mdat = box('mdat', SAMPLE);
+    const moovLength = buildMoov(0).length;
+    if (moovFirst) return Buffer.concat([ftyp, buildMoov(ftyp.length + moovLength + 8), mdat]);
+    return Buffer.concat([ftyp, mdat, buildMoov(ftyp.length + 8)]);
+}
+
+function readChunkOffset(file) {
+    return file.readUInt32BE(file.indexOf('stco', 0, 'latin1') + 12);
+}
+
+function countOccurrences(file, text) {
+    let count = 0;
+    for (let index = file.indexOf(text); index !== -1; index = file.indexOf(text, index + 1)) count++;
+    return count;
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mp4-tags-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function writeFixture(name, options) {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, buildFixture(options));
+    return filePath;
+}
+
+test('a freeform tag round-trips and the chunk offsets after moov follow the grown box', async () => {
+    const filePath = writeFixture('faststart.m4a', { moovFirst: true });
+    const originalOffset = readChunkOffset(fs.readFileSync(filePath));
+    assert.strictEqual(await readMp4FreeformTag(filePath, 'ISRC'), null);
+
+    await writeMp4FreeformTag(filePath, 'ISRC', 'USRC17607839');
+
+    const file = fs.readFileSync(filePath);
+    assert.strictEqual(await readMp4FreeformTag(filePath, 'isrc'), 'USRC17607839');
+    const chunkOffset = readChunkOffset(file);
+    assert.ok(chunkOffset > originalOffset);
+    assert.deepStrictEqual(file.subarray(chunkOffset, chunkOffset + SAMPLE.length), SAMPLE);
+    assert.deepStrictEqual(fs.readdirSync(tempDir).filter(name => name.includes('.atoms-')), []);
+});
+
+test('rewriting a tag replaces the old item and keeps the other items', async () => {
+    const filePath = writeFixture('rewrite.m4a', { moovFirst: true });
+    await writeMp4FreeformTag(filePath, 'MOOD', 'Calm');
+    await writeMp4FreeformTag(filePath, 'ISRC', 'OLD000000001');
+    await writeMp4FreeformTag(filePath, 'ISRC', 'GBAYE0601498');
+
+    const file = fs.readFileSync(filePath);
+    assert.strictEqual(await readMp4FreeformTag(filePath, 'ISRC'), 'GBAYE0601498');
+    assert.strictEqual(await readMp4FreeformTag(filePath, 'MOOD'), 'Calm');
+    assert.strictEqual(countOccurrences(file, 'ISRC'), 1);
+    assert.strictEqual(countOccurrences(file, 'OLD000000001'), 0);
+    const chunkOffset = readChunkOffset(file);
+    assert.deepStrictEqual(file.subarray(chunkOffset, chunkOffset + SAMPLE.length), SAMPLE);
+});
+
+test('chunk offsets before a trailing moov are left alone', async () => {
+    const filePath = writeFixture('trailing.m4a', { moovFirst: false });
+    const originalOffset = readChunkOffset(fs.readFileSync(filePath));
+
+    await writeMp4FreeformTag(filePath, 'ISRC', 'USRC17607839');
+
+    const file = fs.readFileSync(filePath);
+    assert.strictEqual(await readMp4FreeformTag(filePath, 'ISRC'), 'USRC17607839');
+    assert.strictEqual(readChunkOffset(file), originalOffset);
+    assert.deepStrictEqual(file.subarray(originalOffset, originalOffset + SAMPLE.length), SAMPLE);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTrackListFile } = require('../trackListImport');
+
+test('text lists split "Artist - Title" lines and keep links apart', () => {
+    const list = parseTrackListFile('Road Trip.txt', [
+        '# comment',
+        'Daft Punk - One More Time (5:20)',
+        'https://www.youtube.com/watch?v=abc123',
+        'Untitled Jam',
+        '',
+    ].join('\n'));
+
+    assert.strictEqual(list.fileName, 'Road Trip.txt');
+    assert.deepStrictEqual(list.links, ['https://www.youtube.com/watch?v=abc123']);
+    assert.strictEqual(list.items.length, 2);
+    assert.deepStrictEqual(list.items[0].metadata.artists, ['Daft Punk']);
+    assert.strictEqual(list.items[0].name, 'One More Time');
+    assert.strictEqual(list.items[0].durationMs, 320000);
+    assert.strictEqual(list.items[0].playlistName, 'Road Trip');
+    assert.strictEqual(list.items[1].name, 'Untitled Jam');
+    assert.deepStrictEqual(list.items[1].metadata.artists, []);
+});
+
+test('artists split on explicit separators but not on "&"', () => {
+    const list = parseTrackListFile('list.txt', [
+        'Simon & Garfunkel - The Boxer',
+        'Calvin Harris feat. Rihanna - This Is What You Came For',
+        'Artist One; Artist Two - Duet',
+    ].join('\n'));
+
+    assert.deepStrictEqual(list.items.map(item => item.metadata.artists), [
+        ['Simon & Garfunkel'],
+        ['Calvin Harris', 'Rihanna'],
+        ['Artist One', 'Artist Two'],
+    ]);
+});
+
+test('CSV columns are found by header and quoted fields keep commas, quotes and newlines', () => {
+    const list = parseTrackListFile('export.csv', [
+        'Track Name,Artist Name(s),Album Name,Duration (ms)',
+        '"Hello, Goodbye",The Beatles,"Magical Mystery Tour",210000',
+        '"She Said ""Yes""","Artist A, Artist B",Album,180000',
+        '"Two',
+        'Lines",Someone,,1000',
+    ].join('\r\n'));
+
+    assert.deepStrictEqual(list.links, []);
+    assert.deepStrictEqual(list.items.map(item => item.name), ['Hello, Goodbye', 'She Said "Yes"', 'Two\r\nLines']);
+    assert.strictEqual(list.items[0].metadata.album, 'Magical Mystery Tour');
+    assert.strictEqual(list.items[0].durationMs, 210000);
+    assert.deepStrictEqual(list.items[1].metadata.artists, ['Artist A', 'Artist B']);
+    assert.strictEqual(list.items[2].durationMs, 1000);
+});
+
+test('CSV rows with a link column are imported as links', () => {
+    const list = parseTrackListFile('links.tsv', 'Title\tURL\nSong\thttps://soundcloud.com/a/b\nOther\t\n');
+
+    assert.deepStrictEqual(list.links, ['https://soundcloud.com/a/b']);
+    assert.deepStrictEqual(list.items.map(item => item.name), ['Other']);
+});
+
+test('headerless CSV rows are read like text lines', () => {
+    const list = parseTrackListFile('plain.csv', 'Massive Attack,Teardrop\n');
+
+    assert.strictEqual(list.items[0].name, 'Teardrop');
+    assert.deepStrictEqual(list.items[0].metadata.artists, ['Massive Attack']);
+});
+
+test('M3U entries use the #EXTINF title and duration, or the file name without one', () => {
+    const list = parseTrackListFile('mix.m3u8', [
+        '\uFEFF#EXTM3U',
+        '#EXTINF:245,Portishead - Glory Box',
+        'C:\\Music\\glory_box.mp3',
+        '#EXTINF:-1,Radio Stream',
+        'https://example.com/stream.mp3',
+        'music/Air - La Femme d\'Argent.flac',
+    ].join('\n'));
+
+    assert.deepStrictEqual(list.links, ['https://example.com/stream.mp3']);
+    assert.strictEqual(list.items.length, 2);
+    assert.strictEqual(list.items[0].name, 'Glory Box');
+    assert.deepStrictEqual(list.items[0].metadata.artists, ['Portishead']);
+    assert.strictEqual(list.items[0].durationMs, 245000);
+    assert.strictEqual(list.items[1].name, 'La Femme d\'Argent');
+    assert.strictEqual(list.items[1].durationMs, null);
+});
@@ -0,0 +1,201 @@
+const path = require('path');
+
+// --- TRACK LIST IMPORT ---
+// Parsing for dropped or opened .txt, .csv, .tsv and .m3u track lists. Kept free of Electron
+// so the parsers can be tested with plain node.
+
+// Header names seen in Exportify, Spotify-to-CSV tools and hand-made spreadsheets, lower-cased.
+const TRACK_LIST_COLUMNS = {
+    title: ['track name', 'title', 'track', 'song', 'name', 'song name'],
+    artist: ['artist name(s)', 'artist name', 'artists', 'artist'],
+    album: ['album name', 'album'],
+    duration: ['duration (ms)', 'duration_ms', 'duration', 'length', 'time'],
+    link: ['url', 'link', 'youtube url', 'spotify url'],
+};
+
+function isHttpLink(value) {
+    return /^https?:\/\/\S+$/i.test(value);
+}
+
+// Accepts milliseconds, seconds and m:ss / h:mm:ss; bare numbers above ten thousand are taken as milliseconds.
+function parseTrackListDuration(value, isMilliseconds = false) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    if (text.includes(':')) {
+        const parts = text.split(':').map(part => Number.parseFloat(part));
+        if (parts.some(part => !Number.isFinite(part) || part < 0)) return null;
+        return Math.round(parts.reduce((total, part) => (total * 60) + part, 0) * 1000);
+    }
+    const number = Number.parseFloat(text);
+    if (!Number.isFinite(number) || number <= 0) return null;
+    return Math.round(isMilliseconds || number > 10000 ? number : number * 1000);
+}
+
+function createImportedSearchItem({ title, artist = '', album = '', durationMs = null }) {
+    const name = String(title || '').trim();
+    if (!name) return null;
+    // "&" is left alone: it is part of names like "Simon & Garfunkel" as often as it joins two artists.
+    const artists = String(artist || '').split(/\s*[;,]\s*|\s+(?:feat\.?|ft\.?)\s+/i).map(entry => entry.trim()).filter(Boolean);
+    return {
+        type: 'search',
+        query: [name, ...artists].join(' '),
+        name,
+        metadata: { title: name, artists, album: String(album || '').trim() || null },
+        durationMs: Number.isFinite(durationMs) && durationMs > 0 ? durationMs : null,
+    };
+}
+
+// "Artist - Title", optionally followed by a duration in brackets. Lines without a separator are searched as-is.
+function parseTrackListLine(line) {
+    const durationMatch = line.match(/\s*[([]\s*(\d{1,2}:\d{2}(?::\d{2})?)\s*[)\]]\s*$/);
+    const text = durationMatch ? line.slice(0, durationMatch.index) : line;
+    const durationMs = durationMatch ? parseTrackListDuration(durationMatch[1]) : null;
+    const separatorMatch = text.match(/\s+[-–—]\s+/);
+    if (!separatorMatch) return createImportedSearchItem({ title: text, durationMs });
+    return createImportedSearchItem({
+        artist: text.slice(0, separatorMatch.index),
+        title: text.slice(separatorMatch.index + separatorMatch[0].length),
+        durationMs,
+    });
+}
+
+function parseCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (inQuotes) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function parseTrackListCsv(text, delimiter) {
+    const rows = parseCsvRows(text, delimiter);
+    const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+    const findColumn = (names) => {
+        for (const name of names) {
+            const columnIndex = header.indexOf(name);
+            if (columnIndex !== -1) return columnIndex;
+        }
+        return -1;
+    };
+    const columns = Object.fromEntries(Object.entries(TRACK_LIST_COLUMNS).map(([key, names]) => [key, findColumn(names)]));
+    // Headerless files are read like a text list, one row per line.
+    if (columns.title === -1 && columns.link === -1) {
+        return parseTrackListText(rows.map(cells => cells.map(cell => cell.trim()).filter(Boolean).join(' - ')).join('\n'));
+    }
+
+    const isMilliseconds = /ms/.test(header[columns.duration] || '');
+    const result = { links: [], items: [] };
+    for (const cells of rows.slice(1)) {
+        const cell = (key) => (columns[key] === -1 ? '' : (cells[columns[key]] || '').trim());
+        if (isHttpLink(cell('link'))) {
+            result.links.push(cell('link'));
+            continue;
+        }
+        const item = createImportedSearchItem({
+            title: cell('title'),
+            artist: cell('artist'),
+            album: cell('album'),
+            durationMs: parseTrackListDuration(cell('duration'), isMilliseconds),
+        });
+        if (item) result.items.push(item);
+    }
+    return result;
+}
+
+// #EXTINF carries the duration in seconds and a display title; entries that point at a URL are downloaded directly.
+function parseTrackListM3u(text) {
+    const result = { links: [], items: [] };
+    let pendingInfo = null;
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        const infoMatch = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+        if (infoMatch) {
+            pendingInfo = { durationSeconds: Number.parseFloat(infoMatch[1]), title: infoMatch[2].trim() };
+            continue;
+        }
+        if (!line || line.startsWith('#')) continue;
+
+        if (isHttpLink(line)) {
+            result.links.push(line);
+        } else {
+            const item = parseTrackListLine(pendingInfo?.title || path.parse(line.replace(/\\/g, '/')).name);
+            if (item && !item.durationMs && pendingInfo?.durationSeconds > 0) {
+                item.durationMs = Math.round(pendingInfo.durationSeconds * 1000);
+            }
+            if (item) result.items.push(item);
+        }
+        pendingInfo = null;
+    }
+    return result;
+}
+
+function parseTrackListText(text) {
+    const result = { links: [], items: [] };
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#') || line.startsWith('//')) continue;
+        if (isHttpLink(line)) {
+            result.links.push(line);
+            continue;
+        }
+        const item = parseTrackListLine(line);
+        if (item) result.items.push(item);
+    }
+    return result;
+}
+
+// Turns a dropped or opened track list into links for the links box and search items that go
+// through the normal link search. The file name doubles as the playlist name for its search items.
+function parseTrackListFile(fileName, rawText) {
+    const text = String(rawText || '').replace(/^\uFEFF/, '');
+    const extension = path.extname(fileName || '').toLowerCase();
+    let result;
+    if (extension === '.m3u' || extension === '.m3u8' || /^#EXTM3U/i.test(text)) {
+        result = parseTrackListM3u(text);
+    } else if (extension === '.csv' || extension === '.tsv') {
+        result = parseTrackListCsv(text, extension === '.tsv' ? '\t' : ',');
+    } else {
+        result = parseTrackListText(text);
+    }
+
+    const playlistName = path.parse(fileName || '').name || null;
+    return {
+        fileName: path.basename(fileName || ''),
+        links: result.links,
+        items: result.items.map(item => ({ ...item, playlistName })),
+    };
+}
+
+module.exports = {
+    parseTrackListFile,
+};